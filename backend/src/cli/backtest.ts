@@ -0,0 +1,43 @@
+/**
+ * Backtest Entry Point
+ * npm run backtest -- [--symbols BTC,ETH] [--entry 0.3] [--exit 0.05] [--maxHoldMs N]
+ *                     [--notional 1000] [--fees taker|maker|<bps>] [--slippageBps N]
+ *                     [--from <date>] [--to <date>] [--json]
+ */
+
+import { BacktestParamError, BacktestSummary, parseBacktestParams, runBacktest } from '../services/backtest.service';
+
+const args = process.argv.slice(2);
+const input: Record<string, string> = {};
+args.forEach((arg, i) => {
+    if (arg.startsWith('--') && arg !== '--json') input[arg.slice(2)] = args[i + 1];
+});
+
+const usd = (value: number) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+const minutes = (ms: number) => `${(ms / 60000).toFixed(1)}m`;
+
+const row = (label: string, s: BacktestSummary) =>
+    `${label.padEnd(10)} ${String(s.trades).padStart(6)} ${(s.hitRate * 100).toFixed(1).padStart(6)}% ${usd(s.netPnl).padStart(12)} ${minutes(s.avgHoldMs).padStart(9)} ${usd(-s.maxDrawdown).padStart(12)}`;
+
+async function main() {
+    const params = parseBacktestParams(input);
+    const result = await runBacktest(params);
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+
+    console.log(`Backtest ${new Date(params.from).toISOString()} -> ${new Date(params.to).toISOString()} (${result.rows} rows)`);
+    console.log(`entry >= ${params.entrySpread}%, exit <= ${params.exitSpread}%, max hold ${minutes(params.maxHoldMs)}, $${params.notionalUsd} notional, fees ${params.fees}, slippage ${params.slippageBps}bps\n`);
+    console.log(`${'SYMBOL'.padEnd(10)} ${'TRADES'.padStart(6)} ${'HIT'.padStart(7)} ${'NET'.padStart(12)} ${'AVG HOLD'.padStart(9)} ${'MAX DD'.padStart(12)}`);
+    Object.entries(result.bySymbol).forEach(([symbol, summary]) => console.log(row(symbol, summary)));
+    console.log(row('TOTAL', result.summary));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error instanceof BacktestParamError ? error.message : error);
+        process.exit(1);
+    });
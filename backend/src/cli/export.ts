@@ -0,0 +1,52 @@
+/**
+ * Export Entry Point
+ * npm run export -- <spreads|quotes|alerts|price-metrics|simulated-trades|all> [--from <date>] [--to <date>]
+ *                   [--symbols BTC,ETH] [--format parquet|csv|ndjson] [--out <dir>]
+ * Writes one file per dataset (default: Parquet, last 24h, ./exports)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EXPORT_TABLES } from '../db/export-repo';
+import { closeDatabase } from '../db/connection';
+import { ExportParamError, exportFileName, parseExportParams, streamExport, writeParquet } from '../services/export.service';
+
+const args = process.argv.slice(2);
+const input: Record<string, string> = { format: 'parquet' };
+args.forEach((arg, i) => {
+    if (arg.startsWith('--')) input[arg.slice(2)] = args[i + 1];
+});
+const target = args.find((arg, i) => !arg.startsWith('--') && (i === 0 || !args[i - 1].startsWith('--')));
+
+async function main() {
+    if (!target) throw new ExportParamError(`Usage: npm run export -- <${Object.keys(EXPORT_TABLES).join('|')}|all> [--from <date>] [--to <date>] [--symbols BTC,ETH] [--format parquet|csv|ndjson] [--out <dir>]`);
+
+    const datasets = target === 'all' ? Object.keys(EXPORT_TABLES) : [target];
+    const paramsList = datasets.map(dataset => parseExportParams(dataset, input));
+    const dir = path.resolve(input.out || 'exports');
+    fs.mkdirSync(dir, { recursive: true });
+
+    for (const params of paramsList) {
+        const file = path.join(dir, exportFileName(params));
+        const startedAt = Date.now();
+        let rows: number;
+
+        if (params.format === 'parquet') {
+            rows = await writeParquet(params, file);
+        } else {
+            const out = fs.createWriteStream(file);
+            rows = await streamExport(params, out);
+            await new Promise<void>((resolve, reject) => out.end((err?: Error | null) => err ? reject(err) : resolve()));
+        }
+
+        console.log(`${params.dataset}: ${rows} rows -> ${file} (${((Date.now() - startedAt) / 1000).toFixed(1)}s)`);
+    }
+}
+
+main()
+    .then(() => closeDatabase())
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error instanceof ExportParamError ? error.message : error);
+        process.exit(1);
+    });
@@ -0,0 +1,28 @@
+/**
+ * Replay Entry Point (npm run replay -- <file> [--speed N] [--loop] [--persist])
+ * Boots the regular backend fed by a market-data recording instead of exchanges
+ */
+
+import path from 'path';
+import { REPLAY } from '../config';
+
+const args = process.argv.slice(2);
+const speedIndex = args.indexOf('--speed');
+const file = args.find((arg, i) => !arg.startsWith('--') && (speedIndex < 0 || i !== speedIndex + 1));
+
+if (!file && !REPLAY.FILE) {
+    console.error('Usage: npm run replay -- <recording.ndjson.gz> [--speed N] [--loop] [--persist]');
+    process.exit(1);
+}
+
+if (file) REPLAY.FILE = path.resolve(file);
+if (speedIndex >= 0) REPLAY.SPEED = Number(args[speedIndex + 1]);
+if (args.includes('--loop')) REPLAY.LOOP = true;
+if (args.includes('--persist')) REPLAY.PERSIST = true;
+
+if (isNaN(REPLAY.SPEED) || REPLAY.SPEED < 0) {
+    console.error('--speed must be a number >= 0 (0 = as fast as possible)');
+    process.exit(1);
+}
+
+require('../index');
@@ -4,11 +4,21 @@
 
 export const API_ENDPOINTS = {
     PARADEX: process.env.API_PARADEX || 'https://api.prod.paradex.trade/v1/markets/summary?market=ALL',
+    PARADEX_MARKETS: process.env.API_PARADEX_MARKETS || 'https://api.prod.paradex.trade/v1/markets',
     PARADEX_WS: process.env.WS_PARADEX || 'wss://ws.api.prod.paradex.trade/v1',
     VEST_TICKER: process.env.API_VEST_TICKER || 'https://server-prod.hz.vestmarkets.com/v2/ticker/24hr',
     VEST_DEPTH: process.env.API_VEST_DEPTH || 'https://server-prod.hz.vestmarkets.com/v2/depth',
+    VEST_TICKER_LATEST: process.env.API_VEST_TICKER_LATEST || 'https://server-prod.hz.vestmarkets.com/v2/ticker/latest',
+    VEST_EXCHANGE_INFO: process.env.API_VEST_EXCHANGE_INFO || 'https://server-prod.hz.vestmarkets.com/v2/exchangeInfo',
     LIGHTER: process.env.API_LIGHTER || 'https://mainnet.zklighter.elliot.ai/api/v1/orderBookDetails',
+    LIGHTER_FUNDING: process.env.API_LIGHTER_FUNDING || 'https://mainnet.zklighter.elliot.ai/api/v1/funding-rates',
     LIGHTER_WS: process.env.WS_LIGHTER || 'wss://mainnet.zklighter.elliot.ai/stream',
+    HYPERLIQUID_INFO: process.env.API_HYPERLIQUID_INFO || 'https://api.hyperliquid.xyz/info',
+    HYPERLIQUID_WS: process.env.WS_HYPERLIQUID || 'wss://api.hyperliquid.xyz/ws',
+    DYDX_INDEXER: process.env.API_DYDX_INDEXER || 'https://indexer.dydx.trade/v4',
+    DYDX_WS: process.env.WS_DYDX || 'wss://indexer.dydx.trade/v4/ws',
+    AEVO: process.env.API_AEVO || 'https://api.aevo.xyz',
+    AEVO_WS: process.env.WS_AEVO || 'wss://ws.aevo.xyz',
     // Extended Exchange (Starknet Mainnet)
     EXTENDED_MARKETS: process.env.API_EXTENDED_MARKETS || 'https://api.starknet.extended.exchange/api/v1/info/markets'
 };
@@ -31,3 +41,93 @@ export const NON_CRYPTO_SYMBOLS = new Set([
 ]);
 
 export const isCrypto = (symbol: string): boolean => !NON_CRYPTO_SYMBOLS.has(symbol.toUpperCase());
+
+/**
+ * Fee Schedules (basis points, 1 bps = 0.01%)
+ * Defaults are the public base tiers; override per venue via env:
+ *   FEE_<EXCHANGE>_MAKER_BPS, FEE_<EXCHANGE>_TAKER_BPS, FEE_<EXCHANGE>_VOLUME_30D
+ * When tiers are set, the tier matching our 30d volume replaces the base rates.
+ */
+export interface FeeTier {
+    minVolumeUsd: number;
+    makerBps: number;
+    takerBps: number;
+}
+
+export interface FeeSchedule {
+    makerBps: number;
+    takerBps: number;
+    volume30dUsd: number;
+    tiers?: FeeTier[];
+}
+
+/**
+ * Numeric env value, undefined when unset, empty or not a number
+ */
+const envOverride = (key: string): number | undefined => {
+    const value = process.env[key];
+    if (value === undefined || value === '') return undefined;
+    const parsed = Number(value);
+    return isNaN(parsed) ? undefined : parsed;
+};
+
+const envNumber = (key: string, fallback: number): number => envOverride(key) ?? fallback;
+
+const feeSchedule = (exchange: string, makerBps: number, takerBps: number, tiers?: FeeTier[]): FeeSchedule => ({
+    makerBps: envNumber(`FEE_${exchange}_MAKER_BPS`, makerBps),
+    takerBps: envNumber(`FEE_${exchange}_TAKER_BPS`, takerBps),
+    volume30dUsd: envNumber(`FEE_${exchange}_VOLUME_30D`, 0),
+    tiers
+});
+
+export const EXCHANGE_FEES: Record<string, FeeSchedule> = {
+    PARADEX: feeSchedule('PARADEX', 0, 2),
+    VEST: feeSchedule('VEST', 0, 10),
+    LIGHTER: feeSchedule('LIGHTER', 0, 0),
+    EXTENDED: feeSchedule('EXTENDED', 0, 2.5, [
+        { minVolumeUsd: 0, makerBps: 0, takerBps: 2.5 },
+        { minVolumeUsd: 1_000_000, makerBps: 0, takerBps: 2.3 },
+        { minVolumeUsd: 5_000_000, makerBps: 0, takerBps: 2.0 },
+        { minVolumeUsd: 25_000_000, makerBps: 0, takerBps: 1.75 }
+    ]),
+    HYPERLIQUID: feeSchedule('HYPERLIQUID', 1.5, 4.5, [
+        { minVolumeUsd: 0, makerBps: 1.5, takerBps: 4.5 },
+        { minVolumeUsd: 5_000_000, makerBps: 1.2, takerBps: 4.0 },
+        { minVolumeUsd: 25_000_000, makerBps: 0.8, takerBps: 3.5 },
+        { minVolumeUsd: 100_000_000, makerBps: 0.4, takerBps: 3.0 },
+        { minVolumeUsd: 500_000_000, makerBps: 0, takerBps: 2.8 }
+    ]),
+    DYDX: feeSchedule('DYDX', 1, 5, [
+        { minVolumeUsd: 0, makerBps: 1, takerBps: 5 },
+        { minVolumeUsd: 1_000_000, makerBps: 1, takerBps: 4.5 },
+        { minVolumeUsd: 5_000_000, makerBps: 0.5, takerBps: 4 },
+        { minVolumeUsd: 25_000_000, makerBps: 0, takerBps: 3.5 },
+        { minVolumeUsd: 125_000_000, makerBps: 0, takerBps: 3 }
+    ]),
+    AEVO: feeSchedule('AEVO', 5, 8)
+};
+
+/**
+ * Effective fee rates for an exchange (tier applied), 0 for unknown venues
+ */
+export const getFeeRates = (exchange: string): { makerBps: number; takerBps: number } => {
+    const schedule = EXCHANGE_FEES[exchange.toUpperCase()];
+    if (!schedule) return { makerBps: 0, takerBps: 0 };
+
+    // Env overrides of the base rates win over tiers
+    const key = exchange.toUpperCase();
+    const overridden = envOverride(`FEE_${key}_TAKER_BPS`) !== undefined || envOverride(`FEE_${key}_MAKER_BPS`) !== undefined;
+    if (!schedule.tiers?.length || overridden) {
+        return { makerBps: schedule.makerBps, takerBps: schedule.takerBps };
+    }
+
+    const tier = [...schedule.tiers]
+        .sort((a, b) => b.minVolumeUsd - a.minVolumeUsd)
+        .find(t => schedule.volume30dUsd >= t.minVolumeUsd);
+
+    return tier
+        ? { makerBps: tier.makerBps, takerBps: tier.takerBps }
+        : { makerBps: schedule.makerBps, takerBps: schedule.takerBps };
+};
+
+export const getTakerFeeBps = (exchange: string): number => getFeeRates(exchange).takerBps;
@@ -2,20 +2,117 @@
  * Application Configuration
  */
 
+/**
+ * Numeric env var where 0 is a valid setting (off / keep forever); unset or malformed = fallback
+ */
+const envCount = (key: string, fallback: number): number => {
+    const value = process.env[key]?.trim();
+    return value && Number.isFinite(Number(value)) ? Number(value) : fallback;
+};
+
 export const PORT = process.env.PORT || 3000;
 export const UPDATE_INTERVAL = 3000;       // 3 seconds (Real-time)
 export const DB_SAVE_INTERVAL = 60000;     // 1 minute
 export const CONCURRENCY = 5;              // Max parallel API requests
 export const REQUEST_TIMEOUT = 10000;      // 10 seconds
+export const BOOK_DEPTH = Number(process.env.BOOK_DEPTH) || 10; // Order book levels kept per side
+
+// Database: one SQLite file for every repository, schema managed by db/migrations.ts
+export const DATABASE = {
+    PATH: process.env.DB_PATH || 'database.sqlite',     // Relative to backend/, ':memory:' for a throwaway database
+};
+
+// Spread Configuration
+// 'top'   - top-of-book only (realSpread)
+// 'depth' - also walks both books for NOTIONAL_USD per side (executable spread)
+export const SPREAD = {
+    MODE: (process.env.SPREAD_MODE === 'top' ? 'top' : 'depth') as 'top' | 'depth',
+    NOTIONAL_USD: Number(process.env.SPREAD_NOTIONAL_USD) || 10000,
+    TARGET_SPREAD_PERCENT: Number(process.env.SPREAD_TARGET_PERCENT) || 0,
+};
+
+// Funding Configuration
+export const FUNDING = {
+    POLL_INTERVAL: Number(process.env.FUNDING_POLL_INTERVAL) || 60000,  // REST poll (ms)
+    HORIZON_HOURS: Number(process.env.FUNDING_HORIZON_HOURS) || 8,      // Default holding horizon
+};
+
+// Alert Configuration (rules live in alert_rules, see alert-rules.service.ts)
+// The global threshold is an implicit catch-all rule: every symbol, logged to history only
+export const ALERTS = {
+    GLOBAL_THRESHOLD: process.env.ALERT_THRESHOLD ? Number(process.env.ALERT_THRESHOLD) : 0.5,  // %, 0 disables it
+    GLOBAL_COOLDOWN_MS: Number(process.env.ALERT_COOLDOWN_MS) || 60000,
+};
+
+// Alert Delivery (see notifier.service.ts) - a channel is on once its credentials are set
+// API base URLs are configurable so tests can point them at a local stub
+export const NOTIFY = {
+    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+    TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID || '',
+    TELEGRAM_API: process.env.TELEGRAM_API || 'https://api.telegram.org',
+    DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL || '',
+    DASHBOARD_URL: process.env.DASHBOARD_URL || 'http://localhost:5173',   // Detail view link: <url>/?pair=BTC
+    INCLUDE_GLOBAL: process.env.NOTIFY_INCLUDE_GLOBAL === 'true',      // Also send ALERT_THRESHOLD alerts
+    POLL_MS: Number(process.env.NOTIFY_POLL_MS) || 5000,
+    MAX_AGE_MS: Number(process.env.NOTIFY_MAX_AGE_MS) || 600000,        // Older unsent alerts are skipped
+    MAX_ATTEMPTS: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5,
+    BACKOFF_MS: Number(process.env.NOTIFY_BACKOFF_MS) || 2000,          // Doubles per failed attempt
+    MIN_INTERVAL_MS: Number(process.env.NOTIFY_MIN_INTERVAL_MS) || 1000, // Between two sends on a channel
+    TIMEOUT_MS: 10000,
+};
+
+// Outbound Webhooks (subscriptions under /api/webhooks, see webhook.service.ts)
+export const WEBHOOKS = {
+    MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    BACKOFF_MS: Number(process.env.WEBHOOK_BACKOFF_MS) || 2000,          // Doubles per failed attempt
+    DISABLE_AFTER: Number(process.env.WEBHOOK_DISABLE_AFTER) || 10,     // Consecutive failed attempts
+    TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    QUEUE_LIMIT: 1000,
+    WORKER_MS: 500,
+};
+
+// Health Monitor: per-venue status (/api/health, WS 'health', webhook events)
+export const HEALTH = {
+    INTERVAL_MS: Number(process.env.HEALTH_INTERVAL_MS) || 5000,
+    WINDOW_MS: Number(process.env.HEALTH_WINDOW_MS) || 60000,               // Rates are measured over this window
+    MAX_MESSAGE_AGE_MS: Number(process.env.HEALTH_MAX_MESSAGE_AGE_MS) || 30000,
+    MAX_REST_ERROR_RATE: Number(process.env.HEALTH_MAX_REST_ERROR_RATE) || 0.5,
+};
 
-// Simulation Configuration (V3 Ghost Mode) - PAUSED
+// Spread history: raw samples rolled up into 1m / 15m / 1h candles, then pruned (history.service.ts)
+// 0 retention = keep forever; 15m and 1h candles are always kept
+// Backtests, spread exports and route-filtered history read raw samples only: they reach back RAW_RETENTION_DAYS at most
+export const HISTORY = {
+    ROLLUP_INTERVAL_MS: Number(process.env.HISTORY_ROLLUP_INTERVAL_MS) || 60000,
+    RAW_RETENTION_DAYS: Number(process.env.HISTORY_RAW_RETENTION_DAYS ?? 7),
+    MINUTE_RETENTION_DAYS: Number(process.env.HISTORY_MINUTE_RETENTION_DAYS ?? 90),
+};
+
+// Quote history: every venue's top of book per symbol (quotes.service.ts)
+// 0 interval = off, 0 retention = keep forever
+export const QUOTES = {
+    INTERVAL_MS: envCount('QUOTES_INTERVAL_MS', 5000),
+    RETENTION_DAYS: envCount('QUOTES_RETENTION_DAYS', 7),
+};
+
+// Stream Gateway: per-client WebSocket delivery (see stream.service.ts)
+export const STREAM = {
+    MAX_INTERVAL_MS: 60000,                                                        // Slowest update rate a client may ask for
+    MAX_BUFFERED_BYTES: Number(process.env.STREAM_MAX_BUFFERED_BYTES) || 1048576,  // Hold ticks back while this much is unsent
+    HEARTBEAT_MS: Number(process.env.STREAM_HEARTBEAT_MS) || 30000,                // Sockets that miss a ping round are closed
+};
+
+// Simulation Configuration (V3 Ghost Mode - paper trading, see simulation.service.ts)
 export const SIMULATION = {
-    ENABLED: false,                                         // DISABLED - Observation mode only
+    ENABLED: process.env.SIM_ENABLED === 'true',            // Off by default - observation mode only
     POSITION_SIZE_USD: Number(process.env.SIM_POSITION_SIZE) || 1000,
     GOLDEN_THRESHOLD_PERCENT: Number(process.env.GOLDEN_THRESHOLD_PERCENT) || 0.5,
-    SLIPPAGE_PERCENT: Number(process.env.SIM_SLIPPAGE) || 0.1,
-    MIN_SPREAD_PERCENT: 0.15,
-    MIN_DURATION_MS: 600,
+    SLIPPAGE_PERCENT: Number(process.env.SIM_SLIPPAGE) || 0.1,         // Per round trip, % of position
+    MIN_SPREAD_PERCENT: Number(process.env.SIM_MIN_SPREAD) || 0.15,    // Open above this gross spread
+    CLOSE_SPREAD_PERCENT: Number(process.env.SIM_CLOSE_SPREAD) || 0,   // Converged at or below this
+    MIN_DURATION_MS: Number(process.env.SIM_MIN_DURATION_MS) || 600,   // Spread must persist this long
+    MAX_HOLD_MS: Number(process.env.SIM_MAX_HOLD_MS) || 3600000,       // Force close after 1h
+    GAS_COST_USD: Number(process.env.SIM_GAS_COST) || 0,
     DASHBOARD_INTERVAL: 30000,
 };
 
@@ -34,7 +131,63 @@ export const COMMON_HEADERS = {
     'Sec-Fetch-Site': 'cross-site'
 };
 
-export const ALLOWED_SYMBOLS = [
-    'BTC', 'ETH', 'SOL', 'PAXG', 'RESOLV', 'BERA', 'KAITO',
-    'AAVE', 'SUI', 'XRP', 'GRASS'
-];
+const csv = (value: string | undefined): string[] =>
+    (value || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+
+// Hybrid (WS + REST fallback) timings
+export const HYBRID = {
+    WATCHDOG_INTERVAL: Number(process.env.HYBRID_WATCHDOG_INTERVAL) || 5000,   // WS silence check
+    FALLBACK_INTERVAL: Number(process.env.HYBRID_FALLBACK_INTERVAL) || 2000    // REST polling while WS is down
+};
+
+// Exchange adapters enabled at startup (keys of EXCHANGE_REGISTRY)
+// Empty ENABLED = every registered adapter; DISABLED always wins
+export const EXCHANGES = {
+    ENABLED: csv(process.env.EXCHANGES_ENABLED),
+    DISABLED: csv(process.env.EXCHANGES_DISABLED)
+};
+
+// Symbol Universe (discovered from every exchange's markets endpoint)
+export const SYMBOLS = {
+    REFRESH_INTERVAL: Number(process.env.SYMBOLS_REFRESH_INTERVAL) || 600000,  // 10 minutes
+    MIN_VENUES: Number(process.env.SYMBOLS_MIN_VENUES) || 2,                   // Listed on at least N exchanges
+    INCLUDE: csv(process.env.SYMBOLS_INCLUDE),                                  // Always tracked
+    EXCLUDE: csv(process.env.SYMBOLS_EXCLUDE),                                  // Never tracked
+    // Used until the first discovery succeeds
+    FALLBACK: [
+        'BTC', 'ETH', 'SOL', 'PAXG', 'RESOLV', 'BERA', 'KAITO',
+        'AAVE', 'SUI', 'XRP', 'GRASS'
+    ]
+};
+
+// Market-Data Recorder (gzip NDJSON session files)
+export const RECORDER = {
+    ENABLED: process.env.RECORD_ENABLED === 'true',
+    DIR: process.env.RECORD_DIR || 'recordings',          // Relative to backend/
+    RAW_FRAMES: process.env.RECORD_RAW_FRAMES === 'true'   // Also keep raw WS frames (large)
+};
+
+// Replay Mode (REPLAY_FILE set = no live connections, see npm run replay)
+export const REPLAY = {
+    FILE: process.env.REPLAY_FILE || '',
+    SPEED: Number(process.env.REPLAY_SPEED ?? 1),         // 1 = real time, 10 = 10x, 0 = as fast as possible
+    LOOP: process.env.REPLAY_LOOP === 'true',
+    PERSIST: process.env.REPLAY_PERSIST === 'true'         // Write spread history / alerts while replaying
+};
+
+// Mock Exchange Server (npm run dev:mock)
+export const MOCK = {
+    PORT: Number(process.env.MOCK_PORT) || 4010,
+    TICK_MS: Number(process.env.MOCK_TICK_MS) || 500,
+    VOLATILITY_BPS: Number(process.env.MOCK_VOLATILITY_BPS) || 5,
+    SEED: Number(process.env.MOCK_SEED) || 42,
+    SYMBOLS: csv(process.env.MOCK_SYMBOLS),                 // Empty = default mock symbols
+    SCRIPT: process.env.MOCK_SCRIPT || '',                   // JSON file: { "BTC": [mid, mid, ...] }
+    // Persistent per-venue offsets, e.g. "VEST:15,LIGHTER:-10" (bps)
+    SKEW_BPS: Object.fromEntries(
+        csv(process.env.MOCK_SKEW_BPS)
+            .map(entry => entry.split(':'))
+            .filter(([venue, bps]) => venue && !isNaN(Number(bps)))
+            .map(([venue, bps]) => [venue, Number(bps)])
+    ) as Record<string, number>
+};
@@ -0,0 +1,24 @@
+/**
+ * Market Normalization Rules
+ * Maps venue market identifiers to canonical assets
+ */
+
+/**
+ * Explicit aliases for contracts the generic rules cannot infer
+ * Key: '<EXCHANGE>:<base>' or '<base>' (any venue), base = identifier without quote/suffix
+ */
+export const MARKET_ALIASES: Record<string, { asset: string; multiplier: number }> = {
+    // Re-denominated / renamed contracts
+    'MATIC': { asset: 'POL', multiplier: 1 },
+    'RNDR': { asset: 'RENDER', multiplier: 1 },
+};
+
+/**
+ * Multiplier prefixes (checked in order): 1000000PEPE, 1MBABYDOGE, 1000PEPE, kPEPE
+ */
+export const MULTIPLIER_PREFIXES: { pattern: RegExp; multiplier: number }[] = [
+    { pattern: /^1000000([A-Z0-9]+)$/, multiplier: 1_000_000 },
+    { pattern: /^1M([A-Z][A-Z0-9]*)$/, multiplier: 1_000_000 },
+    { pattern: /^1000([A-Z][A-Z0-9]*)$/, multiplier: 1000 },
+    { pattern: /^k([A-Z][A-Z0-9]*)$/, multiplier: 1000 },
+];
@@ -0,0 +1,59 @@
+import { Request, Response } from 'express';
+import * as alertRulesRepo from '../db/alert-rules-repo';
+import { AlertRuleError, parseAlertRule, reloadAlertRules } from '../services/alert-rules.service';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'AlertRulesAPI';
+
+/**
+ * Wrap a rules handler: 400 on validation errors, 500 on database errors
+ */
+const handle = (action: string, handler: (req: Request, res: Response) => Promise<any>) => async (req: Request, res: Response) => {
+    try {
+        await handler(req, res);
+    } catch (error) {
+        if (error instanceof AlertRuleError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error(TAG, `Failed to ${action}`, error);
+        res.status(500).json({ error: `Failed to ${action}` });
+    }
+};
+
+const ruleId = (req: Request): number => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw new AlertRuleError('invalid rule id');
+    return id;
+};
+
+// GET /api/alert-rules
+export const listAlertRules = handle('list alert rules', async (req, res) => {
+    res.json({ rules: await alertRulesRepo.listAlertRules() });
+});
+
+// POST /api/alert-rules
+export const createAlertRule = handle('create alert rule', async (req, res) => {
+    const id = await alertRulesRepo.insertAlertRule(parseAlertRule(req.body || {}));
+    await reloadAlertRules();
+    res.status(201).json({ rule: await alertRulesRepo.getAlertRule(id) });
+});
+
+// PUT /api/alert-rules/:id - fields left out keep their value
+export const updateAlertRule = handle('update alert rule', async (req, res) => {
+    const id = ruleId(req);
+    const current = await alertRulesRepo.getAlertRule(id);
+    if (!current) return res.status(404).json({ error: 'Unknown rule' });
+
+    await alertRulesRepo.updateAlertRule(id, parseAlertRule(req.body || {}, current));
+    await reloadAlertRules();
+    res.json({ rule: await alertRulesRepo.getAlertRule(id) });
+});
+
+// DELETE /api/alert-rules/:id
+export const deleteAlertRule = handle('delete alert rule', async (req, res) => {
+    const deleted = await alertRulesRepo.deleteAlertRule(ruleId(req));
+    if (!deleted) return res.status(404).json({ error: 'Unknown rule' });
+
+    await reloadAlertRules();
+    res.status(204).end();
+});
@@ -1,5 +1,5 @@
 import { Request, Response } from 'express';
-import { getRecentAlerts } from '../services/alert.service';
+import { getRecentAlerts } from '../db/alerts-repo';
 
 export const getAlertsHistory = async (req: Request, res: Response) => {
     try {
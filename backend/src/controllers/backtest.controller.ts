@@ -0,0 +1,23 @@
+import { Request, Response } from 'express';
+import { BacktestParamError, parseBacktestParams, runBacktest } from '../services/backtest.service';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'BacktestAPI';
+
+// GET /api/backtest?symbols=BTC,ETH&entry=0.3&exit=0.05&maxHoldMs=3600000&notional=1000&fees=taker|maker|<bps>&slippageBps=0&from=&to=
+export async function getBacktest(req: Request, res: Response) {
+    try {
+        const params = parseBacktestParams(req.query);
+        const startedAt = Date.now();
+        const result = await runBacktest(params);
+
+        logger.debug(TAG, `${result.rows} rows, ${result.summary.trades} trades in ${Date.now() - startedAt}ms`);
+        res.json(result);
+    } catch (error) {
+        if (error instanceof BacktestParamError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error(TAG, 'Backtest failed', error);
+        res.status(500).json({ error: 'Backtest failed' });
+    }
+}
@@ -0,0 +1,35 @@
+import { Request, Response } from 'express';
+import { CONTENT_TYPES, ExportParamError, exportFileName, parseExportParams, streamExport } from '../services/export.service';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'ExportAPI';
+
+// GET /api/export/spreads|quotes|alerts|price-metrics|simulated-trades?from=&to=&symbols=BTC,ETH&format=csv|ndjson
+export async function getExport(req: Request, res: Response) {
+    let params;
+    try {
+        params = parseExportParams(String(req.params.dataset), req.query);
+        if (params.format === 'parquet') throw new ExportParamError('format must be csv or ndjson (Parquet: npm run export)');
+    } catch (error) {
+        return res.status(400).json({ error: error instanceof ExportParamError ? error.message : 'Invalid export' });
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[params.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(params)}"`);
+
+    try {
+        const startedAt = Date.now();
+        const rows = await streamExport(params, res);
+        res.end();
+        logger.debug(TAG, `${params.dataset}: ${rows} rows in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+        logger.error(TAG, `Export of ${params.dataset} failed`, error);
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ error: 'Export failed' });
+        } else {
+            // Cut the download short rather than end it as if complete
+            res.destroy();
+        }
+    }
+}
@@ -0,0 +1,18 @@
+import { Request, Response } from 'express';
+import { REPLAY } from '../config';
+import { healthMonitor } from '../services/health.service';
+
+// GET /api/health - overall status, 503 when no venue is usable
+export const getHealth = (req: Request, res: Response) => {
+    const summary = healthMonitor.getSummary();
+    res.status(summary.status === 'down' ? 503 : 200).json({
+        ...summary,
+        mode: REPLAY.FILE ? 'replay' : 'live',
+        uptimeSec: Math.round(process.uptime())
+    });
+};
+
+// GET /api/health/exchanges - per-venue status, rates and reasons
+export const getExchangesHealth = (req: Request, res: Response) => {
+    res.json({ exchanges: healthMonitor.getExchanges() });
+};
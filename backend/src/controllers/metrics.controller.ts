@@ -0,0 +1,16 @@
+import { Request, Response } from 'express';
+import { metricsRegistry } from '../utils/app-metrics';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'MetricsAPI';
+
+// GET /metrics - Prometheus text format
+export const getMetrics = async (req: Request, res: Response) => {
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.end(await metricsRegistry.metrics());
+    } catch (error) {
+        logger.error(TAG, 'Failed to collect metrics', error);
+        res.status(500).end();
+    }
+};
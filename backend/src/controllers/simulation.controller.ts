@@ -0,0 +1,46 @@
+import { Request, Response } from 'express';
+import * as simulationsRepo from '../db/simulations-repo';
+import { SIMULATION } from '../config';
+import { simulationEngine } from '../services/simulation.service';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'SimulationAPI';
+
+/**
+ * Wrap a repository query: 200 with its result, 500 on database errors
+ */
+const respond = (name: string, query: (req: Request) => Promise<any>) => async (req: Request, res: Response) => {
+    try {
+        res.json(await query(req));
+    } catch (error) {
+        logger.error(TAG, `Failed to fetch ${name}`, error);
+        res.status(500).json({ error: `Failed to fetch ${name}` });
+    }
+};
+
+// GET /api/simulation/status - engine state and open paper positions
+export const getSimulationStatus = (req: Request, res: Response) => {
+    res.json({
+        enabled: SIMULATION.ENABLED,
+        positionSizeUsd: SIMULATION.POSITION_SIZE_USD,
+        minSpreadPercent: SIMULATION.MIN_SPREAD_PERCENT,
+        minDurationMs: SIMULATION.MIN_DURATION_MS,
+        openPositions: simulationEngine.getOpenPositions()
+    });
+};
+
+// GET /api/simulation/today
+export const getTodayStats = respond('today stats', () => simulationsRepo.getTodayStats());
+
+// GET /api/simulation/cumulative
+export const getCumulativeStats = respond('cumulative stats', () => simulationsRepo.getCumulativeStats());
+
+// GET /api/simulation/trades?limit=N (max 500)
+export const getRecentTrades = respond('recent trades', (req) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit as string, 10) || 10, 1), 500);
+    return simulationsRepo.getRecentTrades(limit).then(trades => ({ trades }));
+});
+
+// GET /api/simulation/hourly
+export const getHourlyBreakdown = respond('hourly breakdown', () =>
+    simulationsRepo.getHourlyBreakdown().then(hours => ({ hours })));
@@ -0,0 +1,81 @@
+import { Request, Response } from 'express';
+import * as webhooksRepo from '../db/webhooks-repo';
+import { WebhookError, parsePositionExit, parseWebhook, reloadWebhooks, webhookDispatcher } from '../services/webhook.service';
+import { WebhookSubscription } from '../types';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'WebhooksAPI';
+
+/**
+ * Wrap a webhooks handler: 400 on validation errors, 500 on database errors
+ */
+const handle = (action: string, handler: (req: Request, res: Response) => Promise<any>) => async (req: Request, res: Response) => {
+    try {
+        await handler(req, res);
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error(TAG, `Failed to ${action}`, error);
+        res.status(500).json({ error: `Failed to ${action}` });
+    }
+};
+
+const webhookId = (req: Request): number => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw new WebhookError('invalid webhook id');
+    return id;
+};
+
+// The signing secret is only returned when it is set
+const redact = ({ secret, ...webhook }: WebhookSubscription) => webhook;
+
+// GET /api/webhooks
+export const listWebhooks = handle('list webhooks', async (req, res) => {
+    const webhooks = await webhooksRepo.listWebhooks();
+    res.json({ webhooks: webhooks.map(redact) });
+});
+
+// POST /api/webhooks - a secret is generated when none is given
+export const createWebhook = handle('create webhook', async (req, res) => {
+    const id = await webhooksRepo.insertWebhook(parseWebhook(req.body || {}));
+    await reloadWebhooks();
+    res.status(201).json({ webhook: await webhooksRepo.getWebhook(id) });
+});
+
+// PUT /api/webhooks/:id - fields left out keep their value; saving re-enables a disabled webhook
+export const updateWebhook = handle('update webhook', async (req, res) => {
+    const id = webhookId(req);
+    const current = await webhooksRepo.getWebhook(id);
+    if (!current) return res.status(404).json({ error: 'Unknown webhook' });
+
+    const body = req.body || {};
+    await webhooksRepo.updateWebhook(id, parseWebhook(body, current));
+    await reloadWebhooks();
+    const webhook = (await webhooksRepo.getWebhook(id))!;
+    res.json({ webhook: body.secret !== undefined ? webhook : redact(webhook) });
+});
+
+// DELETE /api/webhooks/:id
+export const deleteWebhook = handle('delete webhook', async (req, res) => {
+    const deleted = await webhooksRepo.deleteWebhook(webhookId(req));
+    if (!deleted) return res.status(404).json({ error: 'Unknown webhook' });
+
+    await reloadWebhooks();
+    res.status(204).end();
+});
+
+// GET /api/webhooks/:id/deliveries?limit=50 - latest attempts first
+export const getWebhookDeliveries = handle('load webhook deliveries', async (req, res) => {
+    const id = webhookId(req);
+    if (!await webhooksRepo.getWebhook(id)) return res.status(404).json({ error: 'Unknown webhook' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 50, 1), 500);
+    res.json({ deliveries: await webhooksRepo.getDeliveryAttempts(id, limit) });
+});
+
+// POST /api/positions/exit - the dashboard reports a position reaching its exit target
+export const reportPositionExit = handle('report position exit', async (req, res) => {
+    const exit = parsePositionExit(req.body || {});
+    res.status(202).json({ queued: webhookDispatcher.publish('position.exit', exit, exit.symbol, exit.timestamp) });
+});
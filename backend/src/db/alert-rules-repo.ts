@@ -0,0 +1,68 @@
+/**
+ * Alert Rules Repository
+ * CRUD over alert_rules
+ */
+
+import { all, get, run } from './connection';
+import { AlertRule } from '../types';
+
+export type AlertRuleInput = Omit<AlertRule, 'id' | 'createdAt' | 'updatedAt'>;
+
+const toRule = (row: any): AlertRule => ({
+    id: row.id,
+    symbol: row.symbol,
+    buyExchange: row.buy_exchange,
+    sellExchange: row.sell_exchange,
+    threshold: row.threshold,
+    minDurationMs: row.min_duration_ms,
+    hysteresis: row.hysteresis,
+    cooldownMs: row.cooldown_ms,
+    quietStart: row.quiet_start,
+    quietEnd: row.quiet_end,
+    enabled: row.enabled === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const toParams = (rule: AlertRuleInput) => [
+    rule.symbol, rule.buyExchange, rule.sellExchange, rule.threshold, rule.minDurationMs,
+    rule.hysteresis, rule.cooldownMs, rule.quietStart, rule.quietEnd, rule.enabled ? 1 : 0
+];
+
+export async function listAlertRules(): Promise<AlertRule[]> {
+    const rows = await all(`SELECT * FROM alert_rules ORDER BY symbol, id`);
+    return rows.map(toRule);
+}
+
+export async function getAlertRule(id: number): Promise<AlertRule | null> {
+    const row = await get(`SELECT * FROM alert_rules WHERE id = ?`, [id]);
+    return row ? toRule(row) : null;
+}
+
+export async function insertAlertRule(rule: AlertRuleInput): Promise<number> {
+    const now = Date.now();
+    const { lastID } = await run(`
+        INSERT INTO alert_rules (symbol, buy_exchange, sell_exchange, threshold, min_duration_ms,
+            hysteresis, cooldown_ms, quiet_start, quiet_end, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [...toParams(rule), now, now]);
+    return lastID;
+}
+
+/**
+ * @returns false when the rule does not exist
+ */
+export async function updateAlertRule(id: number, rule: AlertRuleInput): Promise<boolean> {
+    const { changes } = await run(`
+        UPDATE alert_rules SET symbol = ?, buy_exchange = ?, sell_exchange = ?, threshold = ?,
+            min_duration_ms = ?, hysteresis = ?, cooldown_ms = ?, quiet_start = ?, quiet_end = ?,
+            enabled = ?, updated_at = ?
+        WHERE id = ?
+    `, [...toParams(rule), Date.now(), id]);
+    return changes > 0;
+}
+
+export async function deleteAlertRule(id: number): Promise<boolean> {
+    const { changes } = await run(`DELETE FROM alert_rules WHERE id = ?`, [id]);
+    return changes > 0;
+}
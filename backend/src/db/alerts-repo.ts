@@ -0,0 +1,47 @@
+/**
+ * Alerts Repository
+ * Fired alerts (alerts) and their Telegram / Discord delivery flags
+ */
+
+import { all, run } from './connection';
+import { FiredAlert } from '../types';
+
+/**
+ * Persist a fired alert (dedup/cooldown is the rules engine's job)
+ */
+export async function saveAlert(alert: FiredAlert): Promise<number> {
+    const { ruleId, symbol, spread, buyExchange, sellExchange, buyPrice, sellPrice, timestamp } = alert;
+    const { lastID } = await run(`
+        INSERT INTO alerts (timestamp, symbol, spread, exchange_buy, exchange_sell, price_buy, price_sell, rule_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [timestamp, symbol, spread, buyExchange, sellExchange, buyPrice, sellPrice, ruleId]);
+    return lastID;
+}
+
+export function getRecentAlerts(limit: number = 50): Promise<any[]> {
+    return all(`SELECT * FROM alerts ORDER BY timestamp DESC LIMIT ?`, [limit]);
+}
+
+// ==================== Delivery Queue ====================
+
+// is_sent_* flags: 0 = pending, 1 = delivered, -1 = given up
+export type DeliveryColumn = 'is_sent_telegram' | 'is_sent_discord';
+export type DeliveryStatus = 1 | -1;
+
+/**
+ * Alerts still pending on a channel, oldest first
+ * @param includeGlobal also return alerts of the global threshold (rule_id NULL)
+ * @param excludeIds alerts to skip (waiting out a retry backoff)
+ */
+export function getUnsentAlerts(column: DeliveryColumn, since: number, includeGlobal: boolean, excludeIds: number[] = [], limit: number = 20): Promise<any[]> {
+    const exclude = excludeIds.length ? `AND id NOT IN (${excludeIds.map(() => '?').join(', ')})` : '';
+    return all(`
+        SELECT * FROM alerts
+        WHERE ${column} = 0 AND timestamp >= ? ${includeGlobal ? '' : 'AND rule_id IS NOT NULL'} ${exclude}
+        ORDER BY timestamp ASC LIMIT ?
+    `, [since, ...excludeIds, limit]);
+}
+
+export async function markAlertDelivery(id: number, column: DeliveryColumn, status: DeliveryStatus): Promise<void> {
+    await run(`UPDATE alerts SET ${column} = ? WHERE id = ?`, [status, id]);
+}
@@ -0,0 +1,120 @@
+/**
+ * Candles Repository
+ * Spread history rollups (spread_candles) and the retention deletes
+ */
+
+import { all, get, run } from './connection';
+import { parseTimestamp } from '../utils/app-time';
+
+export type Resolution = '1m' | '15m' | '1h';
+
+export interface SpreadCandle {
+    symbol: string;
+    resolution: Resolution;
+    bucket: number;             // Start (unix ms)
+    open: number;
+    high: number;
+    low: number;
+    close: number;
+    avgSpread: number;
+    p95: number;                // 95th percentile spread (15m / 1h: of the 1m candles' p95, sample-weighted)
+    avgBid: number;
+    avgAsk: number;
+    bidExchange: string;        // Dominant route
+    askExchange: string;
+    routeSamples: number;
+    samples: number;
+}
+
+const toCandle = (row: any): SpreadCandle => ({
+    symbol: row.symbol,
+    resolution: row.resolution,
+    bucket: row.bucket,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    avgSpread: row.avg_spread,
+    p95: row.p95,
+    avgBid: row.avg_bid,
+    avgAsk: row.avg_ask,
+    bidExchange: row.bid_exchange,
+    askExchange: row.ask_exchange,
+    routeSamples: row.route_samples,
+    samples: row.samples
+});
+
+/**
+ * SQLite datetime (UTC, second precision) of a unix ms timestamp
+ */
+const sqliteTime = (ms: number): string => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Insert or replace candles (a bucket rolled up twice keeps the latest)
+ */
+export async function saveCandles(candles: SpreadCandle[]): Promise<void> {
+    if (candles.length === 0) return;
+
+    await run('BEGIN');
+    try {
+        for (const c of candles) {
+            await run(`
+                INSERT OR REPLACE INTO spread_candles (symbol, resolution, bucket, open, high, low, close,
+                    avg_spread, p95, avg_bid, avg_ask, bid_exchange, ask_exchange, route_samples, samples)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [c.symbol, c.resolution, c.bucket, c.open, c.high, c.low, c.close, c.avgSpread, c.p95, c.avgBid, c.avgAsk,
+                c.bidExchange, c.askExchange, c.routeSamples, c.samples]);
+        }
+        await run('COMMIT');
+    } catch (error) {
+        await run('ROLLBACK').catch(() => { });
+        throw error;
+    }
+}
+
+/**
+ * Candles with bucket in [from, to), oldest first
+ * @param symbol null = every symbol
+ */
+export async function getCandles(symbol: string | null, resolution: Resolution, from: number, to: number): Promise<SpreadCandle[]> {
+    const rows = await all(`
+        SELECT * FROM spread_candles
+        WHERE resolution = ? AND bucket >= ? AND bucket < ? ${symbol ? 'AND symbol = ?' : ''}
+        ORDER BY bucket ASC, symbol ASC
+    `, symbol ? [resolution, from, to, symbol] : [resolution, from, to]);
+    return rows.map(toCandle);
+}
+
+/**
+ * Starts of the oldest and latest candles of a resolution (null = none yet)
+ */
+export async function getBucketRange(resolution: Resolution): Promise<{ first: number; last: number } | null> {
+    const row = await get(`SELECT MIN(bucket) AS first, MAX(bucket) AS last FROM spread_candles WHERE resolution = ?`, [resolution]);
+    return row?.first != null ? { first: row.first, last: row.last } : null;
+}
+
+/**
+ * Time of the oldest raw sample (null = no samples)
+ */
+export async function getOldestSpreadTime(): Promise<number | null> {
+    const row = await get(`SELECT MIN(timestamp) AS timestamp FROM spread_history`);
+    return row?.timestamp ? parseTimestamp(row.timestamp) : null;
+}
+
+// ==================== Retention ====================
+
+/**
+ * @returns rows deleted
+ */
+export async function deleteSpreadsBefore(time: number): Promise<number> {
+    const { changes } = await run(`DELETE FROM spread_history WHERE timestamp < ?`, [sqliteTime(time)]);
+    return changes;
+}
+
+/**
+ * @returns candles deleted
+ */
+export async function deleteCandlesBefore(resolution: Resolution, time: number): Promise<number> {
+    const { changes } = await run(`DELETE FROM spread_candles WHERE resolution = ? AND bucket < ?`, [resolution, time]);
+    return changes;
+}
@@ -1,41 +1,156 @@
 /**
- * Database Connection and Setup
+ * Database Connection
+ * Every repository shares one SQLite database (DATABASE.PATH), opened on
+ * first use and migrated to the latest schema before any query runs.
  */
 
 import sqlite3 from 'sqlite3';
 import path from 'path';
+import { Histogram } from 'prom-client';
+import { DATABASE } from '../config';
+import { migrate } from './migrations';
+import { logger } from '../utils/app-logger';
+import { metricsRegistry } from '../utils/app-metrics';
 
-const verboseSqlite = sqlite3.verbose();
-
-const dbPath = path.resolve(__dirname, '../../database.sqlite');
-export const db = new verboseSqlite.Database(dbPath);
-
-// Create tables
-db.run(`CREATE TABLE IF NOT EXISTS price_metrics (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    timestamp INTEGER,
-    symbol TEXT,
-    vest_bid REAL,
-    vest_ask REAL,
-    lighter_bid REAL,
-    lighter_ask REAL,
-    paradex_bid REAL,
-    paradex_ask REAL,
-    best_bid_exchange TEXT,
-    best_ask_exchange TEXT,
-    real_spread REAL,
-    potential_profit REAL
-)`);
-
-db.run(`CREATE TABLE IF NOT EXISTS alerts (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    timestamp INTEGER,
-    symbol TEXT,
-    spread REAL,
-    exchange_buy TEXT,
-    exchange_sell TEXT,
-    price_buy REAL,
-    price_sell REAL,
-    is_sent_telegram INTEGER DEFAULT 0,
-    is_sent_discord INTEGER DEFAULT 0
-)`);
+const TAG = 'Database';
+
+const insertDuration = new Histogram({
+    name: 'scanner_db_insert_duration_seconds',
+    help: 'SQLite insert latency per table',
+    labelNames: ['table'] as const,
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+    registers: [metricsRegistry]
+});
+
+const INSERT_TABLE = /^\s*INSERT\s+(?:OR\s+\w+\s+)?INTO\s+(?:main\.)?(\w+)/i;
+
+export interface RunResult {
+    lastID: number;
+    changes: number;
+}
+
+let connection: Promise<sqlite3.Database> | null = null;
+
+/**
+ * Absolute path of a database file (':memory:' is kept as is)
+ */
+export const resolveDbPath = (file: string): string =>
+    file === ':memory:' ? file : path.resolve(__dirname, '../..', file);
+
+/**
+ * Open and migrate the database (once)
+ * Rejects with SchemaVersionError on a schema this build does not know
+ */
+export function openDatabase(): Promise<sqlite3.Database> {
+    if (!connection) {
+        const file = resolveDbPath(DATABASE.PATH);
+        connection = new Promise<sqlite3.Database>((resolve, reject) => {
+            const db = new (sqlite3.verbose().Database)(file, (err) => {
+                if (err) reject(err);
+                else resolve(db);
+            });
+        }).then(async db => {
+            const version = await migrate(db, file === ':memory:' ? null : path.dirname(file));
+            logger.info(TAG, `Connected to ${file} (schema v${version})`);
+            return db;
+        });
+    }
+    return connection;
+}
+
+export async function closeDatabase(): Promise<void> {
+    const pending = connection;
+    connection = null;
+    const db = await pending?.catch(() => null);
+    if (!db) return;
+
+    return new Promise((resolve, reject) => {
+        db.close((err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+// ==================== Queries ====================
+
+/**
+ * Run a statement; INSERTs are timed per table (scanner_db_insert_duration_seconds)
+ */
+export async function run(sql: string, params: any[] = []): Promise<RunResult> {
+    const db = await openDatabase();
+    const table = INSERT_TABLE.exec(sql)?.[1];
+    const endTimer = table ? insertDuration.startTimer({ table }) : null;
+
+    return new Promise<RunResult>((resolve, reject) => {
+        db.run(sql, params, function (this: sqlite3.RunResult, err: Error | null) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    }).finally(() => endTimer?.());
+}
+
+export async function all<T = any>(sql: string, params: any[] = []): Promise<T[]> {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows as T[]);
+        });
+    });
+}
+
+export async function get<T = any>(sql: string, params: any[] = []): Promise<T | undefined> {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row as T | undefined);
+        });
+    });
+}
+
+/**
+ * Visit rows one at a time without loading the result in memory
+ * @returns number of rows visited
+ */
+export async function each<T = any>(sql: string, params: any[], onRow: (row: T) => void): Promise<number> {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        db.each(sql, params, (err, row) => {
+            if (!err) onRow(row as T);
+        }, (err, count) => {
+            if (err) reject(err);
+            else resolve(count);
+        });
+    });
+}
+
+/**
+ * Pull rows one at a time: unlike each(), the consumer sets the pace (exports
+ * to slow clients). Breaking out of the loop finalizes the statement.
+ */
+export async function* iterate<T = any>(sql: string, params: any[] = []): AsyncGenerator<T> {
+    const db = await openDatabase();
+    const statement = await new Promise<sqlite3.Statement>((resolve, reject) => {
+        const prepared = db.prepare(sql, params, (err: Error | null) => {
+            if (err) reject(err);
+            else resolve(prepared);
+        });
+    });
+
+    try {
+        while (true) {
+            const row = await new Promise<T | undefined>((resolve, reject) => {
+                statement.get((err: Error | null, row: T | undefined) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                });
+            });
+            if (row === undefined) return;
+            yield row;
+        }
+    } finally {
+        await new Promise<void>(resolve => statement.finalize(() => resolve()));
+    }
+}
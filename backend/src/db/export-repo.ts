@@ -0,0 +1,88 @@
+/**
+ * Export Repository
+ * Table rows of a time range in time order, pulled one at a time
+ */
+
+import { iterate } from './connection';
+
+export type ColumnType = 'text' | 'integer' | 'real' | 'timestamp';
+
+export interface ExportTable {
+    table: string;
+    // timestamp column: epoch ms, or SQLite DATETIME (UTC) converted to epoch ms
+    time: 'epochMs' | 'datetime';
+    columns: Record<string, ColumnType>;
+}
+
+export type ExportDataset = 'spreads' | 'quotes' | 'alerts' | 'price-metrics' | 'simulated-trades';
+
+export const EXPORT_TABLES: Record<ExportDataset, ExportTable> = {
+    'spreads': {
+        table: 'spread_history',
+        time: 'datetime',
+        columns: {
+            id: 'integer', timestamp: 'timestamp', symbol: 'text', spread: 'real',
+            best_bid: 'real', best_ask: 'real', bid_exchange: 'text', ask_exchange: 'text'
+        }
+    },
+    'quotes': {
+        table: 'quotes',
+        time: 'epochMs',
+        columns: {
+            id: 'integer', timestamp: 'timestamp', symbol: 'text', exchange: 'text', bid: 'real', ask: 'real', source: 'text'
+        }
+    },
+    'alerts': {
+        table: 'alerts',
+        time: 'epochMs',
+        columns: {
+            id: 'integer', timestamp: 'timestamp', symbol: 'text', spread: 'real',
+            exchange_buy: 'text', exchange_sell: 'text', price_buy: 'real', price_sell: 'real',
+            is_sent_telegram: 'integer', is_sent_discord: 'integer', rule_id: 'integer'
+        }
+    },
+    'price-metrics': {
+        table: 'price_metrics',
+        time: 'epochMs',
+        columns: {
+            id: 'integer', timestamp: 'timestamp', symbol: 'text',
+            vest_bid: 'real', vest_ask: 'real', lighter_bid: 'real', lighter_ask: 'real', paradex_bid: 'real', paradex_ask: 'real',
+            best_bid_exchange: 'text', best_ask_exchange: 'text', real_spread: 'real', potential_profit: 'real',
+            quotes: 'text'      // JSON
+        }
+    },
+    'simulated-trades': {
+        table: 'simulated_trades',
+        time: 'datetime',
+        columns: {
+            id: 'integer', timestamp: 'timestamp', symbol: 'text', buy_exchange: 'text', sell_exchange: 'text',
+            buy_price: 'real', sell_price: 'real', position_size: 'real', spread_percent: 'real',
+            gross_profit: 'real', net_profit: 'real', total_fees: 'real', slippage_cost: 'real', gas_cost: 'real',
+            desync_risk: 'text', is_profitable: 'integer', is_capturable: 'integer', duration_ms: 'integer'
+        }
+    }
+};
+
+/**
+ * Rows with timestamp in [from, to), oldest first (timestamp as epoch ms)
+ * @param symbols empty = every symbol
+ */
+export function iterateRows(dataset: ExportDataset, from: number, to: number, symbols: string[]): AsyncGenerator<Record<string, any>> {
+    const { table, time, columns } = EXPORT_TABLES[dataset];
+    const datetime = time === 'datetime';
+
+    const select = Object.keys(columns)
+        .map(column => column === 'timestamp' && datetime ? `CAST(strftime('%s', timestamp) AS INTEGER) * 1000 AS timestamp` : column)
+        .join(', ');
+    const range = datetime
+        ? `timestamp >= datetime(?, 'unixepoch') AND timestamp < datetime(?, 'unixepoch')`
+        : `timestamp >= ? AND timestamp < ?`;
+    const symbolFilter = symbols.length ? `AND symbol IN (${symbols.map(() => '?').join(', ')})` : '';
+
+    return iterate(`
+        SELECT ${select}
+        FROM ${table}
+        WHERE ${range} ${symbolFilter}
+        ORDER BY ${table}.timestamp ASC, id ASC
+    `, [...(datetime ? [Math.floor(from / 1000), Math.ceil(to / 1000)] : [from, to]), ...symbols]);
+}
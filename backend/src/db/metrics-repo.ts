@@ -3,52 +3,59 @@
  * Handles database persistence for price metrics
  */
 
-import { db } from './connection';
+import { run } from './connection';
 import { DB_SAVE_INTERVAL } from '../config';
-import { getPriceCache } from '../services/aggregator.service';
+import { getPriceCache, getActiveExchanges } from '../services/aggregator.service';
+import { getPairKey } from '../services/exchanges';
 import { logger } from '../utils/app-logger';
 
 const TAG = 'DB';
 
 /**
  * Save top pairs to database
+ * Legacy per-venue columns are kept; every enabled exchange goes to 'quotes' (JSON)
+ * @returns number of rows saved
  */
-export function saveTopPairsToDb() {
+export async function saveTopPairsToDb(): Promise<number> {
     const cache = getPriceCache();
     const pairs = Object.values(cache)
         .filter((p: any) => p.realSpread > -10 && Math.abs(p.realSpread) < 50)
         .sort((a: any, b: any) => b.realSpread - a.realSpread)
         .slice(0, 5);
 
-    if (pairs.length === 0) return;
-
     const timestamp = Date.now();
-    const stmt = db.prepare(`
-        INSERT INTO price_metrics 
-        (timestamp, symbol, vest_bid, vest_ask, lighter_bid, lighter_ask, 
-         paradex_bid, paradex_ask, best_bid_exchange, best_ask_exchange, 
-         real_spread, potential_profit) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    pairs.forEach((p: any) => {
-        stmt.run(
+    const exchanges = getActiveExchanges();
+
+    for (const p of pairs as any[]) {
+        const quotes = Object.fromEntries(exchanges.map(name => {
+            const quote = p[getPairKey(name)];
+            return [name, { bid: quote?.bid ?? 0, ask: quote?.ask ?? 0 }];
+        }));
+
+        await run(`
+            INSERT INTO price_metrics 
+            (timestamp, symbol, vest_bid, vest_ask, lighter_bid, lighter_ask, 
+             paradex_bid, paradex_ask, best_bid_exchange, best_ask_exchange, 
+             real_spread, potential_profit, quotes) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
             timestamp, p.symbol,
-            p.vest.bid, p.vest.ask,
-            p.lighter.bid, p.lighter.ask,
-            p.paradex.bid, p.paradex.ask,
+            p.vest?.bid ?? null, p.vest?.ask ?? null,
+            p.lighter?.bid ?? null, p.lighter?.ask ?? null,
+            p.paradex?.bid ?? null, p.paradex?.ask ?? null,
             p.bestBidEx, p.bestAskEx,
-            p.realSpread, p.potentialProfit
-        );
-    });
+            p.realSpread, p.potentialProfit,
+            JSON.stringify(quotes)
+        ]);
+    }
 
-    stmt.finalize();
+    return pairs.length;
 }
 
 /**
  * Start the database persistence scheduler
  */
 export function startDbScheduler() {
-    setInterval(saveTopPairsToDb, DB_SAVE_INTERVAL);
+    setInterval(() => saveTopPairsToDb().catch(error => logger.error(TAG, 'Failed to save metrics', error)), DB_SAVE_INTERVAL);
     logger.info(TAG, `Persistence scheduler started (interval: ${DB_SAVE_INTERVAL}ms)`);
 }
@@ -0,0 +1,330 @@
+/**
+ * Schema Migrations
+ * Numbered, applied in order, each in its own transaction; the schema version
+ * is kept in PRAGMA user_version. Released migrations are never edited: a
+ * schema change is a new migration at the end of the list.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'Migrations';
+
+export class SchemaVersionError extends Error { }
+
+interface Migration {
+    version: number;
+    name: string;
+    statements: string[];
+    // Added when missing: tables created before migrations existed lack them
+    columns?: [table: string, column: string, type: string][];
+    // Rows copied from a database file of the pre-consolidation layout, when one is found
+    legacy?: { file: string; tables: Record<string, string[]> };
+}
+
+export const MIGRATIONS: Migration[] = [
+    {
+        version: 1,
+        name: 'metrics, alerts, alert rules, webhooks',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS price_metrics (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp INTEGER,
+                symbol TEXT,
+                vest_bid REAL,
+                vest_ask REAL,
+                lighter_bid REAL,
+                lighter_ask REAL,
+                paradex_bid REAL,
+                paradex_ask REAL,
+                best_bid_exchange TEXT,
+                best_ask_exchange TEXT,
+                real_spread REAL,
+                potential_profit REAL,
+                quotes TEXT
+            )`,
+            // rule_id NULL = global threshold
+            `CREATE TABLE IF NOT EXISTS alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp INTEGER,
+                symbol TEXT,
+                spread REAL,
+                exchange_buy TEXT,
+                exchange_sell TEXT,
+                price_buy REAL,
+                price_sell REAL,
+                is_sent_telegram INTEGER DEFAULT 0,
+                is_sent_discord INTEGER DEFAULT 0,
+                rule_id INTEGER
+            )`,
+            // NULL exchanges = whichever route is best
+            `CREATE TABLE IF NOT EXISTS alert_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                symbol TEXT NOT NULL,
+                buy_exchange TEXT,
+                sell_exchange TEXT,
+                threshold REAL NOT NULL,
+                min_duration_ms INTEGER DEFAULT 0,
+                hysteresis REAL DEFAULT 0,
+                cooldown_ms INTEGER DEFAULT 60000,
+                quiet_start TEXT,
+                quiet_end TEXT,
+                enabled INTEGER DEFAULT 1,
+                created_at INTEGER,
+                updated_at INTEGER
+            )`,
+            // events/symbols: JSON arrays, [] symbols = all
+            `CREATE TABLE IF NOT EXISTS webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                events TEXT NOT NULL,
+                symbols TEXT NOT NULL DEFAULT '[]',
+                enabled INTEGER DEFAULT 1,
+                failure_count INTEGER DEFAULT 0,
+                disabled_reason TEXT,
+                created_at INTEGER,
+                updated_at INTEGER
+            )`,
+            // One row per delivery attempt
+            `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER NOT NULL,
+                delivery_id TEXT NOT NULL,
+                event TEXT NOT NULL,
+                attempt INTEGER NOT NULL,
+                status_code INTEGER,
+                error TEXT,
+                duration_ms INTEGER,
+                success INTEGER NOT NULL,
+                timestamp INTEGER NOT NULL
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries ON webhook_deliveries(webhook_id, timestamp)`,
+            // Deliveries not yet delivered or given up (survive restarts)
+            `CREATE TABLE IF NOT EXISTS webhook_queue (
+                id TEXT PRIMARY KEY,
+                webhook_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                body TEXT NOT NULL,
+                attempt INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at INTEGER NOT NULL
+            )`
+        ],
+        columns: [
+            ['price_metrics', 'quotes', 'TEXT'],
+            ['alerts', 'rule_id', 'INTEGER']
+        ]
+    },
+    {
+        version: 2,
+        name: 'spread history',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS spread_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                symbol TEXT NOT NULL,
+                spread REAL,
+                best_bid REAL,
+                best_ask REAL,
+                bid_exchange TEXT,
+                ask_exchange TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_history_symbol_time ON spread_history(symbol, timestamp)`
+        ],
+        legacy: {
+            file: 'market_data.db',
+            tables: {
+                spread_history: ['id', 'symbol', 'spread', 'best_bid', 'best_ask', 'bid_exchange', 'ask_exchange', 'timestamp']
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'simulated trades',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS simulated_trades (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                symbol TEXT NOT NULL,
+                buy_exchange TEXT NOT NULL,
+                sell_exchange TEXT NOT NULL,
+                buy_price REAL NOT NULL,
+                sell_price REAL NOT NULL,
+                position_size REAL NOT NULL,
+                spread_percent REAL NOT NULL,
+                gross_profit REAL NOT NULL,
+                net_profit REAL NOT NULL,
+                total_fees REAL NOT NULL,
+                slippage_cost REAL NOT NULL,
+                gas_cost REAL NOT NULL,
+                desync_risk TEXT NOT NULL,
+                is_profitable INTEGER NOT NULL,
+                is_capturable INTEGER NOT NULL,
+                duration_ms INTEGER
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_sim_timestamp ON simulated_trades(timestamp)`,
+            `CREATE INDEX IF NOT EXISTS idx_sim_symbol ON simulated_trades(symbol)`,
+            // Daily aggregates for reporting
+            `CREATE TABLE IF NOT EXISTS daily_stats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                date TEXT NOT NULL UNIQUE,
+                total_simulations INTEGER DEFAULT 0,
+                profitable_count INTEGER DEFAULT 0,
+                total_virtual_profit REAL DEFAULT 0,
+                max_drawdown REAL DEFAULT 0,
+                best_trade_profit REAL DEFAULT 0,
+                worst_trade_profit REAL DEFAULT 0,
+                avg_spread_percent REAL DEFAULT 0,
+                golden_opportunities INTEGER DEFAULT 0
+            )`
+        ],
+        legacy: {
+            file: 'simulation_data.db',
+            tables: {
+                simulated_trades: [
+                    'id', 'timestamp', 'symbol', 'buy_exchange', 'sell_exchange', 'buy_price', 'sell_price',
+                    'position_size', 'spread_percent', 'gross_profit', 'net_profit', 'total_fees', 'slippage_cost',
+                    'gas_cost', 'desync_risk', 'is_profitable', 'is_capturable', 'duration_ms'
+                ],
+                daily_stats: [
+                    'id', 'date', 'total_simulations', 'profitable_count', 'total_virtual_profit', 'max_drawdown',
+                    'best_trade_profit', 'worst_trade_profit', 'avg_spread_percent', 'golden_opportunities'
+                ]
+            }
+        }
+    },
+    {
+        version: 4,
+        name: 'spread candles',
+        statements: [
+            // Rollups of spread_history (resolution: 1m / 15m / 1h, bucket: start in unix ms)
+            // bid/ask_exchange: the route seen in most samples, route_samples of them
+            `CREATE TABLE IF NOT EXISTS spread_candles (
+                symbol TEXT NOT NULL,
+                resolution TEXT NOT NULL,
+                bucket INTEGER NOT NULL,
+                open REAL,
+                high REAL,
+                low REAL,
+                close REAL,
+                avg_spread REAL,
+                p95 REAL,
+                avg_bid REAL,
+                avg_ask REAL,
+                bid_exchange TEXT,
+                ask_exchange TEXT,
+                route_samples INTEGER,
+                samples INTEGER NOT NULL,
+                PRIMARY KEY (symbol, resolution, bucket)
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_candles_resolution_bucket ON spread_candles(resolution, bucket)`,
+            // Rollup and retention scan by time across symbols
+            `CREATE INDEX IF NOT EXISTS idx_history_time ON spread_history(timestamp)`
+        ]
+    },
+    {
+        version: 5,
+        name: 'export time indexes',
+        statements: [
+            // Exports read time ranges in time order
+            `CREATE INDEX IF NOT EXISTS idx_alerts_time ON alerts(timestamp)`,
+            `CREATE INDEX IF NOT EXISTS idx_metrics_time ON price_metrics(timestamp)`
+        ]
+    },
+    {
+        version: 6,
+        name: 'quotes',
+        statements: [
+            // Top of book of every venue; timestamp: when the quote was received (ms)
+            `CREATE TABLE IF NOT EXISTS quotes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp INTEGER NOT NULL,
+                symbol TEXT NOT NULL,
+                exchange TEXT NOT NULL,
+                bid REAL,
+                ask REAL,
+                source TEXT
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_quotes_symbol_time ON quotes(symbol, timestamp)`,
+            `CREATE INDEX IF NOT EXISTS idx_quotes_time ON quotes(timestamp)`
+        ]
+    },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function exec(db: sqlite3.Database, sql: string, params: any[] = []): Promise<void> {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function query(db: sqlite3.Database, sql: string, params: any[] = []): Promise<any[]> {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+export async function getSchemaVersion(db: sqlite3.Database): Promise<number> {
+    const [row] = await query(db, `PRAGMA user_version`);
+    return row.user_version;
+}
+
+/**
+ * Bring the database to SCHEMA_VERSION
+ * @param legacyDir where to look for the pre-consolidation files (null = never import)
+ * @returns schema version
+ * @throws SchemaVersionError when the database is newer than this build
+ */
+export async function migrate(db: sqlite3.Database, legacyDir: string | null = null): Promise<number> {
+    const current = await getSchemaVersion(db);
+    if (current > SCHEMA_VERSION) {
+        throw new SchemaVersionError(`database schema v${current} is newer than this build (v${SCHEMA_VERSION})`);
+    }
+
+    for (const migration of MIGRATIONS.filter(m => m.version > current)) {
+        // ATTACH is not allowed inside a transaction
+        const legacyFile = migration.legacy && legacyDir ? path.join(legacyDir, migration.legacy.file) : null;
+        const attached = legacyFile !== null && fs.existsSync(legacyFile);
+        if (attached) await exec(db, `ATTACH DATABASE ? AS legacy`, [legacyFile]);
+
+        try {
+            await exec(db, 'BEGIN');
+            for (const sql of migration.statements) await exec(db, sql);
+
+            for (const [table, column, type] of migration.columns || []) {
+                const existing = await query(db, `PRAGMA table_info(${table})`);
+                if (!existing.some(info => info.name === column)) await exec(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+            }
+
+            if (attached) {
+                const found = await query(db, `SELECT name FROM legacy.sqlite_master WHERE type = 'table'`);
+                for (const [table, columns] of Object.entries(migration.legacy!.tables)) {
+                    if (!found.some(row => row.name === table)) continue;
+                    const list = columns.join(', ');
+                    await exec(db, `INSERT INTO main.${table} (${list}) SELECT ${list} FROM legacy.${table}`);
+                }
+            }
+
+            await exec(db, `PRAGMA user_version = ${migration.version}`);
+            await exec(db, 'COMMIT');
+        } catch (error) {
+            await exec(db, 'ROLLBACK').catch(() => { });
+            throw error;
+        } finally {
+            if (attached) await exec(db, `DETACH DATABASE legacy`);
+        }
+
+        logger.info(TAG, `v${migration.version}: ${migration.name}${attached ? ` (imported ${migration.legacy!.file}, it can be deleted)` : ''}`);
+    }
+
+    return SCHEMA_VERSION;
+}
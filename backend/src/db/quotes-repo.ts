@@ -0,0 +1,39 @@
+/**
+ * Quotes Repository
+ * Top of book of every venue per symbol (quotes)
+ */
+
+import { run } from './connection';
+
+export interface QuoteRecord {
+    timestamp: number;      // When the quote was received (unix ms)
+    symbol: string;
+    exchange: string;
+    bid: number;
+    ask: number;
+    source: string;         // ws / rest
+}
+
+// Rows per INSERT statement (6 bound values each, well under SQLite's limit)
+const BATCH_ROWS = 500;
+
+/**
+ * Insert quotes, one statement per batch (no transaction to share)
+ */
+export async function saveQuotes(quotes: QuoteRecord[]): Promise<void> {
+    for (let i = 0; i < quotes.length; i += BATCH_ROWS) {
+        const batch = quotes.slice(i, i + BATCH_ROWS);
+        await run(`
+            INSERT INTO quotes (timestamp, symbol, exchange, bid, ask, source)
+            VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+        `, batch.flatMap(q => [q.timestamp, q.symbol, q.exchange, q.bid, q.ask, q.source]));
+    }
+}
+
+/**
+ * @returns rows deleted
+ */
+export async function deleteQuotesBefore(time: number): Promise<number> {
+    const { changes } = await run(`DELETE FROM quotes WHERE timestamp < ?`, [time]);
+    return changes;
+}
@@ -0,0 +1,146 @@
+/**
+ * Simulations Repository
+ * Paper trades of the simulator (simulated_trades) and their daily / hourly stats
+ */
+
+import { all, get, run } from './connection';
+
+export interface SimulatedTradeRecord {
+    symbol: string;
+    buyExchange: string;
+    sellExchange: string;
+    buyPrice: number;
+    sellPrice: number;
+    positionSize: number;
+    spreadPercent: number;
+    grossProfit: number;
+    netProfit: number;
+    totalFees: number;
+    slippageCost: number;
+    gasCost: number;
+    desyncRisk: string;
+    profitable: boolean;
+    isCapturable: boolean;
+    durationMs?: number | null;
+}
+
+export type SimulationStats = Record<string, number | null>;
+
+/**
+ * Save a simulated trade
+ */
+export async function saveSimulatedTrade(trade: SimulatedTradeRecord): Promise<number> {
+    const { lastID } = await run(`
+        INSERT INTO simulated_trades (
+            symbol, buy_exchange, sell_exchange, buy_price, sell_price,
+            position_size, spread_percent, gross_profit, net_profit,
+            total_fees, slippage_cost, gas_cost, desync_risk,
+            is_profitable, is_capturable, duration_ms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        trade.symbol,
+        trade.buyExchange,
+        trade.sellExchange,
+        trade.buyPrice,
+        trade.sellPrice,
+        trade.positionSize,
+        trade.spreadPercent,
+        trade.grossProfit,
+        trade.netProfit,
+        trade.totalFees,
+        trade.slippageCost,
+        trade.gasCost,
+        trade.desyncRisk,
+        trade.profitable ? 1 : 0,
+        trade.isCapturable ? 1 : 0,
+        trade.durationMs || null
+    ]);
+    return lastID;
+}
+
+/**
+ * Get today's statistics
+ */
+export async function getTodayStats(): Promise<SimulationStats> {
+    const today = new Date().toISOString().split('T')[0];
+
+    const row = await get<SimulationStats>(`
+        SELECT 
+            COUNT(*) as totalSimulations,
+            SUM(CASE WHEN is_profitable = 1 THEN 1 ELSE 0 END) as profitableCount,
+            SUM(net_profit) as totalVirtualProfit,
+            MIN(net_profit) as worstTrade,
+            MAX(net_profit) as bestTrade,
+            AVG(spread_percent) as avgSpread,
+            SUM(CASE WHEN is_capturable = 1 THEN 1 ELSE 0 END) as capturableCount
+        FROM simulated_trades
+        WHERE date(timestamp) = ?
+    `, [today]);
+
+    return row || {
+        totalSimulations: 0,
+        profitableCount: 0,
+        totalVirtualProfit: 0,
+        worstTrade: 0,
+        bestTrade: 0,
+        avgSpread: 0,
+        capturableCount: 0
+    };
+}
+
+/**
+ * Get all-time cumulative statistics
+ */
+export async function getCumulativeStats(): Promise<SimulationStats> {
+    const row = await get<SimulationStats>(`
+        SELECT 
+            COUNT(*) as totalSimulations,
+            SUM(CASE WHEN is_profitable = 1 THEN 1 ELSE 0 END) as profitableCount,
+            SUM(net_profit) as totalVirtualProfit,
+            MIN(net_profit) as maxDrawdown,
+            MAX(net_profit) as bestTrade,
+            AVG(spread_percent) as avgSpread,
+            SUM(CASE WHEN is_capturable = 1 AND is_profitable = 1 THEN 1 ELSE 0 END) as capturableProfitable
+        FROM simulated_trades
+    `);
+
+    return row || {
+        totalSimulations: 0,
+        profitableCount: 0,
+        totalVirtualProfit: 0,
+        maxDrawdown: 0,
+        bestTrade: 0,
+        avgSpread: 0,
+        capturableProfitable: 0
+    };
+}
+
+/**
+ * Get recent trades for display
+ */
+export function getRecentTrades(limit: number = 10): Promise<any[]> {
+    return all(`
+        SELECT * FROM simulated_trades
+        ORDER BY timestamp DESC
+        LIMIT ?
+    `, [limit]);
+}
+
+/**
+ * Get hourly breakdown for today
+ */
+export function getHourlyBreakdown(): Promise<any[]> {
+    const today = new Date().toISOString().split('T')[0];
+
+    return all(`
+        SELECT 
+            strftime('%H', timestamp) as hour,
+            COUNT(*) as count,
+            SUM(CASE WHEN is_profitable = 1 THEN 1 ELSE 0 END) as profitable,
+            SUM(net_profit) as totalProfit
+        FROM simulated_trades
+        WHERE date(timestamp) = ?
+        GROUP BY strftime('%H', timestamp)
+        ORDER BY hour
+    `, [today]);
+}
@@ -0,0 +1,47 @@
+/**
+ * Spreads Repository
+ * Best-route spread samples (spread_history)
+ */
+
+import { each, run } from './connection';
+
+export interface SpreadRow {
+    symbol: string;
+    spread: number;
+    best_bid: number;
+    best_ask: number;
+    bid_exchange: string;
+    ask_exchange: string;
+    timestamp: string;      // YYYY-MM-DD HH:MM:SS (UTC)
+}
+
+/**
+ * Save a new spread record
+ */
+export async function saveSpread({ symbol, spread, bestBid, bestAsk, bestBidEx, bestAskEx }: any): Promise<void> {
+    // Basic validation & Sanitization (Reject extreme outliers > 50%)
+    if (!symbol || spread === undefined || spread === null || Math.abs(spread) > 50) return;
+
+    await run(`
+        INSERT INTO spread_history (symbol, spread, best_bid, best_ask, bid_exchange, ask_exchange)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [symbol, spread, bestBid, bestAsk, bestBidEx || 'UNKNOWN', bestAskEx || 'UNKNOWN']);
+}
+
+/**
+ * Stream spread history in time order without loading it all in memory (backtests)
+ * @param symbols empty = every symbol
+ * @returns number of rows visited
+ */
+export function eachSpread(symbols: string[], from: number, to: number, onRow: (row: SpreadRow) => void): Promise<number> {
+    const symbolFilter = symbols.length ? `AND symbol IN (${symbols.map(() => '?').join(', ')})` : '';
+
+    return each<SpreadRow>(`
+        SELECT symbol, spread, best_bid, best_ask, bid_exchange, ask_exchange, timestamp
+        FROM spread_history
+        WHERE timestamp >= datetime(?, 'unixepoch')
+        AND timestamp <= datetime(?, 'unixepoch')
+        ${symbolFilter}
+        ORDER BY timestamp ASC, id ASC
+    `, [Math.floor(from / 1000), Math.floor(to / 1000), ...symbols], onRow);
+}
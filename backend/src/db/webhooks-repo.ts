@@ -0,0 +1,144 @@
+/**
+ * Webhooks Repository
+ * Subscriptions (webhooks), pending deliveries (webhook_queue) and the
+ * delivery log (webhook_deliveries)
+ */
+
+import { all, get, run } from './connection';
+import { WebhookDeliveryAttempt, WebhookEvent, WebhookSubscription } from '../types';
+
+export type WebhookInput = Pick<WebhookSubscription, 'url' | 'secret' | 'events' | 'symbols' | 'enabled'>;
+
+/**
+ * Delivery waiting for its next attempt
+ */
+export interface QueuedDelivery {
+    id: string;
+    webhookId: number;
+    event: WebhookEvent;
+    body: string;
+    attempt: number;
+    nextAttemptAt: number;
+}
+
+const toSubscription = (row: any): WebhookSubscription => ({
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    symbols: JSON.parse(row.symbols),
+    enabled: row.enabled === 1,
+    failureCount: row.failure_count,
+    disabledReason: row.disabled_reason,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const toAttempt = (row: any): WebhookDeliveryAttempt => ({
+    webhookId: row.webhook_id,
+    deliveryId: row.delivery_id,
+    event: row.event,
+    attempt: row.attempt,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms,
+    success: row.success === 1,
+    timestamp: row.timestamp
+});
+
+export async function listWebhooks(): Promise<WebhookSubscription[]> {
+    const rows = await all(`SELECT * FROM webhooks ORDER BY id`);
+    return rows.map(toSubscription);
+}
+
+export async function getWebhook(id: number): Promise<WebhookSubscription | null> {
+    const row = await get(`SELECT * FROM webhooks WHERE id = ?`, [id]);
+    return row ? toSubscription(row) : null;
+}
+
+export async function insertWebhook(webhook: WebhookInput): Promise<number> {
+    const now = Date.now();
+    const { lastID } = await run(`
+        INSERT INTO webhooks (url, secret, events, symbols, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [webhook.url, webhook.secret, JSON.stringify(webhook.events), JSON.stringify(webhook.symbols), webhook.enabled ? 1 : 0, now, now]);
+    return lastID;
+}
+
+/**
+ * Saving a subscription clears its failure streak (re-enabling a disabled endpoint)
+ * @returns false when the subscription does not exist
+ */
+export async function updateWebhook(id: number, webhook: WebhookInput): Promise<boolean> {
+    const { changes } = await run(`
+        UPDATE webhooks SET url = ?, secret = ?, events = ?, symbols = ?, enabled = ?,
+            failure_count = 0, disabled_reason = NULL, updated_at = ?
+        WHERE id = ?
+    `, [webhook.url, webhook.secret, JSON.stringify(webhook.events), JSON.stringify(webhook.symbols), webhook.enabled ? 1 : 0, Date.now(), id]);
+    return changes > 0;
+}
+
+export async function deleteWebhook(id: number): Promise<boolean> {
+    await run(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [id]);
+    await deleteQueuedDeliveries(id);
+    const { changes } = await run(`DELETE FROM webhooks WHERE id = ?`, [id]);
+    return changes > 0;
+}
+
+/**
+ * Persist the failure streak; a reason disables the subscription
+ */
+export async function setWebhookFailures(id: number, failureCount: number, disabledReason: string | null = null): Promise<void> {
+    if (disabledReason) {
+        await run(`UPDATE webhooks SET failure_count = ?, enabled = 0, disabled_reason = ? WHERE id = ?`, [failureCount, disabledReason, id]);
+    } else {
+        await run(`UPDATE webhooks SET failure_count = ? WHERE id = ?`, [failureCount, id]);
+    }
+}
+
+export async function logDeliveryAttempt(attempt: WebhookDeliveryAttempt): Promise<void> {
+    await run(`
+        INSERT INTO webhook_deliveries (webhook_id, delivery_id, event, attempt, status_code, error, duration_ms, success, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [attempt.webhookId, attempt.deliveryId, attempt.event, attempt.attempt, attempt.statusCode, attempt.error,
+        attempt.durationMs, attempt.success ? 1 : 0, attempt.timestamp]);
+}
+
+export async function getDeliveryAttempts(webhookId: number, limit: number = 50): Promise<WebhookDeliveryAttempt[]> {
+    const rows = await all(`SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?`, [webhookId, limit]);
+    return rows.map(toAttempt);
+}
+
+// ==================== Pending Deliveries ====================
+
+const toQueued = (row: any): QueuedDelivery => ({
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    body: row.body,
+    attempt: row.attempt,
+    nextAttemptAt: row.next_attempt_at
+});
+
+/**
+ * Insert or update (after a failed attempt) a pending delivery
+ */
+export async function saveQueuedDelivery(delivery: QueuedDelivery): Promise<void> {
+    await run(`
+        INSERT OR REPLACE INTO webhook_queue (id, webhook_id, event, body, attempt, next_attempt_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [delivery.id, delivery.webhookId, delivery.event, delivery.body, delivery.attempt, delivery.nextAttemptAt]);
+}
+
+export async function deleteQueuedDelivery(id: string): Promise<void> {
+    await run(`DELETE FROM webhook_queue WHERE id = ?`, [id]);
+}
+
+export async function deleteQueuedDeliveries(webhookId: number): Promise<void> {
+    await run(`DELETE FROM webhook_queue WHERE webhook_id = ?`, [webhookId]);
+}
+
+export async function listQueuedDeliveries(): Promise<QueuedDelivery[]> {
+    const rows = await all(`SELECT * FROM webhook_queue ORDER BY next_attempt_at, rowid`);
+    return rows.map(toQueued);
+}
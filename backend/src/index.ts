@@ -8,10 +8,22 @@ import http from 'http';
 import WebSocket from 'ws';
 import path from 'path';
 import routes from './routes/api-routes';
-import { PORT } from './config';
-import { startScheduler, setWebSocketBroadcaster } from './services/aggregator.service';
+import { PORT, REPLAY } from './config';
+import { startScheduler, setWebSocketBroadcaster, getSpreadMatrix, getActiveExchanges, getStats, getPriceCache } from './services/aggregator.service';
+import { replayEngine } from './services/replay.service';
+import { alertRulesEngine, reloadAlertRules } from './services/alert-rules.service';
+import { notificationDispatcher } from './services/notifier.service';
+import { simulationEngine } from './services/simulation.service';
+import { webhookDispatcher, reloadWebhooks } from './services/webhook.service';
+import { healthMonitor } from './services/health.service';
+import { streamGateway } from './services/stream.service';
+import { historyRollup } from './services/history.service';
+import { quoteRecorder } from './services/quotes.service';
+import { openDatabase } from './db/connection';
 import { startDbScheduler } from './db/metrics-repo';
 import { logger } from './utils/app-logger';
+import { collectProcessMetrics } from './utils/app-metrics';
+import { getMetrics } from './controllers/metrics.controller';
 
 const TAG = 'Server';
 
@@ -19,17 +31,28 @@ const TAG = 'Server';
 const app = express();
 const server = http.createServer(app);
 
-// Initialize WebSocket Server
+// Initialize WebSocket Server (protocol: see stream.service.ts)
 const wss = new WebSocket.Server({ server });
-let wsClients: WebSocket[] = [];
 
-wss.on('connection', (ws) => {
+streamGateway.setSources({
+    getExchanges: getActiveExchanges,
+    getMatrix: getSpreadMatrix,
+    getHealth: () => healthMonitor.getExchanges()
+});
+
+wss.on('connection', (ws, req) => {
     logger.info(TAG, 'WebSocket client connected');
-    wsClients.push(ws);
+
+    // Options may be declared on connect: ws://host/?intervalMs=2000&conflation=snapshot
+    const query = new URL(req.url || '/', 'http://localhost').searchParams;
+    streamGateway.connect(ws, Object.fromEntries(query));
+
+    ws.on('message', (data) => streamGateway.handleMessage(ws, data.toString()));
+    ws.on('pong', () => streamGateway.pong(ws));
 
     ws.on('close', () => {
         logger.debug(TAG, 'WebSocket client disconnected');
-        wsClients = wsClients.filter(client => client !== ws);
+        streamGateway.disconnect(ws);
     });
 
     ws.on('error', (error) => {
@@ -37,40 +60,23 @@ wss.on('connection', (ws) => {
     });
 });
 
-// Broadcast function for aggregator
-function broadcastPriceUpdate(priceCache: any) {
-    if (wsClients.length === 0) return;
-
-    logger.debug(TAG, `Broadcasting update to ${wsClients.length} clients. Cache size: ${Object.keys(priceCache).length}`);
-
-    const pairs = Object.values(priceCache).map((pair: any) => ({
-        symbol: pair.symbol,
-        bestBid: pair.bestBid,
-        bestAsk: pair.bestAsk,
-        bestBidEx: pair.bestBidEx,
-        bestAskEx: pair.bestAskEx,
-        realSpread: pair.realSpread,
-        paradex: pair.paradex,
-        lighter: pair.lighter,
-        vest: pair.vest,
-        extended: pair.extended
-    }));
-
-    const message = JSON.stringify({ type: 'update', pairs });
-
-    wsClients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            try {
-                client.send(message);
-            } catch (error) {
-                logger.error(TAG, 'Send error', error);
-            }
-        }
-    });
-}
+// Register broadcaster with aggregator (deltas to 'prices' / 'matrix' subscribers)
+setWebSocketBroadcaster(cache => streamGateway.broadcast(cache));
+
+// Heartbeat pings (dead sockets are closed) and held-back tick delivery
+streamGateway.start();
 
-// Register broadcaster with aggregator
-setWebSocketBroadcaster(broadcastPriceUpdate);
+// Fired alerts to 'alerts' subscribers (the dashboard alarms on ruleId !== null)
+alertRulesEngine.on('alert', (alert) => streamGateway.publishAlert(alert));
+
+// Venue status changes to 'health' subscribers (the dashboard header lights)
+healthMonitor.on('status', (health) => streamGateway.publishHealth(health));
+
+// Outbound webhook events
+alertRulesEngine.on('alert', (alert) => webhookDispatcher.publish('spread.alert', alert, alert.symbol));
+simulationEngine.on('close', (trade) => webhookDispatcher.publish('simulation.exit', trade, trade.symbol));
+healthMonitor.on('exchange.down', (event) => webhookDispatcher.publish('exchange.down', event));
+healthMonitor.on('feed.stale', (event) => webhookDispatcher.publish('feed.stale', event));
 
 // Middleware
 app.use(express.json());
@@ -81,16 +87,57 @@ app.use(express.static(path.join(__dirname, '../../frontend/dist')));
 // API Routes
 app.use('/api', routes);
 
-// Start data fetching scheduler
-startScheduler();
+// Prometheus scrape endpoint (process metrics include event-loop lag)
+collectProcessMetrics();
+app.get('/metrics', getMetrics);
 
-// Start database persistence scheduler
-startDbScheduler();
+/**
+ * Start the services and the server once the database is migrated
+ */
+function start() {
+    // Alert rules are read once here, then reloaded by /api/alert-rules on every change
+    reloadAlertRules().catch(error => logger.error(TAG, 'Failed to load alert rules', error));
+
+    // Telegram / Discord delivery of fired alerts (no-op without credentials)
+    notificationDispatcher.start();
+
+    // Webhook subscriptions are reloaded by /api/webhooks on every change
+    reloadWebhooks()
+        .then(() => webhookDispatcher.restoreQueue())
+        .catch(error => logger.error(TAG, 'Failed to load webhooks', error));
+    webhookDispatcher.start();
+
+    // Venue health sampling (status pushes and webhook events above)
+    healthMonitor.start(getStats);
+
+    // Start data fetching scheduler, or replay a recording instead of connecting
+    if (REPLAY.FILE) {
+        replayEngine.play(REPLAY.FILE, { speed: REPLAY.SPEED, loop: REPLAY.LOOP, persist: REPLAY.PERSIST })
+            .catch(error => logger.error(TAG, 'Replay failed', error));
+    } else {
+        startScheduler();
+    }
+
+    // Start database persistence scheduler
+    startDbScheduler();
+
+    // Spread history candles and retention (charts read the candles)
+    historyRollup.start();
+
+    // Every venue's quotes (replays only when persisting, like spread history)
+    if (!REPLAY.FILE || REPLAY.PERSIST) quoteRecorder.start(getPriceCache, getActiveExchanges);
+
+    // Start server
+    server.listen(PORT, () => {
+        logger.info(TAG, `Server started on http://localhost:${PORT}`);
+        logger.info(TAG, `WebSocket server ready on ws://localhost:${PORT}`);
+    });
+}
 
-// Start server
-server.listen(PORT, () => {
-    logger.info(TAG, `Server started on http://localhost:${PORT}`);
-    logger.info(TAG, `WebSocket server ready on ws://localhost:${PORT}`);
+// Refuses to run on a database schema this build does not know (db/migrations.ts)
+openDatabase().then(start, error => {
+    logger.error(TAG, 'Database unavailable, not starting', error);
+    process.exit(1);
 });
 
 export default app;
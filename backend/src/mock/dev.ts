@@ -0,0 +1,46 @@
+/**
+ * Offline Development Entry Point (npm run dev:mock)
+ * Starts the mock exchange server, points the mocked venues' endpoints at it
+ * and boots the regular backend with only those venues enabled.
+ */
+
+import fs from 'fs';
+import { MOCK, EXCHANGES } from '../config';
+import { API_ENDPOINTS } from '../config/exchanges';
+import { MockExchangeServer, MOCK_VENUES } from './mock-exchange-server';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'MockDev';
+
+async function main() {
+    const script = MOCK.SCRIPT ? JSON.parse(fs.readFileSync(MOCK.SCRIPT, 'utf8')) : undefined;
+
+    const mock = new MockExchangeServer({
+        symbols: MOCK.SYMBOLS.length > 0 ? MOCK.SYMBOLS : undefined,
+        script,
+        volatilityBps: MOCK.VOLATILITY_BPS,
+        venueSkewBps: MOCK.SKEW_BPS,
+        seed: MOCK.SEED,
+        tickMs: MOCK.TICK_MS
+    });
+    await mock.start(MOCK.PORT);
+
+    // Must happen before the adapters are constructed (they read endpoints at import)
+    Object.assign(API_ENDPOINTS, mock.getEndpoints());
+    if (EXCHANGES.ENABLED.length === 0) {
+        EXCHANGES.ENABLED.push(...MOCK_VENUES);
+    }
+
+    logger.info(TAG, `Mock venues: ${MOCK_VENUES.join(', ')} (port ${mock.port})`);
+    require('../index');
+
+    process.on('SIGINT', async () => {
+        await mock.stop();
+        process.exit(0);
+    });
+}
+
+main().catch(error => {
+    logger.error(TAG, 'Failed to start mock mode', error);
+    process.exit(1);
+});
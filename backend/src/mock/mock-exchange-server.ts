@@ -0,0 +1,438 @@
+/**
+ * Mock Exchange Server
+ * HTTP + WebSocket server speaking the Paradex, Lighter, Vest and Extended
+ * wire formats, fed by a PriceFeed. Used by `npm run dev:mock` and the
+ * integration tests; every venue can be paused, dropped or taken down.
+ */
+
+import express, { Request, Response, NextFunction } from 'express';
+import http from 'http';
+import { AddressInfo } from 'net';
+import WebSocket from 'ws';
+import { PriceFeed, PriceFeedOptions, MockQuote } from './price-feed';
+import { OrderBookLevel } from '../types';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'MockExchange';
+
+export const MOCK_VENUES = ['PARADEX', 'LIGHTER', 'VEST', 'EXTENDED'] as const;
+export type MockVenue = typeof MOCK_VENUES[number];
+
+// WebSocket path -> venue (Vest and Extended are REST-only here)
+const WS_PATHS: Record<string, MockVenue> = {
+    '/paradex/v1': 'PARADEX',
+    '/lighter/stream': 'LIGHTER'
+};
+
+export interface MockServerOptions extends PriceFeedOptions {
+    tickMs?: number;     // Price step + WS push interval
+}
+
+interface MockClient {
+    venue: MockVenue;
+    channels: Set<string>;
+    sentBooks: Map<string, { bids: Set<number>; asks: Set<number> }>;  // Lighter: levels to remove on the next delta
+}
+
+interface VenueState {
+    paused: boolean;     // WS stays open but silent (stale feed)
+    down: boolean;       // HTTP 503, WS connections refused
+}
+
+class MockExchangeServer {
+    readonly feed: PriceFeed;
+
+    private readonly tickMs: number;
+    private readonly app = express();
+    private readonly server: http.Server;
+    private readonly wss = new WebSocket.Server({ noServer: true });
+    private clients: Map<WebSocket, MockClient> = new Map();
+    private venues: Record<MockVenue, VenueState>;
+    private tickInterval: NodeJS.Timeout | null = null;
+
+    constructor(options: MockServerOptions = {}) {
+        this.feed = new PriceFeed(options);
+        this.tickMs = options.tickMs ?? 500;
+        this.venues = Object.fromEntries(
+            MOCK_VENUES.map(v => [v, { paused: false, down: false }])
+        ) as Record<MockVenue, VenueState>;
+
+        this.registerRoutes();
+        this.server = http.createServer(this.app);
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+        this.wss.on('connection', (ws: WebSocket, venue: MockVenue) => this.handleConnection(ws, venue));
+    }
+
+    // ==================== Lifecycle ====================
+
+    /**
+     * Listen on the given port (0 = any free port) and start ticking
+     */
+    async start(port = 0): Promise<number> {
+        await new Promise<void>((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => resolve());
+        });
+
+        this.tickInterval = setInterval(() => this.tick(), this.tickMs);
+        logger.info(TAG, `Listening on ${this.baseUrl()} (tick ${this.tickMs}ms)`);
+        return this.port;
+    }
+
+    async stop(): Promise<void> {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+
+        this.clients.forEach((_, ws) => ws.terminate());
+        this.clients.clear();
+        this.wss.close();
+
+        if (!this.server.listening) return;
+        await new Promise<void>(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();   // Keep-alive clients would hold close() open
+        });
+    }
+
+    get port(): number {
+        return (this.server.address() as AddressInfo | null)?.port || 0;
+    }
+
+    private baseUrl(protocol = 'http'): string {
+        return `${protocol}://127.0.0.1:${this.port}`;
+    }
+
+    /**
+     * API_ENDPOINTS overrides pointing every mocked venue at this server
+     */
+    getEndpoints(): Record<string, string> {
+        const http = this.baseUrl();
+        const ws = this.baseUrl('ws');
+
+        return {
+            PARADEX: `${http}/paradex/v1/markets/summary?market=ALL`,
+            PARADEX_MARKETS: `${http}/paradex/v1/markets`,
+            PARADEX_WS: `${ws}/paradex/v1`,
+            LIGHTER: `${http}/lighter/api/v1/orderBookDetails`,
+            LIGHTER_FUNDING: `${http}/lighter/api/v1/funding-rates`,
+            LIGHTER_WS: `${ws}/lighter/stream`,
+            VEST_TICKER: `${http}/vest/v2/ticker/24hr`,
+            VEST_DEPTH: `${http}/vest/v2/depth`,
+            VEST_TICKER_LATEST: `${http}/vest/v2/ticker/latest`,
+            VEST_EXCHANGE_INFO: `${http}/vest/v2/exchangeInfo`,
+            EXTENDED_MARKETS: `${http}/extended/api/v1/info/markets`
+        };
+    }
+
+    // ==================== Controls ====================
+
+    /**
+     * Advance prices one step and push to subscribed WS clients
+     */
+    tick(): void {
+        this.feed.tick();
+        this.broadcast();
+    }
+
+    /**
+     * Keep WS connections open but stop pushing (simulates a stale feed)
+     */
+    pause(venue: MockVenue, paused = true): void {
+        this.venues[venue].paused = paused;
+    }
+
+    /**
+     * Close every WS connection of a venue (clients are expected to reconnect)
+     */
+    dropConnections(venue: MockVenue): void {
+        this.clients.forEach((client, ws) => {
+            if (client.venue === venue) ws.terminate();
+        });
+    }
+
+    /**
+     * Take a venue down: HTTP answers 503 and WS connections are refused
+     */
+    setDown(venue: MockVenue, down = true): void {
+        this.venues[venue].down = down;
+        if (down) this.dropConnections(venue);
+    }
+
+    getClientCount(venue: MockVenue): number {
+        return [...this.clients.values()].filter(c => c.venue === venue).length;
+    }
+
+    // ==================== HTTP ====================
+
+    private registerRoutes(): void {
+        const guard = (venue: MockVenue) => (_req: Request, res: Response, next: NextFunction) => {
+            if (this.venues[venue].down) {
+                res.status(503).json({ error: 'Service Unavailable' });
+                return;
+            }
+            next();
+        };
+
+        this.app.use('/paradex', guard('PARADEX'));
+        this.app.use('/lighter', guard('LIGHTER'));
+        this.app.use('/vest', guard('VEST'));
+        this.app.use('/extended', guard('EXTENDED'));
+
+        // Paradex
+        this.app.get('/paradex/v1/markets/summary', (_req, res) => {
+            res.json({ results: this.quotes('PARADEX').map(({ symbol, quote }) => this.paradexSummary(symbol, quote)) });
+        });
+        this.app.get('/paradex/v1/markets', (_req, res) => {
+            res.json({
+                results: this.symbols().map(symbol => ({
+                    symbol: `${symbol}-USD-PERP`,
+                    price_tick_size: '0.01',
+                    order_size_increment: '0.001',
+                    min_notional: '10',
+                    delta1_cross_margin_params: { imf_base: '0.02' }
+                }))
+            });
+        });
+
+        // Lighter
+        this.app.get('/lighter/api/v1/orderBookDetails', (_req, res) => {
+            res.json({
+                code: 200,
+                order_book_details: this.quotes('LIGHTER').map(({ symbol, quote }, i) => ({
+                    market_id: i,
+                    symbol,
+                    market_type: 'perp',
+                    status: 'active',
+                    best_bid: String(quote.bid),
+                    best_ask: String(quote.ask),
+                    last_trade_price: (quote.bid + quote.ask) / 2,
+                    price_decimals: 2,
+                    size_decimals: 4,
+                    min_quote_amount: '10',
+                    min_initial_margin_fraction: 500
+                }))
+            });
+        });
+        this.app.get('/lighter/api/v1/funding-rates', (_req, res) => {
+            // Quoted as 8h-equivalent rates, like the real endpoint
+            const rate = this.feed.getFundingRate('LIGHTER') * 8;
+            res.json({
+                code: 200,
+                funding_rates: this.symbols().map((symbol, i) => ({ market_id: i, exchange: 'lighter', symbol, rate }))
+            });
+        });
+
+        // Vest
+        this.app.get('/vest/v2/ticker/24hr', (_req, res) => {
+            res.json({ tickers: this.symbols().map(symbol => ({ symbol: `${symbol}-PERP` })) });
+        });
+        this.app.get('/vest/v2/depth', (req, res) => {
+            const symbol = String(req.query.symbol || '').replace(/-PERP$/, '');
+            const limit = parseInt(String(req.query.limit), 10) || undefined;
+            const quote = this.feed.getQuote('VEST', symbol);
+            if (!quote) {
+                res.status(400).json({ code: -1121, msg: 'Invalid symbol' });
+                return;
+            }
+
+            const toTuples = (levels: OrderBookLevel[]) =>
+                levels.slice(0, limit).map(l => [String(l.price), String(l.size)]);
+            res.json({ bids: toTuples(quote.book.bids), asks: toTuples(quote.book.asks) });
+        });
+        this.app.get('/vest/v2/exchangeInfo', (_req, res) => {
+            res.json({
+                symbols: this.symbols().map(symbol => ({
+                    symbol: `${symbol}-PERP`,
+                    priceDecimals: 2,
+                    sizeDecimals: 3,
+                    initMarginRatio: '0.02'
+                }))
+            });
+        });
+        this.app.get('/vest/v2/ticker/latest', (_req, res) => {
+            const rate = this.feed.getFundingRate('VEST');
+            res.json({ tickers: this.symbols().map(symbol => ({ symbol: `${symbol}-PERP`, oneHrFundingRate: String(rate) })) });
+        });
+
+        // Extended
+        this.app.get('/extended/api/v1/info/markets', (_req, res) => {
+            const rate = this.feed.getFundingRate('EXTENDED');
+            const nextHour = Math.ceil(Date.now() / 3600000) * 3600000;
+
+            res.json({
+                status: 'OK',
+                data: this.quotes('EXTENDED').map(({ symbol, quote }) => ({
+                    name: `${symbol}-USD`,
+                    active: true,
+                    status: 'ACTIVE',
+                    marketStats: {
+                        bidPrice: String(quote.bid),
+                        askPrice: String(quote.ask),
+                        fundingRate: String(rate),
+                        nextFundingRate: nextHour
+                    },
+                    tradingConfig: { minPriceChange: '0.01', minOrderSizeChange: '0.001', maxLeverage: '50' }
+                }))
+            });
+        });
+        this.app.get('/extended/api/v1/info/markets/:market/orderbook', (req, res) => {
+            const market = String(req.params.market);
+            const quote = this.feed.getQuote('EXTENDED', market.replace(/-USD$/, ''));
+            if (!quote) {
+                res.status(404).json({ status: 'ERROR', error: { code: 1001, message: 'Market not found' } });
+                return;
+            }
+
+            const toLevels = (levels: OrderBookLevel[]) => levels.map(l => ({ qty: String(l.size), price: String(l.price) }));
+            res.json({ status: 'OK', data: { market, bid: toLevels(quote.book.bids), ask: toLevels(quote.book.asks) } });
+        });
+    }
+
+    private symbols(): string[] {
+        return this.feed.getSymbols();
+    }
+
+    private quotes(venue: MockVenue): { symbol: string; quote: MockQuote }[] {
+        return this.symbols().map(symbol => ({ symbol, quote: this.feed.getQuote(venue, symbol)! }));
+    }
+
+    private paradexSummary(symbol: string, quote: MockQuote) {
+        return {
+            symbol: `${symbol}-USD-PERP`,
+            bid: String(quote.bid),
+            ask: String(quote.ask),
+            funding_rate: String(this.feed.getFundingRate('PARADEX') * 8)
+        };
+    }
+
+    // ==================== WebSocket ====================
+
+    private handleUpgrade(req: http.IncomingMessage, socket: any, head: Buffer): void {
+        const path = new URL(req.url || '/', 'http://localhost').pathname;
+        const venue = WS_PATHS[path];
+
+        if (!venue || this.venues[venue].down) {
+            socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, venue));
+    }
+
+    private handleConnection(ws: WebSocket, venue: MockVenue): void {
+        const client: MockClient = { venue, channels: new Set(), sentBooks: new Map() };
+        this.clients.set(ws, client);
+
+        ws.on('message', (data: WebSocket.Data) => {
+            try {
+                const msg = JSON.parse(data.toString());
+                if (venue === 'PARADEX') this.handleParadexMessage(ws, client, msg);
+                else this.handleLighterMessage(ws, client, msg);
+            } catch (e) {
+                // Ignore malformed client messages
+            }
+        });
+
+        ws.on('close', () => this.clients.delete(ws));
+        ws.on('error', () => this.clients.delete(ws));
+    }
+
+    /**
+     * JSON-RPC: { id, method: 'subscribe' | 'unsubscribe', params: { channel } }
+     */
+    private handleParadexMessage(ws: WebSocket, client: MockClient, msg: any): void {
+        const channel = msg.params?.channel;
+        if (!channel) return;
+
+        if (msg.method === 'subscribe') {
+            client.channels.add(channel);
+            ws.send(JSON.stringify({ jsonrpc: '2.0', id: msg.id, result: { channel } }));
+            if (!this.venues.PARADEX.paused) this.pushParadex(ws, channel);
+        } else if (msg.method === 'unsubscribe') {
+            client.channels.delete(channel);
+        }
+    }
+
+    /**
+     * { type: 'subscribe' | 'unsubscribe', channel: 'order_book/<market_id>' }
+     * Answered on 'order_book:<market_id>' (snapshot first, deltas after)
+     */
+    private handleLighterMessage(ws: WebSocket, client: MockClient, msg: any): void {
+        const marketId = parseInt(String(msg.channel || '').split('/')[1], 10);
+        if (isNaN(marketId) || !this.symbols()[marketId]) return;
+
+        const channel = `order_book:${marketId}`;
+        if (msg.type === 'subscribe') {
+            client.channels.add(channel);
+            client.sentBooks.delete(channel);
+            if (!this.venues.LIGHTER.paused) this.pushLighter(ws, client, channel);
+        } else if (msg.type === 'unsubscribe') {
+            client.channels.delete(channel);
+            client.sentBooks.delete(channel);
+        }
+    }
+
+    private broadcast(): void {
+        this.clients.forEach((client, ws) => {
+            if (ws.readyState !== WebSocket.OPEN || this.venues[client.venue].paused) return;
+
+            client.channels.forEach(channel => {
+                if (client.venue === 'PARADEX') this.pushParadex(ws, channel);
+                else this.pushLighter(ws, client, channel);
+            });
+        });
+    }
+
+    private pushParadex(ws: WebSocket, channel: string): void {
+        let data: any;
+
+        if (channel === 'markets_summary') {
+            data = this.quotes('PARADEX').map(({ symbol, quote }) => this.paradexSummary(symbol, quote));
+        } else if (channel.startsWith('order_book.')) {
+            // order_book.<market>.snapshot@15@100ms
+            const market = channel.split('.')[1];
+            const quote = this.feed.getQuote('PARADEX', market.replace(/-USD-PERP$/, ''));
+            if (!quote) return;
+
+            data = {
+                market,
+                inserts: [
+                    ...quote.book.bids.map(l => ({ side: 'BUY', price: String(l.price), size: String(l.size) })),
+                    ...quote.book.asks.map(l => ({ side: 'SELL', price: String(l.price), size: String(l.size) }))
+                ]
+            };
+        } else {
+            return;
+        }
+
+        ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'subscription', params: { channel, data } }));
+    }
+
+    private pushLighter(ws: WebSocket, client: MockClient, channel: string): void {
+        const symbol = this.symbols()[parseInt(channel.split(':')[1], 10)];
+        const quote = symbol ? this.feed.getQuote('LIGHTER', symbol) : null;
+        if (!quote) return;
+
+        const previous = client.sentBooks.get(channel);
+        const side = (levels: OrderBookLevel[], sent?: Set<number>) => {
+            const current = new Set(levels.map(l => l.price));
+            const removed = [...(sent || [])].filter(p => !current.has(p)).map(p => ({ price: String(p), size: '0' }));
+            return { levels: [...levels.map(l => ({ price: String(l.price), size: String(l.size) })), ...removed], current };
+        };
+
+        const bids = side(quote.book.bids, previous?.bids);
+        const asks = side(quote.book.asks, previous?.asks);
+        client.sentBooks.set(channel, { bids: bids.current, asks: asks.current });
+
+        ws.send(JSON.stringify({
+            type: previous ? 'update/order_book' : 'subscribed/order_book',
+            channel,
+            order_book: { bids: bids.levels, asks: asks.levels }
+        }));
+    }
+}
+
+export { MockExchangeServer };
@@ -0,0 +1,144 @@
+/**
+ * Mock Price Feed
+ * Mid prices per symbol (scripted paths or seeded random walks) and
+ * per-venue quotes/books derived from them, for the mock exchange server
+ */
+
+import { OrderBook } from '../types';
+
+export interface PriceFeedOptions {
+    symbols?: string[];
+    startPrices?: Record<string, number>;
+    script?: Record<string, number[]>;       // Mid path per symbol, one point per tick (last point is held)
+    volatilityBps?: number;                  // Random walk step (max move per tick)
+    halfSpreadBps?: number;                  // Half of each venue's bid/ask spread
+    venueSkewBps?: Record<string, number>;   // Persistent per-venue offset (creates arbitrage)
+    venueNoiseBps?: number;                  // Independent per-venue jitter per tick
+    levels?: number;                         // Book levels per side
+    seed?: number;
+}
+
+export interface MockQuote {
+    bid: number;
+    ask: number;
+    book: OrderBook;
+}
+
+export const DEFAULT_MOCK_SYMBOLS = ['BTC', 'ETH', 'SOL', 'SUI', 'XRP'];
+
+const DEFAULT_START_PRICES: Record<string, number> = {
+    BTC: 67000, ETH: 2600, SOL: 150, SUI: 1.8, XRP: 0.55
+};
+
+/**
+ * Small deterministic PRNG (mulberry32) so runs can be reproduced from a seed
+ */
+function createRandom(seed: number): () => number {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class PriceFeed {
+    private readonly random: () => number;
+    private readonly symbols: string[];
+    private readonly script: Record<string, number[]>;
+    private readonly volatilityBps: number;
+    private readonly halfSpreadBps: number;
+    private readonly venueNoiseBps: number;
+    private readonly levels: number;
+    private venueSkewBps: Record<string, number>;
+
+    private mids: Map<string, number> = new Map();
+    private noise: Map<string, number> = new Map();   // '<VENUE>:<symbol>' -> bps
+    private step = 0;
+
+    constructor(options: PriceFeedOptions = {}) {
+        this.random = createRandom(options.seed ?? 42);
+        this.symbols = (options.symbols || DEFAULT_MOCK_SYMBOLS).map(s => s.toUpperCase());
+        this.script = options.script || {};
+        this.volatilityBps = options.volatilityBps ?? 5;
+        this.halfSpreadBps = options.halfSpreadBps ?? 1;
+        this.venueNoiseBps = options.venueNoiseBps ?? 3;
+        this.levels = options.levels ?? 5;
+        this.venueSkewBps = { ...(options.venueSkewBps || {}) };
+
+        this.symbols.forEach(symbol => {
+            const start = this.script[symbol]?.[0] ?? options.startPrices?.[symbol] ?? DEFAULT_START_PRICES[symbol] ?? 10;
+            this.mids.set(symbol, start);
+        });
+    }
+
+    getSymbols(): string[] {
+        return [...this.symbols];
+    }
+
+    /**
+     * Advance every symbol one step (scripted point or random walk)
+     */
+    tick(): void {
+        this.step++;
+
+        this.symbols.forEach(symbol => {
+            const path = this.script[symbol];
+            if (path?.length) {
+                this.mids.set(symbol, path[Math.min(this.step, path.length - 1)]);
+                return;
+            }
+
+            const move = (this.random() * 2 - 1) * this.volatilityBps / 10000;
+            this.mids.set(symbol, this.mids.get(symbol)! * (1 + move));
+        });
+
+        this.noise.clear();
+    }
+
+    getMid(symbol: string): number | undefined {
+        return this.mids.get(symbol.toUpperCase());
+    }
+
+    setMid(symbol: string, price: number): void {
+        this.mids.set(symbol.toUpperCase(), price);
+    }
+
+    setSkew(venue: string, bps: number): void {
+        this.venueSkewBps[venue.toUpperCase()] = bps;
+    }
+
+    /**
+     * Quote of one venue: mid shifted by the venue skew and this tick's jitter
+     */
+    getQuote(venue: string, symbol: string): MockQuote | null {
+        const mid = this.getMid(symbol);
+        if (mid === undefined) return null;
+
+        const key = `${venue.toUpperCase()}:${symbol.toUpperCase()}`;
+        if (!this.noise.has(key)) {
+            this.noise.set(key, (this.random() * 2 - 1) * this.venueNoiseBps);
+        }
+
+        const center = mid * (1 + ((this.venueSkewBps[venue.toUpperCase()] || 0) + this.noise.get(key)!) / 10000);
+        const half = center * this.halfSpreadBps / 10000;
+        const size = (level: number) => Number(((10000 / center) * (level + 1)).toPrecision(6));
+        const price = (offset: number) => Number((center + offset).toPrecision(8));
+
+        const bids = Array.from({ length: this.levels }, (_, i) => ({ price: price(-half * (2 * i + 1)), size: size(i) }));
+        const asks = Array.from({ length: this.levels }, (_, i) => ({ price: price(half * (2 * i + 1)), size: size(i) }));
+
+        return { bid: bids[0].price, ask: asks[0].price, book: { bids, asks } };
+    }
+
+    /**
+     * Hourly funding rate of a venue (steady, derived from its skew)
+     */
+    getFundingRate(venue: string): number {
+        return (this.venueSkewBps[venue.toUpperCase()] || 0) / 1_000_000 + 0.00001;
+    }
+}
+
+export { PriceFeed };
@@ -3,20 +3,111 @@
  */
 
 import express from 'express';
-import { getScans } from '../services/aggregator.service';
+import { getScans, getSpreadMatrix, getActiveExchanges } from '../services/aggregator.service';
 import { getSpreadHistoryController } from '../controllers/history.controller';
 import { getAlertsHistory } from '../controllers/alert.controller';
+import { listAlertRules, createAlertRule, updateAlertRule, deleteAlertRule } from '../controllers/alert-rules.controller';
+import { listWebhooks, createWebhook, updateWebhook, deleteWebhook, getWebhookDeliveries, reportPositionExit } from '../controllers/webhooks.controller';
+import { getHealth, getExchangesHealth } from '../controllers/health.controller';
+import { getBacktest } from '../controllers/backtest.controller';
+import { getExport } from '../controllers/export.controller';
+import { getSimulationStatus, getTodayStats, getCumulativeStats, getRecentTrades, getHourlyBreakdown } from '../controllers/simulation.controller';
+import { EXCHANGE_FEES, getFeeRates } from '../config/exchanges';
+import { symbolUniverse } from '../services/symbol-universe.service';
+import { marketRegistry } from '../services/market-registry.service';
 
 const router = express.Router();
 
 // Existing routes
+// ?horizonHours=N re-projects expectedFunding over a custom holding horizon
 router.get('/scans', (req, res) => {
     const cache = getScans();
-    const pairs = Object.values(cache);
+    const horizonHours = parseFloat(req.query.horizonHours as string);
+
+    const pairs = isNaN(horizonHours) || horizonHours < 0
+        ? Object.values(cache)
+        : Object.values(cache).map(pair => ({
+            ...pair,
+            fundingHorizonHours: horizonHours,
+            expectedFunding: pair.fundingCarryPerHour !== undefined
+                ? pair.fundingCarryPerHour * horizonHours
+                : undefined
+        }));
+
     res.json({ pairs });
 });
 
+// Full NxN (buy exchange, sell exchange) matrix for one symbol
+router.get('/scans/:symbol/matrix', (req, res) => {
+    const matrix = getSpreadMatrix(req.params.symbol.toUpperCase());
+    if (!matrix) {
+        return res.status(404).json({ error: 'Unknown symbol' });
+    }
+    res.json(matrix);
+});
+
+// Tracked symbol universe and the venues listing each symbol
+router.get('/symbols', (req, res) => {
+    res.json({
+        symbols: symbolUniverse.getSymbols(),
+        venues: symbolUniverse.getVenues(),
+        updatedAt: symbolUniverse.getUpdatedAt()
+    });
+});
+
+// Exchanges feeding the scanner (pair field = lowercase name)
+router.get('/exchanges', (req, res) => {
+    res.json({ exchanges: getActiveExchanges() });
+});
+
+// Contract metadata per asset per venue (market id, multiplier, tick/lot, min notional, max leverage)
+router.get('/markets', (req, res) => {
+    res.json(marketRegistry.getAll());
+});
+
+// Effective fee rates per exchange (bps)
+router.get('/fees', (req, res) => {
+    const fees: Record<string, { makerBps: number; takerBps: number }> = {};
+    Object.keys(EXCHANGE_FEES).forEach(exchange => {
+        fees[exchange] = getFeeRates(exchange);
+    });
+    res.json({ fees });
+});
+
+// Venue health (see health.service.ts)
+router.get('/health', getHealth);
+router.get('/health/exchanges', getExchangesHealth);
+
 router.get('/spread-history', getSpreadHistoryController);
 router.get('/alerts', getAlertsHistory);
 
+// Server-side alert rules (evaluated in the aggregator loop)
+router.get('/alert-rules', listAlertRules);
+router.post('/alert-rules', createAlertRule);
+router.put('/alert-rules/:id', updateAlertRule);
+router.delete('/alert-rules/:id', deleteAlertRule);
+
+// Outbound webhooks (signed event deliveries)
+router.get('/webhooks', listWebhooks);
+router.post('/webhooks', createWebhook);
+router.put('/webhooks/:id', updateWebhook);
+router.delete('/webhooks/:id', deleteWebhook);
+router.get('/webhooks/:id/deliveries', getWebhookDeliveries);
+
+// Dashboard positions live in the browser, which reports their exits (position.exit webhook)
+router.post('/positions/exit', reportPositionExit);
+
+// Ghost Mode (paper trading)
+router.get('/simulation/status', getSimulationStatus);
+router.get('/simulation/today', getTodayStats);
+router.get('/simulation/cumulative', getCumulativeStats);
+router.get('/simulation/trades', getRecentTrades);
+router.get('/simulation/hourly', getHourlyBreakdown);
+
+// Threshold backtest over spread_history
+router.get('/backtest', getBacktest);
+
+// Streamed CSV / NDJSON exports (spreads, quotes, alerts, price-metrics, simulated-trades)
+router.get('/export/:dataset', getExport);
+
 export default router;
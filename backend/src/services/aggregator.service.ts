@@ -4,22 +4,25 @@
  * Refactored to TypeScript
  */
 
-import { paradexService } from './exchanges/ParadexService';
-import { vestService } from './exchanges/VestService';
-import { lighterService } from './exchanges/LighterService';
-import { extendedService } from './exchanges/ExtendedService';
-import { TimestampedPrice } from './exchanges/HybridExchangeService';
-import { ALLOWED_SYMBOLS } from '../config';
+import { HybridExchangeService, TimestampedPrice } from './exchanges/HybridExchangeService';
+import { getEnabledExchanges, getExchange, getPairKey } from './exchanges';
+import { SPREAD, FUNDING, RECORDER, SIMULATION } from '../config';
+import { ExecutableSpread, FundingInfo, FundingRate, OrderBook, SpreadMatrix } from '../types';
 import { logger } from '../utils/app-logger';
+import { metricsRegistry } from '../utils/app-metrics';
+import { Counter, Gauge } from 'prom-client';
 
-import { calculateSpreads } from './spread.service';
-import { saveSpread } from '../db/database';
-import { saveAlert } from './alert.service';
+import { calculateSpreads, calculateSpreadMatrix } from './spread.service';
+import { symbolUniverse, UniverseChange } from './symbol-universe.service';
+import { saveSpread } from '../db/spreads-repo';
+import { saveAlert } from '../db/alerts-repo';
+import { marketRecorder } from './recorder.service';
+import { simulationEngine, recordSimulatedTrade, startSimulation, stopSimulation } from './simulation.service';
+import { alertRulesEngine } from './alert-rules.service';
 
 const TAG = 'Aggregator';
 
 // Constants
-const ALERT_THRESHOLD = 0.5; // Log alerts for spreads > 0.5%
 const STALE_THRESHOLD = 30000; // 30 seconds - data older than this is invalid
 
 // Types
@@ -28,14 +31,16 @@ interface ExchangePrice {
     ask: number;
     timestamp: number;
     source: string;
+    book?: OrderBook;
+    bookTimestamp?: number;
+    funding?: FundingInfo;
 }
 
 export interface AggregatedPair {
     symbol: string;
-    vest: ExchangePrice;
-    lighter: ExchangePrice;
-    paradex: ExchangePrice;
-    extended: ExchangePrice;
+
+    // One quote per enabled adapter, keyed by getPairKey() (pair.paradex, pair.vest, ...)
+    [exchange: string]: ExchangePrice | any;
 
     // Calculated fields
     bestBid: number;
@@ -43,16 +48,79 @@ export interface AggregatedPair {
     bestBidEx?: string;
     bestAskEx?: string;
     realSpread: number;
+    netSpread?: number;
+    buyFeeBps?: number;
+    sellFeeBps?: number;
+    grossProfit?: number;
+    netProfit?: number;
     potentialProfit?: number;
+    fundingCarryPerHour?: number;   // % per hour, long bestAskEx / short bestBidEx
+    expectedFunding?: number;       // % over fundingHorizonHours
+    fundingHorizonHours?: number;
+    executable?: ExecutableSpread;  // Size-aware spread ('depth' mode)
 }
 
 // Global price cache
 let PRICE_CACHE: Record<string, AggregatedPair> = {};
 
-// WebSocket broadcaster
-type Broadcaster = (data: any) => void;
+// Adapters started by startScheduler (enabled subset of the registry)
+let activeExchanges: HybridExchangeService[] = getEnabledExchanges();
+
+// WebSocket broadcaster (returns the number of clients reached)
+type Broadcaster = (data: any) => number;
 let wsBroadcaster: Broadcaster | null = null;
 
+// ==================== Metrics ====================
+
+new Gauge({
+    name: 'scanner_stale_symbols',
+    help: 'Cached symbols older than the exchange stale threshold',
+    labelNames: ['exchange'] as const,
+    registers: [metricsRegistry],
+    collect() {
+        this.reset();
+        activeExchanges.forEach(service => this.set({ exchange: service.name }, service.getStats().stale));
+    }
+});
+
+new Gauge({
+    name: 'scanner_spread_percent',
+    help: 'Current best-route spread per symbol (%)',
+    labelNames: ['symbol'] as const,
+    registers: [metricsRegistry],
+    collect() {
+        this.reset();
+        Object.values(PRICE_CACHE).forEach(pair => {
+            if (pair.bestBid > 0 && pair.bestAsk > 0) this.set({ symbol: pair.symbol }, pair.realSpread);
+        });
+    }
+});
+
+const alertsFired = new Counter({
+    name: 'scanner_alerts_fired_total',
+    help: 'Alerts fired by the rules engine per symbol',
+    labelNames: ['symbol'] as const,
+    registers: [metricsRegistry]
+});
+
+const broadcastFanout = new Gauge({
+    name: 'scanner_broadcast_fanout',
+    help: 'WebSocket clients reached by the last price broadcast',
+    registers: [metricsRegistry]
+});
+
+const broadcastMessages = new Counter({
+    name: 'scanner_broadcast_messages_total',
+    help: 'Price update messages sent to WebSocket clients',
+    registers: [metricsRegistry]
+});
+
+// Clock for freshness and throttling (replays run on the recording's clock)
+let clock: () => number = Date.now;
+
+// Replays skip spread history and alerts unless asked to persist
+let persist = true;
+
 // Track last DB save per symbol
 const lastDbSave = new Map<string, number>();
 const DB_SAVE_THROTTLE = 5000;
@@ -66,23 +134,23 @@ let broadcastPending = false;
  * Create empty pair structure
  */
 function createPair(symbol: string): AggregatedPair {
-    return {
+    const pair: AggregatedPair = {
         symbol,
-        vest: { bid: 0, ask: 0, timestamp: 0, source: 'none' },
-        lighter: { bid: 0, ask: 0, timestamp: 0, source: 'none' },
-        paradex: { bid: 0, ask: 0, timestamp: 0, source: 'none' },
-        extended: { bid: 0, ask: 0, timestamp: 0, source: 'none' },
         bestBid: 0,
         bestAsk: 0,
         realSpread: 0
     };
+    activeExchanges.forEach(service => {
+        pair[getPairKey(service.name)] = { bid: 0, ask: 0, timestamp: 0, source: 'none' };
+    });
+    return pair;
 }
 
 /**
  * Ensure pair exists in cache
  */
 function ensurePair(symbol: string): AggregatedPair | null {
-    if (!ALLOWED_SYMBOLS.includes(symbol)) return null;
+    if (!symbolUniverse.has(symbol)) return null;
 
     if (!PRICE_CACHE[symbol]) {
         PRICE_CACHE[symbol] = createPair(symbol);
@@ -94,7 +162,7 @@ function ensurePair(symbol: string): AggregatedPair | null {
  * Check if data is fresh
  */
 function isFresh(timestamp: number): boolean {
-    return timestamp > 0 && (Date.now() - timestamp) <= STALE_THRESHOLD;
+    return timestamp > 0 && (clock() - timestamp) <= STALE_THRESHOLD;
 }
 
 /**
@@ -121,7 +189,9 @@ function performBroadcast() {
     if (wsBroadcaster) {
         const dataToBroadcast = getPriceCache();
         if (Object.keys(dataToBroadcast).length > 0) {
-            wsBroadcaster(dataToBroadcast);
+            const clients = wsBroadcaster(dataToBroadcast);
+            broadcastFanout.set(clients);
+            broadcastMessages.inc(clients);
             lastBroadcastTime = Date.now();
         }
     }
@@ -131,17 +201,37 @@ function performBroadcast() {
  * Update cache and recalculate spreads
  */
 function updateAndRecalculate() {
-    const now = Date.now();
+    const now = clock();
 
     // Calculate spreads using only fresh data
     // Note: calculateSpreads modifies the cache object in place
     calculateSpreads(PRICE_CACHE, (exchange: string, data: ExchangePrice) => {
         return isFresh(data.timestamp);
+    }, {
+        mode: SPREAD.MODE,
+        notionalUsd: SPREAD.NOTIONAL_USD,
+        targetSpread: SPREAD.TARGET_SPREAD_PERCENT,
+        fundingHorizonHours: FUNDING.HORIZON_HOURS
     });
 
-    // Save to DB, check for alerts
+    // Paper trading (Ghost Mode) on the freshly computed spreads
+    if (SIMULATION.ENABLED) {
+        simulationEngine.evaluate(Object.values(PRICE_CACHE), now, quote => isFresh(quote.timestamp))
+            .forEach(trade => {
+                if (persist) recordSimulatedTrade(trade);
+            });
+    }
+
+    // Alert rules (fired alerts are also emitted to WS clients by the engine)
+    alertRulesEngine.evaluate(Object.values(PRICE_CACHE), now, quote => isFresh(quote.timestamp))
+        .forEach(alert => {
+            alertsFired.inc({ symbol: alert.symbol });
+            if (persist) saveAlert(alert).catch((err: any) => logger.error(TAG, 'Failed to save alert', err));
+        });
+
+    // Save to DB
     Object.values(PRICE_CACHE).forEach(pair => {
-        if (pair.bestBid > 0 && pair.bestAsk > 0) {
+        if (persist && pair.bestBid > 0 && pair.bestAsk > 0) {
             const lastSave = lastDbSave.get(pair.symbol) || 0;
 
             if (now - lastSave >= DB_SAVE_THROTTLE) {
@@ -152,13 +242,9 @@ function updateAndRecalculate() {
                     bestAsk: pair.bestAsk,
                     bestBidEx: pair.bestBidEx,
                     bestAskEx: pair.bestAskEx
-                });
+                }).catch(err => logger.error(TAG, 'Failed to save spread', err));
                 lastDbSave.set(pair.symbol, now);
             }
-
-            if (pair.realSpread >= ALERT_THRESHOLD) {
-                saveAlert(pair).catch((err: any) => logger.error(TAG, 'Failed to save alert', err));
-            }
         }
     });
 
@@ -166,9 +252,9 @@ function updateAndRecalculate() {
 }
 
 /**
- * Generic handler for all exchange updates
+ * Generic handler for all exchange updates (also fed by replays)
  */
-function handleUpdate(exchangeName: keyof AggregatedPair, data: TimestampedPrice) {
+export function handleUpdate(exchangeName: string, data: TimestampedPrice) {
     const pair = ensurePair(data.symbol);
     if (!pair) return;
 
@@ -178,11 +264,38 @@ function handleUpdate(exchangeName: keyof AggregatedPair, data: TimestampedPrice
         target.ask = data.ask;
         target.timestamp = data.timestamp;
         target.source = data.source;
+        target.book = data.book;
+        target.bookTimestamp = data.bookTimestamp;
 
         updateAndRecalculate();
     }
 }
 
+/**
+ * Funding handler for all exchanges (no recalculation, picked up on the next price tick)
+ */
+export function handleFunding(exchangeName: string, data: FundingRate) {
+    const pair = ensurePair(data.symbol);
+    if (!pair) return;
+
+    const target = pair[exchangeName] as ExchangePrice;
+    if (target) {
+        const { symbol, ...funding } = data;
+        target.funding = funding;
+    }
+}
+
+/**
+ * Keep the cache in sync with the symbol universe
+ */
+function handleUniverseChange({ added, removed }: UniverseChange) {
+    added.forEach(symbol => ensurePair(symbol));
+    removed.forEach(symbol => {
+        delete PRICE_CACHE[symbol];
+        lastDbSave.delete(symbol);
+    });
+}
+
 // ==================== Public API ====================
 
 /**
@@ -190,7 +303,7 @@ function handleUpdate(exchangeName: keyof AggregatedPair, data: TimestampedPrice
  */
 export function getPriceCache() {
     const filtered: Record<string, AggregatedPair> = {};
-    ALLOWED_SYMBOLS.forEach(symbol => {
+    symbolUniverse.getSymbols().forEach(symbol => {
         if (PRICE_CACHE[symbol]) {
             filtered[symbol] = PRICE_CACHE[symbol];
         }
@@ -198,16 +311,30 @@ export function getPriceCache() {
     return filtered;
 }
 
+/**
+ * Get the full NxN route matrix for a symbol (fresh data only)
+ */
+export function getSpreadMatrix(symbol: string): SpreadMatrix | null {
+    const pair = PRICE_CACHE[symbol];
+    if (!pair || !symbolUniverse.has(symbol)) return null;
+
+    return calculateSpreadMatrix(pair, (exchange: string, data: ExchangePrice) => isFresh(data.timestamp));
+}
+
+/**
+ * Names of the exchanges feeding the aggregator (uppercase registry keys)
+ */
+export function getActiveExchanges(): string[] {
+    return activeExchanges.map(service => service.name);
+}
+
 /**
  * Get service stats
  */
 export function getStats() {
-    return {
-        vest: vestService.getStats(),
-        lighter: lighterService.getStats(),
-        paradex: paradexService.getStats(),
-        extended: extendedService.getStats()
-    };
+    return Object.fromEntries(
+        activeExchanges.map(service => [getPairKey(service.name), service.getStats()])
+    );
 }
 
 /**
@@ -216,28 +343,36 @@ export function getStats() {
 export async function startScheduler() {
     logger.info(TAG, 'Starting V2 Aggregator services...');
 
+    activeExchanges = getEnabledExchanges();
+    if (activeExchanges.length === 0) {
+        logger.warn(TAG, 'No exchange adapters enabled (check EXCHANGES_ENABLED / EXCHANGES_DISABLED)');
+    }
+    logger.info(TAG, `Enabled exchanges: ${getActiveExchanges().join(', ')}`);
+
+    // Discover the symbol universe before subscribing anywhere
+    await symbolUniverse.start(activeExchanges);
+    symbolUniverse.on('change', handleUniverseChange);
+
     // Initialize cache
     PRICE_CACHE = {};
-    ALLOWED_SYMBOLS.forEach(symbol => {
+    symbolUniverse.getSymbols().forEach(symbol => {
         PRICE_CACHE[symbol] = createPair(symbol);
     });
     logger.info(TAG, `Initialized cache with ${Object.keys(PRICE_CACHE).length} symbols`);
 
-    // Start Paradex
-    paradexService.on('update', (data) => handleUpdate('paradex', data));
-    await paradexService.start();
-
-    // Start Vest
-    vestService.on('update', (data) => handleUpdate('vest', data));
-    await vestService.start();
-
-    // Start Lighter
-    lighterService.on('update', (data) => handleUpdate('lighter', data));
-    await lighterService.start();
+    if (RECORDER.ENABLED) {
+        marketRecorder.start(activeExchanges);
+    }
+    if (SIMULATION.ENABLED) {
+        startSimulation();
+    }
 
-    // Start Extended
-    extendedService.on('update', (data) => handleUpdate('extended', data));
-    await extendedService.start();
+    for (const service of activeExchanges) {
+        const key = getPairKey(service.name);
+        service.on('update', (data) => handleUpdate(key, data));
+        service.on('funding', (data) => handleFunding(key, data));
+        await service.start();
+    }
 
     logger.info(TAG, '════════════════════════════════════════════════');
     logger.info(TAG, '✓ All services started');
@@ -249,13 +384,40 @@ export async function startScheduler() {
  */
 export function stopScheduler() {
     logger.info(TAG, 'Stopping all services...');
-    paradexService.stop();
-    vestService.stop();
-    lighterService.stop();
-    extendedService.stop();
+    symbolUniverse.stop();
+    symbolUniverse.off('change', handleUniverseChange);
+    activeExchanges.forEach(service => service.stop());
+    stopSimulation();
+    marketRecorder.stop().catch((err: any) => logger.error(TAG, 'Failed to close recording', err));
     logger.info(TAG, 'All services stopped');
 }
 
+/**
+ * Reset the cache for a replay (no adapter is started)
+ * Exchanges and symbols come from the recording header
+ */
+export function prepareReplay(exchanges: string[], symbols: string[], options: { clock: () => number; persist?: boolean }) {
+    activeExchanges = exchanges
+        .map(name => getExchange(name))
+        .filter((service): service is HybridExchangeService => service !== undefined);
+
+    symbolUniverse.off('change', handleUniverseChange);
+    symbolUniverse.pin(symbols);
+    symbolUniverse.on('change', handleUniverseChange);
+
+    PRICE_CACHE = {};
+    lastDbSave.clear();
+    simulationEngine.reset();
+    alertRulesEngine.reset();
+    symbolUniverse.getSymbols().forEach(symbol => {
+        PRICE_CACHE[symbol] = createPair(symbol);
+    });
+
+    clock = options.clock;
+    persist = options.persist ?? false;
+    logger.info(TAG, `Replay: ${getActiveExchanges().join(', ')} / ${symbols.length} symbols`);
+}
+
 /**
  * Set WebSocket broadcaster
  */
@@ -0,0 +1,276 @@
+/**
+ * Alert Rules Service
+ * Evaluates the alert_rules (plus the global ALERTS.GLOBAL_THRESHOLD catch-all)
+ * on every aggregator tick. A rule fires once its spread has held the
+ * threshold for minDurationMs, outside quiet hours and its cooldown, then
+ * stays silent until the spread drops below threshold - hysteresis.
+ */
+
+import { EventEmitter } from 'events';
+import { ALERTS } from '../config';
+import { AlertRule, FiredAlert } from '../types';
+import { listAlertRules, AlertRuleInput } from '../db/alert-rules-repo';
+import { EXCHANGE_REGISTRY, getPairKey } from './exchanges';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'AlertRules';
+
+const QUIET_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+interface Quote {
+    bid: number;
+    ask: number;
+    timestamp: number;
+}
+
+interface RuleState {
+    armed: boolean;
+    since: number | null;       // Start of the current above-threshold run
+    lastFired: number;
+}
+
+// What check() needs from a rule (the global threshold has no row)
+type RuleSpec = Pick<AlertRule, 'buyExchange' | 'sellExchange' | 'threshold' | 'minDurationMs' | 'hysteresis' | 'cooldownMs' | 'quietStart' | 'quietEnd'>;
+
+interface RouteSpread {
+    spread: number;
+    buyExchange: string;
+    sellExchange: string;
+    buyPrice: number;
+    sellPrice: number;
+}
+
+export class AlertRuleError extends Error { }
+
+const minutesOf = (time: string): number => {
+    const [, hours, minutes] = QUIET_TIME.exec(time)!;
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Quiet window in server local time; start > end wraps midnight
+ */
+export function isQuiet(rule: Pick<AlertRule, 'quietStart' | 'quietEnd'>, now: number): boolean {
+    if (!rule.quietStart || !rule.quietEnd) return false;
+
+    const date = new Date(now);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const start = minutesOf(rule.quietStart);
+    const end = minutesOf(rule.quietEnd);
+
+    return start <= end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+}
+
+class AlertRulesEngine extends EventEmitter {
+    private rules: AlertRule[] = [];
+    private state: Map<string, RuleState> = new Map();
+
+    setRules(rules: AlertRule[]): void {
+        this.rules = rules;
+
+        // Forget the state of deleted or edited rules (edits re-arm)
+        const live = new Set(rules.map(rule => `${rule.id}@${rule.updatedAt}`));
+        [...this.state.keys()].forEach(key => {
+            const ruleKey = key.slice(0, key.indexOf(':'));
+            if (ruleKey !== 'global' && !live.has(ruleKey)) this.state.delete(key);
+        });
+    }
+
+    getRules(): AlertRule[] {
+        return this.rules;
+    }
+
+    reset(): void {
+        this.state.clear();
+    }
+
+    /**
+     * Evaluate one aggregator tick; returns (and emits) the alerts fired
+     * isFresh decides whether a venue quote can be alerted on
+     */
+    evaluate(pairs: any[], now: number, isFresh: (quote: Quote) => boolean): FiredAlert[] {
+        const fired: FiredAlert[] = [];
+        const bySymbol = new Map(pairs.map(pair => [pair.symbol, pair]));
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled) return;
+            const pair = bySymbol.get(rule.symbol);
+            if (!pair) return;
+
+            const alert = this.check(`${rule.id}@${rule.updatedAt}:${rule.symbol}`, rule.id, rule, pair, now, isFresh);
+            if (alert) fired.push(alert);
+        });
+
+        if (ALERTS.GLOBAL_THRESHOLD > 0) {
+            const globalRule = this.globalRule();
+            pairs.forEach(pair => {
+                const alert = this.check(`global:${pair.symbol}`, null, globalRule, pair, now, isFresh);
+                if (alert) fired.push(alert);
+            });
+        }
+
+        fired.forEach(alert => this.emit('alert', alert));
+        return fired;
+    }
+
+    private globalRule(): RuleSpec {
+        return {
+            buyExchange: null,
+            sellExchange: null,
+            threshold: ALERTS.GLOBAL_THRESHOLD,
+            minDurationMs: 0,
+            hysteresis: 0,
+            cooldownMs: ALERTS.GLOBAL_COOLDOWN_MS,
+            quietStart: null,
+            quietEnd: null
+        };
+    }
+
+    private check(key: string, ruleId: number | null, rule: RuleSpec, pair: any, now: number, isFresh: (quote: Quote) => boolean): FiredAlert | null {
+        const route = this.routeSpread(rule, pair, isFresh);
+        const state = this.state.get(key) || { armed: true, since: null, lastFired: -Infinity };
+        this.state.set(key, state);
+
+        // No fresh route: keep the arming, restart the persistence clock
+        if (!route) {
+            state.since = null;
+            return null;
+        }
+
+        if (!state.armed) {
+            if (route.spread < rule.threshold - rule.hysteresis) state.armed = true;
+            return null;
+        }
+
+        if (route.spread < rule.threshold) {
+            state.since = null;
+            return null;
+        }
+
+        if (state.since === null) state.since = now;
+        if (now - state.since < rule.minDurationMs) return null;
+        if (now - state.lastFired < rule.cooldownMs) return null;
+        if (isQuiet(rule, now)) return null;
+
+        state.armed = false;
+        state.since = null;
+        state.lastFired = now;
+
+        return {
+            ruleId,
+            symbol: pair.symbol,
+            spread: route.spread,
+            threshold: rule.threshold,
+            buyExchange: route.buyExchange,
+            sellExchange: route.sellExchange,
+            buyPrice: route.buyPrice,
+            sellPrice: route.sellPrice,
+            timestamp: now
+        };
+    }
+
+    /**
+     * The rule's route (buy on buyExchange ask, sell on sellExchange bid) or the best one
+     */
+    private routeSpread(rule: RuleSpec, pair: any, isFresh: (quote: Quote) => boolean): RouteSpread | null {
+        if (rule.buyExchange && rule.sellExchange) {
+            const buy: Quote | undefined = pair[getPairKey(rule.buyExchange)];
+            const sell: Quote | undefined = pair[getPairKey(rule.sellExchange)];
+            if (!buy || !sell || !(buy.ask > 0) || !(sell.bid > 0) || !isFresh(buy) || !isFresh(sell)) return null;
+
+            return {
+                spread: ((sell.bid - buy.ask) / buy.ask) * 100,
+                buyExchange: rule.buyExchange,
+                sellExchange: rule.sellExchange,
+                buyPrice: buy.ask,
+                sellPrice: sell.bid
+            };
+        }
+
+        // Best route, as computed by the spread engine on fresh quotes
+        if (!pair.bestAskEx || !pair.bestBidEx || pair.bestAskEx === pair.bestBidEx || !(pair.bestAsk > 0)) return null;
+        return {
+            spread: pair.realSpread,
+            buyExchange: pair.bestAskEx,
+            sellExchange: pair.bestBidEx,
+            buyPrice: pair.bestAsk,
+            sellPrice: pair.bestBid
+        };
+    }
+}
+
+// ==================== Rules CRUD ====================
+
+const optionalNumber = (value: any, name: string, fallback: number): number => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const parsed = Number(value);
+    if (!isFinite(parsed) || parsed < 0) throw new AlertRuleError(`${name} must be a number >= 0`);
+    return parsed;
+};
+
+const optionalExchange = (value: any, name: string): string | null => {
+    if (value === undefined || value === null || value === '') return null;
+    const exchange = String(value).toUpperCase();
+    if (!EXCHANGE_REGISTRY[exchange]) throw new AlertRuleError(`${name}: unknown exchange ${value}`);
+    return exchange;
+};
+
+const optionalTime = (value: any, name: string): string | null => {
+    if (value === undefined || value === null || value === '') return null;
+    if (!QUIET_TIME.test(String(value))) throw new AlertRuleError(`${name} must be HH:MM`);
+    return String(value);
+};
+
+/**
+ * Validate a rule from the API; fields missing from input keep their
+ * current value (updates) or defaults (creates)
+ */
+export function parseAlertRule(input: Record<string, any>, current?: AlertRule): AlertRuleInput {
+    const merged: Record<string, any> = { ...current, ...input };
+
+    const symbol = typeof merged.symbol === 'string' ? merged.symbol.trim().toUpperCase() : '';
+    if (!symbol) throw new AlertRuleError('symbol is required');
+
+    const threshold = Number(merged.threshold);
+    if (merged.threshold === undefined || merged.threshold === null || merged.threshold === '' || !isFinite(threshold)) {
+        throw new AlertRuleError('threshold must be a number');
+    }
+
+    const buyExchange = optionalExchange(merged.buyExchange, 'buyExchange');
+    const sellExchange = optionalExchange(merged.sellExchange, 'sellExchange');
+    if (!buyExchange !== !sellExchange) throw new AlertRuleError('buyExchange and sellExchange go together');
+    if (buyExchange && buyExchange === sellExchange) throw new AlertRuleError('buyExchange and sellExchange must differ');
+
+    const quietStart = optionalTime(merged.quietStart, 'quietStart');
+    const quietEnd = optionalTime(merged.quietEnd, 'quietEnd');
+    if (!quietStart !== !quietEnd) throw new AlertRuleError('quietStart and quietEnd go together');
+
+    return {
+        symbol,
+        buyExchange,
+        sellExchange,
+        threshold,
+        minDurationMs: optionalNumber(merged.minDurationMs, 'minDurationMs', 0),
+        hysteresis: optionalNumber(merged.hysteresis, 'hysteresis', 0),
+        cooldownMs: optionalNumber(merged.cooldownMs, 'cooldownMs', 60000),
+        quietStart,
+        quietEnd,
+        enabled: merged.enabled === undefined ? true : merged.enabled === true || merged.enabled === 'true'
+    };
+}
+
+/**
+ * Reload the engine's rules from alert_rules (startup and after every change)
+ */
+export async function reloadAlertRules(): Promise<AlertRule[]> {
+    const rules = await listAlertRules();
+    alertRulesEngine.setRules(rules);
+    logger.info(TAG, `${rules.filter(rule => rule.enabled).length}/${rules.length} alert rules active`);
+    return rules;
+}
+
+// Export singleton
+export const alertRulesEngine = new AlertRulesEngine();
+export { AlertRulesEngine };
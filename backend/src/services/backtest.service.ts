@@ -0,0 +1,265 @@
+/**
+ * Backtest Service
+ * Replays spread_history through an entry/exit threshold strategy to tune
+ * per-pair thresholds: open when a symbol's best-route spread reaches the
+ * entry threshold, close when it falls to the exit threshold (or after the
+ * max hold). History only keeps the best route, so the exit is marked at
+ * the best-route spread, an upper bound on ours: PnL errs on the low side.
+ */
+
+import { HISTORY, SIMULATION } from '../config';
+import { getFeeRates } from '../config/exchanges';
+import { eachSpread, SpreadRow } from '../db/spreads-repo';
+import { parseTime, parseTimestamp } from '../utils/app-time';
+import { rawHistoryStart } from './history.service';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_MS = 90 * DAY_MS;
+
+/** Fee per fill: venue taker or maker rates, or a flat bps */
+export type FeeModel = 'taker' | 'maker' | number;
+
+export interface BacktestParams {
+    symbols: string[];          // Empty = every symbol in history
+    entrySpread: number;        // % - open at or above
+    exitSpread: number;         // % - close at or below
+    maxHoldMs: number;
+    notionalUsd: number;
+    fees: FeeModel;
+    slippageBps: number;        // Per round trip, on the notional
+    from: number;
+    to: number;
+}
+
+export interface BacktestTrade {
+    symbol: string;
+    buyExchange: string;
+    sellExchange: string;
+    entryTime: number;
+    exitTime: number;
+    entrySpread: number;
+    exitSpread: number;
+    holdMs: number;
+    grossPnl: number;
+    costs: number;              // Fees + slippage
+    netPnl: number;
+    exitReason: 'converged' | 'max_hold' | 'end_of_data';
+}
+
+export interface BacktestSummary {
+    trades: number;
+    wins: number;
+    hitRate: number;            // 0..1
+    grossPnl: number;
+    costs: number;
+    netPnl: number;
+    avgHoldMs: number;
+    maxDrawdown: number;        // USD, peak to trough of the equity curve
+}
+
+export interface BacktestResult {
+    params: BacktestParams;
+    rows: number;
+    summary: BacktestSummary;
+    bySymbol: Record<string, BacktestSummary>;
+    trades: BacktestTrade[];
+    equityCurve: { timestamp: number; equity: number }[];
+}
+
+export class BacktestParamError extends Error { }
+
+interface OpenTrade {
+    buyExchange: string;
+    sellExchange: string;
+    entryTime: number;
+    entrySpread: number;
+}
+
+/**
+ * Walks rows in time order, one position per symbol at a time
+ */
+export class Backtester {
+    private open: Map<string, OpenTrade> = new Map();
+    private last: Map<string, { time: number; spread: number }> = new Map();
+    private trades: BacktestTrade[] = [];
+    private rows = 0;
+
+    constructor(private params: BacktestParams) { }
+
+    feed(row: SpreadRow): void {
+        const time = parseTimestamp(row.timestamp);
+        if (isNaN(time) || row.spread === null || isNaN(row.spread)) return;
+
+        this.rows++;
+        this.last.set(row.symbol, { time, spread: row.spread });
+
+        const position = this.open.get(row.symbol);
+        if (position) {
+            if (row.spread <= this.params.exitSpread) {
+                this.close(row.symbol, position, time, row.spread, 'converged');
+            } else if (time - position.entryTime >= this.params.maxHoldMs) {
+                this.close(row.symbol, position, time, row.spread, 'max_hold');
+            }
+            return;
+        }
+
+        const routed = row.bid_exchange && row.ask_exchange && row.bid_exchange !== 'UNKNOWN'
+            && row.ask_exchange !== 'UNKNOWN' && row.bid_exchange !== row.ask_exchange;
+        if (routed && row.spread >= this.params.entrySpread) {
+            this.open.set(row.symbol, {
+                buyExchange: row.ask_exchange,
+                sellExchange: row.bid_exchange,
+                entryTime: time,
+                entrySpread: row.spread
+            });
+        }
+    }
+
+    /**
+     * Close what is still open at each symbol's last row and summarize
+     */
+    finish(): BacktestResult {
+        this.open.forEach((position, symbol) => {
+            const last = this.last.get(symbol)!;
+            this.close(symbol, position, last.time, last.spread, 'end_of_data');
+        });
+        this.open.clear();
+
+        const trades = [...this.trades].sort((a, b) => a.exitTime - b.exitTime);
+
+        let equity = 0;
+        const equityCurve = trades.map(trade => {
+            equity += trade.netPnl;
+            return { timestamp: trade.exitTime, equity };
+        });
+
+        const bySymbol: Record<string, BacktestSummary> = {};
+        [...new Set(trades.map(t => t.symbol))].sort().forEach(symbol => {
+            bySymbol[symbol] = summarize(trades.filter(t => t.symbol === symbol));
+        });
+
+        return {
+            params: this.params,
+            rows: this.rows,
+            summary: summarize(trades),
+            bySymbol,
+            trades,
+            equityCurve
+        };
+    }
+
+    private close(symbol: string, position: OpenTrade, time: number, exitSpread: number, exitReason: BacktestTrade['exitReason']): void {
+        const { notionalUsd } = this.params;
+        const grossPnl = notionalUsd * (position.entrySpread - exitSpread) / 100;
+
+        // Open and close both legs: four fills
+        const feeBps = this.feeBps(position.buyExchange) + this.feeBps(position.sellExchange);
+        const costs = notionalUsd * (feeBps * 2 + this.params.slippageBps) / 10000;
+
+        this.trades.push({
+            symbol,
+            buyExchange: position.buyExchange,
+            sellExchange: position.sellExchange,
+            entryTime: position.entryTime,
+            exitTime: time,
+            entrySpread: position.entrySpread,
+            exitSpread,
+            holdMs: time - position.entryTime,
+            grossPnl,
+            costs,
+            netPnl: grossPnl - costs,
+            exitReason
+        });
+        this.open.delete(symbol);
+    }
+
+    private feeBps(exchange: string): number {
+        const { fees } = this.params;
+        if (typeof fees === 'number') return fees;
+        const rates = getFeeRates(exchange);
+        return fees === 'maker' ? rates.makerBps : rates.takerBps;
+    }
+}
+
+function summarize(trades: BacktestTrade[]): BacktestSummary {
+    const sum = (pick: (t: BacktestTrade) => number) => trades.reduce((acc, t) => acc + pick(t), 0);
+    const wins = trades.filter(t => t.netPnl > 0).length;
+
+    let equity = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    trades.forEach(trade => {
+        equity += trade.netPnl;
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    });
+
+    return {
+        trades: trades.length,
+        wins,
+        hitRate: trades.length ? wins / trades.length : 0,
+        grossPnl: sum(t => t.grossPnl),
+        costs: sum(t => t.costs),
+        netPnl: sum(t => t.netPnl),
+        avgHoldMs: trades.length ? sum(t => t.holdMs) / trades.length : 0,
+        maxDrawdown
+    };
+}
+
+// ==================== Params ====================
+
+const parseNumber = (raw: any, name: string, fallback: number, min = 0): number => {
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    if (isNaN(value) || value < min) throw new BacktestParamError(`${name} must be a number >= ${min}`);
+    return value;
+};
+
+/**
+ * Build params from loose input (query string or CLI flags); defaults follow
+ * the Ghost Mode simulator settings over the last 7 days
+ */
+export function parseBacktestParams(input: Record<string, any>, now: number = Date.now()): BacktestParams {
+    const symbols = String(input.symbols || '')
+        .split(',')
+        .map(s => s.trim().toUpperCase())
+        .filter(Boolean);
+
+    let fees: FeeModel = 'taker';
+    if (input.fees !== undefined && input.fees !== '') {
+        fees = input.fees === 'taker' || input.fees === 'maker' ? input.fees : parseNumber(input.fees, 'fees', 0);
+    }
+
+    const to = parseTime(input.to, 'to', now, BacktestParamError);
+    const from = parseTime(input.from, 'from', to - 7 * DAY_MS, BacktestParamError);
+    if (from >= to) throw new BacktestParamError('from must be before to');
+    if (to - from > MAX_RANGE_MS) throw new BacktestParamError('range is limited to 90 days');
+    const rawStart = rawHistoryStart(now);
+    if (rawStart !== null && from < rawStart) {
+        throw new BacktestParamError(`from must be within the last ${HISTORY.RAW_RETENTION_DAYS} days (raw history retention)`);
+    }
+
+    const params: BacktestParams = {
+        symbols,
+        entrySpread: parseNumber(input.entry, 'entry', SIMULATION.MIN_SPREAD_PERCENT, -Infinity),
+        exitSpread: parseNumber(input.exit, 'exit', SIMULATION.CLOSE_SPREAD_PERCENT, -Infinity),
+        maxHoldMs: parseNumber(input.maxHoldMs, 'maxHoldMs', SIMULATION.MAX_HOLD_MS, 1),
+        notionalUsd: parseNumber(input.notional, 'notional', SIMULATION.POSITION_SIZE_USD, 1),
+        fees,
+        slippageBps: parseNumber(input.slippageBps, 'slippageBps', 0),
+        from,
+        to
+    };
+
+    if (params.exitSpread >= params.entrySpread) throw new BacktestParamError('exit must be below entry');
+    return params;
+}
+
+/**
+ * Run a backtest over the stored spread history
+ */
+export async function runBacktest(params: BacktestParams): Promise<BacktestResult> {
+    const backtester = new Backtester(params);
+    await eachSpread(params.symbols, params.from, params.to, row => backtester.feed(row));
+    return backtester.finish();
+}
@@ -0,0 +1,211 @@
+/**
+ * Aevo Hybrid Exchange Service
+ * WebSocket-primary (orderbook:<instrument> channel) with REST fallback
+ * API Docs: https://api-docs.aevo.xyz/reference/websocket-api
+ */
+
+import WebSocket from 'ws';
+import axios from 'axios';
+import { HybridExchangeService, HybridConfig, LevelBook } from './HybridExchangeService';
+import { MarketData } from './BaseExchangeService';
+import { FundingRate, OrderBook } from '../../types';
+import { logger } from '../../utils/app-logger';
+import { symbolUniverse } from '../symbol-universe.service';
+import { API_ENDPOINTS } from '../../config/exchanges';
+import { REQUEST_TIMEOUT, CONCURRENCY } from '../../config';
+import { sleep } from '../../utils/app-sleep';
+
+const TAG = 'Aevo';
+
+// Timeout and staleness thresholds
+const WS_TIMEOUT = 15000;
+const STALE_THRESHOLD = 30000;
+const BOOK_CHANNEL = (instrument: string) => `orderbook:${instrument}`;
+
+class AevoService extends HybridExchangeService {
+    readonly name = 'AEVO';
+
+    private nextRequestId = 1;
+
+    // Full L2 book per symbol (price -> size), trimmed to BOOK_DEPTH on emit
+    private orderBooks: Record<string, LevelBook> = {};
+
+    constructor() {
+        const config: HybridConfig = {
+            name: 'AEVO',
+            wsUrl: API_ENDPOINTS.AEVO_WS,
+            wsTimeout: WS_TIMEOUT,
+            staleThreshold: STALE_THRESHOLD
+        };
+        super(config);
+    }
+
+    // ==================== WebSocket Implementation ====================
+
+    protected subscriptionFrames(symbols: string[], op: 'subscribe' | 'unsubscribe'): object[] {
+        return [{
+            op,
+            data: symbols.map(symbol => BOOK_CHANNEL(this.toMarketId(symbol, `${symbol}-PERP`)))
+        }];
+    }
+
+    /**
+     * Application-level ping ({ op: 'ping' }), answered with a timestamp
+     */
+    protected pingFrame(): object {
+        return { op: 'ping', id: this.nextRequestId++ };
+    }
+
+    protected onWsClosed(): void {
+        this.orderBooks = {};
+    }
+
+    /**
+     * { channel: 'orderbook:BTC-PERP', data: { type: 'snapshot' | 'update', bids, asks } }
+     * Levels are [price, amount, iv]; amount '0' removes the level
+     */
+    protected onWsMessage(data: WebSocket.Data): void {
+        try {
+            const msg = JSON.parse(data.toString());
+            if (!msg.channel?.startsWith('orderbook:') || !msg.data) return;
+
+            const instrument = msg.data.instrument_name || msg.channel.split(':')[1];
+            if (!instrument?.endsWith('-PERP')) return;
+
+            const symbol = this.toAsset(instrument);
+            if (!symbolUniverse.has(symbol)) return;
+
+            const isSnapshot = msg.data.type === 'snapshot';
+            if (!isSnapshot && !this.orderBooks[symbol]) return;
+            if (isSnapshot) {
+                this.orderBooks[symbol] = { bids: new Map(), asks: new Map() };
+            }
+
+            const book = this.orderBooks[symbol];
+            this.applyLevels(book.bids, msg.data.bids);
+            this.applyLevels(book.asks, msg.data.asks);
+
+            const { bids, asks } = this.snapshotBook(book);
+            const bestBid = bids[0]?.price || 0;
+            const bestAsk = asks[0]?.price || 0;
+
+            if (bestBid > 0 && bestAsk > 0) {
+                this.onWsUpdate(symbol, bestBid, bestAsk, { bids, asks });
+            }
+        } catch (e) {
+            // Ignore parse errors
+        }
+    }
+
+    // ==================== REST Fallback Implementation ====================
+
+    /**
+     * Fetch books of the tracked instruments Aevo lists (GET /orderbook?instrument_name=)
+     */
+    async fetchMarkets(): Promise<MarketData[]> {
+        const results: MarketData[] = [];
+        const symbols = this.listedSymbols();
+
+        try {
+            for (let i = 0; i < symbols.length; i += CONCURRENCY) {
+                const batch = symbols.slice(i, i + CONCURRENCY);
+                const books = await Promise.all(batch.map(symbol => this.fetchOrderBook(symbol)));
+
+                books.forEach((book, j) => {
+                    if (book?.bids.length && book.asks.length) {
+                        results.push({ symbol: batch[j], bid: book.bids[0].price, ask: book.asks[0].price, book });
+                    }
+                });
+
+                await sleep(100);
+            }
+        } catch (error: any) {
+            logger.error(TAG, `REST fetch failed: ${error.message}`);
+        }
+
+        return results;
+    }
+
+    private async fetchOrderBook(symbol: string): Promise<OrderBook | null> {
+        const instrument = this.toMarketId(symbol, `${symbol}-PERP`);
+
+        try {
+            const res = await this.trackRest(axios.get(`${API_ENDPOINTS.AEVO}/orderbook`, {
+                params: { instrument_name: instrument },
+                timeout: REQUEST_TIMEOUT
+            }));
+
+            return this.trimBook({
+                bids: this.parseLevels(res.data?.bids),
+                asks: this.parseLevels(res.data?.asks)
+            });
+        } catch (e) { }
+        return null;
+    }
+
+    /**
+     * Listed perps with contract metadata
+     */
+    async fetchListedSymbols(): Promise<string[]> {
+        const res = await this.trackRest(axios.get(`${API_ENDPOINTS.AEVO}/markets`, {
+            params: { instrument_type: 'PERPETUAL' },
+            timeout: REQUEST_TIMEOUT
+        }));
+
+        if (!Array.isArray(res.data)) {
+            throw new Error('Unexpected markets response');
+        }
+
+        return res.data
+            .filter((m: any) => m.instrument_name?.endsWith('-PERP') && m.is_active !== false)
+            .map((m: any) => this.registerMarket(m.instrument_name, {
+                tickSize: m.price_step,
+                lotSize: m.amount_step,
+                minNotional: m.min_order_value,
+                maxLeverage: m.max_leverage
+            }));
+    }
+
+    /**
+     * Funding rates via REST (GET /funding per listed instrument, settled every hour)
+     * next_epoch is in nanoseconds
+     */
+    async fetchFundingRates(): Promise<FundingRate[]> {
+        const results: FundingRate[] = [];
+        const symbols = this.listedSymbols();
+        const now = Date.now();
+
+        for (let i = 0; i < symbols.length; i += CONCURRENCY) {
+            const batch = symbols.slice(i, i + CONCURRENCY);
+
+            await Promise.all(batch.map(async symbol => {
+                try {
+                    const res = await this.trackRest(axios.get(`${API_ENDPOINTS.AEVO}/funding`, {
+                        params: { instrument_name: this.toMarketId(symbol, `${symbol}-PERP`) },
+                        timeout: REQUEST_TIMEOUT
+                    }));
+
+                    const rate = parseFloat(res.data?.funding_rate);
+                    if (isNaN(rate)) return;
+
+                    const next = Math.floor(Number(res.data.next_epoch) / 1e6);
+                    results.push({
+                        symbol,
+                        rate,
+                        intervalHours: 1,
+                        nextFundingTime: next > 0 ? next : this.nextFundingBoundary(1, now),
+                        timestamp: now
+                    });
+                } catch (e) { }
+            }));
+
+            await sleep(100);
+        }
+
+        return results;
+    }
+}
+
+// Export singleton
+export const aevoService = new AevoService();
+export { AevoService };
@@ -3,6 +3,8 @@
  * Common types for all exchange services
  */
 
+import { OrderBook } from '../../types';
+
 /**
  * Market data returned by exchange services
  */
@@ -10,6 +12,7 @@ export interface MarketData {
     symbol: string;
     bid: number;
     ask: number;
+    book?: OrderBook;
 }
 
 /**
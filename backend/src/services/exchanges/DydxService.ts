@@ -0,0 +1,205 @@
+/**
+ * dYdX v4 Hybrid Exchange Service
+ * WebSocket-primary (v4_orderbook channel) with REST indexer fallback
+ * API Docs: https://docs.dydx.exchange/api_integration-indexer/indexer_websocket
+ */
+
+import WebSocket from 'ws';
+import axios from 'axios';
+import { HybridExchangeService, HybridConfig, LevelBook } from './HybridExchangeService';
+import { MarketData } from './BaseExchangeService';
+import { FundingRate, OrderBook } from '../../types';
+import { logger } from '../../utils/app-logger';
+import { symbolUniverse } from '../symbol-universe.service';
+import { API_ENDPOINTS } from '../../config/exchanges';
+import { REQUEST_TIMEOUT, CONCURRENCY } from '../../config';
+import { sleep } from '../../utils/app-sleep';
+
+const TAG = 'dYdX';
+
+// Timeout and staleness thresholds
+const WS_TIMEOUT = 15000;
+const STALE_THRESHOLD = 30000;
+const CHANNEL = 'v4_orderbook';
+
+class DydxService extends HybridExchangeService {
+    readonly name = 'DYDX';
+
+    // Full L2 book per symbol (price -> size), trimmed to BOOK_DEPTH on emit
+    private orderBooks: Record<string, LevelBook> = {};
+
+    constructor() {
+        const config: HybridConfig = {
+            name: 'DYDX',
+            wsUrl: API_ENDPOINTS.DYDX_WS,
+            wsTimeout: WS_TIMEOUT,
+            staleThreshold: STALE_THRESHOLD
+        };
+        super(config);
+    }
+
+    // ==================== WebSocket Implementation ====================
+
+    protected subscriptionFrames(symbols: string[], type: 'subscribe' | 'unsubscribe'): object[] {
+        return symbols.map(symbol => ({
+            type,
+            channel: CHANNEL,
+            id: this.toMarketId(symbol, `${symbol}-USD`),
+            ...(type === 'subscribe' ? { batched: false } : {})
+        }));
+    }
+
+    protected onWsClosed(): void {
+        this.orderBooks = {};
+    }
+
+    /**
+     * 'subscribed' carries the snapshot ({ price, size } objects),
+     * 'channel_data' the deltas ([price, size] tuples, size '0' removes)
+     */
+    protected onWsMessage(data: WebSocket.Data): void {
+        try {
+            const msg = JSON.parse(data.toString());
+            if (msg.channel !== CHANNEL || !msg.id) return;
+
+            if (msg.type === 'subscribed' && msg.contents) {
+                this.applyBook(msg.id, msg.contents, true);
+            } else if (msg.type === 'channel_data' && msg.contents) {
+                this.applyBook(msg.id, msg.contents, false);
+            } else if (msg.type === 'channel_batch_data' && Array.isArray(msg.contents)) {
+                msg.contents.forEach((contents: any) => this.applyBook(msg.id, contents, false));
+            }
+        } catch (e) {
+            // Ignore parse errors
+        }
+    }
+
+    private applyBook(ticker: string, contents: any, isSnapshot: boolean): void {
+        const symbol = this.toAsset(ticker);
+        if (!symbolUniverse.has(symbol)) return;
+
+        // Deltas before the snapshot cannot be applied
+        if (!isSnapshot && !this.orderBooks[symbol]) return;
+        if (isSnapshot) {
+            this.orderBooks[symbol] = { bids: new Map(), asks: new Map() };
+        }
+
+        const book = this.orderBooks[symbol];
+        this.applyLevels(book.bids, contents.bids);
+        this.applyLevels(book.asks, contents.asks);
+
+        const { bids, asks } = this.snapshotBook(book);
+        const bestBid = bids[0]?.price || 0;
+        const bestAsk = asks[0]?.price || 0;
+
+        // The indexer book can be briefly crossed while fills settle
+        if (bestBid > 0 && bestAsk > 0 && bestBid < bestAsk) {
+            this.onWsUpdate(symbol, bestBid, bestAsk, { bids, asks });
+        }
+    }
+
+    // ==================== REST Fallback Implementation ====================
+
+    /**
+     * Fetch books of the tracked markets the indexer lists
+     */
+    async fetchMarkets(): Promise<MarketData[]> {
+        const results: MarketData[] = [];
+        const symbols = this.listedSymbols();
+
+        try {
+            for (let i = 0; i < symbols.length; i += CONCURRENCY) {
+                const batch = symbols.slice(i, i + CONCURRENCY);
+                const books = await Promise.all(batch.map(symbol => this.fetchOrderBook(symbol)));
+
+                books.forEach((book, j) => {
+                    if (book?.bids.length && book.asks.length) {
+                        results.push({ symbol: batch[j], bid: book.bids[0].price, ask: book.asks[0].price, book });
+                    }
+                });
+
+                await sleep(100);
+            }
+        } catch (error: any) {
+            logger.error(TAG, `REST fetch failed: ${error.message}`);
+        }
+
+        return results;
+    }
+
+    private async fetchOrderBook(symbol: string): Promise<OrderBook | null> {
+        const ticker = this.toMarketId(symbol, `${symbol}-USD`);
+
+        try {
+            const res = await this.trackRest(axios.get(`${API_ENDPOINTS.DYDX_INDEXER}/orderbooks/perpetualMarket/${ticker}`, {
+                timeout: REQUEST_TIMEOUT
+            }));
+
+            return this.trimBook({
+                bids: this.parseLevels(res.data?.bids),
+                asks: this.parseLevels(res.data?.asks)
+            });
+        } catch (e) { }
+        return null;
+    }
+
+    private async fetchPerpetualMarkets(): Promise<any[]> {
+        const res = await this.trackRest(axios.get(`${API_ENDPOINTS.DYDX_INDEXER}/perpetualMarkets`, { timeout: REQUEST_TIMEOUT }));
+
+        if (!res.data?.markets || typeof res.data.markets !== 'object') {
+            throw new Error('Unexpected perpetualMarkets response');
+        }
+
+        return Object.values(res.data.markets);
+    }
+
+    /**
+     * Listed perps with contract metadata (max leverage = 1 / initialMarginFraction)
+     */
+    async fetchListedSymbols(): Promise<string[]> {
+        const markets = await this.fetchPerpetualMarkets();
+
+        return markets
+            .filter((m: any) => m.ticker && m.status === 'ACTIVE')
+            .map((m: any) => {
+                const imf = parseFloat(m.initialMarginFraction);
+                return this.registerMarket(m.ticker, {
+                    tickSize: m.tickSize,
+                    lotSize: m.stepSize,
+                    minNotional: null,
+                    maxLeverage: imf > 0 ? 1 / imf : null
+                });
+            });
+    }
+
+    /**
+     * Funding rates via REST (nextFundingRate, settled every hour)
+     */
+    async fetchFundingRates(): Promise<FundingRate[]> {
+        try {
+            const markets = await this.fetchPerpetualMarkets();
+            const now = Date.now();
+            const nextFundingTime = this.nextFundingBoundary(1, now);
+            const results: FundingRate[] = [];
+
+            markets.forEach((m: any) => {
+                if (!m.ticker) return;
+
+                const symbol = this.toAsset(m.ticker);
+                const rate = parseFloat(m.nextFundingRate);
+                if (!symbolUniverse.has(symbol) || isNaN(rate)) return;
+
+                results.push({ symbol, rate, intervalHours: 1, nextFundingTime, timestamp: now });
+            });
+
+            return results;
+        } catch (error: any) {
+            logger.error(TAG, `Funding fetch failed: ${error.message}`);
+            return [];
+        }
+    }
+}
+
+// Export singleton
+export const dydxService = new DydxService();
+export { DydxService };
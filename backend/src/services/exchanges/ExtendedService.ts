@@ -7,10 +7,12 @@
 import axios from 'axios';
 import { HybridExchangeService, HybridConfig } from './HybridExchangeService';
 import { MarketData } from './BaseExchangeService';
-import { TimestampedPrice } from './HybridExchangeService';
+import { FundingRate, OrderBook } from '../../types';
 import { logger } from '../../utils/app-logger';
+import { symbolUniverse } from '../symbol-universe.service';
 import { API_ENDPOINTS } from '../../config/exchanges';
-import { ALLOWED_SYMBOLS, COMMON_HEADERS, REQUEST_TIMEOUT } from '../../config';
+import { COMMON_HEADERS, REQUEST_TIMEOUT, CONCURRENCY } from '../../config';
+import { sleep } from '../../utils/app-sleep';
 
 const TAG = 'Extended';
 
@@ -34,6 +36,7 @@ class ExtendedService extends HybridExchangeService {
     async start(): Promise<void> {
         logger.info(TAG, '📡 Mode: REST ONLY');
         this.startFallback();
+        this.startFundingPolling();
     }
 
     // ==================== WebSocket Stubs (Unused) ====================
@@ -54,32 +57,32 @@ class ExtendedService extends HybridExchangeService {
 
     /**
      * Fetch markets via REST API
-     * Extended uses: GET /api/v1/info/markets
-     * Returns bidPrice/askPrice in marketStats
+     * Extended uses: GET /api/v1/info/markets (bidPrice/askPrice in marketStats),
+     * then GET /api/v1/info/markets/{market}/orderbook per active market for depth
      */
     async fetchMarkets(): Promise<MarketData[]> {
         const results: MarketData[] = [];
 
         try {
-            const res = await axios.get(API_ENDPOINTS.EXTENDED_MARKETS, {
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.EXTENDED_MARKETS, {
                 headers: COMMON_HEADERS,
                 timeout: REQUEST_TIMEOUT
-            });
+            }));
 
             if (!res.data || res.data.status?.toLowerCase() !== 'ok' || !Array.isArray(res.data.data)) {
                 return results;
             }
 
-            const markets = res.data.data;
+            const tops: (MarketData & { marketName: string })[] = [];
 
-            markets.forEach((market: any) => {
+            res.data.data.forEach((market: any) => {
                 // Extended format: "BTC-USD", "ETH-USD"
                 const marketName = market.name;
                 if (!marketName || !marketName.includes('-')) return;
 
-                const baseSymbol = marketName.split('-')[0];
+                const baseSymbol = this.toAsset(marketName);
 
-                if (!ALLOWED_SYMBOLS.includes(baseSymbol)) return;
+                if (!symbolUniverse.has(baseSymbol)) return;
                 if (market.active !== true || market.status !== 'ACTIVE') return;
 
                 const stats = market.marketStats;
@@ -89,15 +92,116 @@ class ExtendedService extends HybridExchangeService {
                 const ask = parseFloat(stats.askPrice || 0);
 
                 if (bid > 0 && ask > 0) {
-                    results.push({ symbol: baseSymbol, bid, ask });
+                    tops.push({ symbol: baseSymbol, bid, ask, marketName });
                 }
             });
+
+            // Fetch depth for each market in batches (top of book only when it fails)
+            for (let i = 0; i < tops.length; i += CONCURRENCY) {
+                const batch = tops.slice(i, i + CONCURRENCY);
+                const books = await Promise.all(batch.map(top => this.fetchOrderBook(top.marketName)));
+
+                books.forEach((book, j) => {
+                    const { symbol, bid, ask } = batch[j];
+                    results.push(book?.bids.length && book.asks.length
+                        ? { symbol, bid: book.bids[0].price, ask: book.asks[0].price, book }
+                        : { symbol, bid, ask });
+                });
+
+                await sleep(100);
+            }
         } catch (error: any) {
             logger.error(TAG, `REST fetch failed: ${error.message}`);
         }
 
         return results;
     }
+
+    /**
+     * { status: 'OK', data: { market, bid: [{ qty, price }], ask: [{ qty, price }] } }
+     */
+    private async fetchOrderBook(marketName: string): Promise<OrderBook | null> {
+        try {
+            const res = await this.trackRest(axios.get(`${API_ENDPOINTS.EXTENDED_MARKETS}/${marketName}/orderbook`, {
+                headers: COMMON_HEADERS,
+                timeout: REQUEST_TIMEOUT
+            }));
+
+            if (res.data?.status?.toLowerCase() === 'ok' && res.data.data) {
+                return this.trimBook({
+                    bids: this.parseLevels(res.data.data.bid),
+                    asks: this.parseLevels(res.data.data.ask)
+                });
+            }
+        } catch (e) { }
+        return null;
+    }
+
+    async fetchListedSymbols(): Promise<string[]> {
+        const res = await this.trackRest(axios.get(API_ENDPOINTS.EXTENDED_MARKETS, {
+            headers: COMMON_HEADERS,
+            timeout: REQUEST_TIMEOUT
+        }));
+
+        if (res.data?.status?.toLowerCase() !== 'ok' || !Array.isArray(res.data.data)) {
+            throw new Error('Unexpected markets response');
+        }
+
+        return res.data.data
+            .filter((m: any) => m.name?.includes('-') && m.active === true && m.status === 'ACTIVE')
+            .map((m: any) => this.registerMarket(m.name, {
+                tickSize: m.tradingConfig?.minPriceChange,
+                lotSize: m.tradingConfig?.minOrderSizeChange,
+                minNotional: null,
+                maxLeverage: m.tradingConfig?.maxLeverage
+            }));
+    }
+
+    /**
+     * Funding rates via REST (same markets endpoint)
+     * marketStats.fundingRate is hourly, marketStats.nextFundingRate is the next settlement (ms)
+     */
+    async fetchFundingRates(): Promise<FundingRate[]> {
+        const results: FundingRate[] = [];
+
+        try {
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.EXTENDED_MARKETS, {
+                headers: COMMON_HEADERS,
+                timeout: REQUEST_TIMEOUT
+            }));
+
+            if (!res.data || res.data.status?.toLowerCase() !== 'ok' || !Array.isArray(res.data.data)) {
+                return results;
+            }
+
+            const now = Date.now();
+
+            res.data.data.forEach((market: any) => {
+                const marketName = market.name;
+                if (!marketName || !marketName.includes('-')) return;
+
+                const baseSymbol = this.toAsset(marketName);
+                if (!symbolUniverse.has(baseSymbol)) return;
+
+                const stats = market.marketStats;
+                const rate = parseFloat(stats?.fundingRate);
+                if (isNaN(rate)) return;
+
+                const next = Number(stats.nextFundingRate);
+                results.push({
+                    symbol: baseSymbol,
+                    rate,
+                    intervalHours: 1,
+                    nextFundingTime: next > 0 ? next : this.nextFundingBoundary(1, now),
+                    timestamp: now
+                });
+            });
+        } catch (error: any) {
+            logger.error(TAG, `Funding fetch failed: ${error.message}`);
+        }
+
+        return results;
+    }
 }
 
 // Export singleton
@@ -4,8 +4,15 @@
  */
 
 import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { Counter } from 'prom-client';
 import { MarketData, IExchangeService } from './BaseExchangeService';
+import { ExchangeName, FundingRate, OrderBook, OrderBookLevel, ServiceStats } from '../../types';
+import { BOOK_DEPTH, FUNDING, HYBRID } from '../../config';
 import { logger } from '../../utils/app-logger';
+import { metricsRegistry } from '../../utils/app-metrics';
+import { marketRegistry, normalizeMarketId } from '../market-registry.service';
+import { symbolUniverse, UniverseChange } from '../symbol-universe.service';
 
 /** Configuration for hybrid exchange service */
 export interface HybridConfig {
@@ -13,6 +20,22 @@ export interface HybridConfig {
     wsUrl: string;
     wsTimeout: number;      // Time before considering WS dead (ms)
     staleThreshold: number; // Time before data is considered stale (ms)
+    watchdogInterval?: number;  // WS silence check period (ms)
+    fallbackInterval?: number;  // REST polling period while WS is down (ms)
+    pingInterval?: number;      // Keepalive period of the managed connection (ms)
+}
+
+// Managed connection: reconnect backoff, then a pause on REST fallback
+const RECONNECT_DELAY = 3000;
+const MAX_RECONNECT_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+const RECONNECT_PAUSE = 60000;
+const PING_INTERVAL = 30000;
+
+/** Incrementally maintained L2 book (price -> size per side) */
+export interface LevelBook {
+    bids: Map<number, number>;
+    asks: Map<number, number>;
 }
 
 /** Price data with timestamp for staleness detection */
@@ -22,8 +45,33 @@ export interface TimestampedPrice {
     ask: number;
     timestamp: number;
     source: 'ws' | 'rest';
+    book?: OrderBook;
+    bookTimestamp?: number; // When the book was received (top-of-book updates keep the last one)
 }
 
+// ==================== Metrics ====================
+
+const updatesReceived = new Counter({
+    name: 'scanner_exchange_updates_total',
+    help: 'Price updates received per exchange and source (ws, rest)',
+    labelNames: ['exchange', 'source'] as const,
+    registers: [metricsRegistry]
+});
+
+const wsReconnects = new Counter({
+    name: 'scanner_ws_reconnects_total',
+    help: 'WebSocket reconnects scheduled per exchange',
+    labelNames: ['exchange'] as const,
+    registers: [metricsRegistry]
+});
+
+const fallbackActivations = new Counter({
+    name: 'scanner_rest_fallback_activations_total',
+    help: 'REST fallback activations per exchange',
+    labelNames: ['exchange'] as const,
+    registers: [metricsRegistry]
+});
+
 /**
  * Abstract base class for exchanges with WebSocket + REST fallback
  */
@@ -33,6 +81,9 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
     protected readonly wsUrl: string;
     protected readonly wsTimeout: number;
     protected readonly staleThreshold: number;
+    protected readonly watchdogMs: number;
+    protected readonly fallbackMs: number;
+    protected readonly pingMs: number;
 
     // State
     protected isWsConnected: boolean = false;
@@ -40,13 +91,29 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
     protected priceCache: Map<string, TimestampedPrice> = new Map();
     protected fallbackActive: boolean = false;
     protected fallbackInterval: NodeJS.Timeout | null = null;
+    protected fallbackInFlight: boolean = false;
     protected watchdogInterval: NodeJS.Timeout | null = null;
+    protected fundingCache: Map<string, FundingRate> = new Map();
+    protected fundingInterval: NodeJS.Timeout | null = null;
+    protected reconnectTimer: NodeJS.Timeout | null = null;
+    protected wsDisabled: boolean = false;
+
+    // Managed connection (see connectWebSocket)
+    protected socket: WebSocket | null = null;
+    private socketPing: NodeJS.Timeout | null = null;
+    private wsReconnectAttempts = 0;
+
+    // Health counters (see getStats)
+    private counters = { wsMessages: 0, lastMessageAt: 0, reconnects: 0, restRequests: 0, restErrors: 0, restLatencyMs: 0 };
 
     constructor(config: HybridConfig) {
         super();
         this.wsUrl = config.wsUrl;
         this.wsTimeout = config.wsTimeout;
         this.staleThreshold = config.staleThreshold;
+        this.watchdogMs = config.watchdogInterval ?? HYBRID.WATCHDOG_INTERVAL;
+        this.fallbackMs = config.fallbackInterval ?? HYBRID.FALLBACK_INTERVAL;
+        this.pingMs = config.pingInterval ?? PING_INTERVAL;
     }
 
     /**
@@ -56,11 +123,18 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
     async start(): Promise<void> {
         logger.info(this.name, 'Starting hybrid service (WS primary, REST fallback)');
 
+        // Follow new listings / delistings without reconnecting
+        symbolUniverse.off('change', this.onUniverseChange);
+        symbolUniverse.on('change', this.onUniverseChange);
+
         // Start WebSocket connection
         await this.connectWebSocket();
 
         // Start watchdog to detect WS silence
         this.startWatchdog();
+
+        // Funding rates (REST)
+        this.startFundingPolling();
     }
 
     /**
@@ -68,9 +142,12 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
      */
     stop(): void {
         logger.info(this.name, 'Stopping hybrid service');
+        symbolUniverse.off('change', this.onUniverseChange);
+        this.cancelReconnect();
         this.disconnectWebSocket();
         this.stopFallback();
         this.stopWatchdog();
+        this.stopFundingPolling();
     }
 
     /**
@@ -98,6 +175,20 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
         return valid;
     }
 
+    /**
+     * Get the latest L2 book for a symbol (undefined if the venue gave no depth)
+     */
+    getOrderBook(symbol: string): OrderBook | undefined {
+        return this.priceCache.get(symbol)?.book;
+    }
+
+    /**
+     * Get the latest funding rate for a symbol
+     */
+    getFundingRate(symbol: string): FundingRate | undefined {
+        return this.fundingCache.get(symbol);
+    }
+
     /**
      * Check if price data is fresh
      */
@@ -108,9 +199,9 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
     }
 
     /**
-     * Get data freshness stats
+     * Get data freshness stats and cumulative health counters
      */
-    getStats(): { fresh: number; stale: number; wsActive: boolean; fallbackActive: boolean } {
+    getStats(): ServiceStats {
         const now = Date.now();
         let fresh = 0;
         let stale = 0;
@@ -124,31 +215,241 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
             fresh,
             stale,
             wsActive: this.isWsConnected,
-            fallbackActive: this.fallbackActive
+            fallbackActive: this.fallbackActive,
+            restOnly: !this.wsUrl,
+            wsDisabled: this.wsDisabled,
+            ...this.counters
         };
     }
 
+    /**
+     * Time a REST request and count it (errors are rethrown)
+     * Wrap every venue call: adapters swallow their own errors
+     */
+    protected async trackRest<T>(request: Promise<T>): Promise<T> {
+        const startedAt = Date.now();
+        this.counters.restRequests++;
+        try {
+            return await request;
+        } catch (error) {
+            this.counters.restErrors++;
+            throw error;
+        } finally {
+            this.counters.restLatencyMs += Date.now() - startedAt;
+        }
+    }
+
     // ==================== WebSocket Methods ====================
+    // The managed connection opens wsUrl, subscribes the listed symbols on
+    // open, follows universe changes, keeps the socket alive and reconnects
+    // with exponential backoff. Adapters using it implement subscriptionFrames
+    // and onWsMessage (plus pingFrame / onWsClosed when needed); the others
+    // override connectWebSocket, disconnectWebSocket and subscribeToMarkets.
+
+    protected connectWebSocket(): Promise<void> {
+        return new Promise((resolve) => {
+            try {
+                logger.info(this.name, `Connecting to WebSocket: ${this.wsUrl}`);
+                const ws = new WebSocket(this.wsUrl);
+                this.socket = ws;
+
+                ws.on('open', () => {
+                    logger.info(this.name, '✅ WebSocket: CONNECTED');
+                    this.isWsConnected = true;
+                    this.wsReconnectAttempts = 0;
+                    this.lastWsMessage = Date.now();
+                    this.startWsPing();
+                    this.subscribeToMarkets();
+
+                    if (this.fallbackActive) {
+                        this.stopFallback();
+                    }
+                    resolve();
+                });
+
+                ws.on('message', (data: WebSocket.Data) => {
+                    this.emitFrame(data);
+                    this.onWsMessage(data);
+                });
+
+                ws.on('error', (error: Error) => {
+                    logger.error(this.name, `WebSocket error: ${error.message}`);
+                    if (!this.fallbackActive) {
+                        this.startFallback();
+                    }
+                    resolve();
+                });
+
+                ws.on('close', () => {
+                    logger.info(this.name, 'WebSocket closed');
+                    this.isWsConnected = false;
+                    this.stopWsPing();
+                    this.onWsClosed();
+                    // Not after disconnectWebSocket (intentional close)
+                    if (this.socket === ws) this.scheduleWsReconnect();
+                });
+
+            } catch (error: any) {
+                logger.error(this.name, 'WebSocket connection failed', error);
+                this.scheduleWsReconnect();
+                resolve();
+            }
+        });
+    }
+
+    protected disconnectWebSocket(): void {
+        this.stopWsPing();
+        if (this.socket) {
+            const ws = this.socket;
+            this.socket = null;
+            ws.close();
+        }
+        this.isWsConnected = false;
+    }
+
+    protected subscribeToMarkets(): void {
+        this.sendSubscriptions(this.listedSymbols(), 'subscribe');
+    }
+
+    /**
+     * Frames (un)subscribing symbols on the managed connection
+     */
+    protected subscriptionFrames(symbols: string[], type: 'subscribe' | 'unsubscribe'): object[] {
+        return [];
+    }
+
+    /**
+     * Frame received on the managed connection
+     */
+    protected onWsMessage(data: WebSocket.Data): void { }
+
+    /**
+     * Application-level keepalive frame (null = WS ping control frame)
+     */
+    protected pingFrame(): object | null {
+        return null;
+    }
+
+    /**
+     * Managed connection closed (books built from deltas are no longer valid)
+     */
+    protected onWsClosed(): void { }
+
+    private sendSubscriptions(symbols: string[], type: 'subscribe' | 'unsubscribe'): void {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || symbols.length === 0) return;
+
+        logger.debug(this.name, `${type} ${symbols.length} markets`);
+        this.subscriptionFrames(symbols, type).forEach(frame => this.socket!.send(JSON.stringify(frame)));
+    }
+
+    // Arrow function: the same listener is added in start() and removed in stop()
+    private readonly onUniverseChange = ({ added, removed }: UniverseChange): void => {
+        this.sendSubscriptions(this.listed(added), 'subscribe');
+        this.sendSubscriptions(this.listed(removed), 'unsubscribe');
+    };
+
+    private startWsPing(): void {
+        this.stopWsPing();
+        this.socketPing = setInterval(() => {
+            if (!this.socket || !this.isWsConnected) return;
+            try {
+                const frame = this.pingFrame();
+                if (frame) this.socket.send(JSON.stringify(frame));
+                else this.socket.ping();
+            } catch (e) { }
+        }, this.pingMs);
+    }
+
+    private stopWsPing(): void {
+        if (this.socketPing) {
+            clearInterval(this.socketPing);
+            this.socketPing = null;
+        }
+    }
+
+    /**
+     * Exponential backoff up to MAX_RECONNECT_ATTEMPTS, then REST fallback
+     * and a retry every RECONNECT_PAUSE
+     */
+    protected scheduleWsReconnect(): void {
+        if (this.wsReconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+            this.wsReconnectAttempts++;
+            const delay = Math.min(RECONNECT_DELAY * Math.pow(2, this.wsReconnectAttempts - 1), MAX_RECONNECT_DELAY);
+            logger.info(this.name, `Reconnecting in ${delay}ms (attempt ${this.wsReconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+            this.scheduleConnect(delay);
+        } else {
+            logger.warn(this.name, `Max reconnect attempts reached, will retry in ${RECONNECT_PAUSE / 1000}s`);
+            this.wsReconnectAttempts = 0;
+            if (!this.fallbackActive) {
+                this.startFallback();
+            }
+            this.scheduleConnect(RECONNECT_PAUSE);
+        }
+    }
 
-    protected abstract connectWebSocket(): Promise<void>;
-    protected abstract disconnectWebSocket(): void;
-    protected abstract subscribeToMarkets(): void;
+    /**
+     * Reconnect after a delay (replaces a pending reconnect, cancelled by stop())
+     */
+    protected scheduleConnect(delay: number): void {
+        this.cancelReconnect();
+        this.counters.reconnects++;
+        wsReconnects.inc({ exchange: this.name });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connectWebSocket();
+        }, delay);
+    }
+
+    protected cancelReconnect(): void {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    /**
+     * Count a raw WS frame and hand it to 'frame' listeners (market-data recorder)
+     * Serialized only when someone listens
+     */
+    protected emitFrame(data: { toString(): string }): void {
+        this.counters.wsMessages++;
+        this.counters.lastMessageAt = Date.now();
+        if (this.listenerCount('frame') > 0) {
+            this.emit('frame', data.toString());
+        }
+    }
 
     /**
      * Handle WebSocket price update
+     * When no book is given, the last known book is kept with its own timestamp,
+     * unless it crosses the new top of book
      */
-    protected onWsUpdate(symbol: string, bid: number, ask: number): void {
-        this.lastWsMessage = Date.now();
+    protected onWsUpdate(symbol: string, bid: number, ask: number, book?: OrderBook): void {
+        const now = Date.now();
+        this.lastWsMessage = now;
 
+        const m = marketRegistry.getMultiplier(this.name, symbol);
         const price: TimestampedPrice = {
             symbol,
-            bid,
-            ask,
-            timestamp: Date.now(),
+            bid: bid / m,
+            ask: ask / m,
+            timestamp: now,
             source: 'ws'
         };
 
+        if (book) {
+            price.book = this.toCanonicalBook(this.trimBook(book), m);
+            price.bookTimestamp = now;
+        } else {
+            const last = this.priceCache.get(symbol);
+            if (last?.book && !this.crossesTop(last.book, price.bid, price.ask)) {
+                price.book = last.book;
+                price.bookTimestamp = last.bookTimestamp;
+            }
+        }
+
         this.priceCache.set(symbol, price);
+        updatesReceived.inc({ exchange: this.name, source: 'ws' });
         this.emit('update', price);
 
         // If fallback was active, deactivate it since WS is working
@@ -173,14 +474,15 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
 
         logger.warn(this.name, 'Activating REST fallback (WS timeout)');
         this.fallbackActive = true;
+        fallbackActivations.inc({ exchange: this.name });
 
         // Initial fetch
         this.doFallbackFetch();
 
-        // Poll every 2 seconds
+        // Poll every fallbackMs (2 seconds by default)
         this.fallbackInterval = setInterval(() => {
             this.doFallbackFetch();
-        }, 2000);
+        }, this.fallbackMs);
     }
 
     /**
@@ -195,32 +497,231 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
     }
 
     /**
-     * Execute a REST fallback fetch
+     * Execute a REST fallback fetch (skipped while the previous one is running)
      */
     protected async doFallbackFetch(): Promise<void> {
+        if (this.fallbackInFlight) return;
+        this.fallbackInFlight = true;
+
         try {
             const markets = await this.fetchMarkets();
             const now = Date.now();
+            if (markets.length > 0) this.counters.lastMessageAt = now;
 
             markets.forEach(m => {
+                const multiplier = marketRegistry.getMultiplier(this.name, m.symbol);
                 const price: TimestampedPrice = {
                     symbol: m.symbol,
-                    bid: m.bid,
-                    ask: m.ask,
+                    bid: m.bid / multiplier,
+                    ask: m.ask / multiplier,
                     timestamp: now,
-                    source: 'rest'
+                    source: 'rest',
+                    book: m.book ? this.toCanonicalBook(this.trimBook(m.book), multiplier) : undefined,
+                    bookTimestamp: m.book ? now : undefined
                 };
 
                 this.priceCache.set(m.symbol, price);
                 this.emit('update', price);
             });
+            updatesReceived.inc({ exchange: this.name, source: 'rest' }, markets.length);
 
             logger.debug(this.name, `REST fallback: updated ${markets.length} prices`);
         } catch (error: any) {
             logger.error(this.name, 'REST fallback fetch failed', error);
+        } finally {
+            this.fallbackInFlight = false;
+        }
+    }
+
+    // ==================== Symbol Discovery ====================
+
+    /**
+     * List the base symbols of all active perps on the venue
+     * Must throw on request failure (so the universe keeps the last listing)
+     */
+    abstract fetchListedSymbols(): Promise<string[]>;
+
+    // ==================== Funding Rates ====================
+
+    /**
+     * Funding REST fetch - must be implemented by subclass
+     */
+    abstract fetchFundingRates(): Promise<FundingRate[]>;
+
+    /**
+     * Start funding rate polling (immediate fetch, then every FUNDING.POLL_INTERVAL)
+     */
+    protected startFundingPolling(): void {
+        if (this.fundingInterval) return;
+
+        this.doFundingFetch();
+        this.fundingInterval = setInterval(() => {
+            this.doFundingFetch();
+        }, FUNDING.POLL_INTERVAL);
+    }
+
+    /**
+     * Stop funding rate polling
+     */
+    protected stopFundingPolling(): void {
+        if (this.fundingInterval) {
+            clearInterval(this.fundingInterval);
+            this.fundingInterval = null;
+        }
+    }
+
+    /**
+     * Execute a funding fetch and emit 'funding' per symbol
+     */
+    protected async doFundingFetch(): Promise<void> {
+        try {
+            const rates = await this.fetchFundingRates();
+
+            rates.forEach(rate => {
+                this.fundingCache.set(rate.symbol, rate);
+                this.emit('funding', rate);
+            });
+
+            logger.debug(this.name, `Funding: updated ${rates.length} rates`);
+        } catch (error: any) {
+            logger.error(this.name, 'Funding fetch failed', error);
         }
     }
 
+    /**
+     * Next funding time for venues paying on fixed UTC boundaries (every intervalHours)
+     */
+    protected nextFundingBoundary(intervalHours: number, now: number = Date.now()): number {
+        const intervalMs = intervalHours * 3600 * 1000;
+        return Math.floor(now / intervalMs) * intervalMs + intervalMs;
+    }
+
+    // ==================== Symbol Normalization ====================
+
+    /**
+     * Canonical asset for a venue market identifier (see market-registry)
+     * Prices emitted for that asset are divided by the contract multiplier
+     */
+    protected toAsset(marketId: string): string {
+        return marketRegistry.resolve(this.name, marketId);
+    }
+
+    /**
+     * Tracked symbols the venue lists (per-market REST calls for the others only 404)
+     */
+    protected listedSymbols(): string[] {
+        return this.listed(symbolUniverse.getSymbols());
+    }
+
+    private listed(symbols: string[]): string[] {
+        return symbols.filter(symbol => marketRegistry.getMarket(this.name, symbol));
+    }
+
+    /**
+     * Venue market identifier for a canonical asset (fallback when not yet listed)
+     */
+    protected toMarketId(asset: string, fallback: string): string {
+        return marketRegistry.getMarket(this.name, asset)?.marketId || fallback;
+    }
+
+    /**
+     * Record contract metadata from a venue listing; returns the canonical asset
+     * Missing or non-positive values are stored as null
+     */
+    protected registerMarket(marketId: string, meta: { tickSize?: any; lotSize?: any; minNotional?: any; maxLeverage?: any }): string {
+        const { asset, multiplier } = normalizeMarketId(this.name, marketId);
+        const num = (v: any): number | null => {
+            const n = parseFloat(v);
+            return Number.isFinite(n) && n > 0 ? n : null;
+        };
+
+        marketRegistry.register([{
+            exchange: this.name as ExchangeName,
+            marketId,
+            asset,
+            multiplier,
+            tickSize: num(meta.tickSize),
+            lotSize: num(meta.lotSize),
+            minNotional: num(meta.minNotional),
+            maxLeverage: num(meta.maxLeverage)
+        }]);
+
+        return asset;
+    }
+
+    /**
+     * Express a book in asset units (price per 1 asset, size in assets)
+     */
+    protected toCanonicalBook(book: OrderBook, multiplier: number): OrderBook {
+        if (multiplier === 1) return book;
+
+        const convert = (l: OrderBookLevel) => ({ price: l.price / multiplier, size: l.size * multiplier });
+        return { bids: book.bids.map(convert), asks: book.asks.map(convert) };
+    }
+
+    // ==================== Order Book Helpers ====================
+
+    /**
+     * Parse raw levels ([price, size] tuples or { price, size } objects)
+     * Invalid or empty levels are dropped
+     */
+    protected parseLevels(raw: any[] | undefined): OrderBookLevel[] {
+        if (!Array.isArray(raw)) return [];
+
+        const levels: OrderBookLevel[] = [];
+        raw.forEach((l: any) => {
+            const price = parseFloat(Array.isArray(l) ? l[0] : l.price);
+            const size = parseFloat(Array.isArray(l) ? l[1] : (l.size ?? l.qty ?? l.quantity));
+            if (price > 0 && size > 0) levels.push({ price, size });
+        });
+        return levels;
+    }
+
+    /**
+     * Sort both sides best-first and keep the top BOOK_DEPTH levels
+     */
+    protected trimBook(book: OrderBook): OrderBook {
+        return {
+            bids: [...book.bids].sort((a, b) => b.price - a.price).slice(0, BOOK_DEPTH),
+            asks: [...book.asks].sort((a, b) => a.price - b.price).slice(0, BOOK_DEPTH)
+        };
+    }
+
+    /**
+     * True when a book's best levels are on the wrong side of a newer top of book
+     */
+    protected crossesTop(book: OrderBook, bid: number, ask: number): boolean {
+        const bestBid = book.bids[0]?.price;
+        const bestAsk = book.asks[0]?.price;
+        return (bestBid !== undefined && bestBid >= ask) || (bestAsk !== undefined && bestAsk <= bid);
+    }
+
+    /**
+     * Apply level updates to a price -> size map (size 0 removes the level)
+     */
+    protected applyLevels(side: Map<number, number>, levels: any[] | undefined): void {
+        if (!Array.isArray(levels)) return;
+
+        levels.forEach((l: any) => {
+            const price = parseFloat(Array.isArray(l) ? l[0] : l.price);
+            const size = parseFloat(Array.isArray(l) ? l[1] : l.size);
+            if (isNaN(price) || price <= 0) return;
+
+            if (isNaN(size) || size <= 0) side.delete(price);
+            else side.set(price, size);
+        });
+    }
+
+    /**
+     * Sorted, trimmed snapshot of an incrementally maintained book
+     */
+    protected snapshotBook(book: LevelBook): OrderBook {
+        return this.trimBook({
+            bids: Array.from(book.bids, ([price, size]) => ({ price, size })),
+            asks: Array.from(book.asks, ([price, size]) => ({ price, size }))
+        });
+    }
+
     // ==================== Watchdog ====================
 
     /**
@@ -234,7 +735,7 @@ export abstract class HybridExchangeService extends EventEmitter implements IExc
                 logger.warn(this.name, `No WS message for ${Math.round(timeSinceLastMsg / 1000)}s, activating fallback`);
                 this.startFallback();
             }
-        }, 5000); // Check every 5 seconds
+        }, this.watchdogMs); // Check every 5 seconds by default
     }
 
     /**
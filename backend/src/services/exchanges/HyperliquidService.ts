@@ -0,0 +1,208 @@
+/**
+ * Hyperliquid Hybrid Exchange Service
+ * WebSocket-primary (l2Book or bbo per coin) with REST fallback (POST /info)
+ * API Docs: https://hyperliquid.gitbook.io/hyperliquid-docs/for-developers/api
+ *
+ * Coins are bare names ('BTC', 'kPEPE'); 'k' coins quote 1000 units and are
+ * normalized to the underlying asset by the market registry.
+ */
+
+import WebSocket from 'ws';
+import axios from 'axios';
+import { HybridExchangeService, HybridConfig } from './HybridExchangeService';
+import { MarketData } from './BaseExchangeService';
+import { FundingRate, OrderBookLevel } from '../../types';
+import { logger } from '../../utils/app-logger';
+import { symbolUniverse } from '../symbol-universe.service';
+import { API_ENDPOINTS } from '../../config/exchanges';
+import { REQUEST_TIMEOUT, SPREAD } from '../../config';
+
+const TAG = 'Hyperliquid';
+
+// Timeout and staleness thresholds
+const WS_TIMEOUT = 15000;
+const STALE_THRESHOLD = 30000;
+const PING_INTERVAL = 50000;   // Server drops connections idle for 60s
+const MAX_PRICE_DECIMALS = 6;  // Perp prices: at most 6 - szDecimals decimals
+const MIN_NOTIONAL_USD = 10;
+
+class HyperliquidService extends HybridExchangeService {
+    readonly name = 'HYPERLIQUID';
+
+    // Full books are only needed for the size-aware spread
+    private readonly channel: 'l2Book' | 'bbo' = SPREAD.MODE === 'depth' ? 'l2Book' : 'bbo';
+
+    constructor() {
+        const config: HybridConfig = {
+            name: 'HYPERLIQUID',
+            wsUrl: API_ENDPOINTS.HYPERLIQUID_WS,
+            wsTimeout: WS_TIMEOUT,
+            staleThreshold: STALE_THRESHOLD,
+            pingInterval: PING_INTERVAL
+        };
+        super(config);
+    }
+
+    // ==================== WebSocket Implementation ====================
+
+    protected subscriptionFrames(symbols: string[], method: 'subscribe' | 'unsubscribe'): object[] {
+        return symbols.map(symbol => ({
+            method,
+            subscription: { type: this.channel, coin: this.toMarketId(symbol, symbol) }
+        }));
+    }
+
+    /**
+     * Application-level ping: the server only counts messages, not WS control frames
+     */
+    protected pingFrame(): object {
+        return { method: 'ping' };
+    }
+
+    protected onWsMessage(data: WebSocket.Data): void {
+        try {
+            const msg = JSON.parse(data.toString());
+
+            if (msg.channel === 'l2Book' && msg.data) {
+                this.processL2Book(msg.data);
+            } else if (msg.channel === 'bbo' && msg.data) {
+                this.processBbo(msg.data);
+            } else if (msg.channel === 'pong') {
+                this.lastWsMessage = Date.now();
+            }
+        } catch (e) {
+            // Ignore parse errors
+        }
+    }
+
+    /**
+     * l2Book: { coin, time, levels: [bids, asks] }, each level { px, sz, n }
+     */
+    private processL2Book(data: any): void {
+        if (!data.coin || !Array.isArray(data.levels)) return;
+
+        const symbol = this.toAsset(data.coin);
+        if (!symbolUniverse.has(symbol)) return;
+
+        const [bids, asks] = data.levels.map((side: any[]) => this.parseHlLevels(side));
+        if (!bids?.length || !asks?.length) return;
+
+        const book = this.trimBook({ bids, asks });
+        this.onWsUpdate(symbol, book.bids[0].price, book.asks[0].price, book);
+    }
+
+    /**
+     * bbo: { coin, time, bbo: [bid | null, ask | null] }
+     */
+    private processBbo(data: any): void {
+        if (!data.coin || !Array.isArray(data.bbo)) return;
+
+        const symbol = this.toAsset(data.coin);
+        if (!symbolUniverse.has(symbol)) return;
+
+        const bid = parseFloat(data.bbo[0]?.px);
+        const ask = parseFloat(data.bbo[1]?.px);
+
+        if (bid > 0 && ask > 0) {
+            this.onWsUpdate(symbol, bid, ask);
+        }
+    }
+
+    private parseHlLevels(levels: any[] | undefined): OrderBookLevel[] {
+        if (!Array.isArray(levels)) return [];
+
+        return levels
+            .map((l: any) => ({ price: parseFloat(l.px), size: parseFloat(l.sz) }))
+            .filter(l => l.price > 0 && l.size > 0);
+    }
+
+    // ==================== REST Fallback Implementation ====================
+
+    /**
+     * POST /info { type: 'metaAndAssetCtxs' } -> [meta, assetCtxs]
+     * meta.universe[i] describes the coin of assetCtxs[i]
+     */
+    private async fetchMetaAndAssetCtxs(): Promise<{ universe: any[]; ctxs: any[] }> {
+        const res = await this.trackRest(axios.post(API_ENDPOINTS.HYPERLIQUID_INFO, { type: 'metaAndAssetCtxs' }, {
+            timeout: REQUEST_TIMEOUT
+        }));
+
+        if (!Array.isArray(res.data) || !Array.isArray(res.data[0]?.universe) || !Array.isArray(res.data[1])) {
+            throw new Error('Unexpected metaAndAssetCtxs response');
+        }
+
+        return { universe: res.data[0].universe, ctxs: res.data[1] };
+    }
+
+    /**
+     * Fallback quotes: impact prices (bid, ask) of each asset context
+     */
+    async fetchMarkets(): Promise<MarketData[]> {
+        try {
+            const { universe, ctxs } = await this.fetchMetaAndAssetCtxs();
+            const results: MarketData[] = [];
+
+            universe.forEach((coin: any, i: number) => {
+                if (coin.isDelisted) return;
+
+                const symbol = this.toAsset(coin.name);
+                if (!symbolUniverse.has(symbol)) return;
+
+                const [bid, ask] = (ctxs[i]?.impactPxs || []).map((px: string) => parseFloat(px));
+                if (bid > 0 && ask > 0) {
+                    results.push({ symbol, bid, ask });
+                }
+            });
+
+            return results;
+        } catch (error: any) {
+            logger.error(TAG, `REST fetch failed: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Listed perps with contract metadata (lot = 10^-szDecimals, tick bounded by 6 - szDecimals decimals)
+     */
+    async fetchListedSymbols(): Promise<string[]> {
+        const { universe } = await this.fetchMetaAndAssetCtxs();
+
+        return universe
+            .filter((coin: any) => coin.name && !coin.isDelisted)
+            .map((coin: any) => this.registerMarket(coin.name, {
+                tickSize: Math.pow(10, -(MAX_PRICE_DECIMALS - (coin.szDecimals || 0))),
+                lotSize: Math.pow(10, -(coin.szDecimals || 0)),
+                minNotional: MIN_NOTIONAL_USD,
+                maxLeverage: coin.maxLeverage
+            }));
+    }
+
+    /**
+     * Funding rates via REST (assetCtxs[i].funding, settled every hour)
+     */
+    async fetchFundingRates(): Promise<FundingRate[]> {
+        try {
+            const { universe, ctxs } = await this.fetchMetaAndAssetCtxs();
+            const now = Date.now();
+            const nextFundingTime = this.nextFundingBoundary(1, now);
+            const results: FundingRate[] = [];
+
+            universe.forEach((coin: any, i: number) => {
+                const symbol = this.toAsset(coin.name);
+                const rate = parseFloat(ctxs[i]?.funding);
+                if (!symbolUniverse.has(symbol) || isNaN(rate)) return;
+
+                results.push({ symbol, rate, intervalHours: 1, nextFundingTime, timestamp: now });
+            });
+
+            return results;
+        } catch (error: any) {
+            logger.error(TAG, `Funding fetch failed: ${error.message}`);
+            return [];
+        }
+    }
+}
+
+// Export singleton
+export const hyperliquidService = new HyperliquidService();
+export { HyperliquidService };
@@ -5,14 +5,15 @@
 
 import WebSocket from 'ws';
 import axios from 'axios';
-import { HybridExchangeService, HybridConfig } from './HybridExchangeService';
+import { HybridExchangeService, HybridConfig, LevelBook } from './HybridExchangeService';
 import { MarketData } from './BaseExchangeService';
+import { FundingRate } from '../../types';
 import { logger } from '../../utils/app-logger';
+import { symbolUniverse } from '../symbol-universe.service';
 import { API_ENDPOINTS, isCrypto } from '../../config/exchanges';
 import { REQUEST_TIMEOUT } from '../../config';
 
 const TAG = 'LighterHybrid';
-const WS_URL = 'wss://mainnet.zklighter.elliot.ai/stream';
 
 // Timeout and staleness thresholds
 const WS_TIMEOUT = 15000;      // 15 seconds before fallback
@@ -26,20 +27,26 @@ class LighterService extends HybridExchangeService {
     private reconnectAttempts = 0;
     private readonly maxReconnectAttempts = 10;  // More attempts since WS works
     private readonly reconnectDelay = 5000;       // 5s initial delay (faster recovery)
-    private wsDisabled: boolean = false;
 
     // Market ID mapping (symbol -> market_id)
     private marketIndexMap: Record<string, number> = {};
-    private orderBooks: Record<string, { bid: number; ask: number }> = {};
+    // Full L2 book per symbol (price -> size), trimmed to BOOK_DEPTH on emit
+    private orderBooks: Record<string, LevelBook> = {};
 
     constructor() {
         const config: HybridConfig = {
             name: 'LIGHTER',
-            wsUrl: WS_URL,
+            wsUrl: API_ENDPOINTS.LIGHTER_WS,
             wsTimeout: WS_TIMEOUT,
             staleThreshold: STALE_THRESHOLD
         };
         super(config);
+
+        // Follow new listings / delistings without reconnecting
+        symbolUniverse.on('change', ({ added, removed }) => {
+            this.subscribeOrderBooks(added);
+            this.subscribeOrderBooks(removed, 'unsubscribe');
+        });
     }
 
     // Override start - WS primary since it works for Lighter
@@ -57,6 +64,9 @@ class LighterService extends HybridExchangeService {
 
         // Start watchdog for fallback detection
         this.startWatchdog();
+
+        // Funding rates (REST)
+        this.startFundingPolling();
     }
 
     // ==================== WebSocket Implementation ====================
@@ -89,6 +99,7 @@ class LighterService extends HybridExchangeService {
                 });
 
                 this.ws.on('message', (data: WebSocket.Data) => {
+                    this.emitFrame(data);
                     this.handleWsMessage(data);
                 });
 
@@ -104,6 +115,7 @@ class LighterService extends HybridExchangeService {
                     logger.info(TAG, 'WebSocket closed');
                     this.isWsConnected = false;
                     this.stopPing();
+                    if (!this.ws) return;  // Closed by stop()
                     if (this.reconnectAttempts < this.maxReconnectAttempts && !this.wsDisabled) {
                         this.scheduleReconnect();
                     } else {
@@ -123,37 +135,43 @@ class LighterService extends HybridExchangeService {
     protected disconnectWebSocket(): void {
         this.stopPing();
         if (this.ws) {
-            this.ws.close();
-            this.ws = null;
+            const ws = this.ws;
+            this.ws = null;  // Marks the close as intentional (no reconnect)
+            ws.close();
         }
         this.isWsConnected = false;
     }
 
     protected subscribeToMarkets(): void {
-        const symbols = Object.keys(this.marketIndexMap);
-        logger.info(TAG, `Subscribing to ${symbols.length} markets via WS`);
-
-        symbols.forEach(symbol => {
-            const marketId = this.marketIndexMap[symbol];
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify({
-                    type: 'subscribe',
-                    channel: `order_book/${marketId}`
-                }));
-            }
+        // Only markets in the tracked universe
+        this.subscribeOrderBooks(Object.keys(this.marketIndexMap).filter(s => symbolUniverse.has(s)));
+    }
+
+    private subscribeOrderBooks(symbols: string[], type: 'subscribe' | 'unsubscribe' = 'subscribe'): void {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+        const known = symbols.filter(s => this.marketIndexMap[s] !== undefined);
+        logger.info(TAG, `${type} ${known.length} markets via WS`);
+
+        known.forEach(symbol => {
+            this.ws!.send(JSON.stringify({
+                type,
+                channel: `order_book/${this.marketIndexMap[symbol]}`
+            }));
+            if (type === 'unsubscribe') delete this.orderBooks[symbol];
         });
     }
 
     private async fetchMarketIndices(): Promise<boolean> {
         try {
             logger.info(TAG, 'Fetching market indices...');
-            const res = await axios.get(API_ENDPOINTS.LIGHTER, { timeout: 10000 });
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.LIGHTER, { timeout: 10000 }));
             const markets = res.data.order_book_details || [];
 
             let count = 0;
             markets.forEach((m: any) => {
                 if (m.market_type === 'perp' && m.status === 'active' && m.market_id !== undefined) {
-                    const symbol = m.symbol.split('-')[0];
+                    const symbol = this.toAsset(m.symbol);
                     if (isCrypto(symbol)) {
                         this.marketIndexMap[symbol] = m.market_id;
                         count++;
@@ -173,8 +191,9 @@ class LighterService extends HybridExchangeService {
         try {
             const msg = JSON.parse(data.toString());
 
-            // Handle order book updates
-            if (msg.type === 'update/order_book' && msg.order_book) {
+            // Initial snapshot ('subscribed/order_book') then deltas ('update/order_book')
+            const isSnapshot = msg.type === 'subscribed/order_book';
+            if ((isSnapshot || msg.type === 'update/order_book') && msg.order_book) {
                 const channelParts = msg.channel.split(':');
                 if (channelParts.length !== 2) return;
 
@@ -182,48 +201,21 @@ class LighterService extends HybridExchangeService {
                 const symbol = Object.keys(this.marketIndexMap).find(s => this.marketIndexMap[s] === marketId);
                 if (!symbol) return;
 
-                const ob = msg.order_book;
-
-                // Get current values
-                let currentBid = this.orderBooks[symbol]?.bid || 0;
-                let currentAsk = this.orderBooks[symbol]?.ask || 0;
-                let updated = false;
-
-                // Update bids
-                if (ob.bids?.length > 0) {
-                    const validBids = ob.bids.map((b: any) => {
-                        if (Array.isArray(b)) return parseFloat(b[0]);
-                        return parseFloat(b.price || b[0]);
-                    }).filter((p: number) => !isNaN(p));
-
-                    if (validBids.length > 0) {
-                        const newBestBid = Math.max(...validBids);
-                        if (newBestBid !== currentBid) {
-                            currentBid = newBestBid;
-                            updated = true;
-                        }
-                    }
+                if (isSnapshot || !this.orderBooks[symbol]) {
+                    this.orderBooks[symbol] = { bids: new Map(), asks: new Map() };
                 }
 
-                // Update asks
-                if (ob.asks?.length > 0) {
-                    const validAsks = ob.asks.map((a: any) => {
-                        if (Array.isArray(a)) return parseFloat(a[0]);
-                        return parseFloat(a.price || a[0]);
-                    }).filter((p: number) => !isNaN(p) && p > 0);
-
-                    if (validAsks.length > 0) {
-                        const newBestAsk = Math.min(...validAsks);
-                        if (newBestAsk !== currentAsk) {
-                            currentAsk = newBestAsk;
-                            updated = true;
-                        }
-                    }
-                }
+                const book = this.orderBooks[symbol];
+                this.applyLevels(book.bids, msg.order_book.bids);
+                this.applyLevels(book.asks, msg.order_book.asks);
+
+                const { bids, asks } = this.snapshotBook(book);
 
-                if ((updated || !this.orderBooks[symbol]) && (currentBid > 0 || currentAsk > 0)) {
-                    this.orderBooks[symbol] = { bid: currentBid, ask: currentAsk };
-                    this.onWsUpdate(symbol, currentBid, currentAsk);
+                const bestBid = bids[0]?.price || 0;
+                const bestAsk = asks[0]?.price || 0;
+
+                if (bestBid > 0 || bestAsk > 0) {
+                    this.onWsUpdate(symbol, bestBid, bestAsk, { bids, asks });
                 }
             }
         } catch (e) {
@@ -253,11 +245,11 @@ class LighterService extends HybridExchangeService {
             this.reconnectAttempts++;
             const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000);
             logger.info(TAG, `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-            setTimeout(() => this.connectWebSocket(), delay);
+            this.scheduleConnect(delay);
         } else {
             logger.warn(TAG, 'Max reconnect attempts reached, will retry in 60s');
             this.reconnectAttempts = 0;
-            setTimeout(() => this.connectWebSocket(), 60000);
+            this.scheduleConnect(60000);
         }
     }
 
@@ -265,14 +257,14 @@ class LighterService extends HybridExchangeService {
 
     async fetchMarkets(): Promise<MarketData[]> {
         try {
-            const res = await axios.get(API_ENDPOINTS.LIGHTER, { timeout: REQUEST_TIMEOUT });
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.LIGHTER, { timeout: REQUEST_TIMEOUT }));
             const markets = res.data.order_book_details || [];
 
             const results: MarketData[] = [];
 
             markets.forEach((m: any) => {
                 if (m.market_type === 'perp' && m.status === 'active') {
-                    const symbol = m.symbol.includes('--') ? m.symbol.split('--')[0] : m.symbol;
+                    const symbol = this.toAsset(m.symbol);
 
                     if (!isCrypto(symbol)) return;
 
@@ -291,6 +283,57 @@ class LighterService extends HybridExchangeService {
             return [];
         }
     }
+
+    /**
+     * Listed perps with contract metadata
+     * Tick/lot come from the supported decimals; min_initial_margin_fraction is in 1/10000
+     */
+    async fetchListedSymbols(): Promise<string[]> {
+        const res = await this.trackRest(axios.get(API_ENDPOINTS.LIGHTER, { timeout: REQUEST_TIMEOUT }));
+
+        return (res.data.order_book_details || [])
+            .filter((m: any) => m.market_type === 'perp' && m.status === 'active' && m.symbol)
+            .map((m: any) => {
+                const imf = parseFloat(m.min_initial_margin_fraction);
+                return this.registerMarket(m.symbol, {
+                    tickSize: m.price_decimals !== undefined ? Math.pow(10, -m.price_decimals) : null,
+                    lotSize: m.size_decimals !== undefined ? Math.pow(10, -m.size_decimals) : null,
+                    minNotional: m.min_quote_amount,
+                    maxLeverage: imf > 0 ? 10000 / imf : null
+                });
+            });
+    }
+
+    /**
+     * Funding rates via REST
+     * The endpoint lists several venues and quotes 8h-equivalent rates;
+     * Lighter pays hourly, so the rate is converted to a 1h rate
+     */
+    async fetchFundingRates(): Promise<FundingRate[]> {
+        try {
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.LIGHTER_FUNDING, { timeout: REQUEST_TIMEOUT }));
+            const rates = res.data.funding_rates || [];
+            const now = Date.now();
+            const nextFundingTime = this.nextFundingBoundary(1, now);
+
+            const results: FundingRate[] = [];
+
+            rates.forEach((r: any) => {
+                if (r.exchange !== 'lighter' || !r.symbol) return;
+
+                const symbol = this.toAsset(r.symbol);
+                const rate = parseFloat(r.rate);
+                if (!isCrypto(symbol) || isNaN(rate)) return;
+
+                results.push({ symbol, rate: rate / 8, intervalHours: 1, nextFundingTime, timestamp: now });
+            });
+
+            return results;
+        } catch (error: any) {
+            logger.error(TAG, 'Funding fetch failed', error);
+            return [];
+        }
+    }
 }
 
 // Export singleton
@@ -7,15 +7,19 @@ import WebSocket from 'ws';
 import axios from 'axios';
 import { HybridExchangeService, HybridConfig } from './HybridExchangeService';
 import { MarketData } from './BaseExchangeService';
+import { FundingRate, OrderBookLevel } from '../../types';
 import { logger } from '../../utils/app-logger';
+import { symbolUniverse } from '../symbol-universe.service';
 import { API_ENDPOINTS } from '../../config/exchanges';
-import { ALLOWED_SYMBOLS, COMMON_HEADERS, REQUEST_TIMEOUT } from '../../config';
+import { COMMON_HEADERS, REQUEST_TIMEOUT } from '../../config';
 
 const TAG = 'Paradex';
 
 // Constants
 const WS_TIMEOUT = 15000;
 const STALE_THRESHOLD = 30000;
+const BOOK_CHANNEL = (market: string) => `order_book.${market}.snapshot@15@100ms`;
+const FUNDING_INTERVAL_HOURS = 8;  // funding_rate is quoted per 8h, accrued continuously
 
 class ParadexService extends HybridExchangeService {
     readonly name = 'PARADEX';
@@ -25,6 +29,7 @@ class ParadexService extends HybridExchangeService {
     private reconnectAttempts = 0;
     private readonly maxReconnectAttempts = 5;
     private readonly reconnectDelay = 3000;
+    private nextRequestId = 2;
 
     constructor() {
         // Paradex uses 'v1' in the URL, make sure config is correct
@@ -35,6 +40,12 @@ class ParadexService extends HybridExchangeService {
             staleThreshold: STALE_THRESHOLD
         };
         super(config);
+
+        // Follow new listings / delistings without reconnecting
+        symbolUniverse.on('change', ({ added, removed }) => {
+            this.subscribeOrderBooks(added);
+            this.subscribeOrderBooks(removed, 'unsubscribe');
+        });
     }
 
     // ==================== WebSocket Implementation ====================
@@ -59,6 +70,7 @@ class ParadexService extends HybridExchangeService {
                 });
 
                 this.ws.on('message', (data: WebSocket.Data) => {
+                    this.emitFrame(data);
                     this.handleWsMessage(data);
                 });
 
@@ -72,7 +84,7 @@ class ParadexService extends HybridExchangeService {
                 this.ws.on('close', () => {
                     logger.info(TAG, 'WebSocket closed');
                     this.isWsConnected = false;
-                    this.scheduleReconnect();
+                    if (this.ws) this.scheduleReconnect();  // null = closed by stop()
                 });
 
             } catch (error: any) {
@@ -85,8 +97,9 @@ class ParadexService extends HybridExchangeService {
 
     protected disconnectWebSocket(): void {
         if (this.ws) {
-            this.ws.close();
-            this.ws = null;
+            const ws = this.ws;
+            this.ws = null;  // Marks the close as intentional (no reconnect)
+            ws.close();
         }
         this.isWsConnected = false;
     }
@@ -104,6 +117,25 @@ class ParadexService extends HybridExchangeService {
             }
         };
         this.ws.send(JSON.stringify(subscribeMessage));
+
+        // L2 snapshots for the tracked markets (sizes needed for executable spread)
+        this.subscribeOrderBooks(symbolUniverse.getSymbols());
+    }
+
+    private subscribeOrderBooks(symbols: string[], method: 'subscribe' | 'unsubscribe' = 'subscribe'): void {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN || symbols.length === 0) return;
+
+        logger.debug(TAG, `${method} ${symbols.length} order books...`);
+        symbols.forEach(symbol => {
+            this.ws!.send(JSON.stringify({
+                id: this.nextRequestId++,
+                jsonrpc: '2.0',
+                method,
+                params: {
+                    channel: BOOK_CHANNEL(this.toMarketId(symbol, `${symbol}-USD-PERP`))
+                }
+            }));
+        });
     }
 
     private handleWsMessage(data: WebSocket.Data): void {
@@ -123,6 +155,11 @@ class ParadexService extends HybridExchangeService {
                     this.processMarketData(marketData);
                 }
             }
+
+            // Handle order book snapshots
+            if (message.params?.channel?.startsWith('order_book.') && message.params.data) {
+                this.processOrderBook(message.params.data);
+            }
         } catch (error) {
             // Ignore parse errors
         }
@@ -134,10 +171,10 @@ class ParadexService extends HybridExchangeService {
 
         updates.forEach((market: any) => {
             if (market.symbol?.endsWith('-USD-PERP')) {
-                const symbol = market.symbol.split('-')[0];
+                const symbol = this.toAsset(market.symbol);
 
                 // Filter by allowed symbols
-                if (ALLOWED_SYMBOLS.includes(symbol)) {
+                if (symbolUniverse.has(symbol)) {
                     const bid = parseFloat(market.bid || 0);
                     const ask = parseFloat(market.ask || 0);
 
@@ -149,15 +186,38 @@ class ParadexService extends HybridExchangeService {
         });
     }
 
+    private processOrderBook(data: any) {
+        // Snapshot channel: every message carries the full top-15 book in 'inserts'
+        if (!data.market?.endsWith('-USD-PERP')) return;
+
+        const symbol = this.toAsset(data.market);
+        if (!symbolUniverse.has(symbol)) return;
+
+        const bids: OrderBookLevel[] = [];
+        const asks: OrderBookLevel[] = [];
+
+        (data.inserts || []).forEach((level: any) => {
+            const price = parseFloat(level.price);
+            const size = parseFloat(level.size);
+            if (!(price > 0) || !(size > 0)) return;
+
+            if (level.side === 'BUY') bids.push({ price, size });
+            else if (level.side === 'SELL') asks.push({ price, size });
+        });
+
+        if (bids.length === 0 || asks.length === 0) return;
+
+        const book = this.trimBook({ bids, asks });
+        this.onWsUpdate(symbol, book.bids[0].price, book.asks[0].price, book);
+    }
+
     private scheduleReconnect(): void {
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.reconnectAttempts++;
             const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000);
             logger.info(TAG, `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
 
-            setTimeout(() => {
-                this.connectWebSocket();
-            }, delay);
+            this.scheduleConnect(delay);
         } else {
             logger.error(TAG, 'Max reconnection attempts reached');
             // Maybe fallback to REST permanently for this session?
@@ -171,19 +231,19 @@ class ParadexService extends HybridExchangeService {
 
     async fetchMarkets(): Promise<MarketData[]> {
         try {
-            const res = await axios.get(API_ENDPOINTS.PARADEX, {
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.PARADEX, {
                 headers: COMMON_HEADERS,
                 timeout: REQUEST_TIMEOUT
-            });
+            }));
 
             const markets = res.data.results || [];
             const result: MarketData[] = [];
 
             markets.forEach((m: any) => {
                 if (m.symbol?.endsWith('-USD-PERP')) {
-                    const symbol = m.symbol.split('-')[0];
+                    const symbol = this.toAsset(m.symbol);
 
-                    if (ALLOWED_SYMBOLS.includes(symbol)) {
+                    if (symbolUniverse.has(symbol)) {
                         const bid = parseFloat(m.bid || 0);
                         const ask = parseFloat(m.ask || 0);
 
@@ -200,6 +260,62 @@ class ParadexService extends HybridExchangeService {
             return [];
         }
     }
+
+    /**
+     * Listed perps with contract metadata (tick, lot, min notional, max leverage = 1 / base IMF)
+     */
+    async fetchListedSymbols(): Promise<string[]> {
+        const res = await this.trackRest(axios.get(API_ENDPOINTS.PARADEX_MARKETS, {
+            headers: COMMON_HEADERS,
+            timeout: REQUEST_TIMEOUT
+        }));
+
+        return (res.data.results || [])
+            .filter((m: any) => m.symbol?.endsWith('-USD-PERP'))
+            .map((m: any) => {
+                const imf = parseFloat(m.delta1_cross_margin_params?.imf_base);
+                return this.registerMarket(m.symbol, {
+                    tickSize: m.price_tick_size,
+                    lotSize: m.order_size_increment,
+                    minNotional: m.min_notional,
+                    maxLeverage: imf > 0 ? 1 / imf : null
+                });
+            });
+    }
+
+    async fetchFundingRates(): Promise<FundingRate[]> {
+        try {
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.PARADEX, {
+                headers: COMMON_HEADERS,
+                timeout: REQUEST_TIMEOUT
+            }));
+
+            const now = Date.now();
+            const result: FundingRate[] = [];
+
+            (res.data.results || []).forEach((m: any) => {
+                if (!m.symbol?.endsWith('-USD-PERP') || m.funding_rate === undefined) return;
+
+                const symbol = this.toAsset(m.symbol);
+                const rate = parseFloat(m.funding_rate);
+
+                if (symbolUniverse.has(symbol) && !isNaN(rate)) {
+                    result.push({
+                        symbol,
+                        rate,
+                        intervalHours: FUNDING_INTERVAL_HOURS,
+                        nextFundingTime: null,
+                        timestamp: now
+                    });
+                }
+            });
+
+            return result;
+        } catch (error: any) {
+            logger.error(TAG, 'Error fetching funding rates', error);
+            return [];
+        }
+    }
 }
 
 // Export singleton instance
@@ -7,9 +7,11 @@
 import axios from 'axios';
 import { HybridExchangeService, HybridConfig } from './HybridExchangeService';
 import { MarketData } from './BaseExchangeService';
+import { FundingRate, OrderBook } from '../../types';
 import { logger } from '../../utils/app-logger';
+import { symbolUniverse } from '../symbol-universe.service';
 import { API_ENDPOINTS } from '../../config/exchanges';
-import { ALLOWED_SYMBOLS, COMMON_HEADERS, REQUEST_TIMEOUT, CONCURRENCY } from '../../config';
+import { COMMON_HEADERS, REQUEST_TIMEOUT, CONCURRENCY, BOOK_DEPTH } from '../../config';
 import { sleep } from '../../utils/app-sleep';
 
 const TAG = 'Vest';
@@ -33,6 +35,7 @@ class VestService extends HybridExchangeService {
     async start(): Promise<void> {
         logger.info(TAG, '📡 Mode: REST ONLY (WS Disabled to avoid 530 errors)');
         this.startFallback();
+        this.startFundingPolling();
     }
 
     // ==================== WebSocket Stubs (Unused) ====================
@@ -58,18 +61,18 @@ class VestService extends HybridExchangeService {
         const results: MarketData[] = [];
 
         try {
-            const res = await axios.get(API_ENDPOINTS.VEST_TICKER, {
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.VEST_TICKER, {
                 headers: COMMON_HEADERS,
                 timeout: REQUEST_TIMEOUT
-            });
+            }));
 
             const tickers = res.data.tickers || [];
             const symbolsToFetch: { base: string; querySym: string }[] = [];
 
             tickers.forEach((t: any) => {
                 if (t.symbol.endsWith('-PERP')) {
-                    const baseSymbol = t.symbol.split('-')[0];
-                    if (ALLOWED_SYMBOLS.includes(baseSymbol)) {
+                    const baseSymbol = this.toAsset(t.symbol);
+                    if (symbolUniverse.has(baseSymbol)) {
                         symbolsToFetch.push({ base: baseSymbol, querySym: t.symbol });
                     }
                 }
@@ -84,7 +87,7 @@ class VestService extends HybridExchangeService {
 
                 batchResults.forEach(({ base, data }) => {
                     if (data && data.bid > 0 && data.ask > 0) {
-                        results.push({ symbol: base, bid: data.bid, ask: data.ask });
+                        results.push({ symbol: base, bid: data.bid, ask: data.ask, book: data.book });
                     }
                 });
 
@@ -97,20 +100,80 @@ class VestService extends HybridExchangeService {
         return results;
     }
 
-    private async fetchDepth(symbol: string): Promise<{ bid: number; ask: number } | null> {
+    private async fetchDepth(symbol: string): Promise<{ bid: number; ask: number; book: OrderBook } | null> {
         try {
-            const url = `${API_ENDPOINTS.VEST_DEPTH}?symbol=${symbol}&limit=5`;
-            const res = await axios.get(url, { headers: COMMON_HEADERS, timeout: 3000 });
+            const url = `${API_ENDPOINTS.VEST_DEPTH}?symbol=${symbol}&limit=${BOOK_DEPTH}`;
+            const res = await this.trackRest(axios.get(url, { headers: COMMON_HEADERS, timeout: 3000 }));
 
             if (res.data?.bids?.length && res.data?.asks?.length) {
+                const book = this.trimBook({
+                    bids: this.parseLevels(res.data.bids),
+                    asks: this.parseLevels(res.data.asks)
+                });
+
                 return {
                     bid: parseFloat(res.data.bids[0][0] || 0),
-                    ask: parseFloat(res.data.asks[0][0] || 0)
+                    ask: parseFloat(res.data.asks[0][0] || 0),
+                    book
                 };
             }
         } catch (e) { }
         return null;
     }
+
+    /**
+     * Listed perps with contract metadata (max leverage = 1 / initMarginRatio)
+     */
+    async fetchListedSymbols(): Promise<string[]> {
+        const res = await this.trackRest(axios.get(API_ENDPOINTS.VEST_EXCHANGE_INFO, {
+            headers: COMMON_HEADERS,
+            timeout: REQUEST_TIMEOUT
+        }));
+
+        return (res.data.symbols || [])
+            .filter((t: any) => t.symbol?.endsWith('-PERP'))
+            .map((t: any) => {
+                const imr = parseFloat(t.initMarginRatio);
+                return this.registerMarket(t.symbol, {
+                    tickSize: t.priceDecimals !== undefined ? Math.pow(10, -t.priceDecimals) : null,
+                    lotSize: t.sizeDecimals !== undefined ? Math.pow(10, -t.sizeDecimals) : null,
+                    minNotional: t.minNotional,
+                    maxLeverage: imr > 0 ? 1 / imr : null
+                });
+            });
+    }
+
+    /**
+     * Funding rates via REST (oneHrFundingRate, settled every hour)
+     */
+    async fetchFundingRates(): Promise<FundingRate[]> {
+        try {
+            const res = await this.trackRest(axios.get(API_ENDPOINTS.VEST_TICKER_LATEST, {
+                headers: COMMON_HEADERS,
+                timeout: REQUEST_TIMEOUT
+            }));
+
+            const now = Date.now();
+            const nextFundingTime = this.nextFundingBoundary(1, now);
+            const results: FundingRate[] = [];
+
+            (res.data.tickers || []).forEach((t: any) => {
+                if (!t.symbol?.endsWith('-PERP') || t.oneHrFundingRate === undefined) return;
+
+                const symbol = this.toAsset(t.symbol);
+                const rate = parseFloat(t.oneHrFundingRate);
+
+                if (symbolUniverse.has(symbol) && !isNaN(rate)) {
+                    results.push({ symbol, rate, intervalHours: 1, nextFundingTime, timestamp: now });
+                }
+            });
+
+            return results;
+        } catch (error: any) {
+            logger.error(TAG, `Funding fetch failed: ${error.message}`);
+            return [];
+        }
+    }
 }
 
 // Export singleton
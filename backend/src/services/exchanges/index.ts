@@ -3,45 +3,81 @@
  * 
  * Centralized exports for all exchange services.
  * To add a new exchange:
- * 1. Create a new service file extending BaseExchangeService
- * 2. Export it here
- * 3. Register it in the EXCHANGE_REGISTRY
+ * 1. Create a new service file extending HybridExchangeService
+ * 2. Register it in the EXCHANGE_REGISTRY (key = its `name`)
+ * 3. Add its fee schedule to EXCHANGE_FEES (config/exchanges.ts)
+ *
+ * The aggregator, spread engine, DB writers, WS payload and /api/exchanges
+ * all iterate the enabled adapters, so nothing else needs to change.
  */
 
 export { BaseExchangeService, IExchangeService, MarketData, ExchangeConfig } from './BaseExchangeService';
-export { HybridExchangeService, HybridConfig, TimestampedPrice } from './HybridExchangeService';
+export { HybridExchangeService, HybridConfig, TimestampedPrice, LevelBook } from './HybridExchangeService';
 export { paradexService, ParadexService } from './ParadexService';
 export { vestService, VestService } from './VestService';
 export { lighterService, LighterService } from './LighterService';
 export { extendedService, ExtendedService } from './ExtendedService';
+export { hyperliquidService, HyperliquidService } from './HyperliquidService';
+export { dydxService, DydxService } from './DydxService';
+export { aevoService, AevoService } from './AevoService';
 
-import { IExchangeService } from './BaseExchangeService';
+import { HybridExchangeService } from './HybridExchangeService';
 import { paradexService } from './ParadexService';
 import { vestService } from './VestService';
 import { lighterService } from './LighterService';
 import { extendedService } from './ExtendedService';
+import { hyperliquidService } from './HyperliquidService';
+import { dydxService } from './DydxService';
+import { aevoService } from './AevoService';
+import { EXCHANGES } from '../../config';
 
 /**
  * Registry of all available exchange services (using hybrid where available)
  * Add new exchanges here for automatic integration
  */
-export const EXCHANGE_REGISTRY: Record<string, IExchangeService> = {
+export const EXCHANGE_REGISTRY: Record<string, HybridExchangeService> = {
     PARADEX: paradexService,
     VEST: vestService,
     LIGHTER: lighterService,
-    EXTENDED: extendedService
+    EXTENDED: extendedService,
+    HYPERLIQUID: hyperliquidService,
+    DYDX: dydxService,
+    AEVO: aevoService
 };
 
+/**
+ * Whether an adapter is enabled by configuration (EXCHANGES_ENABLED / EXCHANGES_DISABLED)
+ */
+export function isExchangeEnabled(name: string): boolean {
+    const key = name.toUpperCase();
+    if (EXCHANGES.DISABLED.includes(key)) return false;
+    return EXCHANGES.ENABLED.length === 0 || EXCHANGES.ENABLED.includes(key);
+}
+
 /**
  * Get all registered exchange services
  */
-export function getAllExchanges(): IExchangeService[] {
+export function getAllExchanges(): HybridExchangeService[] {
     return Object.values(EXCHANGE_REGISTRY);
 }
 
+/**
+ * Get the exchange services enabled at startup
+ */
+export function getEnabledExchanges(): HybridExchangeService[] {
+    return getAllExchanges().filter(service => isExchangeEnabled(service.name));
+}
+
+/**
+ * Pair field holding an exchange's quote (PARADEX -> pair.paradex)
+ */
+export function getPairKey(name: string): string {
+    return name.toLowerCase();
+}
+
 /**
  * Get a specific exchange by name
  */
-export function getExchange(name: string): IExchangeService | undefined {
+export function getExchange(name: string): HybridExchangeService | undefined {
     return EXCHANGE_REGISTRY[name.toUpperCase()];
 }
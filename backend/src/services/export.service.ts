@@ -0,0 +1,185 @@
+/**
+ * Export Service
+ * Streams a table's rows for a time range and symbols as CSV, NDJSON
+ * (/api/export/:dataset) or Parquet files (npm run export). Rows are pulled
+ * from SQLite as the output drains, so a range never sits in memory; Parquet
+ * buffers one row group at a time.
+ * Timestamps: ISO 8601 (UTC) in CSV / NDJSON, TIMESTAMP_MILLIS in Parquet.
+ */
+
+import { HISTORY } from '../config';
+import { ColumnType, ExportDataset, EXPORT_TABLES, iterateRows } from '../db/export-repo';
+import { parseTime } from '../utils/app-time';
+import { rawHistoryStart } from './history.service';
+
+export type ExportFormat = 'csv' | 'ndjson' | 'parquet';
+
+export interface ExportParams {
+    dataset: ExportDataset;
+    from: number;
+    to: number;
+    symbols: string[];     // empty = every symbol
+    format: ExportFormat;
+}
+
+export class ExportParamError extends Error { }
+
+const DAY_MS = 86_400_000;
+
+// Output is written in chunks of about this many characters
+const CHUNK_CHARS = 64 * 1024;
+
+const PARQUET_ROW_GROUP = 10_000;
+
+export const CONTENT_TYPES: Record<ExportFormat, string> = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson',
+    parquet: 'application/vnd.apache.parquet'
+};
+
+// ==================== Params ====================
+
+/**
+ * Build params from loose input (query string or CLI flags); defaults to the
+ * last 24h of every symbol as CSV
+ */
+export function parseExportParams(dataset: string, input: Record<string, any>, now: number = Date.now()): ExportParams {
+    const datasets = Object.keys(EXPORT_TABLES);
+    if (!datasets.includes(dataset)) throw new ExportParamError(`dataset must be one of ${datasets.join(', ')}`);
+
+    const to = parseTime(input.to, 'to', now, ExportParamError);
+    const from = parseTime(input.from, 'from', to - DAY_MS, ExportParamError);
+    if (from >= to) throw new ExportParamError('from must be before to');
+    const rawStart = rawHistoryStart(now);
+    if (dataset === 'spreads' && rawStart !== null && from < rawStart) {
+        throw new ExportParamError(`spreads cover the last ${HISTORY.RAW_RETENTION_DAYS} days only (raw history retention)`);
+    }
+
+    const format = input.format || 'csv';
+    if (!(format in CONTENT_TYPES)) throw new ExportParamError(`format must be one of ${Object.keys(CONTENT_TYPES).join(', ')}`);
+
+    const symbols = String(input.symbols || '')
+        .split(',')
+        .map(s => s.trim().toUpperCase())
+        .filter(Boolean);
+
+    return { dataset: dataset as ExportDataset, from, to, symbols, format };
+}
+
+/**
+ * dataset_from_to.ext (dates as YYYY-MM-DD, UTC)
+ */
+export function exportFileName({ dataset, from, to, format }: ExportParams): string {
+    const day = (ms: number) => new Date(ms).toISOString().slice(0, 10);
+    return `${dataset}_${day(from)}_${day(to)}.${format}`;
+}
+
+// ==================== Text Formats ====================
+
+const csvValue = (value: any): string => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows of one table as CSV (header first) or NDJSON lines
+ */
+function textFormatter(columns: Record<string, ColumnType>, format: 'csv' | 'ndjson') {
+    const names = Object.keys(columns);
+    const output = (row: Record<string, any>) => {
+        const out: Record<string, any> = {};
+        names.forEach(name => {
+            const value = row[name];
+            out[name] = columns[name] === 'timestamp' && value !== null ? new Date(value).toISOString() : value;
+        });
+        return out;
+    };
+
+    return {
+        header: format === 'csv' ? names.join(',') + '\n' : '',
+        line: format === 'csv'
+            ? (row: Record<string, any>) => { const out = output(row); return names.map(name => csvValue(out[name])).join(',') + '\n'; }
+            : (row: Record<string, any>) => JSON.stringify(output(row)) + '\n'
+    };
+}
+
+type ExportStream = NodeJS.WritableStream & { destroyed?: boolean };
+
+/**
+ * Resolves once the stream wants more data, or is gone ('close' may have
+ * fired already when the client disconnected)
+ */
+const drained = (out: ExportStream): Promise<void> => new Promise(resolve => {
+    if (out.destroyed) return resolve();
+    const done = () => {
+        out.removeListener('drain', done);
+        out.removeListener('close', done);
+        resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+});
+
+/**
+ * Write CSV / NDJSON to a stream, pausing while it is full; stops early when
+ * the stream is destroyed (client gone). The stream is not ended.
+ * @returns rows written
+ */
+export async function streamExport(params: ExportParams, out: ExportStream): Promise<number> {
+    if (params.format === 'parquet') throw new ExportParamError('parquet is written to files (npm run export)');
+
+    const formatter = textFormatter(EXPORT_TABLES[params.dataset].columns, params.format);
+    let chunk = formatter.header;
+    let rows = 0;
+
+    for await (const row of iterateRows(params.dataset, params.from, params.to, params.symbols)) {
+        chunk += formatter.line(row);
+        rows++;
+
+        if (chunk.length >= CHUNK_CHARS) {
+            if (out.destroyed || !out.write(chunk)) await drained(out);
+            chunk = '';
+            if (out.destroyed) return rows;
+        }
+    }
+
+    if (chunk && !out.destroyed) out.write(chunk);
+    return rows;
+}
+
+// ==================== Parquet ====================
+
+const PARQUET_TYPES: Record<ColumnType, string> = {
+    text: 'UTF8',
+    integer: 'INT64',
+    real: 'DOUBLE',
+    timestamp: 'TIMESTAMP_MILLIS'
+};
+
+/**
+ * Write a Parquet file (every column optional, SNAPPY compressed)
+ * @returns rows written
+ */
+export async function writeParquet(params: ExportParams, file: string): Promise<number> {
+    // Untyped package, loaded only by the CLI
+    const parquet = require('parquetjs-lite');
+    const columns = EXPORT_TABLES[params.dataset].columns;
+
+    const fields: Record<string, { type: string; optional: true; compression: 'SNAPPY' }> = {};
+    Object.entries(columns).forEach(([name, type]) => {
+        fields[name] = { type: PARQUET_TYPES[type], optional: true, compression: 'SNAPPY' };
+    });
+
+    const writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(fields), file, { rowGroupSize: PARQUET_ROW_GROUP });
+    let rows = 0;
+    try {
+        for await (const row of iterateRows(params.dataset, params.from, params.to, params.symbols)) {
+            await writer.appendRow(row);
+            rows++;
+        }
+    } finally {
+        await writer.close();
+    }
+    return rows;
+}
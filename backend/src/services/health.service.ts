@@ -0,0 +1,173 @@
+/**
+ * Health Monitor
+ * Samples the adapters' counters every HEALTH.INTERVAL_MS and rates each venue
+ * over the last HEALTH.WINDOW_MS:
+ *   down     - no fresh quotes
+ *   degraded - WS silent or disabled (REST covering), no message for
+ *              HEALTH.MAX_MESSAGE_AGE_MS, or too many failing REST calls
+ *   up       - otherwise
+ * Emits 'status' (ExchangeHealth) on every status change, plus the webhook events:
+ *   'exchange.down' - a venue that had been up goes down ('down') or recovers ('up')
+ *   'feed.stale'    - REST fallback took over from WS ('stale') or WS is back ('live')
+ */
+
+import { EventEmitter } from 'events';
+import { HEALTH } from '../config';
+import { ExchangeHealth, HealthStatus, ServiceStats } from '../types';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'Health';
+
+interface Sample {
+    at: number;
+    stats: ServiceStats;
+}
+
+interface VenueState {
+    samples: Sample[];
+    health: ExchangeHealth;
+    seenUp: boolean;
+}
+
+export interface FeedEvent {
+    exchange: string;
+    status: 'down' | 'up' | 'stale' | 'live';
+    fresh: number;
+    stale: number;
+    timestamp: number;
+}
+
+export interface HealthSummary {
+    status: 'ok' | 'degraded' | 'down';
+    exchanges: Record<HealthStatus, number>;
+    timestamp: number;
+}
+
+const round = (value: number, decimals: number): number => Number(value.toFixed(decimals));
+
+/**
+ * Rate a venue from its samples (oldest first, the last one is current)
+ */
+export function assessHealth(exchange: string, samples: Sample[], now: number): Omit<ExchangeHealth, 'since'> {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const stats = last.stats;
+    const delta = (key: 'wsMessages' | 'restRequests' | 'restErrors' | 'restLatencyMs') => Math.max(0, stats[key] - first.stats[key]);
+
+    const seconds = (last.at - first.at) / 1000;
+    const requests = delta('restRequests');
+    const messageRate = seconds > 0 ? round(delta('wsMessages') / seconds, 2) : 0;
+    const restErrorRate = requests > 0 ? round(delta('restErrors') / requests, 3) : null;
+    const restLatencyMs = requests > 0 ? Math.round(delta('restLatencyMs') / requests) : null;
+    const lastMessageAgeMs = stats.lastMessageAt > 0 ? now - stats.lastMessageAt : null;
+
+    const reasons: string[] = [];
+    if (stats.fresh === 0) reasons.push('no fresh quotes');
+    if (stats.wsDisabled) reasons.push('WebSocket disabled, REST only');
+    else if (stats.fallbackActive && !stats.restOnly) reasons.push('WebSocket silent, REST fallback');
+    if (lastMessageAgeMs !== null && lastMessageAgeMs > HEALTH.MAX_MESSAGE_AGE_MS) {
+        reasons.push(`no message for ${Math.round(lastMessageAgeMs / 1000)}s`);
+    }
+    if (restErrorRate !== null && restErrorRate >= HEALTH.MAX_REST_ERROR_RATE) {
+        reasons.push(`${Math.round(restErrorRate * 100)}% REST errors`);
+    }
+
+    return {
+        exchange,
+        status: stats.fresh === 0 ? 'down' : reasons.length > 0 ? 'degraded' : 'up',
+        reasons,
+        fresh: stats.fresh,
+        stale: stats.stale,
+        wsActive: stats.wsActive,
+        fallbackActive: stats.fallbackActive,
+        restOnly: stats.restOnly,
+        wsDisabled: stats.wsDisabled,
+        messageRate,
+        lastMessageAgeMs,
+        reconnects: stats.reconnects,
+        restErrorRate,
+        restLatencyMs,
+        timestamp: now
+    };
+}
+
+class HealthMonitor extends EventEmitter {
+    private venues: Map<string, VenueState> = new Map();
+    private timer: NodeJS.Timeout | null = null;
+
+    /**
+     * @param getStats per-exchange stats keyed by pair key (aggregator getStats)
+     */
+    start(getStats: () => Record<string, ServiceStats>): void {
+        this.stop();
+        this.check(getStats());
+        this.timer = setInterval(() => this.check(getStats()), HEALTH.INTERVAL_MS);
+    }
+
+    stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    reset(): void {
+        this.venues.clear();
+    }
+
+    getExchanges(): ExchangeHealth[] {
+        return Array.from(this.venues.values(), venue => venue.health);
+    }
+
+    /**
+     * Overall status: ok when every venue is up, down when none is usable
+     */
+    getSummary(now: number = Date.now()): HealthSummary {
+        const exchanges: Record<HealthStatus, number> = { up: 0, degraded: 0, down: 0 };
+        this.venues.forEach(venue => exchanges[venue.health.status]++);
+
+        const usable = exchanges.up + exchanges.degraded;
+        return {
+            status: usable === 0 ? 'down' : exchanges.up === this.venues.size ? 'ok' : 'degraded',
+            exchanges,
+            timestamp: now
+        };
+    }
+
+    check(stats: Record<string, ServiceStats>, now: number = Date.now()): ExchangeHealth[] {
+        return Object.entries(stats).map(([key, stat]) => this.update(key.toUpperCase(), stat, now));
+    }
+
+    private update(exchange: string, stats: ServiceStats, now: number): ExchangeHealth {
+        const previous = this.venues.get(exchange);
+        const samples = (previous?.samples || []).filter(sample => sample.at >= now - HEALTH.WINDOW_MS);
+        samples.push({ at: now, stats });
+
+        const assessed = assessHealth(exchange, samples, now);
+        const changed = !previous || previous.health.status !== assessed.status;
+        const health: ExchangeHealth = { ...assessed, since: changed ? now : previous!.health.since };
+        this.venues.set(exchange, { samples, health, seenUp: (previous?.seenUp ?? false) || health.status !== 'down' });
+
+        if (changed) {
+            if (previous) logger.info(TAG, `${exchange}: ${previous.health.status} → ${health.status}${health.reasons.length ? ` (${health.reasons.join(', ')})` : ''}`);
+            this.emit('status', health);
+        }
+        if (!previous) return health;
+
+        const event = { exchange, fresh: stats.fresh, stale: stats.stale, timestamp: now };
+        const wasDown = previous.health.status === 'down';
+        if (wasDown !== (health.status === 'down') && previous.seenUp) {
+            logger.warn(TAG, `${exchange} ${wasDown ? 'back up' : 'DOWN: no fresh quotes'}`);
+            this.emit('exchange.down', { ...event, status: wasDown ? 'up' : 'down' } as FeedEvent);
+        }
+        if (stats.fallbackActive !== previous.health.fallbackActive) {
+            this.emit('feed.stale', { ...event, status: stats.fallbackActive ? 'stale' : 'live' } as FeedEvent);
+        }
+
+        return health;
+    }
+}
+
+// Export singleton
+export const healthMonitor = new HealthMonitor();
+export { HealthMonitor };
@@ -0,0 +1,434 @@
+/**
+ * History Service
+ * Rolls spread_history up into candles every HISTORY.ROLLUP_INTERVAL_MS:
+ *   1m       - closed minutes of raw samples
+ *   15m / 1h - merged from the 1m candles
+ * A candle's route is the exchange pair seen in most of its samples (15m / 1h:
+ * weighted by the 1m candles' dominant routes). Once rolled up, raw samples
+ * older than HISTORY.RAW_RETENTION_DAYS and 1m candles older than
+ * HISTORY.MINUTE_RETENTION_DAYS are deleted.
+ * History queries read the candles of the requested resolution, plus the
+ * buckets not rolled up yet built from the raw samples; a route filter reads
+ * the raw samples only (candles keep the dominant route alone).
+ */
+
+import { HISTORY } from '../config';
+import { deleteCandlesBefore, deleteSpreadsBefore, getBucketRange, getCandles, getOldestSpreadTime, saveCandles, Resolution, SpreadCandle } from '../db/candles-repo';
+import { eachSpread, SpreadRow } from '../db/spreads-repo';
+import { logger } from '../utils/app-logger';
+import { parseTime, parseTimestamp } from '../utils/app-time';
+
+const TAG = 'History';
+
+const DAY_MS = 86_400_000;
+
+export const RESOLUTIONS: Record<Resolution, number> = {
+    '1m': 60_000,
+    '15m': 900_000,
+    '1h': 3_600_000
+};
+
+// Chart periods (range of the query when no from is given)
+export const PERIODS: Record<string, number> = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '14d': 14 * DAY_MS,
+    'all': 365 * DAY_MS
+};
+
+// Query limits: symbols per call, buckets per symbol; without a resolution the
+// finest one staying under AUTO_BUCKETS is used
+const MAX_SYMBOLS = 20;
+const MAX_BUCKETS = 10_000;
+const AUTO_BUCKETS = 2_000;
+
+// Rollup batch sizes (raw samples / 1m candles read per query)
+const RAW_CHUNK_MS = 3_600_000;
+const CANDLE_CHUNK_MS = DAY_MS;
+
+/**
+ * A raw sample as a one-sample candle (bucket = sample time)
+ */
+export function sampleToCandle(row: SpreadRow): SpreadCandle {
+    return {
+        symbol: row.symbol,
+        resolution: '1m',
+        bucket: parseTimestamp(row.timestamp),
+        open: row.spread,
+        high: row.spread,
+        low: row.spread,
+        close: row.spread,
+        avgSpread: row.spread,
+        p95: row.spread,
+        avgBid: row.best_bid,
+        avgAsk: row.best_ask,
+        bidExchange: row.bid_exchange,
+        askExchange: row.ask_exchange,
+        routeSamples: 1,
+        samples: 1
+    };
+}
+
+/**
+ * Accumulates time-ordered candles of one symbol and bucket
+ */
+class CandleBuilder {
+    private first: SpreadCandle;
+    private last: SpreadCandle;
+    private high: number;
+    private low: number;
+    private samples = 0;
+    private sums = { spread: 0, bid: 0, ask: 0 };
+    private routes: Map<string, number> = new Map();
+    private p95s: [value: number, samples: number][] = [];
+
+    constructor(private resolution: Resolution, private bucket: number, candle: SpreadCandle) {
+        this.first = this.last = candle;
+        this.high = candle.high;
+        this.low = candle.low;
+        this.add(candle, false);
+    }
+
+    add(candle: SpreadCandle, extend: boolean = true): void {
+        if (extend) {
+            this.last = candle;
+            this.high = Math.max(this.high, candle.high);
+            this.low = Math.min(this.low, candle.low);
+        }
+        this.samples += candle.samples;
+        this.sums.spread += candle.avgSpread * candle.samples;
+        this.sums.bid += candle.avgBid * candle.samples;
+        this.sums.ask += candle.avgAsk * candle.samples;
+        this.p95s.push([candle.p95, candle.samples]);
+
+        const route = `${candle.bidExchange}|${candle.askExchange}`;
+        this.routes.set(route, (this.routes.get(route) || 0) + candle.routeSamples);
+    }
+
+    build(): SpreadCandle {
+        const [route, routeSamples] = Array.from(this.routes).reduce((best, entry) => entry[1] > best[1] ? entry : best);
+        const [bidExchange, askExchange] = route.split('|');
+
+        // Sample-weighted: exact over raw samples, an approximation over candles
+        this.p95s.sort((a, b) => a[0] - b[0]);
+        let seen = 0;
+        const p95 = (this.p95s.find(([, samples]) => (seen += samples) >= 0.95 * this.samples) || this.p95s[this.p95s.length - 1])[0];
+
+        return {
+            symbol: this.first.symbol,
+            resolution: this.resolution,
+            bucket: this.bucket,
+            open: this.first.open,
+            high: this.high,
+            low: this.low,
+            close: this.last.close,
+            avgSpread: this.sums.spread / this.samples,
+            p95,
+            avgBid: this.sums.bid / this.samples,
+            avgAsk: this.sums.ask / this.samples,
+            bidExchange,
+            askExchange,
+            routeSamples,
+            samples: this.samples
+        };
+    }
+}
+
+/**
+ * Merges time-ordered candles (or samples) into candles of a resolution as they come
+ */
+class CandleMerger {
+    private builders: Map<string, CandleBuilder> = new Map();
+
+    constructor(private resolution: Resolution) { }
+
+    add(candle: SpreadCandle): void {
+        const size = RESOLUTIONS[this.resolution];
+        const bucket = Math.floor(candle.bucket / size) * size;
+        const key = `${candle.symbol}|${bucket}`;
+        const builder = this.builders.get(key);
+        if (builder) builder.add(candle);
+        else this.builders.set(key, new CandleBuilder(this.resolution, bucket, candle));
+    }
+
+    /**
+     * @returns oldest first
+     */
+    candles(): SpreadCandle[] {
+        return Array.from(this.builders.values(), builder => builder.build())
+            .sort((a, b) => a.bucket - b.bucket || a.symbol.localeCompare(b.symbol));
+    }
+}
+
+/**
+ * Merge time-ordered candles (or samples) into candles of a resolution
+ * @returns oldest first
+ */
+export function mergeCandles(candles: SpreadCandle[], resolution: Resolution): SpreadCandle[] {
+    const merger = new CandleMerger(resolution);
+    candles.forEach(candle => merger.add(candle));
+    return merger.candles();
+}
+
+// ==================== Rollup Job ====================
+
+class HistoryRollup {
+    private timer: NodeJS.Timeout | null = null;
+    private running = false;
+
+    start(): void {
+        this.stop();
+        this.tick();
+        this.timer = setInterval(() => this.tick(), HISTORY.ROLLUP_INTERVAL_MS);
+    }
+
+    stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Roll up every closed bucket, then apply the retention
+     * @returns candles written per resolution
+     */
+    async runOnce(now: number = Date.now()): Promise<Record<Resolution, number>> {
+        const written: Record<Resolution, number> = { '1m': 0, '15m': 0, '1h': 0 };
+
+        // Samples are stamped on insert: every minute before this one is final
+        const closed = Math.floor(now / RESOLUTIONS['1m']) * RESOLUTIONS['1m'];
+
+        written['1m'] = await this.rollupSamples(closed);
+        written['15m'] = await this.rollupMinutes('15m', closed);
+        written['1h'] = await this.rollupMinutes('1h', closed);
+
+        await this.prune(now);
+        return written;
+    }
+
+    private async tick(): Promise<void> {
+        if (this.running) return;
+        this.running = true;
+        try {
+            const written = await this.runOnce();
+            logger.debug(TAG, `Rolled up ${written['1m']} / ${written['15m']} / ${written['1h']} candles (1m / 15m / 1h)`);
+        } catch (error) {
+            logger.error(TAG, 'Rollup failed', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * End of the latest candle of a resolution (null = none yet)
+     */
+    private async rolledUntil(resolution: Resolution): Promise<number | null> {
+        const range = await getBucketRange(resolution);
+        return range ? range.last + RESOLUTIONS[resolution] : null;
+    }
+
+    /**
+     * Raw samples of the closed minutes into 1m candles
+     */
+    private async rollupSamples(end: number): Promise<number> {
+        const size = RESOLUTIONS['1m'];
+        const oldest = await getOldestSpreadTime();
+        if (oldest === null) return 0;
+
+        let from = (await this.rolledUntil('1m')) ?? Math.floor(oldest / size) * size;
+        let written = 0;
+
+        while (from < end) {
+            const to = Math.min(from + RAW_CHUNK_MS, end);
+            const samples: SpreadCandle[] = [];
+            // Second precision: the last second of the chunk is to - 1000
+            await eachSpread([], from, to - 1000, row => samples.push(sampleToCandle(row)));
+
+            const candles = mergeCandles(samples, '1m');
+            await saveCandles(candles);
+            written += candles.length;
+            from = to;
+        }
+
+        return written;
+    }
+
+    /**
+     * 1m candles into 15m / 1h candles, for the buckets closed before a time
+     */
+    private async rollupMinutes(resolution: Resolution, closed: number): Promise<number> {
+        const size = RESOLUTIONS[resolution];
+        const minutes = await getBucketRange('1m');
+        if (!minutes) return 0;
+
+        const end = Math.floor(closed / size) * size;
+        let from = (await this.rolledUntil(resolution)) ?? Math.floor(minutes.first / size) * size;
+        let written = 0;
+
+        while (from < end) {
+            const to = Math.min(from + CANDLE_CHUNK_MS, end);
+            const candles = mergeCandles(await getCandles(null, '1m', from, to), resolution);
+            await saveCandles(candles);
+            written += candles.length;
+            from = to;
+        }
+
+        return written;
+    }
+
+    /**
+     * Delete what the retention allows, never what is not rolled up yet
+     */
+    private async prune(now: number): Promise<void> {
+        const [minutesUntil, quartersUntil, hoursUntil] = await Promise.all(
+            (['1m', '15m', '1h'] as Resolution[]).map(resolution => this.rolledUntil(resolution)));
+
+        if (HISTORY.RAW_RETENTION_DAYS > 0 && minutesUntil !== null) {
+            const deleted = await deleteSpreadsBefore(Math.min(now - HISTORY.RAW_RETENTION_DAYS * DAY_MS, minutesUntil));
+            if (deleted > 0) logger.info(TAG, `Pruned ${deleted} raw spread samples`);
+        }
+
+        if (HISTORY.MINUTE_RETENTION_DAYS > 0 && quartersUntil !== null && hoursUntil !== null) {
+            const cutoff = Math.min(now - HISTORY.MINUTE_RETENTION_DAYS * DAY_MS, quartersUntil, hoursUntil);
+            const deleted = await deleteCandlesBefore('1m', cutoff);
+            if (deleted > 0) logger.info(TAG, `Pruned ${deleted} 1m candles`);
+        }
+    }
+}
+
+// ==================== Queries ====================
+
+export class HistoryQueryError extends Error { }
+
+export type Aggregation = 'max' | 'avg' | 'p95';
+
+export interface HistoryQuery {
+    symbols: string[];
+    from: number;
+    to: number;
+    period: string | null;
+    resolution: Resolution;
+    agg: Aggregation;
+    // Route filter: buy on the ask side, sell on the bid side (null = any)
+    buyExchange: string | null;
+    sellExchange: string | null;
+}
+
+/**
+ * Spread of a candle under an aggregation
+ */
+export const aggregate = (candle: SpreadCandle, agg: Aggregation): number =>
+    agg === 'avg' ? candle.avgSpread : agg === 'p95' ? candle.p95 : candle.high;
+
+/**
+ * Oldest time still kept as raw samples (null = kept forever)
+ */
+export const rawHistoryStart = (now: number = Date.now()): number | null =>
+    HISTORY.RAW_RETENTION_DAYS > 0 ? now - HISTORY.RAW_RETENTION_DAYS * DAY_MS : null;
+
+const parseExchange = (raw: any): string | null =>
+    raw === undefined || raw === '' ? null : String(raw).trim().toUpperCase();
+
+/**
+ * Build a query from a query string: symbols (or pair) comma-separated,
+ * from/to (or the period up to now), resolution, agg, buy/sell route filter
+ */
+export function parseHistoryQuery(input: Record<string, any>, now: number = Date.now()): HistoryQuery {
+    const symbols = Array.from(new Set(String(input.symbols || input.pair || '')
+        .split(',')
+        .map(s => s.trim().toUpperCase())
+        .filter(Boolean)));
+    if (symbols.length === 0) throw new HistoryQueryError('symbols is required');
+    if (symbols.length > MAX_SYMBOLS) throw new HistoryQueryError(`at most ${MAX_SYMBOLS} symbols per query`);
+
+    const period = input.period ? String(input.period) : null;
+    if (period !== null && !PERIODS[period]) {
+        throw new HistoryQueryError(`period must be one of ${Object.keys(PERIODS).join(', ')}`);
+    }
+
+    const to = parseTime(input.to, 'to', now, HistoryQueryError);
+    const from = parseTime(input.from, 'from', to - PERIODS[period || '24h'], HistoryQueryError);
+    if (from >= to) throw new HistoryQueryError('from must be before to');
+
+    const resolutions = Object.keys(RESOLUTIONS) as Resolution[];
+    let resolution: Resolution;
+    if (input.resolution) {
+        if (!resolutions.includes(input.resolution)) {
+            throw new HistoryQueryError(`resolution must be one of ${resolutions.join(', ')}`);
+        }
+        resolution = input.resolution;
+    } else {
+        resolution = resolutions.find(r => (to - from) / RESOLUTIONS[r] <= AUTO_BUCKETS) || resolutions[resolutions.length - 1];
+    }
+    if ((to - from) / RESOLUTIONS[resolution] > MAX_BUCKETS) {
+        throw new HistoryQueryError(`more than ${MAX_BUCKETS} ${resolution} buckets, use a coarser resolution`);
+    }
+
+    const buyExchange = parseExchange(input.buy);
+    const sellExchange = parseExchange(input.sell);
+    const rawStart = rawHistoryStart(now);
+    if ((buyExchange || sellExchange) && rawStart !== null && from < rawStart) {
+        throw new HistoryQueryError(`a route filter covers the last ${HISTORY.RAW_RETENTION_DAYS} days only (raw history retention)`);
+    }
+
+    const agg = input.agg || 'max';
+    if (!['max', 'avg', 'p95'].includes(agg)) throw new HistoryQueryError('agg must be one of max, avg, p95');
+
+    return {
+        symbols,
+        from,
+        to,
+        period,
+        resolution,
+        agg,
+        buyExchange,
+        sellExchange
+    };
+}
+
+/**
+ * Candles of one symbol; the buckets not rolled up yet are built from the raw
+ * samples (the last one may still be open)
+ */
+async function readCandles(symbol: string, resolution: Resolution, from: number, to: number): Promise<SpreadCandle[]> {
+    const size = RESOLUTIONS[resolution];
+    const candles = await getCandles(symbol, resolution, from, to);
+    const tailFrom = candles.length > 0 ? candles[candles.length - 1].bucket + size : from;
+    if (tailFrom >= to) return candles;
+
+    const tail = new CandleMerger(resolution);
+    await eachSpread([symbol], tailFrom, to - 1000, row => tail.add(sampleToCandle(row)));
+    return candles.concat(tail.candles());
+}
+
+/**
+ * Candles per symbol (every requested symbol present), oldest first. The
+ * first bucket starts at or before from.
+ */
+export async function querySpreadHistory(query: HistoryQuery): Promise<Record<string, SpreadCandle[]>> {
+    const { symbols, resolution, to, buyExchange, sellExchange } = query;
+    const from = Math.floor(query.from / RESOLUTIONS[resolution]) * RESOLUTIONS[resolution];
+    const series: Record<string, SpreadCandle[]> = {};
+
+    if (!buyExchange && !sellExchange) {
+        for (const symbol of symbols) series[symbol] = await readCandles(symbol, resolution, from, to);
+        return series;
+    }
+
+    // Limited to the raw retention
+    const merger = new CandleMerger(resolution);
+    await eachSpread(symbols, from, to - 1000, row => {
+        if (buyExchange && row.ask_exchange !== buyExchange) return;
+        if (sellExchange && row.bid_exchange !== sellExchange) return;
+        merger.add(sampleToCandle(row));
+    });
+
+    symbols.forEach(symbol => { series[symbol] = []; });
+    merger.candles().forEach(candle => series[candle.symbol].push(candle));
+    return series;
+}
+
+// Export singleton
+export const historyRollup = new HistoryRollup();
+export { HistoryRollup };
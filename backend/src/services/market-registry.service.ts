@@ -0,0 +1,93 @@
+/**
+ * Market Registry Service
+ * Canonical asset normalization and per-venue contract metadata
+ * (multiplier, tick size, lot size, min notional, max leverage)
+ */
+
+import { ExchangeName, MarketInfo } from '../types';
+import { MARKET_ALIASES, MULTIPLIER_PREFIXES } from '../config/markets';
+
+/**
+ * Map a venue market identifier to its canonical asset and contract multiplier
+ * Strips quote/suffix ('-USD-PERP', '--', '-PERP', '-USD'), then applies aliases and multiplier prefixes
+ */
+export function normalizeMarketId(exchange: string, marketId: string): { asset: string; multiplier: number } {
+    const base = marketId.split('-')[0].trim();
+
+    const alias = MARKET_ALIASES[`${exchange.toUpperCase()}:${base}`] || MARKET_ALIASES[base.toUpperCase()];
+    if (alias) return { ...alias };
+
+    for (const { pattern, multiplier } of MULTIPLIER_PREFIXES) {
+        const match = base.match(pattern);
+        if (match) return { asset: match[1].toUpperCase(), multiplier };
+    }
+
+    return { asset: base.toUpperCase(), multiplier: 1 };
+}
+
+class MarketRegistry {
+    // asset -> exchange -> market
+    private markets: Map<string, Map<string, MarketInfo>> = new Map();
+
+    /**
+     * Resolve a venue identifier to its asset, remembering the market if unknown
+     */
+    resolve(exchange: string, marketId: string): string {
+        const { asset, multiplier } = normalizeMarketId(exchange, marketId);
+
+        if (!this.getMarket(exchange, asset)) {
+            this.set({
+                exchange: exchange.toUpperCase() as ExchangeName,
+                marketId,
+                asset,
+                multiplier,
+                tickSize: null,
+                lotSize: null,
+                minNotional: null,
+                maxLeverage: null
+            });
+        }
+
+        return asset;
+    }
+
+    /**
+     * Register full metadata for a venue (replaces what resolve() guessed)
+     */
+    register(markets: MarketInfo[]): void {
+        markets.forEach(market => this.set(market));
+    }
+
+    private set(market: MarketInfo): void {
+        if (!this.markets.has(market.asset)) {
+            this.markets.set(market.asset, new Map());
+        }
+        this.markets.get(market.asset)!.set(market.exchange, market);
+    }
+
+    getMarket(exchange: string, asset: string): MarketInfo | undefined {
+        return this.markets.get(asset)?.get(exchange.toUpperCase());
+    }
+
+    /**
+     * Asset units per venue contract (1 when unknown)
+     */
+    getMultiplier(exchange: string, asset: string): number {
+        return this.getMarket(exchange, asset)?.multiplier || 1;
+    }
+
+    /**
+     * All venues for every asset: { BTC: { PARADEX: {...}, VEST: {...} } }
+     */
+    getAll(): Record<string, Record<string, MarketInfo>> {
+        const result: Record<string, Record<string, MarketInfo>> = {};
+        this.markets.forEach((venues, asset) => {
+            result[asset] = Object.fromEntries(venues);
+        });
+        return result;
+    }
+}
+
+// Export singleton
+export const marketRegistry = new MarketRegistry();
+export { MarketRegistry };
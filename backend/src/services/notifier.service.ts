@@ -0,0 +1,250 @@
+/**
+ * Notification Dispatcher
+ * Delivers fired alerts to Telegram (Bot API) and Discord (webhook). Each
+ * channel picks the alerts still pending in its is_sent_* column, sends them
+ * one at a time (rate limited, pausing on 429 retry_after), retries failures
+ * with exponential backoff and flags the column once delivered (-1 once it
+ * gives up after NOTIFY.MAX_ATTEMPTS).
+ */
+
+import axios, { AxiosError } from 'axios';
+import { NOTIFY } from '../config';
+import { DeliveryColumn, getUnsentAlerts, markAlertDelivery } from '../db/alerts-repo';
+import { logger } from '../utils/app-logger';
+import { sleep } from '../utils/app-sleep';
+
+const TAG = 'Notifier';
+
+/**
+ * Row of the alerts table
+ */
+export interface AlertRow {
+    id: number;
+    timestamp: number;
+    symbol: string;
+    spread: number;
+    exchange_buy: string;
+    exchange_sell: string;
+    price_buy: number;
+    price_sell: number;
+    rule_id: number | null;
+}
+
+export interface NotificationChannel {
+    name: string;
+    column: DeliveryColumn;
+    enabled(): boolean;
+    send(alert: AlertRow): Promise<void>;
+}
+
+interface Retry {
+    attempts: number;
+    nextAttemptAt: number;
+}
+
+/**
+ * 429 from a channel: pause it instead of counting an attempt
+ */
+class RateLimitedError extends Error {
+    constructor(public retryAfterMs: number) {
+        super(`rate limited for ${retryAfterMs}ms`);
+    }
+}
+
+const price = (value: number): string => String(Number(value.toPrecision(6)));
+
+/**
+ * Shared message content: title, route, rule and a link to the detail view
+ */
+export function formatAlert(alert: AlertRow) {
+    return {
+        title: `🚨 ${alert.symbol} spread ${alert.spread.toFixed(3)}%`,
+        route: `Buy ${alert.exchange_buy} @ ${price(alert.price_buy)} → Sell ${alert.exchange_sell} @ ${price(alert.price_sell)}`,
+        rule: alert.rule_id !== null ? `Rule #${alert.rule_id}` : 'Global threshold',
+        url: `${NOTIFY.DASHBOARD_URL.replace(/\/$/, '')}/?pair=${encodeURIComponent(alert.symbol)}`,
+        time: new Date(alert.timestamp).toISOString()
+    };
+}
+
+/**
+ * POST with a timeout; 429 becomes a RateLimitedError (retry_after in seconds,
+ * from the body for both APIs, or the Retry-After header)
+ */
+async function post(url: string, body: any): Promise<void> {
+    try {
+        await axios.post(url, body, { timeout: NOTIFY.TIMEOUT_MS });
+    } catch (error) {
+        const response = (error as AxiosError<any>).response;
+        if (response?.status === 429) {
+            const seconds = Number(response.data?.parameters?.retry_after ?? response.data?.retry_after ?? response.headers?.['retry-after']);
+            throw new RateLimitedError(isNaN(seconds) ? NOTIFY.BACKOFF_MS : Math.ceil(seconds * 1000));
+        }
+        throw error;
+    }
+}
+
+export const telegramChannel: NotificationChannel = {
+    name: 'telegram',
+    column: 'is_sent_telegram',
+    enabled: () => Boolean(NOTIFY.TELEGRAM_BOT_TOKEN && NOTIFY.TELEGRAM_CHAT_ID),
+    send: (alert) => {
+        const message = formatAlert(alert);
+        return post(`${NOTIFY.TELEGRAM_API}/bot${NOTIFY.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+            chat_id: NOTIFY.TELEGRAM_CHAT_ID,
+            text: [message.title, message.route, message.rule, message.url].join('\n'),
+            disable_web_page_preview: true
+        });
+    }
+};
+
+export const discordChannel: NotificationChannel = {
+    name: 'discord',
+    column: 'is_sent_discord',
+    enabled: () => Boolean(NOTIFY.DISCORD_WEBHOOK_URL),
+    send: (alert) => {
+        const message = formatAlert(alert);
+        return post(NOTIFY.DISCORD_WEBHOOK_URL, {
+            embeds: [{
+                title: message.title,
+                url: message.url,
+                description: message.route,
+                color: 0xf5a524,
+                footer: { text: message.rule },
+                timestamp: message.time
+            }]
+        });
+    }
+};
+
+class NotificationDispatcher {
+    private retries: Map<string, Retry> = new Map();
+    private pausedUntil: Map<string, number> = new Map();
+    private lastSendAt: Map<string, number> = new Map();
+    private timer: NodeJS.Timeout | null = null;
+    private running = false;
+    private clockOffset = 0;    // Pass time minus Date.now() (0 unless runOnce is given a time)
+
+    constructor(private channels: NotificationChannel[] = [telegramChannel, discordChannel]) { }
+
+    getEnabledChannels(): string[] {
+        return this.channels.filter(channel => channel.enabled()).map(channel => channel.name);
+    }
+
+    /**
+     * Poll the queue every NOTIFY.POLL_MS; false when no channel is configured
+     */
+    start(): boolean {
+        const enabled = this.getEnabledChannels();
+        if (enabled.length === 0) return false;
+
+        this.timer = setInterval(() => this.tick(), NOTIFY.POLL_MS);
+        logger.info(TAG, `Delivering alerts to ${enabled.join(', ')}`);
+        return true;
+    }
+
+    stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * One pass over every enabled channel's queue
+     * @returns number of alerts delivered
+     */
+    async runOnce(now: number = Date.now()): Promise<number> {
+        this.clockOffset = now - Date.now();
+
+        // Forget retries of alerts that aged out of the queue
+        this.retries.forEach((retry, key) => {
+            if (retry.nextAttemptAt < now - NOTIFY.MAX_AGE_MS) this.retries.delete(key);
+        });
+
+        let delivered = 0;
+        for (const channel of this.channels) {
+            if (channel.enabled()) delivered += await this.drain(channel, now);
+        }
+        return delivered;
+    }
+
+    private async tick(): Promise<void> {
+        if (this.running) return;
+        this.running = true;
+        try {
+            await this.runOnce();
+        } catch (error) {
+            logger.error(TAG, 'Delivery pass failed', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    private async drain(channel: NotificationChannel, now: number): Promise<number> {
+        if ((this.pausedUntil.get(channel.name) || 0) > now) return 0;
+
+        // Alerts backing off are left out of the page, so newer ones are not starved
+        const backingOff: number[] = [];
+        this.retries.forEach((retry, key) => {
+            const [name, id] = key.split(':');
+            if (name === channel.name && retry.nextAttemptAt > now) backingOff.push(Number(id));
+        });
+
+        const alerts: AlertRow[] = await getUnsentAlerts(channel.column, now - NOTIFY.MAX_AGE_MS, NOTIFY.INCLUDE_GLOBAL, backingOff);
+        let delivered = 0;
+
+        for (const alert of alerts) {
+            const key = `${channel.name}:${alert.id}`;
+            const retry = this.retries.get(key);
+
+            await this.throttle(channel);
+
+            try {
+                await channel.send(alert);
+                await markAlertDelivery(alert.id, channel.column, 1);
+                this.retries.delete(key);
+                delivered++;
+            } catch (error) {
+                if (error instanceof RateLimitedError) {
+                    this.pausedUntil.set(channel.name, this.clock() + error.retryAfterMs);
+                    logger.warn(TAG, `${channel.name} rate limited, pausing ${error.retryAfterMs}ms`);
+                    break;
+                }
+
+                const attempts = (retry?.attempts || 0) + 1;
+                if (attempts >= NOTIFY.MAX_ATTEMPTS) {
+                    this.retries.delete(key);
+                    await markAlertDelivery(alert.id, channel.column, -1);
+                    logger.error(TAG, `${channel.name}: giving up on alert #${alert.id} after ${attempts} attempts`, (error as Error).message);
+                } else {
+                    const delay = NOTIFY.BACKOFF_MS * 2 ** (attempts - 1);
+                    this.retries.set(key, { attempts, nextAttemptAt: this.clock() + delay });
+                    logger.warn(TAG, `${channel.name}: alert #${alert.id} failed (${(error as Error).message}), retry in ${delay}ms`);
+                }
+            }
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Current time on the pass clock: a pass can take a while (throttle, slow
+     * receivers), so backoffs start when the failure happens, not at the pass start
+     */
+    private clock(): number {
+        return Date.now() + this.clockOffset;
+    }
+
+    /**
+     * At most one send per NOTIFY.MIN_INTERVAL_MS on a channel
+     */
+    private async throttle(channel: NotificationChannel): Promise<void> {
+        const wait = (this.lastSendAt.get(channel.name) || 0) + NOTIFY.MIN_INTERVAL_MS - Date.now();
+        if (wait > 0) await sleep(wait);
+        this.lastSendAt.set(channel.name, Date.now());
+    }
+}
+
+// Export singleton
+export const notificationDispatcher = new NotificationDispatcher();
+export { NotificationDispatcher };
@@ -0,0 +1,124 @@
+/**
+ * Quote Recorder
+ * Every QUOTES.INTERVAL_MS, stores the top of book of every venue for every
+ * symbol in the quotes table (not only the best pair, like spread_history).
+ * A quote is stored once: venues that did not quote since the last sample add
+ * no rows. Quotes older than QUOTES.RETENTION_DAYS are deleted hourly.
+ */
+
+import { Counter } from 'prom-client';
+import { QUOTES } from '../config';
+import { ExchangePrice } from '../types';
+import type { AggregatedPair } from './aggregator.service';
+import { getPairKey } from './exchanges';
+import { deleteQuotesBefore, saveQuotes, QuoteRecord } from '../db/quotes-repo';
+import { logger } from '../utils/app-logger';
+import { metricsRegistry } from '../utils/app-metrics';
+
+const TAG = 'Quotes';
+
+const DAY_MS = 86_400_000;
+const PRUNE_INTERVAL_MS = 3_600_000;
+
+const quoteKey = (symbol: string, exchange: string): string => `${symbol}|${exchange}`;
+
+const quotesRecorded = new Counter({
+    name: 'scanner_quotes_recorded_total',
+    help: 'Venue quotes stored in the quote history',
+    registers: [metricsRegistry]
+});
+
+class QuoteRecorder {
+    private timer: NodeJS.Timeout | null = null;
+    private saving = false;
+    private lastPrune = 0;
+    // Receive time of the last stored quote per symbol|exchange
+    private stored: Map<string, number> = new Map();
+
+    /**
+     * @param getPairs price cache (aggregator getPriceCache)
+     * @param getExchanges exchange names (aggregator getActiveExchanges)
+     */
+    start(getPairs: () => Record<string, AggregatedPair>, getExchanges: () => string[]): void {
+        this.stop();
+        if (QUOTES.INTERVAL_MS <= 0) return;
+
+        this.timer = setInterval(() => this.tick(getPairs(), getExchanges()), QUOTES.INTERVAL_MS);
+        logger.info(TAG, `Recording every venue's quotes every ${QUOTES.INTERVAL_MS}ms`);
+    }
+
+    stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    reset(): void {
+        this.stored.clear();
+        this.lastPrune = 0;
+    }
+
+    /**
+     * Quotes received since the last stored sample (placeholders without a quote are skipped)
+     */
+    collect(pairs: Record<string, AggregatedPair>, exchanges: string[]): QuoteRecord[] {
+        const quotes: QuoteRecord[] = [];
+
+        Object.values(pairs).forEach(pair => {
+            exchanges.forEach(exchange => {
+                const quote: ExchangePrice | undefined = pair[getPairKey(exchange)];
+                if (!quote?.timestamp || !(quote.bid > 0) || !(quote.ask > 0)) return;
+                if (this.stored.get(quoteKey(pair.symbol, exchange)) === quote.timestamp) return;
+
+                quotes.push({
+                    timestamp: quote.timestamp,
+                    symbol: pair.symbol,
+                    exchange,
+                    bid: quote.bid,
+                    ask: quote.ask,
+                    source: quote.source || 'none'
+                });
+            });
+        });
+
+        return quotes;
+    }
+
+    /**
+     * Store the new quotes, then apply the retention (hourly)
+     * Quotes are marked stored only once saved, so a failed save is retried next sample
+     * @returns quotes stored
+     */
+    async sample(pairs: Record<string, AggregatedPair>, exchanges: string[], now: number = Date.now()): Promise<number> {
+        const quotes = this.collect(pairs, exchanges);
+        await saveQuotes(quotes);
+        quotes.forEach(quote => this.stored.set(quoteKey(quote.symbol, quote.exchange), quote.timestamp));
+        quotesRecorded.inc(quotes.length);
+
+        if (QUOTES.RETENTION_DAYS > 0 && now - this.lastPrune >= PRUNE_INTERVAL_MS) {
+            this.lastPrune = now;
+            const deleted = await deleteQuotesBefore(now - QUOTES.RETENTION_DAYS * DAY_MS);
+            if (deleted > 0) logger.info(TAG, `Pruned ${deleted} quotes`);
+        }
+
+        return quotes.length;
+    }
+
+    private async tick(pairs: Record<string, AggregatedPair>, exchanges: string[]): Promise<void> {
+        // A slow write skips samples rather than piling them up
+        if (this.saving) return;
+        this.saving = true;
+        try {
+            await this.sample(pairs, exchanges);
+        } catch (error) {
+            logger.error(TAG, 'Failed to save quotes', error);
+        } finally {
+            this.saving = false;
+        }
+    }
+}
+
+// Export singleton
+export const quoteRecorder = new QuoteRecorder();
+export { QuoteRecorder };
@@ -0,0 +1,149 @@
+/**
+ * Market-Data Recorder Service
+ * Writes every normalized price / funding event emitted by the exchange
+ * services (and optionally the raw WS frames) to a gzip NDJSON session file.
+ * The first line is a header; replay.service.ts reads the files back.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { EventEmitter } from 'events';
+import { RECORDER } from '../config';
+import { FundingRate } from '../types';
+import { TimestampedPrice } from './exchanges/HybridExchangeService';
+import { symbolUniverse, UniverseChange } from './symbol-universe.service';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'Recorder';
+
+export const RECORDING_VERSION = 1;
+const FLUSH_INTERVAL = 5000;  // Bounds what a crash can lose
+
+export interface RecordingHeader {
+    type: 'header';
+    version: number;
+    startedAt: number;
+    exchanges: string[];     // Uppercase registry keys
+    symbols: string[];
+    rawFrames: boolean;
+}
+
+/** One line of a recording; t = wall-clock receive time (ms) */
+export type RecordedEvent =
+    | RecordingHeader
+    | { type: 'price'; t: number; exchange: string; data: TimestampedPrice }
+    | { type: 'funding'; t: number; exchange: string; data: FundingRate }
+    | { type: 'universe'; t: number; symbols: string[] }
+    | { type: 'frame'; t: number; exchange: string; frame: string };
+
+/** Anything emitting 'update' / 'funding' / 'frame' (exchange services) */
+export interface RecordableSource extends EventEmitter {
+    readonly name: string;
+}
+
+export interface RecorderOptions {
+    dir?: string;
+    rawFrames?: boolean;
+}
+
+class MarketRecorder {
+    private gzip: zlib.Gzip | null = null;
+    private output: fs.WriteStream | null = null;
+    private file: string | null = null;
+    private detach: (() => void)[] = [];
+    private flushInterval: NodeJS.Timeout | null = null;
+    private eventCount = 0;
+
+    /**
+     * Open a new session file and subscribe to the sources
+     * Returns the file path
+     */
+    start(sources: RecordableSource[], options: RecorderOptions = {}): string {
+        if (this.file) return this.file;
+
+        const dir = path.resolve(__dirname, '../..', options.dir ?? RECORDER.DIR);
+        const rawFrames = options.rawFrames ?? RECORDER.RAW_FRAMES;
+        fs.mkdirSync(dir, { recursive: true });
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.file = path.join(dir, `session-${stamp}.ndjson.gz`);
+        this.gzip = zlib.createGzip();
+        this.output = fs.createWriteStream(this.file);
+        this.gzip.pipe(this.output);
+        this.eventCount = 0;
+
+        const header: RecordingHeader = {
+            type: 'header',
+            version: RECORDING_VERSION,
+            startedAt: Date.now(),
+            exchanges: sources.map(source => source.name),
+            symbols: symbolUniverse.getSymbols(),
+            rawFrames
+        };
+        this.write(header);
+
+        sources.forEach(source => {
+            const exchange = source.name;
+            this.listen(source, 'update', (data: TimestampedPrice) => this.write({ type: 'price', t: Date.now(), exchange, data }));
+            this.listen(source, 'funding', (data: FundingRate) => this.write({ type: 'funding', t: Date.now(), exchange, data }));
+            if (rawFrames) {
+                this.listen(source, 'frame', (frame: string) => this.write({ type: 'frame', t: Date.now(), exchange, frame }));
+            }
+        });
+        this.listen(symbolUniverse, 'change', ({ symbols }: UniverseChange) => this.write({ type: 'universe', t: Date.now(), symbols }));
+
+        this.flushInterval = setInterval(() => this.gzip?.flush(), FLUSH_INTERVAL);
+
+        logger.info(TAG, `Recording ${sources.length} exchanges to ${this.file}${rawFrames ? ' (with raw frames)' : ''}`);
+        return this.file;
+    }
+
+    /**
+     * Detach from the sources and close the file
+     */
+    async stop(): Promise<void> {
+        if (!this.gzip || !this.output) return;
+
+        this.detach.forEach(off => off());
+        this.detach = [];
+        if (this.flushInterval) {
+            clearInterval(this.flushInterval);
+            this.flushInterval = null;
+        }
+
+        const output = this.output;
+        await new Promise<void>(resolve => {
+            output.once('close', () => resolve());
+            this.gzip!.end();
+        });
+
+        logger.info(TAG, `Recorded ${this.eventCount} events to ${this.file}`);
+        this.gzip = null;
+        this.output = null;
+        this.file = null;
+    }
+
+    isRecording(): boolean {
+        return this.file !== null;
+    }
+
+    getFile(): string | null {
+        return this.file;
+    }
+
+    private listen(source: EventEmitter, event: string, handler: (...args: any[]) => void): void {
+        source.on(event, handler);
+        this.detach.push(() => source.off(event, handler));
+    }
+
+    private write(event: RecordedEvent): void {
+        if (!this.gzip) return;
+        this.gzip.write(JSON.stringify(event) + '\n');
+        this.eventCount++;
+    }
+}
+
+// Export singleton
+export const marketRecorder = new MarketRecorder();
+export { MarketRecorder };
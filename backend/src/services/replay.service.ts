@@ -0,0 +1,158 @@
+/**
+ * Replay Service
+ * Feeds a market-data recording back through the aggregator (handleUpdate /
+ * handleFunding) at real speed, accelerated, or as fast as possible.
+ * The aggregator runs on the recording's clock, so freshness and throttling
+ * behave as they did live; nothing connects to an exchange.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+import { EventEmitter } from 'events';
+import { RecordedEvent, RecordingHeader, RECORDING_VERSION } from './recorder.service';
+import { handleUpdate, handleFunding, prepareReplay } from './aggregator.service';
+import { getPairKey } from './exchanges';
+import { symbolUniverse } from './symbol-universe.service';
+import { logger } from '../utils/app-logger';
+import { sleep } from '../utils/app-sleep';
+
+const TAG = 'Replay';
+
+export interface ReplayOptions {
+    speed?: number;      // 1 = real time, 10 = 10x, 0 = as fast as possible
+    loop?: boolean;      // Start over at the end (demo mode)
+    persist?: boolean;   // Write spread history / alerts while replaying
+}
+
+export interface ReplayStats {
+    events: number;
+    prices: number;
+    funding: number;
+    loops: number;
+    durationMs: number;  // Recording time covered
+}
+
+/**
+ * Read a recording line by line (.gz or plain NDJSON)
+ * A truncated gzip tail (crashed recorder) ends the stream instead of failing it
+ */
+export async function* readRecording(file: string): AsyncGenerator<RecordedEvent> {
+    const raw = fs.createReadStream(file);
+    const input = file.endsWith('.gz')
+        ? raw.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }))
+        : raw;
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (e) {
+            logger.warn(TAG, `Skipping malformed line in ${file}`);
+        }
+    }
+}
+
+class ReplayEngine extends EventEmitter {
+    private running = false;
+    private virtualNow = 0;
+
+    /**
+     * Current time on the recording's clock
+     */
+    now(): number {
+        return this.virtualNow;
+    }
+
+    isRunning(): boolean {
+        return this.running;
+    }
+
+    /**
+     * Replay a recording; resolves when it ends (or stop() is called)
+     * Emits 'event' after each applied event
+     */
+    async play(file: string, options: ReplayOptions = {}): Promise<ReplayStats> {
+        if (this.running) throw new Error('A replay is already running');
+
+        const speed = options.speed ?? 1;
+        const stats: ReplayStats = { events: 0, prices: 0, funding: 0, loops: 0, durationMs: 0 };
+        this.running = true;
+
+        logger.info(TAG, `Replaying ${file} (${speed > 0 ? `${speed}x` : 'max speed'}${options.loop ? ', looping' : ''})`);
+
+        try {
+            do {
+                let header: RecordingHeader | null = null;
+                let wallStart = 0;
+
+                for await (const event of readRecording(file)) {
+                    if (!this.running) break;
+
+                    if (event.type === 'header') {
+                        if (event.version !== RECORDING_VERSION) {
+                            throw new Error(`Unsupported recording version ${event.version}`);
+                        }
+                        header = event;
+                        wallStart = Date.now();
+                        this.virtualNow = header.startedAt;
+                        prepareReplay(header.exchanges, header.symbols, {
+                            clock: () => this.virtualNow,
+                            persist: options.persist
+                        });
+                        continue;
+                    }
+                    if (!header) throw new Error('Recording has no header');
+
+                    // Wait until the event is due on the scaled timeline
+                    if (speed > 0) {
+                        const wait = wallStart + (event.t - header.startedAt) / speed - Date.now();
+                        if (wait > 0) await sleep(wait);
+                        if (!this.running) break;
+                    }
+
+                    this.virtualNow = event.t;
+                    this.apply(event, stats);
+                    stats.durationMs = event.t - header.startedAt;
+                    this.emit('event', event);
+                }
+
+                stats.loops++;
+            } while (this.running && options.loop);
+        } finally {
+            this.running = false;
+        }
+
+        logger.info(TAG, `Replay finished: ${stats.events} events, ${Math.round(stats.durationMs / 1000)}s of market data`);
+        return stats;
+    }
+
+    stop(): void {
+        this.running = false;
+    }
+
+    private apply(event: RecordedEvent, stats: ReplayStats): void {
+        stats.events++;
+
+        switch (event.type) {
+            case 'price':
+                handleUpdate(getPairKey(event.exchange), event.data);
+                stats.prices++;
+                break;
+            case 'funding':
+                handleFunding(getPairKey(event.exchange), event.data);
+                stats.funding++;
+                break;
+            case 'universe':
+                symbolUniverse.pin(event.symbols);
+                break;
+            // Raw frames are kept for debugging adapters, the aggregator never saw them
+        }
+    }
+}
+
+// Export singleton
+export const replayEngine = new ReplayEngine();
+export { ReplayEngine };
@@ -0,0 +1,247 @@
+/**
+ * Simulation Service (V3 Ghost Mode)
+ * Paper-trades hedged positions from the aggregated spreads: a route
+ * (long bestAskEx / short bestBidEx) is opened once its spread stays above
+ * SIMULATION.MIN_SPREAD_PERCENT for MIN_DURATION_MS, and closed when it
+ * converges (or after MAX_HOLD_MS). The round trip pays taker fees,
+ * slippage, gas and a penalty for legs quoted out of sync.
+ */
+
+import { EventEmitter } from 'events';
+import { SIMULATION } from '../config';
+import { getTakerFeeBps } from '../config/exchanges';
+import { getTodayStats, saveSimulatedTrade, SimulatedTradeRecord } from '../db/simulations-repo';
+import { getPairKey } from './exchanges';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'Simulation';
+
+// Age gap between the two legs' quotes at entry
+const DESYNC_MEDIUM_MS = 500;
+const DESYNC_HIGH_MS = 2000;
+
+// Extra slippage (multiple of SLIPPAGE_PERCENT) paid when legs are out of sync
+const DESYNC_PENALTY: Record<DesyncRisk, number> = { LOW: 0, MEDIUM: 0.5, HIGH: 1 };
+
+export type DesyncRisk = 'LOW' | 'MEDIUM' | 'HIGH';
+
+export interface SimPosition {
+    symbol: string;
+    buyExchange: string;     // Long leg (bought at its ask)
+    sellExchange: string;    // Short leg (sold at its bid)
+    buyPrice: number;
+    sellPrice: number;
+    spreadPercent: number;
+    sizeUsd: number;
+    openedAt: number;
+    desyncRisk: DesyncRisk;
+    golden: boolean;
+}
+
+export interface SimulatedTrade extends SimulatedTradeRecord {
+    openedAt: number;
+    closedAt: number;
+    exitBuyPrice: number;    // Long leg sold back at
+    exitSellPrice: number;   // Short leg bought back at
+    closeReason: 'converged' | 'max_hold';
+}
+
+interface Quote {
+    bid: number;
+    ask: number;
+    timestamp: number;
+}
+
+interface Candidate {
+    buyExchange: string;
+    sellExchange: string;
+    since: number;
+}
+
+class SimulationEngine extends EventEmitter {
+    private positions: Map<string, SimPosition> = new Map();
+    private candidates: Map<string, Candidate> = new Map();
+
+    /**
+     * Evaluate one aggregator tick; returns the trades closed on this tick
+     * isFresh decides whether a venue quote can be traded on
+     */
+    evaluate(pairs: any[], now: number, isFresh: (quote: Quote) => boolean): SimulatedTrade[] {
+        const closed: SimulatedTrade[] = [];
+
+        pairs.forEach(pair => {
+            const position = this.positions.get(pair.symbol);
+            if (position) {
+                const trade = this.checkExit(position, pair, now, isFresh);
+                if (trade) closed.push(trade);
+            } else {
+                this.checkEntry(pair, now, isFresh);
+            }
+        });
+
+        return closed;
+    }
+
+    getOpenPositions(): SimPosition[] {
+        return [...this.positions.values()];
+    }
+
+    reset(): void {
+        this.positions.clear();
+        this.candidates.clear();
+    }
+
+    // ==================== Entry ====================
+
+    private checkEntry(pair: any, now: number, isFresh: (quote: Quote) => boolean): void {
+        const buyExchange: string | undefined = pair.bestAskEx;
+        const sellExchange: string | undefined = pair.bestBidEx;
+
+        if (!buyExchange || !sellExchange || buyExchange === sellExchange || !(pair.realSpread >= SIMULATION.MIN_SPREAD_PERCENT)) {
+            this.candidates.delete(pair.symbol);
+            return;
+        }
+
+        // The spread must persist on the same route
+        const candidate = this.candidates.get(pair.symbol);
+        if (!candidate || candidate.buyExchange !== buyExchange || candidate.sellExchange !== sellExchange) {
+            this.candidates.set(pair.symbol, { buyExchange, sellExchange, since: now });
+            return;
+        }
+        if (now - candidate.since < SIMULATION.MIN_DURATION_MS) return;
+
+        const buyQuote: Quote | undefined = pair[getPairKey(buyExchange)];
+        const sellQuote: Quote | undefined = pair[getPairKey(sellExchange)];
+        if (!buyQuote || !sellQuote || !isFresh(buyQuote) || !isFresh(sellQuote)) return;
+
+        const position: SimPosition = {
+            symbol: pair.symbol,
+            buyExchange,
+            sellExchange,
+            buyPrice: buyQuote.ask,
+            sellPrice: sellQuote.bid,
+            spreadPercent: pair.realSpread,
+            sizeUsd: SIMULATION.POSITION_SIZE_USD,
+            openedAt: now,
+            desyncRisk: this.desyncRisk(buyQuote, sellQuote),
+            golden: pair.realSpread >= SIMULATION.GOLDEN_THRESHOLD_PERCENT
+        };
+
+        this.candidates.delete(pair.symbol);
+        this.positions.set(pair.symbol, position);
+        this.emit('open', position);
+
+        logger.info(TAG, `${position.golden ? '🏆 ' : ''}OPEN ${pair.symbol}: long ${buyExchange} @ ${position.buyPrice} / short ${sellExchange} @ ${position.sellPrice} (${position.spreadPercent.toFixed(3)}%, desync ${position.desyncRisk})`);
+    }
+
+    private desyncRisk(a: Quote, b: Quote): DesyncRisk {
+        const gap = Math.abs(a.timestamp - b.timestamp);
+        if (gap >= DESYNC_HIGH_MS) return 'HIGH';
+        if (gap >= DESYNC_MEDIUM_MS) return 'MEDIUM';
+        return 'LOW';
+    }
+
+    // ==================== Exit ====================
+
+    private checkExit(position: SimPosition, pair: any, now: number, isFresh: (quote: Quote) => boolean): SimulatedTrade | null {
+        const buyQuote: Quote | undefined = pair[getPairKey(position.buyExchange)];
+        const sellQuote: Quote | undefined = pair[getPairKey(position.sellExchange)];
+
+        // Cannot price the exit without both legs
+        if (!buyQuote || !sellQuote || !isFresh(buyQuote) || !isFresh(sellQuote) || !(buyQuote.bid > 0) || !(sellQuote.ask > 0)) {
+            return null;
+        }
+
+        // Same route, same formula as the entry spread
+        const routeSpread = ((sellQuote.bid - buyQuote.ask) / buyQuote.ask) * 100;
+        const converged = routeSpread <= SIMULATION.CLOSE_SPREAD_PERCENT;
+        const expired = now - position.openedAt >= SIMULATION.MAX_HOLD_MS;
+        if (!converged && !expired) return null;
+
+        const trade = this.settle(position, buyQuote.bid, sellQuote.ask, now, converged ? 'converged' : 'max_hold');
+        this.positions.delete(position.symbol);
+        this.emit('close', trade);
+
+        logger.info(TAG, `CLOSE ${trade.symbol} (${trade.closeReason}): net ${trade.netProfit >= 0 ? '+' : ''}$${trade.netProfit.toFixed(2)} in ${Math.round(trade.durationMs! / 1000)}s`);
+        return trade;
+    }
+
+    /**
+     * Price the round trip: equal units on both legs (delta neutral),
+     * taker fees on four fills, slippage and desync penalty on the notional
+     */
+    private settle(position: SimPosition, exitBuyPrice: number, exitSellPrice: number, now: number, closeReason: SimulatedTrade['closeReason']): SimulatedTrade {
+        const units = position.sizeUsd / position.buyPrice;
+        const grossProfit = units * (exitBuyPrice - position.buyPrice) + units * (position.sellPrice - exitSellPrice);
+
+        const feeBps = getTakerFeeBps(position.buyExchange) + getTakerFeeBps(position.sellExchange);
+        const totalFees = position.sizeUsd * feeBps / 10000 * 2;
+
+        const slippageRate = SIMULATION.SLIPPAGE_PERCENT / 100 * (1 + DESYNC_PENALTY[position.desyncRisk]);
+        const slippageCost = position.sizeUsd * slippageRate;
+        const gasCost = SIMULATION.GAS_COST_USD;
+
+        const netProfit = grossProfit - totalFees - slippageCost - gasCost;
+
+        return {
+            symbol: position.symbol,
+            buyExchange: position.buyExchange,
+            sellExchange: position.sellExchange,
+            buyPrice: position.buyPrice,
+            sellPrice: position.sellPrice,
+            exitBuyPrice,
+            exitSellPrice,
+            positionSize: position.sizeUsd,
+            spreadPercent: position.spreadPercent,
+            grossProfit,
+            netProfit,
+            totalFees,
+            slippageCost,
+            gasCost,
+            desyncRisk: position.desyncRisk,
+            profitable: netProfit > 0,
+            isCapturable: position.desyncRisk !== 'HIGH',
+            durationMs: now - position.openedAt,
+            openedAt: position.openedAt,
+            closedAt: now,
+            closeReason
+        };
+    }
+}
+
+// ==================== Persistence / Dashboard ====================
+
+let dashboardInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Persist a closed trade (simulated_trades)
+ */
+export function recordSimulatedTrade(trade: SimulatedTrade): void {
+    saveSimulatedTrade(trade)
+        .catch(error => logger.error(TAG, 'Failed to save trade', error));
+}
+
+/**
+ * Log a summary of today's paper trading every DASHBOARD_INTERVAL
+ */
+export function startSimulation(): void {
+    logger.info(TAG, `👻 Ghost Mode ON: $${SIMULATION.POSITION_SIZE_USD} per trade, open >= ${SIMULATION.MIN_SPREAD_PERCENT}% for ${SIMULATION.MIN_DURATION_MS}ms`);
+
+    dashboardInterval = setInterval(async () => {
+        try {
+            const stats = await getTodayStats();
+            logger.info(TAG, `Today: ${stats.totalSimulations || 0} trades, ${stats.profitableCount || 0} profitable, net $${(stats.totalVirtualProfit || 0).toFixed(2)} | ${simulationEngine.getOpenPositions().length} open`);
+        } catch (e) { }
+    }, SIMULATION.DASHBOARD_INTERVAL);
+}
+
+export function stopSimulation(): void {
+    if (dashboardInterval) {
+        clearInterval(dashboardInterval);
+        dashboardInterval = null;
+    }
+}
+
+// Export singleton
+export const simulationEngine = new SimulationEngine();
+export { SimulationEngine };
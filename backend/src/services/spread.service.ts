@@ -2,14 +2,229 @@
  * Spread Calculation Service
  * Calculates arbitrage opportunities between exchanges
  * V2: Supports stale data filtering via validator function
+ * V3: Size-aware executable spread from L2 books ('depth' mode)
+ * V3: Net spread/profit after per-exchange taker fees
+ * V3: Funding carry of the long/short legs over a holding horizon
+ * V3: Full NxN route matrix per symbol
+ * V4: Venues follow the exchange registry instead of a fixed list
  */
 
-const EXCHANGES = ['vest', 'lighter', 'paradex', 'extended'];
+import { ExchangeName, ExecutableSpread, FundingInfo, OrderBook, OrderBookLevel, SpreadMatrix, SpreadRoute } from '../types';
+import { getTakerFeeBps } from '../config/exchanges';
+
+/**
+ * Venue quote keys carried by a pair (lowercase adapter names)
+ * The aggregator creates one per enabled adapter, so the engine follows the registry
+ */
+export const getVenueKeys = (item: any): string[] =>
+    Object.keys(item).filter(key => typeof item[key]?.bid === 'number' && typeof item[key]?.ask === 'number');
 
 // Default: 30 seconds staleness threshold
 const STALE_THRESHOLD = 30000;
 
-export const calculateSpreads = (cache: any, validator: ((ex: string, data: any) => boolean) | null = null) => {
+// Reference trade size for grossProfit/netProfit
+export const PROFIT_NOTIONAL_USD = 1000;
+
+export interface SpreadOptions {
+    mode?: 'top' | 'depth';
+    notionalUsd?: number;     // Notional per side walked through the books
+    targetSpread?: number;    // Spread floor (%) for maxSize
+    takerFeeBps?: (exchange: string) => number;  // Defaults to config EXCHANGE_FEES
+    fundingHorizonHours?: number;                 // Holding horizon for expectedFunding
+}
+
+/**
+ * Funding carry (% per hour) of holding long on one venue and short on another
+ * Positive funding is paid by longs to shorts, so the carry is shortRate - longRate
+ * Returns undefined when either leg has no funding data
+ */
+export const calculateFundingCarryPerHour = (
+    longFunding: FundingInfo | undefined,
+    shortFunding: FundingInfo | undefined
+): number | undefined => {
+    if (!longFunding || !shortFunding) return undefined;
+
+    const longHourly = longFunding.rate / longFunding.intervalHours;
+    const shortHourly = shortFunding.rate / shortFunding.intervalHours;
+    return (shortHourly - longHourly) * 100;
+};
+
+/**
+ * Spread (%) left after paying taker fees on both legs
+ * Buying at ask costs ask * (1 + buyFee), selling at bid yields bid * (1 - sellFee)
+ */
+export const calculateNetSpread = (bid: number, ask: number, buyFeeBps: number, sellFeeBps: number): number => {
+    const buyCost = ask * (1 + buyFeeBps / 10000);
+    const sellProceeds = bid * (1 - sellFeeBps / 10000);
+    return ((sellProceeds - buyCost) / ask) * 100;
+};
+
+/** Result of walking one side of a book */
+export interface BookFill {
+    avgPrice: number;         // Volume-weighted price (0 if nothing filled)
+    filledSize: number;       // Base units
+    filledNotional: number;   // USD
+}
+
+const toFill = (size: number, notional: number): BookFill => ({
+    avgPrice: size > 0 ? notional / size : 0,
+    filledSize: size,
+    filledNotional: notional
+});
+
+/**
+ * Walk levels (best first) until a USD notional is filled
+ */
+export const fillNotional = (levels: OrderBookLevel[], notionalUsd: number): BookFill => {
+    let size = 0;
+    let notional = 0;
+
+    for (const level of levels) {
+        const remaining = notionalUsd - notional;
+        if (remaining <= 0) break;
+
+        const levelNotional = level.price * level.size;
+        const take = Math.min(levelNotional, remaining);
+        size += take / level.price;
+        notional += take;
+    }
+
+    return toFill(size, notional);
+};
+
+/**
+ * Walk levels (best first) until a base size is filled
+ */
+export const fillSize = (levels: OrderBookLevel[], targetSize: number): BookFill => {
+    let size = 0;
+    let notional = 0;
+
+    for (const level of levels) {
+        const remaining = targetSize - size;
+        if (remaining <= 0) break;
+
+        const take = Math.min(level.size, remaining);
+        size += take;
+        notional += take * level.price;
+    }
+
+    return toFill(size, notional);
+};
+
+/**
+ * Max size tradable on a route while every matched unit keeps a spread >= targetSpread
+ * Walks buy-venue asks and sell-venue bids level by level (marginal spread)
+ */
+export const maxSizeAtSpread = (asks: OrderBookLevel[], bids: OrderBookLevel[], targetSpread: number) => {
+    let size = 0;
+    let notional = 0;
+    let i = 0;
+    let j = 0;
+    let askLeft = asks[0]?.size || 0;
+    let bidLeft = bids[0]?.size || 0;
+
+    while (i < asks.length && j < bids.length) {
+        const marginal = ((bids[j].price - asks[i].price) / asks[i].price) * 100;
+        if (marginal < targetSpread) break;
+
+        const take = Math.min(askLeft, bidLeft);
+        size += take;
+        notional += take * asks[i].price;
+        askLeft -= take;
+        bidLeft -= take;
+
+        if (askLeft <= 0 && ++i < asks.length) askLeft = asks[i].size;
+        if (bidLeft <= 0 && ++j < bids.length) bidLeft = bids[j].size;
+    }
+
+    return { size, notional };
+};
+
+/**
+ * Executable spread for buying on one book and selling the same size on another
+ * Buys up to notionalUsd, then sells the bought size; shrinks both legs if the bid side is thinner
+ */
+export const calculateExecutableSpread = (
+    buyBook: OrderBook,
+    sellBook: OrderBook,
+    notionalUsd: number
+): { buyPrice: number; sellPrice: number; spread: number; filledNotional: number } | null => {
+    let buy = fillNotional(buyBook.asks, notionalUsd);
+    if (buy.filledSize <= 0) return null;
+
+    const sell = fillSize(sellBook.bids, buy.filledSize);
+    if (sell.filledSize <= 0) return null;
+
+    if (sell.filledSize < buy.filledSize) {
+        buy = fillSize(buyBook.asks, sell.filledSize);
+    }
+
+    return {
+        buyPrice: buy.avgPrice,
+        sellPrice: sell.avgPrice,
+        spread: ((sell.avgPrice - buy.avgPrice) / buy.avgPrice) * 100,
+        filledNotional: buy.filledNotional
+    };
+};
+
+/**
+ * Best executable route across all venues with a book
+ * Routes that fill the full notional win over partial fills, then highest spread
+ */
+const findExecutableRoute = (
+    books: { ex: string; book: OrderBook }[],
+    notionalUsd: number,
+    targetSpread: number,
+    takerFeeBps: (exchange: string) => number
+): ExecutableSpread | undefined => {
+    let best: ExecutableSpread | undefined;
+
+    books.forEach(buy => {
+        books.forEach(sell => {
+            if (buy.ex === sell.ex) return;
+
+            const exec = calculateExecutableSpread(buy.book, sell.book, notionalUsd);
+            if (!exec) return;
+
+            const isFull = exec.filledNotional >= notionalUsd - 1e-6;
+            const bestIsFull = !!best && best.filledNotional >= notionalUsd - 1e-6;
+            const isBetter = !best
+                || (isFull && !bestIsFull)
+                || (isFull === bestIsFull && exec.spread > best.spread);
+            if (!isBetter) return;
+
+            const max = maxSizeAtSpread(buy.book.asks, sell.book.bids, targetSpread);
+            best = {
+                notionalUsd,
+                buyEx: buy.ex.toUpperCase() as ExchangeName,
+                sellEx: sell.ex.toUpperCase() as ExchangeName,
+                buyPrice: exec.buyPrice,
+                sellPrice: exec.sellPrice,
+                spread: exec.spread,
+                netSpread: calculateNetSpread(exec.sellPrice, exec.buyPrice, takerFeeBps(buy.ex), takerFeeBps(sell.ex)),
+                filledNotional: exec.filledNotional,
+                targetSpread,
+                maxSize: max.size,
+                maxNotional: max.notional
+            };
+        });
+    });
+
+    return best;
+};
+
+export const calculateSpreads = (
+    cache: any,
+    validator: ((ex: string, data: any) => boolean) | null = null,
+    options: SpreadOptions = {}
+) => {
+    const {
+        mode = 'top',
+        notionalUsd = 10000,
+        targetSpread = 0,
+        takerFeeBps = getTakerFeeBps,
+        fundingHorizonHours = 8
+    } = options;
     const now = Date.now();
 
     // Default validator: check timestamp if present
@@ -23,10 +238,11 @@ export const calculateSpreads = (cache: any, validator: ((ex: string, data: any)
         let maxBidEx: string | null = null;
         let minAsk = Infinity;
         let minAskEx: string | null = null;
+        const books: { ex: string; book: OrderBook }[] = [];
 
         // Find best bid (highest) and best ask (lowest)
         // Only use fresh (non-stale) data
-        EXCHANGES.forEach((ex) => {
+        getVenueKeys(item).forEach((ex) => {
             const exchangeData = item[ex];
             if (!exchangeData) return;
 
@@ -46,6 +262,11 @@ export const calculateSpreads = (cache: any, validator: ((ex: string, data: any)
                 minAsk = ask;
                 minAskEx = ex.toUpperCase();
             }
+            // A book kept across top-of-book updates must be fresh on its own
+            const bookData = { ...exchangeData, timestamp: exchangeData.bookTimestamp ?? exchangeData.timestamp };
+            if (exchangeData.book?.bids?.length && exchangeData.book?.asks?.length && isValid(ex, bookData)) {
+                books.push({ ex, book: exchangeData.book });
+            }
         });
 
         item.bestBid = maxBid;
@@ -60,17 +281,97 @@ export const calculateSpreads = (cache: any, validator: ((ex: string, data: any)
             item.bestBidEx !== item.bestAskEx) {
             item.realSpread = ((item.bestBid - item.bestAsk) / item.bestAsk) * 100;
 
-            // Profit calculation for $1000 trade (0.1% fee per side)
-            const units = 1000 / item.bestAsk;
-            const grossSale = units * item.bestBid;
-            const fees = (1000 * 0.001) + (grossSale * 0.001);
-            item.potentialProfit = grossSale - fees - 1000;
+            // Taker fees of the actual venues (buy on ask side, sell on bid side)
+            item.buyFeeBps = takerFeeBps(item.bestAskEx);
+            item.sellFeeBps = takerFeeBps(item.bestBidEx);
+            item.netSpread = calculateNetSpread(item.bestBid, item.bestAsk, item.buyFeeBps, item.sellFeeBps);
+
+            // Profit for a PROFIT_NOTIONAL_USD trade, gross vs net of fees
+            item.grossProfit = PROFIT_NOTIONAL_USD * item.realSpread / 100;
+            item.netProfit = PROFIT_NOTIONAL_USD * item.netSpread / 100;
+            item.potentialProfit = item.netProfit;
+
+            // Funding carry: long on the ask venue, short on the bid venue
+            item.fundingCarryPerHour = calculateFundingCarryPerHour(
+                item[item.bestAskEx.toLowerCase()]?.funding,
+                item[item.bestBidEx.toLowerCase()]?.funding
+            );
+            item.fundingHorizonHours = fundingHorizonHours;
+            item.expectedFunding = item.fundingCarryPerHour !== undefined
+                ? item.fundingCarryPerHour * fundingHorizonHours
+                : undefined;
         } else {
             // Same exchange or missing data - no valid arbitrage
             item.realSpread = 0;
+            item.netSpread = 0;
+            item.grossProfit = 0;
+            item.netProfit = 0;
             item.potentialProfit = 0;
+            item.buyFeeBps = undefined;
+            item.sellFeeBps = undefined;
+            item.fundingCarryPerHour = undefined;
+            item.expectedFunding = undefined;
         }
+
+        // Size-aware spread (only venues that expose depth)
+        item.executable = mode === 'depth'
+            ? findExecutableRoute(books, notionalUsd, targetSpread, takerFeeBps)
+            : undefined;
     });
 
     return cache;
 };
+
+/**
+ * Full NxN matrix of directional routes for one pair
+ * Every (buy, sell) combination of distinct exchanges is returned, even without data
+ */
+export const calculateSpreadMatrix = (
+    item: any,
+    validator: ((ex: string, data: any) => boolean) | null = null,
+    takerFeeBps: (exchange: string) => number = getTakerFeeBps
+): SpreadMatrix => {
+    const now = Date.now();
+    const isValid = validator || ((ex, data) => {
+        if (!data.timestamp) return true;
+        return (now - data.timestamp) <= STALE_THRESHOLD;
+    });
+
+    const quote = (ex: string) => {
+        const data = item[ex];
+        return data && isValid(ex, data) ? data : null;
+    };
+
+    const exchanges = getVenueKeys(item);
+    const routes: SpreadRoute[] = [];
+
+    exchanges.forEach(buy => {
+        exchanges.forEach(sell => {
+            if (buy === sell) return;
+
+            const buyQuote = quote(buy);
+            const sellQuote = quote(sell);
+            const ask = buyQuote?.ask > 0 ? buyQuote.ask : null;
+            const bid = sellQuote?.bid > 0 ? sellQuote.bid : null;
+            const hasPrices = ask !== null && bid !== null;
+            const carry = calculateFundingCarryPerHour(item[buy]?.funding, item[sell]?.funding);
+
+            routes.push({
+                buyEx: buy.toUpperCase() as ExchangeName,
+                sellEx: sell.toUpperCase() as ExchangeName,
+                buyPrice: ask,
+                sellPrice: bid,
+                spread: hasPrices ? ((bid! - ask!) / ask!) * 100 : null,
+                netSpread: hasPrices ? calculateNetSpread(bid!, ask!, takerFeeBps(buy), takerFeeBps(sell)) : null,
+                fundingCarryPerHour: carry ?? null
+            });
+        });
+    });
+
+    return {
+        symbol: item.symbol,
+        exchanges: exchanges.map(ex => ex.toUpperCase() as ExchangeName),
+        routes,
+        timestamp: now
+    };
+};
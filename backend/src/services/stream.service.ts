@@ -0,0 +1,665 @@
+/**
+ * Stream Gateway - WebSocket protocol v1
+ * Clients get nothing but 'hello' until they subscribe to a channel.
+ *
+ * Client -> server
+ *   { type: 'subscribe' | 'unsubscribe', channel, symbols? }
+ *       symbols: prices (omitted = every symbol) and matrix (required) only
+ *   { type: 'resync', channel }     fresh snapshot, e.g. after a sequence gap
+ *   { type: 'options', intervalMs?, conflation? }
+ *       also accepted on connect as query parameters (ws://host/?intervalMs=2000)
+ *       intervalMs: at most one prices/matrix push per interval (0 = every tick)
+ *       conflation: what replaces the ticks held back in between
+ *           'merge'    - one delta with every change since the last push (default)
+ *           'snapshot' - a full snapshot
+ *
+ * Server -> client
+ *   { type: 'hello', v, channels }
+ *   { type: 'options', intervalMs, conflation }               options in effect
+ *   { type: 'snapshot', channel: 'prices', seq, exchanges, pairs }
+ *   { type: 'delta', channel: 'prices', seq, changed: { SYM: { field: value } }, removed?, exchanges? }
+ *       only the top-level fields that changed since the previous tick, null = field gone
+ *   { type: 'matrix', channel: 'matrix', symbol, matrix }    on subscribe, then when it changes
+ *   { type: 'alert', channel: 'alerts', alert }
+ *   { type: 'health', channel: 'health', exchanges }          every venue on subscribe, then changed ones
+ *   { type: 'error', error }
+ *
+ * seq is per client and grows by one per prices message: a gap means a
+ * message was lost and the client should ask for a resync. A client whose send
+ * buffer is over STREAM.MAX_BUFFERED_BYTES has its ticks held back (conflated
+ * like rate-limited ones) until it drains; sockets that miss a heartbeat ping
+ * are closed. Alerts and health are never held back.
+ */
+
+import { Counter } from 'prom-client';
+import { getPairKey } from './exchanges';
+import { STREAM } from '../config';
+import { ExchangeHealth, FiredAlert, SpreadMatrix } from '../types';
+import { logger } from '../utils/app-logger';
+import { metricsRegistry } from '../utils/app-metrics';
+
+const TAG = 'Stream';
+
+export const PROTOCOL_VERSION = 1;
+
+export type StreamChannel = 'prices' | 'matrix' | 'alerts' | 'health';
+
+export type Conflation = 'merge' | 'snapshot';
+
+const CHANNELS: StreamChannel[] = ['prices', 'matrix', 'alerts', 'health'];
+const CONFLATIONS: Conflation[] = ['merge', 'snapshot'];
+
+// ws.WebSocket.OPEN
+const OPEN = 1;
+
+// Held-back ticks are checked this often between broadcasts
+const FLUSH_MS = 250;
+
+/**
+ * The part of a ws socket the gateway uses
+ */
+export interface StreamSocket {
+    readyState: number;
+    bufferedAmount: number;
+    send(data: string): void;
+    ping(): void;
+    terminate(): void;
+}
+
+export interface StreamOptions {
+    intervalMs: number;
+    conflation: Conflation;
+}
+
+/**
+ * Where the gateway reads state from (aggregator, health monitor)
+ */
+export interface StreamSources {
+    getExchanges(): string[];
+    getMatrix(symbol: string): SpreadMatrix | null;
+    getHealth(): ExchangeHealth[];
+}
+
+type Payload = Record<string, any>;
+
+/**
+ * Prices changes of one or more ticks (removed symbols may come back in changed)
+ */
+interface PricesDelta {
+    changed: Record<string, Payload>;
+    removed: string[];
+    exchanges: boolean;
+}
+
+interface StreamClient {
+    prices: Set<string> | '*' | null;       // null = not subscribed
+    matrix: Set<string>;
+    alerts: boolean;
+    health: boolean;
+    seq: number;
+    options: StreamOptions;
+    lastPushAt: number;
+    heldPrices: PricesDelta | 'snapshot' | null;     // Ticks held back since the last push
+    heldMatrix: Set<string>;
+    alive: boolean;                                 // Answered the last heartbeat ping
+}
+
+interface BaselineEntry {
+    payload: Payload;
+    serialized: Record<string, string>;
+}
+
+export class StreamProtocolError extends Error { }
+
+const heldTicks = new Counter({
+    name: 'scanner_stream_held_ticks_total',
+    help: 'Ticks held back from a WebSocket client (rate limit or backpressure)',
+    labelNames: ['reason'] as const,
+    registers: [metricsRegistry]
+});
+
+const reapedClients = new Counter({
+    name: 'scanner_stream_reaped_clients_total',
+    help: 'WebSocket clients closed for missing a heartbeat ping',
+    registers: [metricsRegistry]
+});
+
+const DEFAULT_OPTIONS: StreamOptions = { intervalMs: 0, conflation: 'merge' };
+
+/**
+ * Validate client options; fields missing from input keep their current value
+ */
+export function parseStreamOptions(input: Record<string, any>, current: StreamOptions = DEFAULT_OPTIONS): StreamOptions {
+    const intervalMs = input.intervalMs === undefined ? current.intervalMs : Number(input.intervalMs);
+    if (!Number.isFinite(intervalMs) || intervalMs < 0 || intervalMs > STREAM.MAX_INTERVAL_MS) {
+        throw new StreamProtocolError(`intervalMs must be between 0 and ${STREAM.MAX_INTERVAL_MS}`);
+    }
+
+    const conflation = input.conflation ?? current.conflation;
+    if (!CONFLATIONS.includes(conflation)) throw new StreamProtocolError(`conflation must be one of ${CONFLATIONS.join(', ')}`);
+
+    return { intervalMs: Math.round(intervalMs), conflation };
+}
+
+/**
+ * Fold a later tick into held-back changes (latest field values win)
+ */
+function mergeDelta(into: PricesDelta, tick: PricesDelta): void {
+    tick.removed.forEach(symbol => {
+        delete into.changed[symbol];
+        if (!into.removed.includes(symbol)) into.removed.push(symbol);
+    });
+    Object.entries(tick.changed).forEach(([symbol, fields]) => {
+        into.changed[symbol] = { ...into.changed[symbol], ...fields };
+    });
+    into.exchanges = into.exchanges || tick.exchanges;
+}
+
+const isEmptyDelta = (delta: PricesDelta): boolean =>
+    Object.keys(delta.changed).length === 0 && delta.removed.length === 0 && !delta.exchanges;
+
+// Strip order book levels from per-exchange quotes (keeps the payload small)
+function toQuote(price: any) {
+    if (!price) return price;
+    const { book, ...quote } = price;
+    return quote;
+}
+
+/**
+ * Fields of a pair sent to clients
+ */
+function toPayload(pair: any, exchanges: string[]): Payload {
+    return {
+        symbol: pair.symbol,
+        bestBid: pair.bestBid,
+        bestAsk: pair.bestAsk,
+        bestBidEx: pair.bestBidEx,
+        bestAskEx: pair.bestAskEx,
+        realSpread: pair.realSpread,
+        netSpread: pair.netSpread,
+        buyFeeBps: pair.buyFeeBps,
+        sellFeeBps: pair.sellFeeBps,
+        grossProfit: pair.grossProfit,
+        netProfit: pair.netProfit,
+        fundingCarryPerHour: pair.fundingCarryPerHour,
+        expectedFunding: pair.expectedFunding,
+        fundingHorizonHours: pair.fundingHorizonHours,
+        executable: pair.executable,
+        ...Object.fromEntries(exchanges.map(name => {
+            const key = getPairKey(name);
+            return [key, toQuote(pair[key])];
+        }))
+    };
+}
+
+const EMPTY_SOURCES: StreamSources = {
+    getExchanges: () => [],
+    getMatrix: () => null,
+    getHealth: () => []
+};
+
+class StreamGateway {
+    private clients: Map<StreamSocket, StreamClient> = new Map();
+    private heartbeatTimer: NodeJS.Timeout | null = null;
+    private flushTimer: NodeJS.Timeout | null = null;
+
+    // What clients were last sent (deltas are computed against it)
+    private baseline: Map<string, BaselineEntry> = new Map();
+    private baselineExchanges: string[] = [];
+    private matrices: Map<string, string> = new Map();
+
+    constructor(private sources: StreamSources = EMPTY_SOURCES) { }
+
+    setSources(sources: StreamSources): void {
+        this.sources = sources;
+    }
+
+    getClientCount(): number {
+        return this.clients.size;
+    }
+
+    /**
+     * @param options declared on connect (query parameters), invalid ones are reported and ignored
+     */
+    connect(socket: StreamSocket, options: Record<string, any> = {}): void {
+        const client: StreamClient = {
+            prices: null,
+            matrix: new Set(),
+            alerts: false,
+            health: false,
+            seq: 0,
+            options: DEFAULT_OPTIONS,
+            lastPushAt: 0,
+            heldPrices: null,
+            heldMatrix: new Set(),
+            alive: true
+        };
+        this.clients.set(socket, client);
+        this.send(socket, { type: 'hello', v: PROTOCOL_VERSION, channels: CHANNELS });
+
+        if (Object.keys(options).length === 0) return;
+        try {
+            this.setOptions(socket, client, options);
+        } catch (error) {
+            if (!(error instanceof StreamProtocolError)) throw error;
+            this.send(socket, { type: 'error', error: error.message });
+        }
+    }
+
+    disconnect(socket: StreamSocket): void {
+        this.clients.delete(socket);
+    }
+
+    /**
+     * Handle a raw client message; protocol errors are reported to the client
+     */
+    handleMessage(socket: StreamSocket, raw: string): void {
+        const client = this.clients.get(socket);
+        if (!client) return;
+
+        try {
+            let msg: any;
+            try {
+                msg = JSON.parse(raw);
+            } catch {
+                throw new StreamProtocolError('invalid JSON');
+            }
+
+            if (msg?.type === 'options') {
+                this.setOptions(socket, client, msg);
+                return;
+            }
+
+            const channel = msg?.channel as StreamChannel;
+            if (!CHANNELS.includes(channel)) throw new StreamProtocolError(`unknown channel: ${msg?.channel}`);
+
+            const symbols: string[] | null = Array.isArray(msg.symbols)
+                ? msg.symbols.filter((s: any) => typeof s === 'string').map((s: string) => s.toUpperCase())
+                : null;
+
+            if (msg.type === 'subscribe') this.subscribe(socket, client, channel, symbols);
+            else if (msg.type === 'unsubscribe') this.unsubscribe(client, channel, symbols);
+            else if (msg.type === 'resync') this.resync(socket, client, channel);
+            else throw new StreamProtocolError(`unknown message type: ${msg.type}`);
+        } catch (error) {
+            if (!(error instanceof StreamProtocolError)) throw error;
+            this.send(socket, { type: 'error', error: error.message });
+        }
+    }
+
+    /**
+     * Push the tick's changes (aggregator broadcaster)
+     * Clients within their interval or over the send buffer limit get them later, conflated
+     * @returns number of clients that received a prices message
+     */
+    broadcast(cache: Record<string, any>, now: number = Date.now()): number {
+        const exchanges = this.sources.getExchanges();
+        const exchangesChanged = exchanges.join() !== this.baselineExchanges.join();
+        this.baselineExchanges = exchanges;
+        const { changed, removed } = this.diff(cache, exchanges);
+
+        // One delta (and body) per distinct subscription ('*' shared by every full subscriber)
+        const ticks = new Map<Set<string> | '*', { delta: PricesDelta; body?: string }>();
+        const tickFor = (filter: Set<string> | '*') => {
+            if (!ticks.has(filter)) {
+                const pick = (symbol: string) => filter === '*' || filter.has(symbol);
+                ticks.set(filter, {
+                    delta: {
+                        changed: Object.fromEntries(Object.entries(changed).filter(([symbol]) => pick(symbol))),
+                        removed: removed.filter(pick),
+                        exchanges: exchangesChanged
+                    }
+                });
+            }
+            return ticks.get(filter)!;
+        };
+
+        const matrixMessages = this.changedMatrices();
+        let reached = 0;
+
+        this.clients.forEach((client, socket) => {
+            if (socket.readyState !== OPEN) return;
+
+            const tick = client.prices ? tickFor(client.prices) : null;
+            const hasPrices = tick !== null && !isEmptyDelta(tick.delta);
+            const matrices = Array.from(client.matrix).filter(symbol => matrixMessages.has(symbol));
+            const holding = this.isHolding(client);
+            if (!hasPrices && matrices.length === 0 && !holding) return;
+
+            const reason = this.holdReason(socket, client, now);
+            if (reason || holding) {
+                if (hasPrices) this.holdPrices(client, tick!.delta);
+                matrices.forEach(symbol => client.heldMatrix.add(symbol));
+            }
+            if (reason) {
+                if (hasPrices || matrices.length > 0) heldTicks.inc({ reason });
+                return;
+            }
+
+            if (holding) {
+                if (this.pushHeld(socket, client)) reached++;
+            } else {
+                if (hasPrices) {
+                    if (tick!.body === undefined) tick!.body = JSON.stringify(this.deltaMessage(tick!.delta));
+                    if (this.sendPrices(socket, client, 'delta', tick!.body)) reached++;
+                }
+                matrices.forEach(symbol => this.sendRaw(socket, matrixMessages.get(symbol)!));
+            }
+            client.lastPushAt = now;
+        });
+
+        return reached;
+    }
+
+    /**
+     * Push what rate-limited or backpressured clients were held back from, once they
+     * are due (runs every FLUSH_MS so the last ticks go out when the market goes quiet)
+     * @returns number of clients that received a prices message
+     */
+    flush(now: number = Date.now()): number {
+        let reached = 0;
+
+        this.clients.forEach((client, socket) => {
+            if (!this.isHolding(client) || socket.readyState !== OPEN || this.holdReason(socket, client, now)) return;
+            if (this.pushHeld(socket, client)) reached++;
+            client.lastPushAt = now;
+        });
+
+        return reached;
+    }
+
+    publishAlert(alert: FiredAlert): void {
+        const message = JSON.stringify({ type: 'alert', channel: 'alerts', alert });
+        this.clients.forEach((client, socket) => {
+            if (client.alerts) this.sendRaw(socket, message);
+        });
+    }
+
+    publishHealth(health: ExchangeHealth): void {
+        const message = JSON.stringify({ type: 'health', channel: 'health', exchanges: [health] });
+        this.clients.forEach((client, socket) => {
+            if (client.health) this.sendRaw(socket, message);
+        });
+    }
+
+    // ==================== Heartbeat ====================
+
+    start(): void {
+        this.stop();
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), STREAM.HEARTBEAT_MS);
+        this.flushTimer = setInterval(() => this.flush(), FLUSH_MS);
+    }
+
+    stop(): void {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+    }
+
+    pong(socket: StreamSocket): void {
+        const client = this.clients.get(socket);
+        if (client) client.alive = true;
+    }
+
+    /**
+     * Close the sockets that did not answer the previous ping, ping the others
+     * @returns number of sockets closed
+     */
+    heartbeat(): number {
+        let reaped = 0;
+
+        this.clients.forEach((client, socket) => {
+            if (!client.alive) {
+                this.clients.delete(socket);
+                socket.terminate();
+                reaped++;
+                return;
+            }
+            client.alive = false;
+            try {
+                socket.ping();
+            } catch (error) {
+                logger.debug(TAG, 'Ping failed', error);
+            }
+        });
+
+        if (reaped > 0) {
+            reapedClients.inc(reaped);
+            logger.info(TAG, `Closed ${reaped} unresponsive client(s)`);
+        }
+        return reaped;
+    }
+
+    // ==================== Subscriptions ====================
+
+    private setOptions(socket: StreamSocket, client: StreamClient, input: Record<string, any>): void {
+        client.options = parseStreamOptions(input, client.options);
+        this.send(socket, { type: 'options', ...client.options });
+    }
+
+    private subscribe(socket: StreamSocket, client: StreamClient, channel: StreamChannel, symbols: string[] | null): void {
+        switch (channel) {
+            case 'prices':
+                if (!symbols) client.prices = '*';
+                else if (client.prices !== '*') client.prices = new Set([...(client.prices || []), ...symbols]);
+                this.sendSnapshot(socket, client);
+                break;
+            case 'matrix':
+                if (!symbols?.length) throw new StreamProtocolError('matrix needs symbols');
+                symbols.forEach(symbol => {
+                    client.matrix.add(symbol);
+                    this.sendMatrix(socket, symbol);
+                });
+                break;
+            case 'alerts':
+                client.alerts = true;
+                break;
+            case 'health':
+                client.health = true;
+                this.sendHealth(socket);
+                break;
+        }
+    }
+
+    private unsubscribe(client: StreamClient, channel: StreamChannel, symbols: string[] | null): void {
+        switch (channel) {
+            case 'prices':
+                if (!symbols) {
+                    client.prices = null;
+                } else if (client.prices === '*') {
+                    throw new StreamProtocolError('subscribed to every symbol: unsubscribe without symbols');
+                } else if (client.prices) {
+                    symbols.forEach(symbol => (client.prices as Set<string>).delete(symbol));
+                    if (client.prices.size === 0) client.prices = null;
+                }
+                break;
+            case 'matrix':
+                if (!symbols) client.matrix.clear();
+                else symbols.forEach(symbol => client.matrix.delete(symbol));
+                break;
+            case 'alerts':
+                client.alerts = false;
+                break;
+            case 'health':
+                client.health = false;
+                break;
+        }
+    }
+
+    private resync(socket: StreamSocket, client: StreamClient, channel: StreamChannel): void {
+        if (channel === 'prices' && client.prices) this.sendSnapshot(socket, client);
+        else if (channel === 'matrix') client.matrix.forEach(symbol => this.sendMatrix(socket, symbol));
+        else if (channel === 'health' && client.health) this.sendHealth(socket);
+    }
+
+    // ==================== Conflation ====================
+
+    private isHolding(client: StreamClient): boolean {
+        return client.heldPrices !== null || client.heldMatrix.size > 0;
+    }
+
+    private holdReason(socket: StreamSocket, client: StreamClient, now: number): 'rate' | 'backpressure' | null {
+        if (now - client.lastPushAt < client.options.intervalMs) return 'rate';
+        if (socket.bufferedAmount > STREAM.MAX_BUFFERED_BYTES) return 'backpressure';
+        return null;
+    }
+
+    private holdPrices(client: StreamClient, delta: PricesDelta): void {
+        if (client.options.conflation === 'snapshot' || client.heldPrices === 'snapshot') {
+            client.heldPrices = 'snapshot';
+            return;
+        }
+        if (!client.heldPrices) client.heldPrices = { changed: {}, removed: [], exchanges: false };
+        mergeDelta(client.heldPrices, delta);
+    }
+
+    /**
+     * Send what was held back: one merged delta (or a snapshot) and the current matrices
+     * @returns true when a prices message went out
+     */
+    private pushHeld(socket: StreamSocket, client: StreamClient): boolean {
+        const held = client.heldPrices;
+        client.heldPrices = null;
+        const matrices = Array.from(client.heldMatrix);
+        client.heldMatrix.clear();
+
+        let sent = false;
+        if (held === 'snapshot') {
+            if (client.prices) sent = this.sendSnapshot(socket, client);
+        } else if (held && client.prices) {
+            // Symbols unsubscribed while held back are not sent
+            const filter = client.prices;
+            const pick = (symbol: string) => filter === '*' || filter.has(symbol);
+            const delta: PricesDelta = {
+                changed: Object.fromEntries(Object.entries(held.changed).filter(([symbol]) => pick(symbol))),
+                removed: held.removed.filter(pick),
+                exchanges: held.exchanges
+            };
+            if (!isEmptyDelta(delta)) sent = this.sendPrices(socket, client, 'delta', JSON.stringify(this.deltaMessage(delta)));
+        }
+        matrices.filter(symbol => client.matrix.has(symbol)).forEach(symbol => this.sendMatrix(socket, symbol));
+
+        return sent;
+    }
+
+    // ==================== Deltas ====================
+
+    private deltaMessage(delta: PricesDelta): Payload {
+        const message: Payload = { changed: delta.changed };
+        if (delta.removed.length) message.removed = delta.removed;
+        if (delta.exchanges) message.exchanges = this.baselineExchanges;
+        return message;
+    }
+
+    /**
+     * Compare the cache with the baseline (then make it the new baseline)
+     */
+    private diff(cache: Record<string, any>, exchanges: string[]): { changed: Record<string, Payload>; removed: string[] } {
+        const changed: Record<string, Payload> = {};
+        const seen = new Set<string>();
+
+        Object.values(cache).forEach(pair => {
+            seen.add(pair.symbol);
+            const payload = toPayload(pair, exchanges);
+            const serialized: Record<string, string> = {};
+            Object.entries(payload).forEach(([field, value]) => {
+                if (value !== undefined) serialized[field] = JSON.stringify(value);
+            });
+
+            const previous = this.baseline.get(pair.symbol)?.serialized || {};
+            const fields: Payload = {};
+            new Set([...Object.keys(serialized), ...Object.keys(previous)]).forEach(field => {
+                if (serialized[field] !== previous[field]) fields[field] = payload[field] ?? null;
+            });
+
+            if (Object.keys(fields).length > 0) changed[pair.symbol] = fields;
+            this.baseline.set(pair.symbol, { payload, serialized });
+        });
+
+        const removed = Array.from(this.baseline.keys()).filter(symbol => !seen.has(symbol));
+        removed.forEach(symbol => this.baseline.delete(symbol));
+
+        return { changed, removed };
+    }
+
+    /**
+     * Matrix messages of subscribed symbols that changed since the last tick
+     */
+    private changedMatrices(): Map<string, string> {
+        const subscribed = new Set<string>();
+        this.clients.forEach(client => client.matrix.forEach(symbol => subscribed.add(symbol)));
+
+        const messages = new Map<string, string>();
+        subscribed.forEach(symbol => {
+            const message = this.matrixMessage(symbol);
+            if (message && message !== this.matrices.get(symbol)) {
+                this.matrices.set(symbol, message);
+                messages.set(symbol, message);
+            }
+        });
+        Array.from(this.matrices.keys()).forEach(symbol => {
+            if (!subscribed.has(symbol)) this.matrices.delete(symbol);
+        });
+        return messages;
+    }
+
+    private matrixMessage(symbol: string): string | null {
+        const matrix = this.sources.getMatrix(symbol);
+        return matrix ? JSON.stringify({ type: 'matrix', channel: 'matrix', symbol, matrix }) : null;
+    }
+
+    // ==================== Sending ====================
+
+    /**
+     * The snapshot supersedes any held-back deltas
+     */
+    private sendSnapshot(socket: StreamSocket, client: StreamClient): boolean {
+        const filter = client.prices;
+        const pairs = Array.from(this.baseline.values(), entry => entry.payload)
+            .filter(payload => filter === '*' || filter?.has(payload.symbol));
+        client.heldPrices = null;
+        return this.sendPrices(socket, client, 'snapshot', JSON.stringify({ exchanges: this.baselineExchanges, pairs }));
+    }
+
+    private sendMatrix(socket: StreamSocket, symbol: string): void {
+        const message = this.matrixMessage(symbol);
+        if (message) this.sendRaw(socket, message);
+    }
+
+    private sendHealth(socket: StreamSocket): void {
+        this.send(socket, { type: 'health', channel: 'health', exchanges: this.sources.getHealth() });
+    }
+
+    /**
+     * Prices messages carry the client's next seq (body: serialized object without type/seq)
+     * A failed send still uses up its seq so the client sees the gap
+     */
+    private sendPrices(socket: StreamSocket, client: StreamClient, type: 'snapshot' | 'delta', body: string): boolean {
+        client.seq++;
+        return this.sendRaw(socket, `{"type":"${type}","channel":"prices","seq":${client.seq},${body.slice(1)}`);
+    }
+
+    private send(socket: StreamSocket, message: Payload): boolean {
+        return this.sendRaw(socket, JSON.stringify(message));
+    }
+
+    private sendRaw(socket: StreamSocket, message: string): boolean {
+        if (socket.readyState !== OPEN) return false;
+        try {
+            socket.send(message);
+            return true;
+        } catch (error) {
+            logger.error(TAG, 'Send error', error);
+            return false;
+        }
+    }
+}
+
+// Export singleton
+export const streamGateway = new StreamGateway();
+export { StreamGateway };
@@ -0,0 +1,150 @@
+/**
+ * Symbol Universe Service
+ * Single source of truth for the tracked symbols
+ * Discovers listed perps on every exchange, keeps symbols listed on at least
+ * SYMBOLS.MIN_VENUES venues, then applies the crypto blacklist and include/exclude lists
+ */
+
+import { EventEmitter } from 'events';
+import { SYMBOLS } from '../config';
+import { isCrypto } from '../config/exchanges';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'SymbolUniverse';
+
+/** Anything able to list its perp markets (exchange services) */
+export interface SymbolSource {
+    readonly name: string;
+    fetchListedSymbols(): Promise<string[]>;
+}
+
+export interface UniverseChange {
+    added: string[];
+    removed: string[];
+    symbols: string[];
+}
+
+class SymbolUniverseService extends EventEmitter {
+    private symbols: Set<string> = new Set(SYMBOLS.FALLBACK);
+    private listings: Map<string, Set<string>> = new Map();  // exchange -> listed symbols
+    private sources: SymbolSource[] = [];
+    private refreshInterval: NodeJS.Timeout | null = null;
+    private updatedAt: number = 0;
+
+    /**
+     * Run a first discovery, then refresh every SYMBOLS.REFRESH_INTERVAL
+     */
+    async start(sources: SymbolSource[]): Promise<void> {
+        this.sources = sources;
+        await this.refresh();
+
+        this.refreshInterval = setInterval(() => {
+            this.refresh();
+        }, SYMBOLS.REFRESH_INTERVAL);
+    }
+
+    stop(): void {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    /**
+     * Query every source and rebuild the universe
+     * A venue whose request fails keeps its last known listing
+     */
+    async refresh(): Promise<void> {
+        const results = await Promise.allSettled(this.sources.map(source => source.fetchListedSymbols()));
+
+        results.forEach((result, i) => {
+            const name = this.sources[i].name;
+            if (result.status === 'fulfilled') {
+                this.listings.set(name, new Set(result.value.map(s => s.toUpperCase())));
+            } else {
+                logger.warn(TAG, `${name}: discovery failed, keeping last listing`, result.reason?.message);
+            }
+        });
+
+        if (this.listings.size === 0) {
+            logger.warn(TAG, `No venue answered, keeping ${this.symbols.size} symbols`);
+            return;
+        }
+
+        this.apply(this.computeUniverse());
+    }
+
+    /**
+     * Symbols listed on enough venues, filtered by blacklist and user lists
+     */
+    computeUniverse(): Set<string> {
+        const counts = new Map<string, number>();
+        this.listings.forEach(listed => {
+            listed.forEach(symbol => counts.set(symbol, (counts.get(symbol) || 0) + 1));
+        });
+
+        const universe = new Set<string>();
+        counts.forEach((count, symbol) => {
+            if (count >= SYMBOLS.MIN_VENUES && isCrypto(symbol)) universe.add(symbol);
+        });
+
+        SYMBOLS.INCLUDE.forEach(symbol => universe.add(symbol));
+        SYMBOLS.EXCLUDE.forEach(symbol => universe.delete(symbol));
+
+        return universe;
+    }
+
+    /**
+     * Pin the universe to a fixed list without discovery (replays)
+     */
+    pin(symbols: string[]): void {
+        this.stop();
+        this.sources = [];
+        this.apply(new Set(symbols.map(s => s.toUpperCase())));
+    }
+
+    private apply(next: Set<string>): void {
+        const added = [...next].filter(s => !this.symbols.has(s));
+        const removed = [...this.symbols].filter(s => !next.has(s));
+
+        this.symbols = next;
+        this.updatedAt = Date.now();
+
+        if (added.length > 0 || removed.length > 0) {
+            logger.info(TAG, `Universe: ${next.size} symbols (+${added.length} / -${removed.length})`);
+            const change: UniverseChange = { added, removed, symbols: this.getSymbols() };
+            this.emit('change', change);
+        }
+    }
+
+    // ==================== Queries ====================
+
+    has(symbol: string): boolean {
+        return this.symbols.has(symbol.toUpperCase());
+    }
+
+    getSymbols(): string[] {
+        return [...this.symbols].sort();
+    }
+
+    /**
+     * Venues listing each tracked symbol
+     */
+    getVenues(): Record<string, string[]> {
+        const venues: Record<string, string[]> = {};
+        this.getSymbols().forEach(symbol => {
+            venues[symbol] = [...this.listings.entries()]
+                .filter(([, listed]) => listed.has(symbol))
+                .map(([name]) => name);
+        });
+        return venues;
+    }
+
+    getUpdatedAt(): number {
+        return this.updatedAt;
+    }
+}
+
+// Export singleton
+export const symbolUniverse = new SymbolUniverseService();
+export { SymbolUniverseService };
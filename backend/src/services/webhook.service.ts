@@ -0,0 +1,299 @@
+/**
+ * Webhook Service
+ * Fans events out to the /api/webhooks subscriptions: JSON payloads signed
+ * with HMAC-SHA256 of the raw body (X-Webhook-Signature: sha256=<hex>),
+ * retried with exponential backoff, every attempt logged to
+ * webhook_deliveries. Pending deliveries are kept in webhook_queue, so
+ * retries survive a restart. A subscription is disabled after
+ * WEBHOOKS.DISABLE_AFTER consecutive failed attempts.
+ */
+
+import crypto from 'crypto';
+import axios, { AxiosError } from 'axios';
+import { WEBHOOKS } from '../config';
+import { PositionExit, WebhookEvent, WebhookSubscription } from '../types';
+import {
+    deleteQueuedDeliveries, deleteQueuedDelivery, listQueuedDeliveries, listWebhooks, logDeliveryAttempt, saveQueuedDelivery,
+    setWebhookFailures, QueuedDelivery, WebhookInput
+} from '../db/webhooks-repo';
+import { logger } from '../utils/app-logger';
+
+const TAG = 'Webhooks';
+
+export const WEBHOOK_EVENTS: WebhookEvent[] = ['spread.alert', 'exchange.down', 'position.exit', 'simulation.exit', 'feed.stale'];
+
+export class WebhookError extends Error { }
+
+/**
+ * Signature receivers recompute over the raw request body
+ */
+export const signPayload = (secret: string, body: string): string =>
+    `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+class WebhookDispatcher {
+    private subscriptions: Map<number, WebhookSubscription> = new Map();
+    private queue: QueuedDelivery[] = [];
+    private timer: NodeJS.Timeout | null = null;
+    private running = false;
+
+    setSubscriptions(subscriptions: WebhookSubscription[]): void {
+        this.subscriptions = new Map(subscriptions.map(subscription => [subscription.id, subscription]));
+    }
+
+    getQueueSize(): number {
+        return this.queue.length;
+    }
+
+    /**
+     * Queue an event for every enabled subscription listening to it
+     * Events without a symbol (venue events) ignore the symbol filter
+     * @returns number of deliveries queued
+     */
+    publish(event: WebhookEvent, data: any, symbol?: string, now: number = Date.now()): number {
+        let queued = 0;
+
+        this.subscriptions.forEach(subscription => {
+            if (!subscription.enabled || !subscription.events.includes(event)) return;
+            if (symbol && subscription.symbols.length > 0 && !subscription.symbols.includes(symbol)) return;
+
+            if (this.queue.length >= WEBHOOKS.QUEUE_LIMIT) {
+                logger.warn(TAG, `Queue full, dropping ${event} for webhook #${subscription.id}`);
+                return;
+            }
+
+            const id = crypto.randomUUID();
+            const delivery: QueuedDelivery = {
+                id,
+                webhookId: subscription.id,
+                event,
+                body: JSON.stringify({ id, event, timestamp: now, data }),
+                attempt: 0,
+                nextAttemptAt: now
+            };
+            this.queue.push(delivery);
+            this.persist(delivery);
+            queued++;
+        });
+
+        return queued;
+    }
+
+    /**
+     * Reload the deliveries pending before a restart (after the subscriptions)
+     * @returns number of deliveries restored
+     */
+    async restoreQueue(): Promise<number> {
+        const queued = new Set(this.queue.map(delivery => delivery.id));
+        const restored = (await listQueuedDeliveries()).filter(delivery => !queued.has(delivery.id));
+        this.queue.push(...restored);
+        if (restored.length > 0) logger.info(TAG, `Restored ${restored.length} pending deliveries`);
+        return restored.length;
+    }
+
+    start(): void {
+        this.stop();
+        this.timer = setInterval(() => this.tick(), WEBHOOKS.WORKER_MS);
+    }
+
+    stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Attempt every due delivery once
+     */
+    async runOnce(now: number = Date.now()): Promise<void> {
+        const due = this.queue.filter(delivery => delivery.nextAttemptAt <= now);
+        for (const delivery of due) {
+            await this.attempt(delivery, now);
+        }
+    }
+
+    private async tick(): Promise<void> {
+        if (this.running) return;
+        this.running = true;
+        try {
+            await this.runOnce();
+        } catch (error) {
+            logger.error(TAG, 'Delivery pass failed', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    private async attempt(delivery: QueuedDelivery, now: number): Promise<void> {
+        // Deleted or disabled since it was queued
+        const subscription = this.subscriptions.get(delivery.webhookId);
+        if (!subscription?.enabled) {
+            this.drop(delivery);
+            return;
+        }
+
+        delivery.attempt++;
+        const startedAt = Date.now();
+        let statusCode: number | null = null;
+        let error: string | null = null;
+
+        try {
+            const response = await axios.post(subscription.url, delivery.body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'perp-arbitrage-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Signature': signPayload(subscription.secret, delivery.body)
+                },
+                timeout: WEBHOOKS.TIMEOUT_MS,
+                maxRedirects: 0
+            });
+            statusCode = response.status;
+        } catch (e) {
+            statusCode = (e as AxiosError).response?.status ?? null;
+            error = (e as Error).message;
+        }
+
+        const success = error === null;
+        logDeliveryAttempt({
+            webhookId: subscription.id,
+            deliveryId: delivery.id,
+            event: delivery.event,
+            attempt: delivery.attempt,
+            statusCode,
+            error,
+            durationMs: Date.now() - startedAt,
+            success,
+            timestamp: now
+        }).catch(err => logger.error(TAG, 'Failed to log delivery', err));
+
+        if (success) {
+            this.drop(delivery);
+            if (subscription.failureCount > 0) this.saveFailures(subscription, 0);
+            return;
+        }
+
+        subscription.failureCount++;
+        if (subscription.failureCount >= WEBHOOKS.DISABLE_AFTER) {
+            subscription.enabled = false;
+            subscription.disabledReason = `${subscription.failureCount} consecutive failures, last: ${error}`;
+            this.queue = this.queue.filter(queued => queued.webhookId !== subscription.id);
+            deleteQueuedDeliveries(subscription.id)
+                .catch(err => logger.error(TAG, 'Failed to clear pending deliveries', err));
+            this.saveFailures(subscription, subscription.failureCount, subscription.disabledReason);
+            logger.warn(TAG, `Webhook #${subscription.id} disabled (${subscription.disabledReason})`);
+            return;
+        }
+        this.saveFailures(subscription, subscription.failureCount);
+
+        if (delivery.attempt >= WEBHOOKS.MAX_ATTEMPTS) {
+            this.drop(delivery);
+            logger.warn(TAG, `Webhook #${subscription.id}: ${delivery.event} ${delivery.id} dropped after ${delivery.attempt} attempts`);
+        } else {
+            delivery.nextAttemptAt = now + WEBHOOKS.BACKOFF_MS * 2 ** (delivery.attempt - 1);
+            this.persist(delivery);
+        }
+    }
+
+    private persist(delivery: QueuedDelivery): void {
+        saveQueuedDelivery({ ...delivery })
+            .catch(err => logger.error(TAG, 'Failed to save pending delivery', err));
+    }
+
+    private drop(delivery: QueuedDelivery): void {
+        this.queue = this.queue.filter(queued => queued !== delivery);
+        deleteQueuedDelivery(delivery.id)
+            .catch(err => logger.error(TAG, 'Failed to delete pending delivery', err));
+    }
+
+    private saveFailures(subscription: WebhookSubscription, count: number, reason: string | null = null): void {
+        subscription.failureCount = count;
+        setWebhookFailures(subscription.id, count, reason)
+            .catch(err => logger.error(TAG, 'Failed to save failure count', err));
+    }
+}
+
+// ==================== Subscriptions CRUD ====================
+
+const parseList = (value: any): string[] =>
+    (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+/**
+ * Validate a subscription from the API; fields missing from input keep their
+ * current value (updates) or defaults (creates: every symbol, random secret)
+ */
+export function parseWebhook(input: Record<string, any>, current?: WebhookSubscription): WebhookInput {
+    const merged: Record<string, any> = { ...current, ...input };
+
+    let url: URL;
+    try {
+        url = new URL(String(merged.url ?? ''));
+    } catch {
+        throw new WebhookError('url must be an absolute http(s) URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new WebhookError('url must be an absolute http(s) URL');
+
+    const events = parseList(merged.events);
+    if (events.length === 0) throw new WebhookError(`events must list at least one of ${WEBHOOK_EVENTS.join(', ')}`);
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event as WebhookEvent));
+    if (unknown.length) throw new WebhookError(`unknown events: ${unknown.join(', ')}`);
+
+    const secret = merged.secret ?? crypto.randomBytes(24).toString('hex');
+    if (typeof secret !== 'string' || secret.length < 16) throw new WebhookError('secret must be at least 16 characters');
+
+    return {
+        url: url.toString(),
+        secret,
+        events: [...new Set(events)] as WebhookEvent[],
+        symbols: [...new Set(parseList(merged.symbols).map(symbol => symbol.toUpperCase()))],
+        enabled: merged.enabled === undefined ? true : merged.enabled === true || merged.enabled === 'true'
+    };
+}
+
+// ==================== Position Exits ====================
+
+const optionalNumber = (value: any): number | null =>
+    value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+
+const optionalText = (value: any): string | null =>
+    value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+
+/**
+ * Validate an exit reported by the dashboard (its positions live in the browser)
+ */
+export function parsePositionExit(input: Record<string, any>, now: number = Date.now()): PositionExit {
+    const symbol = optionalText(input.symbol)?.toUpperCase();
+    if (!symbol) throw new WebhookError('symbol is required');
+
+    const exitTargetSpread = optionalNumber(input.exitTargetSpread);
+    const spread = optionalNumber(input.spread);
+    if (exitTargetSpread === null || spread === null) throw new WebhookError('exitTargetSpread and spread must be numbers');
+
+    return {
+        positionId: optionalText(input.positionId),
+        symbol,
+        buyExchange: optionalText(input.buyExchange)?.toUpperCase() ?? null,
+        sellExchange: optionalText(input.sellExchange)?.toUpperCase() ?? null,
+        entrySpread: optionalNumber(input.entrySpread),
+        exitTargetSpread,
+        spread,
+        size: optionalNumber(input.size),
+        timestamp: now
+    };
+}
+
+/**
+ * Reload the dispatcher's subscriptions (startup and after every change)
+ */
+export async function reloadWebhooks(): Promise<WebhookSubscription[]> {
+    const subscriptions = await listWebhooks();
+    webhookDispatcher.setSubscriptions(subscriptions);
+    return subscriptions;
+}
+
+// Export singleton
+export const webhookDispatcher = new WebhookDispatcher();
+export { WebhookDispatcher };
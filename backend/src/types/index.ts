@@ -11,6 +11,61 @@ export interface ExchangePrice {
     ask: number;
     timestamp?: number;  // V2: When this data was received
     source?: 'ws' | 'rest' | 'none';  // V2: Data source
+    book?: OrderBook;    // V3: Top N levels, when the venue provides depth
+    bookTimestamp?: number;  // When the book was received (can be older than the quote)
+    funding?: FundingInfo;  // V3: Latest funding rate for this venue
+}
+
+/**
+ * Funding rate of one venue for one symbol
+ * rate is a fraction (0.0001 = 0.01%) paid by longs to shorts every intervalHours
+ */
+export interface FundingInfo {
+    rate: number;
+    intervalHours: number;
+    nextFundingTime: number | null;  // ms epoch, null when the venue funds continuously
+    timestamp: number;
+}
+
+/**
+ * Funding rate event emitted by exchange services
+ */
+export interface FundingRate extends FundingInfo {
+    symbol: string;
+}
+
+/**
+ * Single order book level (size in base units)
+ */
+export interface OrderBookLevel {
+    price: number;
+    size: number;
+}
+
+/**
+ * L2 order book snapshot
+ * Bids sorted best (highest) first, asks sorted best (lowest) first
+ */
+export interface OrderBook {
+    bids: OrderBookLevel[];
+    asks: OrderBookLevel[];
+}
+
+/**
+ * Size-aware spread for a route, obtained by walking both books
+ */
+export interface ExecutableSpread {
+    notionalUsd: number;         // Requested notional per side
+    buyEx: ExchangeName;         // Venue where we lift the asks (long leg)
+    sellEx: ExchangeName;        // Venue where we hit the bids (short leg)
+    buyPrice: number;            // Volume-weighted ask price
+    sellPrice: number;           // Volume-weighted bid price
+    spread: number;              // Executable spread in %
+    netSpread: number;           // Executable spread after taker fees, in %
+    filledNotional: number;      // Notional actually available (<= notionalUsd)
+    targetSpread: number;        // Spread floor used for maxSize
+    maxSize: number;             // Base units tradable with every fill >= targetSpread
+    maxNotional: number;         // Same as maxSize, in USD (buy side)
 }
 
 /**
@@ -27,8 +82,41 @@ export interface Pair {
     bestBidEx?: ExchangeName;
     bestAsk?: number;
     bestAskEx?: ExchangeName;
-    realSpread?: number;
-    potentialProfit?: number;
+    realSpread?: number;         // Gross spread (%)
+    netSpread?: number;          // Spread after buy/sell taker fees (%)
+    buyFeeBps?: number;
+    sellFeeBps?: number;
+    grossProfit?: number;        // On a $1000 trade
+    netProfit?: number;          // On a $1000 trade, after fees
+    potentialProfit?: number;    // Alias of netProfit (legacy)
+    fundingCarryPerHour?: number;  // % per hour earned holding long bestAskEx / short bestBidEx
+    expectedFunding?: number;      // % over the funding horizon
+    fundingHorizonHours?: number;
+    executable?: ExecutableSpread;
+}
+
+/**
+ * One directional route of the spread matrix (buy on buyEx asks, sell on sellEx bids)
+ * Prices/spreads are null when either venue has no fresh quote
+ */
+export interface SpreadRoute {
+    buyEx: ExchangeName;
+    sellEx: ExchangeName;
+    buyPrice: number | null;
+    sellPrice: number | null;
+    spread: number | null;              // Gross %
+    netSpread: number | null;           // After taker fees %
+    fundingCarryPerHour: number | null; // % per hour (long buyEx, short sellEx)
+}
+
+/**
+ * Full NxN cross-exchange spread matrix for a symbol
+ */
+export interface SpreadMatrix {
+    symbol: string;
+    exchanges: ExchangeName[];
+    routes: SpreadRoute[];
+    timestamp: number;
 }
 
 /**
@@ -39,9 +127,26 @@ export interface PriceCache {
 }
 
 /**
- * Exchange names
+ * Exchange names: uppercase adapter keys of EXCHANGE_REGISTRY ('PARADEX', 'VEST', ...)
+ * Pairs carry each venue's quote under the lowercase key (pair.paradex)
  */
-export type ExchangeName = 'VEST' | 'LIGHTER' | 'PARADEX';
+export type ExchangeName = string;
+
+/**
+ * Contract metadata of one venue's market for a canonical asset
+ * tickSize/lotSize are in the venue's contract units; multiplier converts them:
+ * one contract = multiplier units of the asset (e.g. 1000PEPE -> 1000)
+ */
+export interface MarketInfo {
+    exchange: ExchangeName;
+    marketId: string;          // Venue identifier (e.g. 'BTC-USD-PERP', '1000PEPE')
+    asset: string;             // Canonical asset (e.g. 'BTC', 'PEPE')
+    multiplier: number;
+    tickSize: number | null;
+    lotSize: number | null;
+    minNotional: number | null;  // USD
+    maxLeverage: number | null;
+}
 
 /**
  * API response from /api/scans
@@ -80,6 +185,7 @@ export interface TimestampedPrice {
     ask: number;
     timestamp: number;
     source: 'ws' | 'rest';
+    book?: OrderBook;
 }
 
 /**
@@ -90,4 +196,127 @@ export interface ServiceStats {
     stale: number;
     wsActive: boolean;
     fallbackActive: boolean;
+    restOnly: boolean;          // Venue runs without WS by design (Vest, Extended)
+    wsDisabled: boolean;        // Adapter gave up on WS
+    // Cumulative counters (rates are derived by the health monitor)
+    wsMessages: number;
+    lastMessageAt: number;      // Last WS frame or non-empty REST poll, 0 = never
+    reconnects: number;
+    restRequests: number;
+    restErrors: number;
+    restLatencyMs: number;      // Summed over restRequests
+}
+
+export type HealthStatus = 'up' | 'degraded' | 'down';
+
+/**
+ * Venue health over the last HEALTH.WINDOW_MS (/api/health/exchanges, WS 'health')
+ */
+export interface ExchangeHealth {
+    exchange: string;
+    status: HealthStatus;
+    reasons: string[];
+    since: number;                      // Status unchanged since
+    fresh: number;
+    stale: number;
+    wsActive: boolean;
+    fallbackActive: boolean;
+    restOnly: boolean;
+    wsDisabled: boolean;
+    messageRate: number;                // WS frames per second
+    lastMessageAgeMs: number | null;
+    reconnects: number;
+    restErrorRate: number | null;       // null without REST requests in the window
+    restLatencyMs: number | null;
+    timestamp: number;
+}
+
+/**
+ * Server-side alert rule (alert_rules)
+ * Fires when the route spread holds >= threshold for minDurationMs, then
+ * re-arms once it drops below threshold - hysteresis. Quiet hours are HH:MM
+ * in server local time and may wrap midnight.
+ */
+export interface AlertRule {
+    id: number;
+    symbol: string;
+    buyExchange: ExchangeName | null;   // Both null = best route
+    sellExchange: ExchangeName | null;
+    threshold: number;                  // % gross spread
+    minDurationMs: number;
+    hysteresis: number;                 // % points
+    cooldownMs: number;
+    quietStart: string | null;
+    quietEnd: string | null;
+    enabled: boolean;
+    createdAt: number;
+    updatedAt: number;
+}
+
+/**
+ * Alert fired by a rule (ruleId null = global threshold)
+ */
+export interface FiredAlert {
+    ruleId: number | null;
+    symbol: string;
+    spread: number;
+    threshold: number;
+    buyExchange: ExchangeName;
+    sellExchange: ExchangeName;
+    buyPrice: number;
+    sellPrice: number;
+    timestamp: number;
+}
+
+/**
+ * Events a webhook subscription can choose
+ * position.exit: a dashboard position reached its exit target (reported by the browser)
+ * simulation.exit: a Ghost Mode paper trade closed
+ */
+export type WebhookEvent = 'spread.alert' | 'exchange.down' | 'position.exit' | 'simulation.exit' | 'feed.stale';
+
+/**
+ * Exit target reached by a dashboard position (POST /api/positions/exit)
+ */
+export interface PositionExit {
+    positionId: string | null;
+    symbol: string;
+    buyExchange: ExchangeName | null;
+    sellExchange: ExchangeName | null;
+    entrySpread: number | null;      // %
+    exitTargetSpread: number;        // %
+    spread: number;                  // % live spread that reached the target
+    size: number | null;
+    timestamp: number;
+}
+
+/**
+ * Outbound webhook subscription (webhooks); empty symbols = every symbol
+ */
+export interface WebhookSubscription {
+    id: number;
+    url: string;
+    secret: string;
+    events: WebhookEvent[];
+    symbols: string[];
+    enabled: boolean;
+    failureCount: number;           // Consecutive failed attempts
+    disabledReason: string | null;
+    createdAt: number;
+    updatedAt: number;
+}
+
+/**
+ * One logged delivery attempt (webhook_deliveries)
+ */
+export interface WebhookDeliveryAttempt {
+    webhookId: number;
+    deliveryId: string;
+    event: WebhookEvent;
+    attempt: number;
+    statusCode: number | null;
+    error: string | null;
+    durationMs: number;
+    success: boolean;
+    timestamp: number;
 }
@@ -0,0 +1,20 @@
+/**
+ * Metrics Utility
+ * Shared Prometheus registry served at GET /metrics
+ * Each module defines (and updates) its own metrics on this registry
+ */
+
+import { Registry, collectDefaultMetrics } from 'prom-client';
+
+export const metricsRegistry = new Registry();
+
+let processMetrics = false;
+
+/**
+ * Node process metrics (event-loop lag, heap, GC), started by the server only
+ */
+export function collectProcessMetrics(): void {
+    if (processMetrics) return;
+    processMetrics = true;
+    collectDefaultMetrics({ register: metricsRegistry, prefix: 'scanner_' });
+}
@@ -0,0 +1,20 @@
+/**
+ * Time parsing shared by the history, backtest and export services
+ */
+
+/**
+ * SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+ */
+export const parseTimestamp = (timestamp: string): number =>
+    new Date(timestamp.includes(' ') ? timestamp.replace(' ', 'T') + 'Z' : timestamp).getTime();
+
+/**
+ * Epoch ms or ISO date from loose input (query string or CLI flag)
+ * @param ErrorClass thrown when the value is neither (the caller's param error)
+ */
+export const parseTime = (raw: any, name: string, fallback: number, ErrorClass: new (message: string) => Error): number => {
+    if (raw === undefined || raw === '') return fallback;
+    const value = /^\d+$/.test(String(raw)) ? Number(raw) : Date.parse(String(raw));
+    if (isNaN(value)) throw new ErrorClass(`${name} must be epoch ms or an ISO date`);
+    return value;
+};
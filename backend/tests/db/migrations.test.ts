@@ -0,0 +1,107 @@
+/**
+ * Migration Tests
+ * Fresh, pre-migration and future databases, plus the legacy file import
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { migrate, getSchemaVersion, SchemaVersionError, SCHEMA_VERSION } from '../../src/db/migrations';
+
+const open = (file: string = ':memory:') => new sqlite3.Database(file);
+
+const exec = (db: sqlite3.Database, sql: string) => new Promise<void>((resolve, reject) =>
+    db.exec(sql, err => err ? reject(err) : resolve()));
+
+const query = (db: sqlite3.Database, sql: string) => new Promise<any[]>((resolve, reject) =>
+    db.all(sql, [], (err, rows) => err ? reject(err) : resolve(rows)));
+
+const close = (db: sqlite3.Database) => new Promise<void>(resolve => db.close(() => resolve()));
+
+const tables = async (db: sqlite3.Database) =>
+    (await query(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`)).map(row => row.name);
+
+describe('migrate', () => {
+    let dir: string;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-db-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should create every table on a fresh database, once', async () => {
+        const db = open();
+
+        expect(await migrate(db)).toBe(SCHEMA_VERSION);
+        expect(await getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+        expect(await tables(db)).toEqual([
+            'alert_rules', 'alerts', 'daily_stats', 'price_metrics', 'quotes', 'simulated_trades',
+            'spread_candles', 'spread_history', 'webhook_deliveries', 'webhook_queue', 'webhooks'
+        ]);
+
+        await exec(db, `INSERT INTO alerts (symbol) VALUES ('BTC')`);
+        expect(await migrate(db)).toBe(SCHEMA_VERSION);
+        expect(await query(db, `SELECT symbol FROM alerts`)).toEqual([{ symbol: 'BTC' }]);
+        await close(db);
+    });
+
+    test('should adopt a database created before migrations', async () => {
+        const db = open();
+        await exec(db, `
+            CREATE TABLE price_metrics (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp INTEGER, symbol TEXT, real_spread REAL);
+            CREATE TABLE alerts (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp INTEGER, symbol TEXT, spread REAL);
+            INSERT INTO alerts (timestamp, symbol, spread) VALUES (1, 'ETH', 0.7);
+        `);
+
+        await migrate(db);
+
+        const columns = (await query(db, `PRAGMA table_info(alerts)`)).map(info => info.name);
+        expect(columns).toEqual(expect.arrayContaining(['rule_id']));
+        expect((await query(db, `PRAGMA table_info(price_metrics)`)).map(info => info.name)).toContain('quotes');
+        expect(await query(db, `SELECT symbol, rule_id FROM alerts`)).toEqual([{ symbol: 'ETH', rule_id: null }]);
+        await close(db);
+    });
+
+    test('should import the pre-consolidation database files', async () => {
+        const market = open(path.join(dir, 'market_data.db'));
+        await exec(market, `
+            CREATE TABLE spread_history (id INTEGER PRIMARY KEY AUTOINCREMENT, symbol TEXT NOT NULL, spread REAL,
+                best_bid REAL, best_ask REAL, bid_exchange TEXT, ask_exchange TEXT, timestamp DATETIME DEFAULT CURRENT_TIMESTAMP);
+            INSERT INTO spread_history (symbol, spread, best_bid, best_ask, bid_exchange, ask_exchange, timestamp)
+                VALUES ('BTC', 0.4, 100, 99.6, 'VEST', 'PARADEX', '2026-01-01 00:00:00');
+        `);
+        await close(market);
+
+        const db = open(path.join(dir, 'database.sqlite'));
+        await migrate(db, dir);
+
+        expect(await query(db, `SELECT symbol, spread, timestamp FROM spread_history`))
+            .toEqual([{ symbol: 'BTC', spread: 0.4, timestamp: '2026-01-01 00:00:00' }]);
+        expect(await query(db, `SELECT COUNT(*) AS count FROM simulated_trades`)).toEqual([{ count: 0 }]);
+        expect(await query(db, `PRAGMA database_list`)).toHaveLength(1);     // legacy detached
+        await close(db);
+    });
+
+    test('should refuse a schema newer than this build', async () => {
+        const db = open();
+        await exec(db, `PRAGMA user_version = ${SCHEMA_VERSION + 1}`);
+
+        await expect(migrate(db)).rejects.toThrow(SchemaVersionError);
+        expect(await tables(db)).toEqual([]);
+        await close(db);
+    });
+
+    test('should roll a failed migration back', async () => {
+        const db = open();
+        // Clashes with migration 2's index of the same name
+        await exec(db, `CREATE TABLE spread_history (symbol TEXT); CREATE VIEW idx_history_symbol_time AS SELECT 1`);
+
+        await expect(migrate(db)).rejects.toThrow();
+        expect(await getSchemaVersion(db)).toBe(1);
+        await close(db);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Repository Tests
+ * Every repository against one migrated in-memory database
+ */
+
+import { DATABASE } from '../../src/config';
+import { closeDatabase, get } from '../../src/db/connection';
+import { saveAlert, getUnsentAlerts, markAlertDelivery } from '../../src/db/alerts-repo';
+import { saveSpread, eachSpread } from '../../src/db/spreads-repo';
+import { saveSimulatedTrade, getCumulativeStats, getRecentTrades } from '../../src/db/simulations-repo';
+import { insertAlertRule, listAlertRules, deleteAlertRule } from '../../src/db/alert-rules-repo';
+import { metricsRegistry } from '../../src/utils/app-metrics';
+import { insertWebhook, deleteWebhook, saveQueuedDelivery, listQueuedDeliveries, deleteQueuedDelivery } from '../../src/db/webhooks-repo';
+
+describe('repositories', () => {
+    const original = DATABASE.PATH;
+
+    beforeAll(() => {
+        DATABASE.PATH = ':memory:';
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        DATABASE.PATH = original;
+    });
+
+    test('should save alerts and track their delivery', async () => {
+        const alert = { ruleId: 2, symbol: 'BTC', spread: 0.5, buyExchange: 'VEST', sellExchange: 'PARADEX', buyPrice: 100, sellPrice: 100.5, timestamp: 1000 };
+        const id = await saveAlert(alert as any);
+        await saveAlert({ ...alert, ruleId: null, timestamp: 2000 } as any);
+
+        expect((await getUnsentAlerts('is_sent_discord', 0, false)).map(row => row.id)).toEqual([id]);
+        await markAlertDelivery(id, 'is_sent_discord', 1);
+        expect(await getUnsentAlerts('is_sent_discord', 0, false)).toEqual([]);
+        expect(await getUnsentAlerts('is_sent_telegram', 0, true)).toHaveLength(2);
+        expect((await getUnsentAlerts('is_sent_telegram', 0, true, [id])).map(row => row.id)).toEqual([id + 1]);
+    });
+
+    test('should save and stream spreads in time order', async () => {
+        await saveSpread({ symbol: 'ETH', spread: 0.2, bestBid: 10, bestAsk: 9.98, bestBidEx: 'VEST' });
+        await saveSpread({ symbol: 'ETH', spread: 99 });       // Outlier: dropped
+
+        const rows: any[] = [];
+        const count = await eachSpread(['ETH'], Date.now() - 60000, Date.now() + 60000, row => rows.push(row));
+
+        expect(count).toBe(1);
+        expect(rows[0]).toMatchObject({ symbol: 'ETH', spread: 0.2, bid_exchange: 'VEST', ask_exchange: 'UNKNOWN' });
+    });
+
+    test('should save simulated trades and aggregate them', async () => {
+        const trade = {
+            symbol: 'SOL', buyExchange: 'VEST', sellExchange: 'LIGHTER', buyPrice: 100, sellPrice: 101, positionSize: 1000,
+            spreadPercent: 1, grossProfit: 10, netProfit: 6, totalFees: 3, slippageCost: 1, gasCost: 0,
+            desyncRisk: 'LOW', profitable: true, isCapturable: true, durationMs: 1500
+        };
+        await saveSimulatedTrade(trade);
+        await saveSimulatedTrade({ ...trade, netProfit: -2, profitable: false });
+
+        expect(await getCumulativeStats()).toMatchObject({ totalSimulations: 2, profitableCount: 1, totalVirtualProfit: 4, maxDrawdown: -2 });
+        expect(await getRecentTrades(5)).toHaveLength(2);
+    });
+
+    test('should keep alert rules', async () => {
+        const id = await insertAlertRule({
+            symbol: 'BTC', buyExchange: null, sellExchange: null, threshold: 0.3, minDurationMs: 0,
+            hysteresis: 0, cooldownMs: 60000, quietStart: null, quietEnd: null, enabled: true
+        });
+
+        expect(await listAlertRules()).toEqual([expect.objectContaining({ id, symbol: 'BTC', enabled: true })]);
+        expect(await deleteAlertRule(id)).toBe(true);
+        expect(await get(`SELECT COUNT(*) AS count FROM alert_rules`)).toEqual({ count: 0 });
+    });
+
+    test('should keep pending webhook deliveries until delivered or deleted', async () => {
+        const webhookId = await insertWebhook({ url: 'http://hooks.local/', secret: 'a-long-enough-secret', events: ['spread.alert'], symbols: [], enabled: true });
+        const delivery = { id: 'd1', webhookId, event: 'spread.alert' as const, body: '{}', attempt: 0, nextAttemptAt: 1000 };
+
+        await saveQueuedDelivery(delivery);
+        await saveQueuedDelivery({ ...delivery, attempt: 1, nextAttemptAt: 2000 });
+        await saveQueuedDelivery({ ...delivery, id: 'd2' });
+        expect(await listQueuedDeliveries()).toEqual([{ ...delivery, id: 'd2' }, { ...delivery, attempt: 1, nextAttemptAt: 2000 }]);
+
+        await deleteQueuedDelivery('d2');
+        await deleteWebhook(webhookId);
+        expect(await listQueuedDeliveries()).toEqual([]);
+    });
+
+    test('should time inserts per table', async () => {
+        const text = await metricsRegistry.getSingleMetricAsString('scanner_db_insert_duration_seconds');
+
+        for (const table of ['alerts', 'spread_history', 'simulated_trades', 'alert_rules', 'webhooks', 'webhook_queue']) {
+            expect(text).toMatch(new RegExp(`scanner_db_insert_duration_seconds_count\\{table="${table}"\\} [1-9]`));
+        }
+    });
+});
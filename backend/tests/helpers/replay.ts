@@ -0,0 +1,20 @@
+/**
+ * Offline adapter replays: recorded WS frames and REST responses
+ * (tests/fixtures/<venue>) fed through a hybrid service
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { HybridExchangeService, TimestampedPrice } from '../../src/services/exchanges/HybridExchangeService';
+
+/** Reader of a venue's fixture files (parsed JSON) */
+export const fixtures = (venue: string) => (name: string): any =>
+    JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures', venue, name), 'utf8'));
+
+/** Feed recorded frames through the WS handler and collect emitted updates */
+export const replay = (service: HybridExchangeService, frames: any[]): TimestampedPrice[] => {
+    const updates: TimestampedPrice[] = [];
+    service.on('update', (price: TimestampedPrice) => updates.push(price));
+    frames.forEach(frame => service['onWsMessage'](JSON.stringify(frame)));
+    return updates;
+};
@@ -0,0 +1,8 @@
+/**
+ * Clock of the spread_history based tests (backtest, history, export)
+ */
+
+export const T0 = Date.UTC(2026, 0, 1);
+
+/** ms -> 'YYYY-MM-DD HH:MM:SS' (UTC), as SQLite CURRENT_TIMESTAMP stores it */
+export const sqliteTime = (ms: number) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
@@ -0,0 +1,62 @@
+/**
+ * Local HTTP receiver for outbound delivery tests (notifiers, webhooks)
+ * Records every request and answers with scripted replies per path, then 200
+ */
+
+import http from 'http';
+import { AddressInfo } from 'net';
+
+export interface StubRequest {
+    path: string;
+    headers: http.IncomingHttpHeaders;
+    raw: string;
+    body: any;      // Parsed JSON (undefined when the body is not JSON)
+    at: number;
+}
+
+// Status, or status and JSON body
+export type StubReply = number | [number, any];
+
+export interface StubServer {
+    base: string;
+    requests: StubRequest[];
+    replies: Record<string, StubReply[]>;
+    reset(): void;
+    close(): Promise<void>;
+}
+
+const parse = (raw: string): any => {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return undefined;
+    }
+};
+
+export function startStubServer(): Promise<StubServer> {
+    const stub = { requests: [], replies: {} } as unknown as StubServer;
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            stub.requests.push({ path: req.url!, headers: req.headers, raw, body: parse(raw), at: Date.now() });
+
+            const reply = stub.replies[req.url!]?.shift() ?? [200, { ok: true }];
+            const [status, body] = typeof reply === 'number' ? [reply, undefined] : reply;
+            res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+            res.end(body === undefined ? undefined : JSON.stringify(body));
+        });
+    });
+
+    stub.reset = () => {
+        stub.requests.length = 0;
+        Object.keys(stub.replies).forEach(path => delete stub.replies[path]);
+    };
+    stub.close = () => new Promise(resolve => server.close(() => resolve()));
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        stub.base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+        resolve(stub);
+    }));
+}
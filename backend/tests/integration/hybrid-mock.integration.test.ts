@@ -0,0 +1,147 @@
+/**
+ * Hybrid Service Integration Tests
+ * Runs the real adapters against the local mock exchange server to cover
+ * WS streaming, REST fallback, reconnects and staleness filtering
+ */
+
+import { MockExchangeServer } from '../../src/mock/mock-exchange-server';
+import { API_ENDPOINTS } from '../../src/config/exchanges';
+import { ParadexService } from '../../src/services/exchanges/ParadexService';
+import { LighterService } from '../../src/services/exchanges/LighterService';
+import { VestService } from '../../src/services/exchanges/VestService';
+import { ExtendedService } from '../../src/services/exchanges/ExtendedService';
+import { HybridExchangeService } from '../../src/services/exchanges/HybridExchangeService';
+import { symbolUniverse } from '../../src/services/symbol-universe.service';
+
+const SYMBOLS = ['BTC', 'ETH'];
+const ORIGINAL_ENDPOINTS = { ...API_ENDPOINTS };
+
+/** Poll until the predicate holds (fails the test after timeoutMs) */
+const waitFor = async (predicate: () => boolean, timeoutMs = 3000): Promise<void> => {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('waitFor: condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+/** Shrink watchdog / fallback / reconnect timings so scenarios play out in milliseconds */
+const withFastTimings = <T extends HybridExchangeService>(service: T): T =>
+    Object.assign(service, {
+        watchdogMs: 50,
+        fallbackMs: 50,
+        wsTimeout: 200,
+        staleThreshold: 400,
+        reconnectDelay: 50
+    });
+
+const quote = (service: HybridExchangeService, symbol: string) =>
+    service.getMarkets().find(m => m.symbol === symbol);
+
+describe('HybridExchangeService against the mock exchange server', () => {
+    let server: MockExchangeServer;
+    let services: HybridExchangeService[] = [];
+
+    const track = <T extends HybridExchangeService>(service: T): T => {
+        services.push(service);
+        return withFastTimings(service);
+    };
+
+    beforeEach(async () => {
+        server = new MockExchangeServer({ symbols: SYMBOLS, tickMs: 30, venueNoiseBps: 0, volatilityBps: 0 });
+        await server.start(0);
+        Object.assign(API_ENDPOINTS, server.getEndpoints());
+
+        jest.spyOn(symbolUniverse, 'has').mockImplementation(symbol => SYMBOLS.includes(symbol));
+        jest.spyOn(symbolUniverse, 'getSymbols').mockReturnValue(SYMBOLS);
+    });
+
+    afterEach(async () => {
+        services.forEach(service => service.stop());
+        services = [];
+        await server.stop();
+        Object.assign(API_ENDPOINTS, ORIGINAL_ENDPOINTS);
+        jest.restoreAllMocks();
+    });
+
+    test('should stream WS quotes from the mock (Paradex)', async () => {
+        const paradex = track(new ParadexService());
+        server.feed.setMid('BTC', 50000);
+        await paradex.start();
+
+        await waitFor(() => quote(paradex, 'BTC')?.bid === 49995);
+
+        expect(quote(paradex, 'BTC')!.ask).toBe(50005);
+        expect(paradex.getStats()).toMatchObject({ wsActive: true, fallbackActive: false });
+    });
+
+    test('should fall back to REST while the WS is silent and recover when it resumes', async () => {
+        const paradex = track(new ParadexService());
+        const sources: string[] = [];
+        paradex.on('update', price => sources.push(price.source));
+        await paradex.start();
+        await waitFor(() => sources.includes('ws'));
+
+        server.pause('PARADEX');
+        server.feed.setMid('ETH', 3000);
+        await waitFor(() => paradex.getStats().fallbackActive && quote(paradex, 'ETH')?.bid === 2999.7);
+        expect(sources[sources.length - 1]).toBe('rest');
+
+        server.pause('PARADEX', false);
+        await waitFor(() => !paradex.getStats().fallbackActive);
+        await waitFor(() => sources[sources.length - 1] === 'ws');
+    });
+
+    test('should reconnect and resubscribe after the connection drops (Lighter)', async () => {
+        const lighter = track(new LighterService());
+        await lighter.start();
+        await waitFor(() => server.getClientCount('LIGHTER') === 1 && lighter.getStats().wsActive);
+
+        server.dropConnections('LIGHTER');
+        await waitFor(() => !lighter.getStats().wsActive);
+        await waitFor(() => lighter.getStats().wsActive);
+
+        // Fresh snapshot on the new connection carries the moved price
+        server.feed.setMid('BTC', 60000);
+        await waitFor(() => quote(lighter, 'BTC')?.bid === 59994);
+        expect(server.getClientCount('LIGHTER')).toBe(1);
+        expect(lighter.getOrderBook('BTC')!.bids).toHaveLength(5);
+    });
+
+    test('should drop stale quotes once the venue is down', async () => {
+        const paradex = track(new ParadexService());
+        await paradex.start();
+        await waitFor(() => paradex.isDataFresh('BTC'));
+
+        server.setDown('PARADEX');
+        await waitFor(() => paradex.getMarkets().length === 0, 2000);
+
+        expect(paradex.isDataFresh('BTC')).toBe(false);
+        expect(paradex.getStats().stale).toBe(SYMBOLS.length);
+    });
+
+    test('should serve REST-only venues (Vest, Extended)', async () => {
+        server.feed.setMid('BTC', 40000);
+
+        const vest = await new VestService().fetchMarkets();
+        const vestBtc = vest.find(m => m.symbol === 'BTC')!;
+        expect(vest.map(m => m.symbol).sort()).toEqual(SYMBOLS);
+        expect([vestBtc.bid, vestBtc.ask]).toEqual([39996, 40004]);
+        expect(vestBtc.book!.asks[0]).toEqual({ price: 40004, size: 0.25 });
+
+        const extended = new ExtendedService();
+        const markets = await extended.fetchMarkets();
+        const extendedBtc = markets.find(m => m.symbol === 'BTC')!;
+        expect([extendedBtc.bid, extendedBtc.ask]).toEqual([39996, 40004]);
+        expect(extendedBtc.book!.asks[0]).toEqual({ price: 40004, size: 0.25 });
+
+        const funding = await extended.fetchFundingRates();
+        expect(funding).toHaveLength(SYMBOLS.length);
+        expect(funding[0].nextFundingTime).toBeGreaterThan(Date.now());
+    });
+
+    test('should return 503 for a venue that is down', async () => {
+        server.setDown('VEST');
+        await expect(new VestService().fetchListedSymbols()).rejects.toThrow('503');
+    });
+});
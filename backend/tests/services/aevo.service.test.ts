@@ -0,0 +1,129 @@
+/**
+ * Aevo Adapter Tests
+ * Replays canned orderbook frames (tests/fixtures/aevo) through the WS handler
+ */
+
+import axios from 'axios';
+import WebSocket from 'ws';
+import { AevoService } from '../../src/services/exchanges/AevoService';
+import { symbolUniverse } from '../../src/services/symbol-universe.service';
+import { marketRegistry } from '../../src/services/market-registry.service';
+import { fixtures, replay } from '../helpers/replay';
+
+jest.mock('axios');
+const mockedAxios = axios as jest.Mocked<typeof axios>;
+
+const fixture = fixtures('aevo');
+
+describe('AevoService', () => {
+    beforeEach(() => {
+        jest.spyOn(symbolUniverse, 'has').mockImplementation(symbol => ['ETH', 'PEPE'].includes(symbol));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    test('should emit snapshot and update frames', () => {
+        const updates = replay(new AevoService(), fixture('ws-orderbook.json'));
+        const eth = updates.filter(u => u.symbol === 'ETH');
+
+        expect(eth.map(u => [u.bid, u.ask])).toEqual([
+            [2640.85, 2641.10],
+            [2640.95, 2641.35]
+        ]);
+        expect(eth[1].book!.bids).toEqual([
+            { price: 2640.95, size: 1.5 },
+            { price: 2640.85, size: 12.31 },
+            { price: 2640.70, size: 4.02 }
+        ]);
+    });
+
+    test('should map 1000x instruments to the underlying asset', () => {
+        const updates = replay(new AevoService(), fixture('ws-orderbook.json'));
+        const pepe = updates.find(u => u.symbol === 'PEPE')!;
+
+        expect(pepe.bid).toBeCloseTo(0.000010228, 12);
+        expect(pepe.ask).toBeCloseTo(0.000010241, 12);
+        expect(pepe.book!.asks[0].size).toBe(180000000);
+    });
+
+    test('should ignore untracked instruments and non-book frames', () => {
+        jest.spyOn(symbolUniverse, 'has').mockReturnValue(false);
+        const updates = replay(new AevoService(), fixture('ws-orderbook.json'));
+
+        expect(updates).toHaveLength(0);
+    });
+
+    test('should only request the instruments Aevo lists', async () => {
+        jest.spyOn(symbolUniverse, 'getSymbols').mockReturnValue(['ETH', 'DOGE']);
+        jest.spyOn(marketRegistry, 'getMarket').mockImplementation((exchange, asset) =>
+            asset === 'ETH' ? { marketId: 'ETH-PERP', multiplier: 1 } as any : undefined);
+        mockedAxios.get.mockResolvedValue({ data: { bids: [['2640', '1']], asks: [['2641', '1']], funding_rate: '0.00001' } });
+
+        const service = new AevoService();
+        expect((await service.fetchMarkets()).map(m => m.symbol)).toEqual(['ETH']);
+        expect((await service.fetchFundingRates()).map(r => r.symbol)).toEqual(['ETH']);
+        expect(mockedAxios.get.mock.calls.map(call => call[1]!.params.instrument_name)).toEqual(['ETH-PERP', 'ETH-PERP']);
+    });
+
+    test('should only subscribe the instruments Aevo lists, while started', async () => {
+        jest.spyOn(symbolUniverse, 'getSymbols').mockReturnValue(['ETH', 'DOGE']);
+        jest.spyOn(marketRegistry, 'getMarket').mockImplementation((exchange, asset) =>
+            ['ETH', 'SOL'].includes(asset) ? { marketId: `${asset}-PERP`, multiplier: 1 } as any : undefined);
+
+        const service = new AevoService();
+        jest.spyOn(service as any, 'connectWebSocket').mockResolvedValue(undefined);
+        jest.spyOn(service as any, 'startWatchdog').mockImplementation(() => { });
+        jest.spyOn(service as any, 'startFundingPolling').mockImplementation(() => { });
+        const send = jest.fn();
+        service['socket'] = { readyState: WebSocket.OPEN, send, close: jest.fn() } as any;
+        const listeners = symbolUniverse.listenerCount('change');
+
+        await service.start();
+        service['subscribeToMarkets']();
+        symbolUniverse.emit('change', { added: ['SOL', 'PEPE'], removed: ['DOGE'], symbols: [] });
+
+        expect(send.mock.calls.map(([frame]) => JSON.parse(frame))).toEqual([
+            { op: 'subscribe', data: ['orderbook:ETH-PERP'] },
+            { op: 'subscribe', data: ['orderbook:SOL-PERP'] }
+        ]);
+        expect(symbolUniverse.listenerCount('change')).toBe(listeners + 1);
+
+        service.stop();
+        expect(symbolUniverse.listenerCount('change')).toBe(listeners);
+    });
+
+    test('should skip a fallback tick while the previous fetch runs', async () => {
+        const service = new AevoService();
+        let release: (markets: any[]) => void = () => { };
+        const fetch = jest.spyOn(service, 'fetchMarkets')
+            .mockResolvedValue([])
+            .mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+
+        const first = service['doFallbackFetch']();
+        await service['doFallbackFetch']();
+        release([]);
+        await first;
+        await service['doFallbackFetch']();
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should back off exponentially between reconnect attempts', () => {
+        jest.useFakeTimers();
+        const service = new AevoService();
+        const connect = jest.spyOn(service as any, 'connectWebSocket').mockResolvedValue(undefined);
+
+        service['scheduleWsReconnect']();
+        jest.advanceTimersByTime(3000);
+        expect(connect).toHaveBeenCalledTimes(1);
+
+        service['scheduleWsReconnect']();
+        jest.advanceTimersByTime(5999);
+        expect(connect).toHaveBeenCalledTimes(1);
+        jest.advanceTimersByTime(1);
+        expect(connect).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Alert Rules Engine Tests
+ */
+
+import { AlertRulesEngine, AlertRuleError, isQuiet, parseAlertRule } from '../../src/services/alert-rules.service';
+import { calculateSpreads } from '../../src/services/spread.service';
+import { ALERTS } from '../../src/config';
+import { AlertRule } from '../../src/types';
+
+const T0 = new Date(2026, 0, 1, 12, 0).getTime();   // Local noon
+const fresh = () => true;
+
+/** BTC with Paradex ask 100 and Vest bid 100 + spread (best route long Paradex / short Vest) */
+const btc = (spread: number, extra: Record<string, any> = {}) => {
+    const pair: any = {
+        symbol: 'BTC',
+        bestBid: 0,
+        bestAsk: 0,
+        realSpread: 0,
+        paradex: { bid: 99.9, ask: 100, timestamp: T0 },
+        vest: { bid: 100 + spread, ask: 100.1 + spread, timestamp: T0 },
+        ...extra
+    };
+    calculateSpreads({ BTC: pair }, () => true, { mode: 'top' });
+    return pair;
+};
+
+const rule = (overrides: Partial<AlertRule> = {}): AlertRule => ({
+    id: 1,
+    symbol: 'BTC',
+    buyExchange: null,
+    sellExchange: null,
+    threshold: 0.3,
+    minDurationMs: 0,
+    hysteresis: 0,
+    cooldownMs: 0,
+    quietStart: null,
+    quietEnd: null,
+    enabled: true,
+    createdAt: T0,
+    updatedAt: T0,
+    ...overrides
+});
+
+describe('AlertRulesEngine', () => {
+    const globalThreshold = ALERTS.GLOBAL_THRESHOLD;
+    let engine: AlertRulesEngine;
+
+    beforeEach(() => {
+        ALERTS.GLOBAL_THRESHOLD = 0;
+        engine = new AlertRulesEngine();
+    });
+
+    afterAll(() => {
+        ALERTS.GLOBAL_THRESHOLD = globalThreshold;
+    });
+
+    test('should fire once the spread persisted minDurationMs', () => {
+        const emitted: any[] = [];
+        engine.on('alert', alert => emitted.push(alert));
+        engine.setRules([rule({ minDurationMs: 1000 })]);
+
+        expect(engine.evaluate([btc(0.4)], T0, fresh)).toEqual([]);
+        expect(engine.evaluate([btc(0.2)], T0 + 600, fresh)).toEqual([]);      // Dip restarts the clock
+        expect(engine.evaluate([btc(0.4)], T0 + 700, fresh)).toEqual([]);
+        expect(engine.evaluate([btc(0.4)], T0 + 1500, fresh)).toEqual([]);
+
+        const [alert] = engine.evaluate([btc(0.4)], T0 + 1700, fresh);
+        expect(alert).toMatchObject({
+            ruleId: 1,
+            symbol: 'BTC',
+            threshold: 0.3,
+            buyExchange: 'PARADEX',
+            sellExchange: 'VEST',
+            buyPrice: 100,
+            sellPrice: 100.4,
+            timestamp: T0 + 1700
+        });
+        expect(alert.spread).toBeCloseTo(0.4, 9);
+        expect(emitted).toEqual([alert]);
+    });
+
+    test('should re-arm only below threshold - hysteresis', () => {
+        engine.setRules([rule({ hysteresis: 0.1 })]);
+
+        expect(engine.evaluate([btc(0.4)], T0, fresh)).toHaveLength(1);
+        expect(engine.evaluate([btc(0.25)], T0 + 1000, fresh)).toEqual([]);     // Within the band
+        expect(engine.evaluate([btc(0.4)], T0 + 2000, fresh)).toEqual([]);
+        expect(engine.evaluate([btc(0.1)], T0 + 3000, fresh)).toEqual([]);      // Re-armed
+        expect(engine.evaluate([btc(0.4)], T0 + 4000, fresh)).toHaveLength(1);
+    });
+
+    test('should honour the cooldown after re-arming', () => {
+        engine.setRules([rule({ cooldownMs: 60000 })]);
+
+        expect(engine.evaluate([btc(0.4)], T0, fresh)).toHaveLength(1);
+        engine.evaluate([btc(0)], T0 + 1000, fresh);
+        expect(engine.evaluate([btc(0.4)], T0 + 30000, fresh)).toEqual([]);
+        expect(engine.evaluate([btc(0.4)], T0 + 60000, fresh)).toHaveLength(1);
+    });
+
+    test('should hold alerts during quiet hours and fire after them', () => {
+        engine.setRules([rule({ quietStart: '11:30', quietEnd: '12:30' })]);
+
+        expect(engine.evaluate([btc(0.4)], T0, fresh)).toEqual([]);
+        expect(engine.evaluate([btc(0.4)], T0 + 30 * 60000, fresh)).toHaveLength(1);
+    });
+
+    test('should watch a fixed route even when another one is best', () => {
+        engine.setRules([rule({ buyExchange: 'LIGHTER', sellExchange: 'VEST', threshold: 0.2 })]);
+        const lighter = { bid: 100.1, ask: 100.2, timestamp: T0 };
+
+        // Vest bid 100.4 over Lighter ask 100.2: 0.1996%
+        expect(engine.evaluate([btc(0.4, { lighter })], T0, fresh)).toEqual([]);
+
+        const [alert] = engine.evaluate([btc(0.5, { lighter })], T0 + 1000, fresh);
+        expect(alert).toMatchObject({ buyExchange: 'LIGHTER', sellExchange: 'VEST', buyPrice: 100.2, sellPrice: 100.5 });
+
+        // Stale leg: no alert, no re-arm
+        engine.evaluate([btc(0)], T0 + 2000, quote => quote !== lighter);
+        expect(engine.evaluate([btc(0.5, { lighter })], T0 + 3000, fresh)).toEqual([]);
+    });
+
+    test('should skip disabled rules and re-arm edited ones', () => {
+        engine.setRules([rule({ enabled: false })]);
+        expect(engine.evaluate([btc(0.4)], T0, fresh)).toEqual([]);
+
+        engine.setRules([rule()]);
+        expect(engine.evaluate([btc(0.4)], T0 + 1000, fresh)).toHaveLength(1);
+        expect(engine.evaluate([btc(0.4)], T0 + 2000, fresh)).toEqual([]);
+
+        engine.setRules([rule({ threshold: 0.35, updatedAt: T0 + 2500 })]);
+        expect(engine.evaluate([btc(0.4)], T0 + 3000, fresh)).toHaveLength(1);
+    });
+
+    test('should apply the global threshold to every symbol', () => {
+        ALERTS.GLOBAL_THRESHOLD = 0.5;
+        const eth = { ...btc(0.6), symbol: 'ETH' };
+
+        const alerts = engine.evaluate([btc(0.4), eth], T0, fresh);
+        expect(alerts).toEqual([expect.objectContaining({ ruleId: null, symbol: 'ETH', threshold: 0.5 })]);
+        expect(engine.evaluate([eth], T0 + 1000, fresh)).toEqual([]);
+    });
+});
+
+describe('isQuiet', () => {
+    const at = (hours: number, minutes: number) => new Date(2026, 0, 1, hours, minutes).getTime();
+
+    test('should handle windows wrapping midnight', () => {
+        const night = { quietStart: '22:00', quietEnd: '07:00' };
+        expect(isQuiet(night, at(23, 15))).toBe(true);
+        expect(isQuiet(night, at(6, 59))).toBe(true);
+        expect(isQuiet(night, at(7, 0))).toBe(false);
+        expect(isQuiet({ quietStart: null, quietEnd: null }, at(3, 0))).toBe(false);
+    });
+});
+
+describe('parseAlertRule', () => {
+    test('should normalize input and apply defaults', () => {
+        expect(parseAlertRule({ symbol: ' btc ', threshold: '0.4', buyExchange: 'paradex', sellExchange: 'vest' })).toEqual({
+            symbol: 'BTC',
+            buyExchange: 'PARADEX',
+            sellExchange: 'VEST',
+            threshold: 0.4,
+            minDurationMs: 0,
+            hysteresis: 0,
+            cooldownMs: 60000,
+            quietStart: null,
+            quietEnd: null,
+            enabled: true
+        });
+    });
+
+    test('should merge updates onto the current rule', () => {
+        expect(parseAlertRule({ enabled: false }, rule({ cooldownMs: 5000 }))).toMatchObject({ symbol: 'BTC', threshold: 0.3, cooldownMs: 5000, enabled: false });
+    });
+
+    test('should reject invalid rules', () => {
+        expect(() => parseAlertRule({ threshold: 0.3 })).toThrow('symbol is required');
+        expect(() => parseAlertRule({ symbol: 'BTC' })).toThrow('threshold must be a number');
+        expect(() => parseAlertRule({ symbol: 'BTC', threshold: 0.3, buyExchange: 'PARADEX' })).toThrow(AlertRuleError);
+        expect(() => parseAlertRule({ symbol: 'BTC', threshold: 0.3, buyExchange: 'VEST', sellExchange: 'vest' })).toThrow('must differ');
+        expect(() => parseAlertRule({ symbol: 'BTC', threshold: 0.3, buyExchange: 'FTX', sellExchange: 'VEST' })).toThrow('unknown exchange');
+        expect(() => parseAlertRule({ symbol: 'BTC', threshold: 0.3, quietStart: '25:00', quietEnd: '07:00' })).toThrow('HH:MM');
+        expect(() => parseAlertRule({ symbol: 'BTC', threshold: 0.3, cooldownMs: -1 })).toThrow('cooldownMs');
+    });
+});
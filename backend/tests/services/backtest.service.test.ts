@@ -0,0 +1,184 @@
+/**
+ * Backtest Tests
+ * Synthetic spread_history rows walked through the threshold strategy
+ */
+
+const mockRows: any[] = [];
+jest.mock('../../src/db/spreads-repo', () => ({
+    eachSpread: jest.fn((symbols: string[], from: number, to: number, onRow: (row: any) => void) => {
+        mockRows.forEach(onRow);
+        return Promise.resolve(mockRows.length);
+    })
+}));
+
+import { Backtester, BacktestParamError, BacktestParams, parseBacktestParams, runBacktest } from '../../src/services/backtest.service';
+import { eachSpread } from '../../src/db/spreads-repo';
+import { HISTORY, SIMULATION } from '../../src/config';
+import { T0, sqliteTime } from '../helpers/sqlite-time';
+
+/** One 5s snapshot: long Paradex / short Vest unless given */
+const row = (symbol: string, seconds: number, spread: number, bidEx = 'VEST', askEx = 'PARADEX') => ({
+    symbol,
+    spread,
+    best_bid: 100 + spread,
+    best_ask: 100,
+    bid_exchange: bidEx,
+    ask_exchange: askEx,
+    timestamp: sqliteTime(T0 + seconds * 1000)
+});
+
+const params = (overrides: Partial<BacktestParams> = {}): BacktestParams => ({
+    symbols: [],
+    entrySpread: 0.3,
+    exitSpread: 0.05,
+    maxHoldMs: 60_000,
+    notionalUsd: 1000,
+    fees: 0,
+    slippageBps: 0,
+    from: T0,
+    to: T0 + 3600_000,
+    ...overrides
+});
+
+const run = (rows: any[], overrides: Partial<BacktestParams> = {}) => {
+    const backtester = new Backtester(params(overrides));
+    rows.forEach(r => backtester.feed(r));
+    return backtester.finish();
+};
+
+describe('Backtester', () => {
+    test('should open at the entry threshold and close on convergence', () => {
+        const result = run([
+            row('BTC', 0, 0.2),
+            row('BTC', 5, 0.4),
+            row('BTC', 10, 0.25),
+            row('BTC', 15, 0.05),
+            row('BTC', 20, 0.35)
+        ]);
+
+        expect(result.trades[0]).toMatchObject({
+            symbol: 'BTC',
+            buyExchange: 'PARADEX',
+            sellExchange: 'VEST',
+            entryTime: T0 + 5000,
+            exitTime: T0 + 15000,
+            entrySpread: 0.4,
+            exitSpread: 0.05,
+            holdMs: 10000,
+            exitReason: 'converged'
+        });
+        expect(result.trades[0].grossPnl).toBeCloseTo(3.5, 9);
+
+        // Re-entered at 20s, still open when the data ends
+        expect(result.trades[1]).toMatchObject({ entryTime: T0 + 20000, holdMs: 0, grossPnl: 0, exitReason: 'end_of_data' });
+        expect(result.rows).toBe(5);
+    });
+
+    test('should force close after the max hold', () => {
+        const result = run([row('ETH', 0, 0.5), row('ETH', 30, 0.4), row('ETH', 60, 0.3)]);
+
+        expect(result.trades).toHaveLength(1);
+        expect(result.trades[0]).toMatchObject({ exitReason: 'max_hold', holdMs: 60000, exitSpread: 0.3 });
+        expect(result.trades[0].grossPnl).toBeCloseTo(2, 9);
+    });
+
+    test('should charge four fills plus slippage', () => {
+        const rows = [row('BTC', 0, 0.4), row('BTC', 5, 0)];
+
+        // 2 bps per fill: 4 fills * 2bps + 5bps slippage on $1000
+        const flat = run(rows, { fees: 2, slippageBps: 5 }).trades[0];
+        expect(flat.costs).toBeCloseTo(1.3, 9);
+        expect(flat.netPnl).toBeCloseTo(4 - 1.3, 9);
+
+        // Venue taker rates: Paradex 2bps + Vest 10bps, both opened and closed
+        expect(run(rows, { fees: 'taker' }).trades[0].costs).toBeCloseTo(2.4, 9);
+        expect(run(rows, { fees: 'maker' }).trades[0].costs).toBeCloseTo(0, 9);
+    });
+
+    test('should skip rows without a two-venue route', () => {
+        const result = run([
+            row('BTC', 0, 0.9, 'UNKNOWN', 'PARADEX'),
+            row('BTC', 5, 0.9, 'VEST', 'VEST'),
+            row('BTC', 10, NaN)
+        ]);
+
+        expect(result.trades).toHaveLength(0);
+        expect(result.rows).toBe(2);
+    });
+
+    test('should build the equity curve, hit rate and drawdown across symbols', () => {
+        const result = run([
+            row('BTC', 0, 0.5),
+            row('ETH', 0, 0.5),
+            row('BTC', 5, 0),       // +5
+            row('ETH', 10, 0.8),    // max hold below
+            row('ETH', 70, 1.0),    // -5
+            row('SOL', 75, 0.4),
+            row('SOL', 80, -0.1)    // +5
+        ], { fees: 0 });
+
+        expect(result.equityCurve.map(p => p.equity)).toEqual([
+            expect.closeTo(5, 9), expect.closeTo(0, 9), expect.closeTo(5, 9)
+        ]);
+        expect(result.summary).toMatchObject({ trades: 3, wins: 2 });
+        expect(result.summary.hitRate).toBeCloseTo(2 / 3, 9);
+        expect(result.summary.maxDrawdown).toBeCloseTo(5, 9);
+        expect(result.summary.avgHoldMs).toBeCloseTo((5000 + 70000 + 5000) / 3, 6);
+        expect(Object.keys(result.bySymbol)).toEqual(['BTC', 'ETH', 'SOL']);
+        expect(result.bySymbol.ETH).toMatchObject({ trades: 1, wins: 0, hitRate: 0 });
+    });
+});
+
+describe('parseBacktestParams', () => {
+    const NOW = T0 + 30 * 24 * 3600_000;
+    const retention = HISTORY.RAW_RETENTION_DAYS;
+
+    beforeEach(() => {
+        HISTORY.RAW_RETENTION_DAYS = 0;
+    });
+
+    afterAll(() => {
+        HISTORY.RAW_RETENTION_DAYS = retention;
+    });
+
+    test('should default to the simulator settings over the last 7 days', () => {
+        expect(parseBacktestParams({}, NOW)).toEqual({
+            symbols: [],
+            entrySpread: SIMULATION.MIN_SPREAD_PERCENT,
+            exitSpread: SIMULATION.CLOSE_SPREAD_PERCENT,
+            maxHoldMs: SIMULATION.MAX_HOLD_MS,
+            notionalUsd: SIMULATION.POSITION_SIZE_USD,
+            fees: 'taker',
+            slippageBps: 0,
+            from: NOW - 7 * 24 * 3600_000,
+            to: NOW
+        });
+    });
+
+    test('should parse query strings and reject bad input', () => {
+        expect(parseBacktestParams({ symbols: 'btc, eth', entry: '0.4', exit: '0.1', fees: '3', from: '2026-01-01', to: String(T0 + 1000) }, NOW))
+            .toMatchObject({ symbols: ['BTC', 'ETH'], entrySpread: 0.4, exitSpread: 0.1, fees: 3, from: T0, to: T0 + 1000 });
+
+        expect(() => parseBacktestParams({ entry: '0.1', exit: '0.2' }, NOW)).toThrow(BacktestParamError);
+        expect(() => parseBacktestParams({ notional: 'abc' }, NOW)).toThrow('notional must be a number >= 1');
+        expect(() => parseBacktestParams({ from: '2025-01-01' }, NOW)).toThrow('range is limited to 90 days');
+        expect(() => parseBacktestParams({ fees: 'vip' }, NOW)).toThrow(BacktestParamError);
+    });
+
+    test('should stay within the raw history retention', () => {
+        HISTORY.RAW_RETENTION_DAYS = 7;
+        expect(parseBacktestParams({}, NOW).from).toBe(NOW - 7 * 24 * 3600_000);
+        expect(() => parseBacktestParams({ from: String(NOW - 8 * 24 * 3600_000) }, NOW)).toThrow('within the last 7 days');
+    });
+});
+
+describe('runBacktest', () => {
+    test('should stream the requested history through the backtester', async () => {
+        mockRows.push(row('BTC', 0, 0.4), row('BTC', 5, 0));
+
+        const result = await runBacktest(params({ symbols: ['BTC'] }));
+
+        expect(eachSpread).toHaveBeenCalledWith(['BTC'], T0, T0 + 3600_000, expect.any(Function));
+        expect(result.summary.trades).toBe(1);
+    });
+});
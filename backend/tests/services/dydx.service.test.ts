@@ -0,0 +1,68 @@
+/**
+ * dYdX v4 Adapter Tests
+ * Replays canned v4_orderbook frames (tests/fixtures/dydx) through the WS handler
+ */
+
+import { DydxService } from '../../src/services/exchanges/DydxService';
+import { symbolUniverse } from '../../src/services/symbol-universe.service';
+import { fixtures, replay } from '../helpers/replay';
+
+const fixture = fixtures('dydx');
+
+describe('DydxService', () => {
+    beforeEach(() => {
+        jest.spyOn(symbolUniverse, 'has').mockImplementation(symbol => symbol === 'BTC');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    test('should ignore deltas received before the snapshot', () => {
+        const frames = fixture('ws-orderbook.json');
+        const updates = replay(new DydxService(), frames.slice(0, 2));
+
+        expect(updates).toHaveLength(0);
+    });
+
+    test('should emit the snapshot top of book with depth', () => {
+        const frames = fixture('ws-orderbook.json');
+        const updates = replay(new DydxService(), frames.slice(0, 3));
+
+        expect(updates).toHaveLength(1);
+        expect(updates[0]).toMatchObject({ symbol: 'BTC', bid: 67212, ask: 67214, source: 'ws' });
+        expect(updates[0].book!.asks).toHaveLength(3);
+    });
+
+    test('should apply deltas and batched deltas to the book', () => {
+        const updates = replay(new DydxService(), fixture('ws-orderbook.json'));
+
+        // snapshot, ask delta, two batched bid deltas (the crossed last frame is dropped)
+        expect(updates.map(u => [u.bid, u.ask])).toEqual([
+            [67212, 67214],
+            [67212, 67213],
+            [67211, 67213],
+            [67211, 67213]
+        ]);
+        expect(updates[3].book!.bids[0]).toEqual({ price: 67211, size: 1.75 });
+    });
+
+    test('should back off exponentially between reconnect attempts', () => {
+        jest.useFakeTimers();
+        const service = new DydxService();
+        const connect = jest.spyOn(service as any, 'connectWebSocket').mockResolvedValue(undefined);
+
+        service['scheduleWsReconnect']();
+        jest.advanceTimersByTime(2999);
+        expect(connect).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(connect).toHaveBeenCalledTimes(1);
+
+        service['scheduleWsReconnect']();
+        jest.advanceTimersByTime(5999);
+        expect(connect).toHaveBeenCalledTimes(1);
+        jest.advanceTimersByTime(1);
+        expect(connect).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Export Tests
+ * Param parsing, then CSV / NDJSON / Parquet output of an in-memory database
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { AddressInfo } from 'net';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import { DATABASE, HISTORY } from '../../src/config';
+import { closeDatabase, run } from '../../src/db/connection';
+import { saveAlert } from '../../src/db/alerts-repo';
+import { getExport } from '../../src/controllers/export.controller';
+import { ExportParamError, exportFileName, parseExportParams, streamExport, writeParquet } from '../../src/services/export.service';
+import { T0, sqliteTime } from '../helpers/sqlite-time';
+
+/** Collects what is written; reports itself full every `highWaterMark` bytes */
+class Sink extends Writable {
+    text = '';
+
+    constructor(highWaterMark = 16 * 1024) {
+        super({ highWaterMark, decodeStrings: false });
+    }
+
+    _write(chunk: any, encoding: string, callback: () => void) {
+        this.text += chunk;
+        setImmediate(callback);
+    }
+}
+
+describe('parseExportParams', () => {
+    const NOW = T0 + 86_400_000;
+
+    test('should default to the last 24h of every symbol as CSV', () => {
+        expect(parseExportParams('spreads', {}, NOW)).toEqual({ dataset: 'spreads', from: T0, to: NOW, symbols: [], format: 'csv' });
+        expect(parseExportParams('alerts', { symbols: 'btc, eth', format: 'ndjson', from: '2025-12-31' }, NOW))
+            .toMatchObject({ symbols: ['BTC', 'ETH'], format: 'ndjson', from: T0 - 86_400_000 });
+    });
+
+    test('should reject invalid params', () => {
+        expect(() => parseExportParams('trades', {}, NOW)).toThrow(ExportParamError);
+        expect(() => parseExportParams('spreads', { format: 'xlsx' }, NOW)).toThrow(/format/);
+        expect(() => parseExportParams('spreads', { from: 'soon' }, NOW)).toThrow(/from/);
+        expect(() => parseExportParams('spreads', { from: NOW }, NOW)).toThrow(/before/);
+    });
+
+    test('should keep spreads within the raw history retention', () => {
+        const from = String(NOW - 8 * 86_400_000);
+        expect(() => parseExportParams('spreads', { from }, NOW)).toThrow(/raw history retention/);
+        expect(parseExportParams('alerts', { from }, NOW).from).toBe(Number(from));
+    });
+
+    test('should name files after the dataset and range', () => {
+        expect(exportFileName(parseExportParams('price-metrics', { format: 'parquet' }, NOW))).toBe('price-metrics_2026-01-01_2026-01-02.parquet');
+    });
+});
+
+describe('exports', () => {
+    const original = { path: DATABASE.PATH, retention: HISTORY.RAW_RETENTION_DAYS };
+    let dir: string;
+
+    beforeAll(async () => {
+        DATABASE.PATH = ':memory:';
+        HISTORY.RAW_RETENTION_DAYS = 0;     // The fixture range is in the past
+        for (let i = 0; i < 2000; i++) {
+            await run(`INSERT INTO spread_history (symbol, spread, best_bid, best_ask, bid_exchange, ask_exchange, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [i % 2 ? 'ETH' : 'BTC', i / 1000, 100, 99.9, 'VEST', 'PARADEX', sqliteTime(T0 + i * 1000)]);
+        }
+        await saveAlert({ ruleId: null, symbol: 'BTC', spread: 0.5, buyExchange: 'PARADEX', sellExchange: 'VEST, "B"', buyPrice: 100, sellPrice: 100.5, timestamp: T0 } as any);
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-export-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        DATABASE.PATH = original.path;
+        HISTORY.RAW_RETENTION_DAYS = original.retention;
+    });
+
+    test('should stream CSV in time order through a slow stream', async () => {
+        const sink = new Sink(1024);
+        const rows = await streamExport(parseExportParams('spreads', { from: T0, to: T0 + 2000_000, symbols: 'BTC' }), sink);
+        const lines = sink.text.trim().split('\n');
+
+        expect(rows).toBe(1000);
+        expect(lines).toHaveLength(1001);
+        expect(lines[0]).toBe('id,timestamp,symbol,spread,best_bid,best_ask,bid_exchange,ask_exchange');
+        expect(lines[1]).toBe('1,2026-01-01T00:00:00.000Z,BTC,0,100,99.9,VEST,PARADEX');
+        expect(lines[1000].split(',')[1]).toBe('2026-01-01T00:33:18.000Z');
+    });
+
+    test('should keep the range end exclusive', async () => {
+        const sink = new Sink();
+        expect(await streamExport(parseExportParams('spreads', { from: T0 + 10_000, to: T0 + 20_000 }), sink)).toBe(10);
+    });
+
+    test('should quote CSV values and write NDJSON', async () => {
+        const csv = new Sink();
+        await streamExport(parseExportParams('alerts', { from: T0, to: T0 + 1 }), csv);
+        expect(csv.text.split('\n')[1]).toBe('1,2026-01-01T00:00:00.000Z,BTC,0.5,PARADEX,"VEST, ""B""",100,100.5,0,0,');
+
+        const ndjson = new Sink();
+        await streamExport(parseExportParams('alerts', { from: T0, to: T0 + 1, format: 'ndjson' }), ndjson);
+        expect(JSON.parse(ndjson.text)).toMatchObject({ timestamp: '2026-01-01T00:00:00.000Z', exchange_sell: 'VEST, "B"', rule_id: null });
+    });
+
+    test('should stop when the stream is destroyed', async () => {
+        const sink = new Sink(1024);
+        sink.once('drain', () => sink.destroy());
+
+        const rows = await streamExport(parseExportParams('spreads', { from: T0, to: T0 + 2000_000 }), sink);
+        expect(rows).toBeLessThan(2000);
+    });
+
+    test('should not wait for a stream destroyed before its first write', async () => {
+        const sink = new Sink(1024);
+        sink.destroy();
+
+        expect(await streamExport(parseExportParams('spreads', { from: T0, to: T0 + 2000_000 }), sink)).toBeLessThan(2000);
+        expect(sink.text).toBe('');
+    });
+
+    test('should finish a download the client aborts partway through', async () => {
+        let exported!: Promise<unknown>;
+        const server = http.createServer((req, res) => {
+            exported = getExport({ params: { dataset: 'spreads' }, query: { from: String(T0), to: String(T0 + 2000_000) } } as any, res as any);
+        });
+        await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            await new Promise<void>(resolve => {
+                const req = http.get(`http://127.0.0.1:${(server.address() as AddressInfo).port}/`, response => {
+                    response.once('data', () => {
+                        req.destroy();
+                        resolve();
+                    });
+                });
+                req.on('error', () => resolve());
+            });
+            await exported;
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('should write Parquet files', async () => {
+        const parquet = require('parquetjs-lite');
+        const file = path.join(dir, 'spreads.parquet');
+
+        expect(await writeParquet(parseExportParams('spreads', { from: T0, to: T0 + 2000_000, symbols: 'ETH', format: 'parquet' }), file)).toBe(1000);
+
+        // The library's reader fails on its own TIMESTAMP_MILLIS values (BigInt): left out
+        const reader = await parquet.ParquetReader.openFile(file, { rawStatistics: true });
+        const first = await reader.getCursor(['id', 'symbol', 'spread', 'bid_exchange']).next();
+        expect(Number(reader.getRowCount())).toBe(1000);
+        expect(reader.getSchema().fields.timestamp.originalType).toBe('TIMESTAMP_MILLIS');
+        expect({ ...first, id: Number(first.id) }).toEqual({ id: 2, symbol: 'ETH', spread: 0.001, bid_exchange: 'VEST' });
+        await reader.close();
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Health Monitor Tests
+ */
+
+import { HealthMonitor } from '../../src/services/health.service';
+import { HEALTH } from '../../src/config';
+import { ServiceStats } from '../../src/types';
+
+const T0 = 1_760_000_000_000;
+
+const stats = (overrides: Partial<ServiceStats> = {}): ServiceStats => ({
+    fresh: 5,
+    stale: 0,
+    wsActive: true,
+    fallbackActive: false,
+    restOnly: false,
+    wsDisabled: false,
+    wsMessages: 0,
+    lastMessageAt: T0,
+    reconnects: 0,
+    restRequests: 0,
+    restErrors: 0,
+    restLatencyMs: 0,
+    ...overrides
+});
+
+describe('HealthMonitor', () => {
+    const original = { ...HEALTH };
+    let monitor: HealthMonitor;
+
+    beforeEach(() => {
+        Object.assign(HEALTH, { WINDOW_MS: 60000, MAX_MESSAGE_AGE_MS: 30000, MAX_REST_ERROR_RATE: 0.5 });
+        monitor = new HealthMonitor();
+    });
+
+    afterAll(() => {
+        Object.assign(HEALTH, original);
+    });
+
+    test('should derive rates over the window', () => {
+        monitor.check({ paradex: stats({ wsMessages: 100, restRequests: 2, restErrors: 0, restLatencyMs: 200 }) }, T0);
+        monitor.check({ paradex: stats({ wsMessages: 400, restRequests: 6, restErrors: 1, restLatencyMs: 1000, reconnects: 2, lastMessageAt: T0 + 9000 }) }, T0 + 10000);
+
+        expect(monitor.getExchanges()).toEqual([expect.objectContaining({
+            exchange: 'PARADEX',
+            status: 'up',
+            reasons: [],
+            messageRate: 30,
+            lastMessageAgeMs: 1000,
+            reconnects: 2,
+            restErrorRate: 0.25,
+            restLatencyMs: 200,
+            since: T0
+        })]);
+    });
+
+    test('should drop samples older than the window', () => {
+        monitor.check({ paradex: stats({ restRequests: 10, restErrors: 10 }) }, T0);
+        monitor.check({ paradex: stats({ restRequests: 12, restErrors: 10 }) }, T0 + 50000);
+        expect(monitor.getExchanges()[0].restErrorRate).toBe(0);
+
+        const [health] = monitor.check({ paradex: stats({ restRequests: 12, restErrors: 10 }) }, T0 + 70000);
+        expect(health.restErrorRate).toBeNull();
+    });
+
+    test('should flag degraded venues with the reasons', () => {
+        const [lighter, vest, paradex] = monitor.check({
+            lighter: stats({ wsDisabled: true, fallbackActive: true }),
+            vest: stats({ restOnly: true, fallbackActive: true, wsActive: false }),
+            paradex: stats({ lastMessageAt: T0 - 45000, restRequests: 4, restErrors: 2 })
+        }, T0);
+
+        expect(lighter).toMatchObject({ status: 'degraded', reasons: ['WebSocket disabled, REST only'] });
+        expect(vest).toMatchObject({ status: 'up', reasons: [] });       // REST by design
+        expect(paradex).toMatchObject({ reasons: ['no message for 45s'], restErrorRate: null });  // Single sample: no error rate yet
+
+        const [, , later] = monitor.check({
+            lighter: stats({ wsDisabled: true, fallbackActive: true }),
+            vest: stats({ restOnly: true, fallbackActive: true, wsActive: false }),
+            paradex: stats({ lastMessageAt: T0 - 45000, restRequests: 8, restErrors: 4 })
+        }, T0 + 5000);
+        expect(later).toMatchObject({ status: 'degraded', reasons: ['no message for 50s', '50% REST errors'] });
+        expect(monitor.getSummary(T0 + 5000)).toEqual({ status: 'degraded', exchanges: { up: 1, degraded: 2, down: 0 }, timestamp: T0 + 5000 });
+    });
+
+    test('should push status changes only', () => {
+        const pushed: any[] = [];
+        monitor.on('status', health => pushed.push([health.exchange, health.status, health.since]));
+
+        monitor.check({ paradex: stats() }, T0);
+        monitor.check({ paradex: stats() }, T0 + 5000);
+        monitor.check({ paradex: stats({ fresh: 0, stale: 5 }) }, T0 + 10000);
+
+        expect(pushed).toEqual([['PARADEX', 'up', T0], ['PARADEX', 'down', T0 + 10000]]);
+        expect(monitor.getSummary().status).toBe('down');
+    });
+
+    test('should report venues going down, recovering and falling back to REST', () => {
+        const events: any[] = [];
+        monitor.on('exchange.down', event => events.push(event));
+        monitor.on('feed.stale', event => events.push(event));
+
+        monitor.check({ paradex: stats({ fresh: 0 }) }, T0);                        // Still connecting: not down
+        monitor.check({ paradex: stats({ fresh: 5 }) }, T0 + 1);
+        monitor.check({ paradex: stats({ fresh: 0 }) }, T0 + 2);
+        monitor.check({ paradex: stats({ fresh: 5, fallbackActive: true }) }, T0 + 3);
+
+        expect(events.map(e => [e.exchange, e.status, e.timestamp])).toEqual([
+            ['PARADEX', 'down', T0 + 2],
+            ['PARADEX', 'up', T0 + 3],
+            ['PARADEX', 'stale', T0 + 3]
+        ]);
+    });
+});
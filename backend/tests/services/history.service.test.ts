@@ -0,0 +1,187 @@
+/**
+ * History Tests
+ * Candle merging and query parsing, then the rollup job, retention and
+ * queries on an in-memory database
+ */
+
+import { DATABASE, HISTORY } from '../../src/config';
+import { all, closeDatabase, run } from '../../src/db/connection';
+import { getCandles } from '../../src/db/candles-repo';
+import {
+    HistoryQueryError, HistoryRollup, mergeCandles, parseHistoryQuery, querySpreadHistory, sampleToCandle
+} from '../../src/services/history.service';
+import { T0, sqliteTime } from '../helpers/sqlite-time';
+
+/** One raw sample, long Paradex / short Vest unless given */
+const sample = (symbol: string, seconds: number, spread: number, bidEx = 'VEST', askEx = 'PARADEX') => ({
+    symbol,
+    spread,
+    best_bid: 100 + spread,
+    best_ask: 100,
+    bid_exchange: bidEx,
+    ask_exchange: askEx,
+    timestamp: sqliteTime(T0 + seconds * 1000)
+});
+
+const insert = (rows: ReturnType<typeof sample>[]) => Promise.all(rows.map(r => run(
+    `INSERT INTO spread_history (symbol, spread, best_bid, best_ask, bid_exchange, ask_exchange, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [r.symbol, r.spread, r.best_bid, r.best_ask, r.bid_exchange, r.ask_exchange, r.timestamp])));
+
+describe('mergeCandles', () => {
+    test('should build OHLC, weighted averages and the dominant route', () => {
+        const [candle] = mergeCandles([
+            sample('BTC', 5, 0.2),
+            sample('BTC', 20, 0.5, 'LIGHTER'),
+            sample('BTC', 40, 0.1, 'LIGHTER'),
+            sample('BTC', 55, 0.3)
+        ].map(sampleToCandle), '1m');
+
+        expect(candle).toMatchObject({
+            symbol: 'BTC', resolution: '1m', bucket: T0,
+            open: 0.2, high: 0.5, low: 0.1, close: 0.3, samples: 4, routeSamples: 2
+        });
+        expect(candle.avgSpread).toBeCloseTo(0.275);
+        expect(candle.avgBid).toBeCloseTo(100.275);
+        expect(candle.p95).toBe(0.5);
+    });
+
+    test('should split by symbol and bucket, oldest first', () => {
+        const candles = mergeCandles([
+            sample('ETH', 10, 0.1),
+            sample('BTC', 30, 0.2),
+            sample('BTC', 70, 0.3)
+        ].map(sampleToCandle), '1m');
+
+        expect(candles.map(c => [c.symbol, c.bucket])).toEqual([['BTC', T0], ['ETH', T0], ['BTC', T0 + 60_000]]);
+    });
+
+    test('should weight merged candles by their samples', () => {
+        const minutes = mergeCandles([
+            sample('BTC', 0, 0.4, 'LIGHTER'),
+            sample('BTC', 60, 0.1),
+            sample('BTC', 70, 0.1),
+            sample('BTC', 80, 0.1)
+        ].map(sampleToCandle), '1m');
+        const [quarter] = mergeCandles(minutes, '15m');
+
+        expect(quarter).toMatchObject({ open: 0.4, close: 0.1, high: 0.4, low: 0.1, samples: 4, bidExchange: 'VEST', routeSamples: 3 });
+        expect(quarter.avgSpread).toBeCloseTo(0.175);
+        expect(quarter.p95).toBe(0.4);
+    });
+});
+
+describe('parseHistoryQuery', () => {
+    const NOW = T0 + 30 * 86_400_000;
+
+    test('should default to the last 24h at 1m, max', () => {
+        expect(parseHistoryQuery({ pair: 'btc' }, NOW)).toEqual({
+            symbols: ['BTC'], from: NOW - 86_400_000, to: NOW, period: null,
+            resolution: '1m', agg: 'max', buyExchange: null, sellExchange: null
+        });
+    });
+
+    test('should pick the finest resolution that fits the range', () => {
+        expect(parseHistoryQuery({ symbols: 'BTC', period: '7d' }, NOW).resolution).toBe('15m');
+        expect(parseHistoryQuery({ symbols: 'BTC', period: 'all' }, NOW).resolution).toBe('1h');
+        expect(parseHistoryQuery({ symbols: 'BTC', from: '2026-01-01T00:00:00Z', to: '2026-01-01T06:00:00Z' }, NOW))
+            .toMatchObject({ from: T0, to: T0 + 6 * 3600_000, resolution: '1m' });
+    });
+
+    test('should read symbols, aggregation and route', () => {
+        expect(parseHistoryQuery({ symbols: 'BTC, eth,BTC', agg: 'p95', resolution: '1h', buy: 'paradex', sell: 'vest' }, NOW))
+            .toMatchObject({ symbols: ['BTC', 'ETH'], agg: 'p95', resolution: '1h', buyExchange: 'PARADEX', sellExchange: 'VEST' });
+    });
+
+    test('should reject invalid queries', () => {
+        expect(() => parseHistoryQuery({}, NOW)).toThrow(HistoryQueryError);
+        expect(() => parseHistoryQuery({ pair: 'BTC', period: '3d' }, NOW)).toThrow(/period/);
+        expect(() => parseHistoryQuery({ pair: 'BTC', from: 'yesterday' }, NOW)).toThrow(/from/);
+        expect(() => parseHistoryQuery({ pair: 'BTC', from: NOW, to: NOW - 1 }, NOW)).toThrow(/before/);
+        expect(() => parseHistoryQuery({ pair: 'BTC', resolution: '5m' }, NOW)).toThrow(/resolution/);
+        expect(() => parseHistoryQuery({ pair: 'BTC', agg: 'min' }, NOW)).toThrow(/agg/);
+        expect(() => parseHistoryQuery({ pair: 'BTC', period: '14d', resolution: '1m' }, NOW)).toThrow(/coarser/);
+        expect(() => parseHistoryQuery({ pair: 'BTC', period: '14d', sell: 'vest' }, NOW)).toThrow(/route filter/);
+    });
+});
+
+describe('HistoryRollup', () => {
+    const original = { path: DATABASE.PATH, ...HISTORY };
+    let rollup: HistoryRollup;
+
+    beforeAll(() => {
+        DATABASE.PATH = ':memory:';
+    });
+
+    beforeEach(async () => {
+        rollup = new HistoryRollup();
+        HISTORY.RAW_RETENTION_DAYS = 7;
+        HISTORY.MINUTE_RETENTION_DAYS = 90;
+        await run(`DELETE FROM spread_history`);
+        await run(`DELETE FROM spread_candles`);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        DATABASE.PATH = original.path;
+        HISTORY.RAW_RETENTION_DAYS = original.RAW_RETENTION_DAYS;
+        HISTORY.MINUTE_RETENTION_DAYS = original.MINUTE_RETENTION_DAYS;
+    });
+
+    test('should roll closed buckets up once', async () => {
+        await insert([sample('BTC', 10, 0.2), sample('BTC', 50, 0.4), sample('BTC', 65, 0.1), sample('BTC', 130, 0.3)]);
+
+        // 00:02:30: the third minute is still open
+        expect(await rollup.runOnce(T0 + 150_000)).toEqual({ '1m': 2, '15m': 0, '1h': 0 });
+        expect((await getCandles('BTC', '1m', T0, T0 + 3600_000)).map(c => c.close)).toEqual([0.4, 0.1]);
+
+        expect(await rollup.runOnce(T0 + 3600_000)).toEqual({ '1m': 1, '15m': 1, '1h': 1 });
+        expect(await rollup.runOnce(T0 + 3600_000)).toEqual({ '1m': 0, '15m': 0, '1h': 0 });
+
+        const [hour] = await getCandles('BTC', '1h', T0, T0 + 3600_000);
+        expect(hour).toMatchObject({ bucket: T0, open: 0.2, high: 0.4, low: 0.1, close: 0.3, samples: 4 });
+    });
+
+    test('should prune raw samples and 1m candles past their retention', async () => {
+        HISTORY.RAW_RETENTION_DAYS = 1;
+        HISTORY.MINUTE_RETENTION_DAYS = 2;
+        await insert([sample('BTC', 0, 0.2), sample('BTC', 86_400 * 2, 0.3), sample('BTC', 86_400 * 3, 0.4)]);
+
+        await rollup.runOnce(T0 + 86_400_000 * 3.5);
+
+        expect(await all(`SELECT spread FROM spread_history`)).toEqual([{ spread: 0.4 }]);
+        expect((await getCandles('BTC', '1m', T0, T0 + 86_400_000 * 4)).map(c => c.close)).toEqual([0.3, 0.4]);
+        expect((await getCandles('BTC', '1h', T0, T0 + 86_400_000 * 4)).map(c => c.close)).toEqual([0.2, 0.3, 0.4]);
+    });
+
+    test('should keep raw samples that are not rolled up yet', async () => {
+        HISTORY.RAW_RETENTION_DAYS = 1;
+        await insert([sample('BTC', 0, 0.2)]);
+
+        expect(await rollup.runOnce(T0 + 86_400_000 * 3)).toMatchObject({ '1m': 1 });
+        await insert([sample('BTC', 86_400 * 3, 0.3)]);
+        await rollup.runOnce(T0 + 86_400_000 * 3);
+
+        expect(await all(`SELECT spread FROM spread_history`)).toEqual([{ spread: 0.3 }]);
+    });
+
+    test('should query the candles plus the raw tail', async () => {
+        await insert([sample('BTC', 10, 0.2), sample('BTC', 70, 0.3), sample('ETH', 70, 0.9)]);
+        await rollup.runOnce(T0 + 60_000);
+        await insert([sample('BTC', 80, 0.5)]);
+
+        const series = await querySpreadHistory(parseHistoryQuery({ symbols: 'BTC,ETH,SOL', from: T0 + 30_000 }, T0 + 90_000));
+
+        expect(series.BTC.map(c => [c.bucket, c.close, c.samples])).toEqual([[T0, 0.2, 1], [T0 + 60_000, 0.5, 2]]);
+        expect(series.ETH.map(c => c.close)).toEqual([0.9]);
+        expect(series.SOL).toEqual([]);
+    });
+
+    test('should filter a route from the raw samples', async () => {
+        await insert([sample('BTC', 10, 0.2), sample('BTC', 20, 0.6, 'LIGHTER'), sample('BTC', 30, 0.3)]);
+        await rollup.runOnce(T0 + 60_000);
+
+        const series = await querySpreadHistory(parseHistoryQuery({ pair: 'BTC', from: T0, to: T0 + 60_000, sell: 'vest' }, T0 + 60_000));
+
+        expect(series.BTC).toEqual([expect.objectContaining({ high: 0.3, low: 0.2, samples: 2, bidExchange: 'VEST', routeSamples: 2 })]);
+    });
+});
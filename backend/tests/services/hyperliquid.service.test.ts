@@ -0,0 +1,118 @@
+/**
+ * Hyperliquid Adapter Tests
+ * Replays recorded WS frames and REST responses (tests/fixtures/hyperliquid) offline
+ */
+
+import axios from 'axios';
+import { HyperliquidService } from '../../src/services/exchanges/HyperliquidService';
+import { symbolUniverse } from '../../src/services/symbol-universe.service';
+import { marketRegistry } from '../../src/services/market-registry.service';
+import { fixtures, replay } from '../helpers/replay';
+
+jest.mock('axios');
+const mockedAxios = axios as jest.Mocked<typeof axios>;
+
+const fixture = fixtures('hyperliquid');
+
+describe('HyperliquidService', () => {
+    beforeEach(() => {
+        jest.spyOn(symbolUniverse, 'has').mockImplementation(symbol => ['BTC', 'ETH', 'PEPE'].includes(symbol));
+        mockedAxios.post.mockResolvedValue({ data: fixture('info-metaAndAssetCtxs.json') });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('WebSocket', () => {
+        test('should emit top of book and depth from l2Book frames', () => {
+            const updates = replay(new HyperliquidService(), fixture('ws-l2book.json'));
+            const btc = updates.find(u => u.symbol === 'BTC')!;
+
+            expect(btc.bid).toBe(67234);
+            expect(btc.ask).toBe(67235);
+            expect(btc.source).toBe('ws');
+            expect(btc.book!.bids).toHaveLength(3);
+            expect(btc.book!.asks[2]).toEqual({ price: 67238, size: 3.71902 });
+        });
+
+        test('should normalize k-prefixed coins to the underlying asset', () => {
+            const updates = replay(new HyperliquidService(), fixture('ws-l2book.json'));
+            const pepe = updates.find(u => u.symbol === 'PEPE')!;
+
+            expect(updates.find(u => u.symbol === 'KPEPE')).toBeUndefined();
+            expect(pepe.bid).toBeCloseTo(0.000010234, 12);
+            expect(pepe.ask).toBeCloseTo(0.000010236, 12);
+            expect(pepe.book!.bids[0].size).toBe(152340000);
+        });
+
+        test('should emit bbo frames and skip one-sided ones', () => {
+            const updates = replay(new HyperliquidService(), fixture('ws-bbo.json'));
+
+            expect(updates).toHaveLength(1);
+            expect(updates[0]).toMatchObject({ symbol: 'ETH', bid: 2641.3, ask: 2641.4 });
+            expect(updates[0].book).toBeUndefined();
+        });
+
+        test('should keep the last book on bbo frames unless the new top crosses it', () => {
+            const bbo = (bid: string, ask: string) => ({ channel: 'bbo', data: { coin: 'BTC', time: 0, bbo: [{ px: bid }, { px: ask }] } });
+            const service = new HyperliquidService();
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            replay(service, fixture('ws-l2book.json'));
+
+            now.mockReturnValue(5000);
+            const [kept, crossed] = replay(service, [bbo('67234.5', '67235.5'), bbo('67236', '67237')]);
+
+            expect(kept).toMatchObject({ timestamp: 5000, bookTimestamp: 1000 });
+            expect(kept.book!.asks[0].price).toBe(67235);
+            expect(crossed.book).toBeUndefined();
+            expect(crossed.bookTimestamp).toBeUndefined();
+        });
+    });
+
+    describe('REST', () => {
+        test('should use impact prices as fallback quotes', async () => {
+            const markets = await new HyperliquidService().fetchMarkets();
+
+            expect(mockedAxios.post).toHaveBeenCalledWith(
+                expect.stringContaining('/info'),
+                { type: 'metaAndAssetCtxs' },
+                expect.anything()
+            );
+            expect(markets).toEqual(expect.arrayContaining([
+                { symbol: 'BTC', bid: 67233, ask: 67236 },
+                { symbol: 'PEPE', bid: 0.010231, ask: 0.010239 }
+            ]));
+        });
+
+        test('should register contract metadata and skip delisted coins', async () => {
+            const symbols = await new HyperliquidService().fetchListedSymbols();
+
+            expect(symbols).toEqual(['BTC', 'ETH', 'PEPE']);
+            expect(marketRegistry.getMarket('HYPERLIQUID', 'PEPE')).toMatchObject({
+                marketId: 'kPEPE',
+                multiplier: 1000,
+                lotSize: 1,
+                maxLeverage: 10
+            });
+            expect(marketRegistry.getMarket('HYPERLIQUID', 'BTC')!.tickSize).toBeCloseTo(0.1, 10);
+        });
+
+        test('should report hourly funding rates', async () => {
+            const rates = await new HyperliquidService().fetchFundingRates();
+            const pepe = rates.find(r => r.symbol === 'PEPE')!;
+
+            expect(rates).toHaveLength(3);
+            expect(pepe.rate).toBeCloseTo(-0.0000312, 10);
+            expect(pepe.intervalHours).toBe(1);
+            expect(pepe.nextFundingTime! % 3600000).toBe(0);
+        });
+
+        test('should return no quotes on malformed responses', async () => {
+            mockedAxios.post.mockResolvedValue({ data: { error: 'rate limited' } });
+
+            await expect(new HyperliquidService().fetchMarkets()).resolves.toEqual([]);
+            await expect(new HyperliquidService().fetchListedSymbols()).rejects.toThrow();
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Market Registry Tests
+ * Venue identifier normalization and contract metadata
+ */
+
+import { MarketRegistry, normalizeMarketId } from '../../src/services/market-registry.service';
+
+describe('normalizeMarketId', () => {
+    test('should strip venue suffixes', () => {
+        expect(normalizeMarketId('PARADEX', 'BTC-USD-PERP')).toEqual({ asset: 'BTC', multiplier: 1 });
+        expect(normalizeMarketId('VEST', 'ETH-PERP')).toEqual({ asset: 'ETH', multiplier: 1 });
+        expect(normalizeMarketId('EXTENDED', 'SOL-USD')).toEqual({ asset: 'SOL', multiplier: 1 });
+        expect(normalizeMarketId('LIGHTER', 'DOGE')).toEqual({ asset: 'DOGE', multiplier: 1 });
+    });
+
+    test('should detect multiplier contracts', () => {
+        expect(normalizeMarketId('LIGHTER', '1000PEPE')).toEqual({ asset: 'PEPE', multiplier: 1000 });
+        expect(normalizeMarketId('PARADEX', 'kBONK-USD-PERP')).toEqual({ asset: 'BONK', multiplier: 1000 });
+        expect(normalizeMarketId('VEST', '1000000MOG-PERP')).toEqual({ asset: 'MOG', multiplier: 1_000_000 });
+        expect(normalizeMarketId('EXTENDED', '1MBABYDOGE-USD')).toEqual({ asset: 'BABYDOGE', multiplier: 1_000_000 });
+    });
+
+    test('should not treat numeric tickers as multipliers', () => {
+        expect(normalizeMarketId('LIGHTER', '1INCH')).toEqual({ asset: '1INCH', multiplier: 1 });
+    });
+
+    test('should apply renamed-asset aliases', () => {
+        expect(normalizeMarketId('PARADEX', 'MATIC-USD-PERP')).toEqual({ asset: 'POL', multiplier: 1 });
+    });
+});
+
+describe('MarketRegistry', () => {
+    test('should keep registered metadata over resolved guesses', () => {
+        const registry = new MarketRegistry();
+        registry.register([{
+            exchange: 'PARADEX',
+            marketId: 'kPEPE-USD-PERP',
+            asset: 'PEPE',
+            multiplier: 1000,
+            tickSize: 0.000001,
+            lotSize: 1,
+            minNotional: 10,
+            maxLeverage: 20
+        }]);
+
+        expect(registry.resolve('PARADEX', 'kPEPE-USD-PERP')).toBe('PEPE');
+        expect(registry.getMarket('PARADEX', 'PEPE')?.maxLeverage).toBe(20);
+        expect(registry.getMultiplier('PARADEX', 'PEPE')).toBe(1000);
+        expect(registry.getMultiplier('VEST', 'PEPE')).toBe(1);
+    });
+
+    test('should group venues by asset', () => {
+        const registry = new MarketRegistry();
+        registry.resolve('LIGHTER', '1000PEPE');
+        registry.resolve('VEST', 'PEPE-PERP');
+
+        const all = registry.getAll();
+        expect(Object.keys(all.PEPE).sort()).toEqual(['LIGHTER', 'VEST']);
+        expect(all.PEPE.LIGHTER.multiplier).toBe(1000);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Exchange Metrics Tests
+ * A stub venue drives the HybridExchangeService instrumentation
+ */
+
+import { HybridExchangeService } from '../../src/services/exchanges/HybridExchangeService';
+import { MarketData } from '../../src/services/exchanges/BaseExchangeService';
+import { metricsRegistry } from '../../src/utils/app-metrics';
+
+class StubVenue extends HybridExchangeService {
+    readonly name = 'STUB';
+    restFailure: Error | null = null;
+
+    constructor() {
+        super({ name: 'STUB', wsUrl: 'ws://stub', wsTimeout: 1000, staleThreshold: 30000 });
+    }
+
+    protected async connectWebSocket(): Promise<void> { }
+    protected disconnectWebSocket(): void { }
+    protected subscribeToMarkets(): void { }
+
+    async fetchMarkets(): Promise<MarketData[]> {
+        try {
+            return await this.trackRest(this.restFailure ? Promise.reject(this.restFailure) : Promise.resolve([
+                { symbol: 'BTC', bid: 100, ask: 101 },
+                { symbol: 'ETH', bid: 10, ask: 11 }
+            ]));
+        } catch {
+            return [];   // Adapters swallow REST errors
+        }
+    }
+
+    async fetchListedSymbols(): Promise<string[]> { return []; }
+    async fetchFundingRates() { return []; }
+
+    wsMessage(symbol: string, bid: number, ask: number) {
+        this.emitFrame('{}');
+        this.onWsUpdate(symbol, bid, ask);
+    }
+}
+
+const metric = async (name: string): Promise<string[]> =>
+    (await metricsRegistry.metrics()).split('\n').filter(line => line.startsWith(name));
+
+describe('HybridExchangeService metrics', () => {
+    let venue: StubVenue;
+
+    beforeEach(() => {
+        metricsRegistry.resetMetrics();
+        venue = new StubVenue();
+    });
+
+    afterEach(() => {
+        venue.stop();
+    });
+
+    test('should count updates, reconnects and fallback activations', async () => {
+        venue.wsMessage('BTC', 100, 101);
+        venue.wsMessage('BTC', 100.5, 101);
+        venue['scheduleConnect'](60000);
+        venue['startFallback']();
+        await new Promise(resolve => setImmediate(resolve));     // Initial fetch done (ticks never overlap)
+        await venue['doFallbackFetch']();
+
+        expect(await metric('scanner_exchange_updates_total{')).toEqual([
+            'scanner_exchange_updates_total{exchange="STUB",source="ws"} 2',
+            'scanner_exchange_updates_total{exchange="STUB",source="rest"} 4'      // Initial fetch + explicit one
+        ]);
+        expect(await metric('scanner_ws_reconnects_total{')).toEqual(['scanner_ws_reconnects_total{exchange="STUB"} 1']);
+        expect(await metric('scanner_rest_fallback_activations_total{')).toEqual(['scanner_rest_fallback_activations_total{exchange="STUB"} 1']);
+    });
+
+    test('should feed the health counters', async () => {
+        venue.wsMessage('BTC', 100, 101);
+        await venue['doFallbackFetch']();
+        venue.restFailure = new Error('502');
+        await venue['doFallbackFetch']();
+
+        expect(venue.getStats()).toMatchObject({
+            fresh: 2,
+            wsMessages: 1,
+            restRequests: 2,
+            restErrors: 1,
+            restOnly: false,
+            wsDisabled: false
+        });
+        expect(venue.getStats().lastMessageAt).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Notification Dispatcher Tests
+ * Telegram and Discord are a local stub HTTP server; the alerts table is in memory
+ */
+
+const mockAlerts: any[] = [];
+jest.mock('../../src/db/alerts-repo', () => ({
+    getUnsentAlerts: jest.fn((column: string, since: number, includeGlobal: boolean, excludeIds: number[] = [], limit = 20) => Promise.resolve(
+        mockAlerts
+            .filter(a => a[column] === 0 && a.timestamp >= since && (includeGlobal || a.rule_id !== null) && !excludeIds.includes(a.id))
+            .slice(0, limit)
+    )),
+    markAlertDelivery: jest.fn((id: number, column: string, status: number) => {
+        mockAlerts.find(a => a.id === id)[column] = status;
+        return Promise.resolve();
+    })
+}));
+
+import { NotificationDispatcher, formatAlert } from '../../src/services/notifier.service';
+import { NOTIFY } from '../../src/config';
+import { StubServer, startStubServer } from '../helpers/stub-server';
+
+const T0 = 1_760_000_000_000;
+
+describe('NotificationDispatcher', () => {
+    let stub: StubServer;
+    const original = { ...NOTIFY };
+
+    const alert = (id: number, overrides: Record<string, any> = {}) => ({
+        id,
+        timestamp: T0,
+        symbol: 'BTC',
+        spread: 0.4567,
+        exchange_buy: 'PARADEX',
+        exchange_sell: 'VEST',
+        price_buy: 100,
+        price_sell: 100.4567,
+        rule_id: 3,
+        is_sent_telegram: 0,
+        is_sent_discord: 0,
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        stub = await startStubServer();
+    });
+
+    afterAll(async () => {
+        Object.assign(NOTIFY, original);
+        await stub.close();
+    });
+
+    beforeEach(() => {
+        Object.assign(NOTIFY, {
+            TELEGRAM_API: stub.base,
+            TELEGRAM_BOT_TOKEN: 'TOKEN',
+            TELEGRAM_CHAT_ID: '42',
+            DISCORD_WEBHOOK_URL: `${stub.base}/discord`,
+            DASHBOARD_URL: 'http://scanner.local/',
+            INCLUDE_GLOBAL: false,
+            MAX_AGE_MS: 600000,
+            MAX_ATTEMPTS: 3,
+            BACKOFF_MS: 1000,
+            MIN_INTERVAL_MS: 0
+        });
+        stub.reset();
+        mockAlerts.length = 0;
+    });
+
+    test('should deliver pending rule alerts to both channels and flag them', async () => {
+        mockAlerts.push(alert(1), alert(2, { rule_id: null }), alert(3, { timestamp: T0 - 700000 }));
+
+        const delivered = await new NotificationDispatcher().runOnce(T0);
+
+        expect(delivered).toBe(2);
+        expect(stub.requests.map(r => r.path)).toEqual(['/botTOKEN/sendMessage', '/discord']);
+        expect(stub.requests[0].body).toEqual({
+            chat_id: '42',
+            text: '🚨 BTC spread 0.457%\nBuy PARADEX @ 100 → Sell VEST @ 100.457\nRule #3\nhttp://scanner.local/?pair=BTC',
+            disable_web_page_preview: true
+        });
+        expect(stub.requests[1].body.embeds[0]).toMatchObject({
+            title: '🚨 BTC spread 0.457%',
+            url: 'http://scanner.local/?pair=BTC',
+            description: 'Buy PARADEX @ 100 → Sell VEST @ 100.457',
+            footer: { text: 'Rule #3' }
+        });
+        expect(mockAlerts[0]).toMatchObject({ is_sent_telegram: 1, is_sent_discord: 1 });
+        expect(mockAlerts[1]).toMatchObject({ is_sent_telegram: 0, is_sent_discord: 0 });
+        expect(mockAlerts[2]).toMatchObject({ is_sent_telegram: 0, is_sent_discord: 0 });
+    });
+
+    test('should retry failures with exponential backoff, then give up', async () => {
+        NOTIFY.DISCORD_WEBHOOK_URL = '';
+        mockAlerts.push(alert(1));
+        stub.replies['/botTOKEN/sendMessage'] = [[500, {}], [502, {}], [500, {}]];
+        const dispatcher = new NotificationDispatcher();
+
+        await dispatcher.runOnce(T0);               // Attempt 1 fails, next at +1s
+        await dispatcher.runOnce(T0 + 500);         // Backing off
+        await dispatcher.runOnce(T0 + 1100);        // Attempt 2 fails, next at +2s
+        await dispatcher.runOnce(T0 + 2500);
+        expect(stub.requests).toHaveLength(2);
+        expect(mockAlerts[0].is_sent_telegram).toBe(0);
+
+        await dispatcher.runOnce(T0 + 3200);        // Attempt 3 fails: give up
+        expect(stub.requests).toHaveLength(3);
+        expect(mockAlerts[0].is_sent_telegram).toBe(-1);
+
+        await dispatcher.runOnce(T0 + 10000);
+        expect(stub.requests).toHaveLength(3);
+    });
+
+    test('should recover when a retry succeeds', async () => {
+        NOTIFY.TELEGRAM_BOT_TOKEN = '';
+        mockAlerts.push(alert(1));
+        stub.replies['/discord'] = [[503, {}]];
+        const dispatcher = new NotificationDispatcher();
+
+        expect(await dispatcher.runOnce(T0)).toBe(0);
+        expect(await dispatcher.runOnce(T0 + 1100)).toBe(1);
+        expect(mockAlerts[0]).toMatchObject({ is_sent_discord: 1, is_sent_telegram: 0 });
+    });
+
+    test('should reach newer alerts while a full page is backing off', async () => {
+        NOTIFY.DISCORD_WEBHOOK_URL = '';
+        for (let id = 1; id <= 20; id++) mockAlerts.push(alert(id));
+        stub.replies['/botTOKEN/sendMessage'] = Array.from({ length: 20 }, () => [500, {}] as [number, any]);
+        const dispatcher = new NotificationDispatcher();
+
+        expect(await dispatcher.runOnce(T0)).toBe(0);
+        mockAlerts.push(alert(21, { timestamp: T0 + 100 }));
+
+        expect(await dispatcher.runOnce(T0 + 500)).toBe(1);
+        expect(stub.requests).toHaveLength(21);
+        expect(mockAlerts[20].is_sent_telegram).toBe(1);
+    });
+
+    test('should pause a channel on 429 without spending an attempt', async () => {
+        NOTIFY.DISCORD_WEBHOOK_URL = '';
+        NOTIFY.MAX_ATTEMPTS = 1;
+        mockAlerts.push(alert(1), alert(2));
+        stub.replies['/botTOKEN/sendMessage'] = [[429, { ok: false, parameters: { retry_after: 5 } }]];
+        const dispatcher = new NotificationDispatcher();
+
+        await dispatcher.runOnce(T0);
+        await dispatcher.runOnce(T0 + 4000);
+        expect(stub.requests).toHaveLength(1);
+        expect(mockAlerts[0].is_sent_telegram).toBe(0);
+
+        expect(await dispatcher.runOnce(T0 + 5100)).toBe(2);
+    });
+
+    test('should back off from the failure, not from the pass start', async () => {
+        NOTIFY.DISCORD_WEBHOOK_URL = '';
+        NOTIFY.MIN_INTERVAL_MS = 200;
+        mockAlerts.push(alert(1), alert(2));
+        stub.replies['/botTOKEN/sendMessage'] = [[500, {}], [500, {}]];
+        const dispatcher = new NotificationDispatcher();
+
+        await dispatcher.runOnce(T0);               // #2 fails ~200ms later, next at ~+1.2s
+        await dispatcher.runOnce(T0 + 1100);
+
+        expect(stub.requests).toHaveLength(3);
+        expect(mockAlerts.map(a => a.is_sent_telegram)).toEqual([1, 0]);
+    });
+
+    test('should space sends by MIN_INTERVAL_MS', async () => {
+        NOTIFY.DISCORD_WEBHOOK_URL = '';
+        NOTIFY.MIN_INTERVAL_MS = 100;
+        mockAlerts.push(alert(1), alert(2), alert(3));
+
+        await new NotificationDispatcher().runOnce(T0);
+
+        expect(stub.requests).toHaveLength(3);
+        expect(stub.requests[2].at - stub.requests[0].at).toBeGreaterThanOrEqual(190);
+    });
+
+    test('should stay off without credentials', () => {
+        Object.assign(NOTIFY, { TELEGRAM_BOT_TOKEN: '', DISCORD_WEBHOOK_URL: '' });
+        const dispatcher = new NotificationDispatcher();
+
+        expect(dispatcher.getEnabledChannels()).toEqual([]);
+        expect(dispatcher.start()).toBe(false);
+    });
+
+    test('should describe global alerts', () => {
+        expect(formatAlert(alert(1, { rule_id: null })).rule).toBe('Global threshold');
+    });
+});
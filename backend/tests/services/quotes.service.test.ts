@@ -0,0 +1,86 @@
+/**
+ * Quote Recorder Tests
+ * New-quote detection, then storage and retention on an in-memory database
+ */
+
+import { DATABASE, QUOTES } from '../../src/config';
+import { all, closeDatabase } from '../../src/db/connection';
+import * as quotesRepo from '../../src/db/quotes-repo';
+import { QuoteRecorder } from '../../src/services/quotes.service';
+
+const T0 = Date.UTC(2026, 0, 1);
+
+const quote = (bid: number, ask: number, timestamp: number, source = 'ws') => ({ bid, ask, timestamp, source });
+
+const pairs = (overrides: Record<string, any> = {}): any => ({
+    BTC: {
+        symbol: 'BTC',
+        vest: quote(100, 100.1, T0),
+        extended: quote(100.2, 100.3, T0 + 500, 'rest'),
+        lighter: { bid: 0, ask: 0, timestamp: 0, source: 'none' },
+        ...overrides
+    }
+});
+
+const EXCHANGES = ['VEST', 'EXTENDED', 'LIGHTER'];
+
+describe('QuoteRecorder', () => {
+    const original = { path: DATABASE.PATH, retention: QUOTES.RETENTION_DAYS };
+    let recorder: QuoteRecorder;
+
+    beforeAll(() => {
+        DATABASE.PATH = ':memory:';
+    });
+
+    beforeEach(() => {
+        recorder = new QuoteRecorder();
+        QUOTES.RETENTION_DAYS = 7;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        DATABASE.PATH = original.path;
+        QUOTES.RETENTION_DAYS = original.retention;
+    });
+
+    test('should collect every venue once per stored quote', async () => {
+        jest.spyOn(quotesRepo, 'saveQuotes').mockResolvedValue();
+        expect(recorder.collect(pairs(), EXCHANGES)).toEqual([
+            { timestamp: T0, symbol: 'BTC', exchange: 'VEST', bid: 100, ask: 100.1, source: 'ws' },
+            { timestamp: T0 + 500, symbol: 'BTC', exchange: 'EXTENDED', bid: 100.2, ask: 100.3, source: 'rest' }
+        ]);
+
+        await recorder.sample(pairs(), EXCHANGES, T0 + 1000);
+        expect(recorder.collect(pairs(), EXCHANGES)).toEqual([]);
+        expect(recorder.collect(pairs({ vest: quote(100.05, 100.15, T0 + 1000) }), EXCHANGES))
+            .toEqual([expect.objectContaining({ exchange: 'VEST', bid: 100.05, timestamp: T0 + 1000 })]);
+    });
+
+    test('should collect quotes again after a failed save', async () => {
+        jest.spyOn(quotesRepo, 'saveQuotes').mockRejectedValueOnce(new Error('SQLITE_BUSY'));
+
+        await expect(recorder.sample(pairs(), EXCHANGES, T0 + 1000)).rejects.toThrow('SQLITE_BUSY');
+        expect(recorder.collect(pairs(), EXCHANGES)).toHaveLength(2);
+    });
+
+    test('should skip exchanges that are not enabled', () => {
+        expect(recorder.collect(pairs(), ['VEST']).map(q => q.exchange)).toEqual(['VEST']);
+    });
+
+    test('should store quotes and prune past the retention', async () => {
+        QUOTES.RETENTION_DAYS = 1;
+        expect(await recorder.sample(pairs(), EXCHANGES, T0 + 1000)).toBe(2);
+        expect(await all(`SELECT symbol, exchange, bid, ask, source, timestamp FROM quotes ORDER BY id`)).toEqual([
+            { symbol: 'BTC', exchange: 'VEST', bid: 100, ask: 100.1, source: 'ws', timestamp: T0 },
+            { symbol: 'BTC', exchange: 'EXTENDED', bid: 100.2, ask: 100.3, source: 'rest', timestamp: T0 + 500 }
+        ]);
+
+        const later = T0 + 86_400_000 + 1000;
+        expect(await recorder.sample(pairs({ vest: quote(101, 101.1, later) }), EXCHANGES, later)).toBe(1);
+        expect(await all(`SELECT exchange, timestamp FROM quotes`)).toEqual([{ exchange: 'VEST', timestamp: later }]);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Market-Data Recorder / Replay Tests
+ * Records events from fake sources, then replays recordings through the aggregator
+ */
+
+jest.mock('../../src/db/spreads-repo', () => ({ saveSpread: jest.fn(() => Promise.resolve()) }));
+jest.mock('../../src/db/alerts-repo', () => ({ saveAlert: jest.fn(() => Promise.resolve()) }));
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { EventEmitter } from 'events';
+import { MarketRecorder, RecordedEvent, RECORDING_VERSION } from '../../src/services/recorder.service';
+import { ReplayEngine, readRecording } from '../../src/services/replay.service';
+import { getPriceCache } from '../../src/services/aggregator.service';
+import { symbolUniverse } from '../../src/services/symbol-universe.service';
+import { saveSpread } from '../../src/db/spreads-repo';
+
+const T0 = 1_760_000_000_000;
+
+const source = (name: string) => Object.assign(new EventEmitter(), { name });
+
+const price = (symbol: string, bid: number, ask: number, timestamp: number) =>
+    ({ symbol, bid, ask, timestamp, source: 'ws' as const });
+
+const collect = async (file: string): Promise<RecordedEvent[]> => {
+    const events: RecordedEvent[] = [];
+    for await (const event of readRecording(file)) events.push(event);
+    return events;
+};
+
+describe('Market-data recorder and replay', () => {
+    let dir: string;
+
+    /** Write a recording by hand: header + price events at T0 + offset */
+    const writeRecording = (quotes: [number, string, number, number][], symbols = ['BTC']): string => {
+        const lines: RecordedEvent[] = [
+            { type: 'header', version: RECORDING_VERSION, startedAt: T0, exchanges: ['PARADEX', 'VEST'], symbols, rawFrames: false },
+            ...quotes.map(([offset, exchange, bid, ask]) => ({
+                type: 'price' as const,
+                t: T0 + offset,
+                exchange,
+                data: price('BTC', bid, ask, T0 + offset)
+            }))
+        ];
+        const file = path.join(dir, 'session.ndjson.gz');
+        fs.writeFileSync(file, zlib.gzipSync(lines.map(line => JSON.stringify(line)).join('\n') + '\n'));
+        return file;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+        symbolUniverse.pin(['BTC', 'ETH']);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.clearAllMocks();
+    });
+
+    test('should write a header and every emitted event', async () => {
+        const recorder = new MarketRecorder();
+        const paradex = source('PARADEX');
+        const vest = source('VEST');
+
+        const file = recorder.start([paradex, vest], { dir, rawFrames: true });
+        paradex.emit('update', price('BTC', 100, 100.1, T0));
+        paradex.emit('frame', '{"jsonrpc":"2.0"}');
+        vest.emit('funding', { symbol: 'BTC', rate: 0.0001, intervalHours: 1, nextFundingTime: null, timestamp: T0 });
+        await recorder.stop();
+
+        const events = await collect(file);
+        expect(events.map(e => e.type)).toEqual(['header', 'price', 'frame', 'funding']);
+        expect(events[0]).toMatchObject({ version: RECORDING_VERSION, exchanges: ['PARADEX', 'VEST'], symbols: ['BTC', 'ETH'] });
+        expect(events[1]).toMatchObject({ exchange: 'PARADEX', data: { symbol: 'BTC', bid: 100, ask: 100.1 } });
+        expect(recorder.isRecording()).toBe(false);
+        expect(paradex.listenerCount('update')).toBe(0);
+    });
+
+    test('should leave raw frames out unless asked', async () => {
+        const recorder = new MarketRecorder();
+        const paradex = source('PARADEX');
+
+        const file = recorder.start([paradex], { dir, rawFrames: false });
+        paradex.emit('frame', '{"jsonrpc":"2.0"}');
+        await recorder.stop();
+
+        expect((await collect(file)).map(e => e.type)).toEqual(['header']);
+    });
+
+    test('should read a recording cut off mid-stream', async () => {
+        const file = writeRecording([[100, 'PARADEX', 100, 100.1], [200, 'VEST', 101, 101.1]]);
+        const bytes = fs.readFileSync(file);
+        fs.writeFileSync(file, bytes.subarray(0, bytes.length - 8));  // Drop the gzip trailer (CRC + size)
+
+        expect((await collect(file)).map(e => e.type)).toEqual(['header', 'price', 'price']);
+    });
+
+    test('should rebuild spreads through the aggregator without persisting', async () => {
+        const file = writeRecording([[100, 'PARADEX', 100, 100.1], [200, 'VEST', 101, 101.1]]);
+
+        const stats = await new ReplayEngine().play(file, { speed: 0 });
+        const btc = getPriceCache().BTC;
+
+        expect(stats).toMatchObject({ events: 2, prices: 2, loops: 1, durationMs: 200 });
+        expect(btc).toMatchObject({ bestBidEx: 'VEST', bestAskEx: 'PARADEX', bestBid: 101, bestAsk: 100.1 });
+        expect(btc.realSpread).toBeCloseTo(0.8991, 4);
+        expect(btc.vest.source).toBe('ws');
+        expect(saveSpread).not.toHaveBeenCalled();
+    });
+
+    test('should judge freshness on the recording clock', async () => {
+        // Paradex goes quiet for 40s of recording time: its quote is stale by then
+        const file = writeRecording([[100, 'PARADEX', 100, 100.1], [40_100, 'VEST', 101, 101.1]]);
+
+        const engine = new ReplayEngine();
+        await engine.play(file, { speed: 0 });
+
+        expect(engine.now()).toBe(T0 + 40_100);
+        expect(getPriceCache().BTC).toMatchObject({ bestBidEx: 'VEST', bestAskEx: 'VEST' });
+    });
+
+    test('should pace events on the scaled timeline and stop on request', async () => {
+        const file = writeRecording([[0, 'PARADEX', 100, 100.1], [200, 'VEST', 101, 101.1], [400, 'VEST', 101, 101.2]]);
+        const engine = new ReplayEngine();
+        const seen: number[] = [];
+
+        const startedAt = Date.now();
+        const stats = await engine.play(file, { speed: 4 });
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);   // 400ms of recording at 4x
+        expect(stats.events).toBe(3);
+
+        engine.on('event', (event: RecordedEvent) => {
+            if (event.type !== 'header') seen.push(event.t - T0);
+            engine.stop();
+        });
+        await engine.play(file, { speed: 0, loop: true });
+        expect(seen).toEqual([0]);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Ghost Mode Simulation Engine Tests
+ */
+
+import { SimulationEngine } from '../../src/services/simulation.service';
+import { calculateSpreads } from '../../src/services/spread.service';
+import { getTakerFeeBps } from '../../src/config/exchanges';
+import { SIMULATION } from '../../src/config';
+
+const T0 = 1_760_000_000_000;
+const fresh = () => true;
+
+type Quotes = Record<string, [bid: number, ask: number, timestamp?: number]>;
+
+/** Build a BTC pair and let the spread engine fill bestBid/bestAsk/realSpread */
+const pairAt = (now: number, quotes: Quotes) => {
+    const pair: any = { symbol: 'BTC', bestBid: 0, bestAsk: 0, realSpread: 0 };
+    Object.entries(quotes).forEach(([venue, [bid, ask, timestamp]]) => {
+        pair[venue] = { bid, ask, timestamp: timestamp ?? now, source: 'ws' };
+    });
+    calculateSpreads({ BTC: pair }, () => true, { mode: 'top' });
+    return pair;
+};
+
+// Long Paradex @ 100, short Vest @ 100.5 (0.5% gross)
+const WIDE: Quotes = { paradex: [99.9, 100], vest: [100.5, 100.6] };
+const CONVERGED: Quotes = { paradex: [100.2, 100.3], vest: [100.1, 100.2] };
+
+describe('SimulationEngine', () => {
+    test('should open only after the spread persisted MIN_DURATION_MS', () => {
+        const engine = new SimulationEngine();
+
+        engine.evaluate([pairAt(T0, WIDE)], T0, fresh);
+        engine.evaluate([pairAt(T0 + 100, WIDE)], T0 + 100, fresh);
+        expect(engine.getOpenPositions()).toHaveLength(0);
+
+        engine.evaluate([pairAt(T0 + SIMULATION.MIN_DURATION_MS, WIDE)], T0 + SIMULATION.MIN_DURATION_MS, fresh);
+        expect(engine.getOpenPositions()).toEqual([expect.objectContaining({
+            symbol: 'BTC',
+            buyExchange: 'PARADEX',
+            sellExchange: 'VEST',
+            buyPrice: 100,
+            sellPrice: 100.5,
+            desyncRisk: 'LOW',
+            golden: true
+        })]);
+    });
+
+    test('should restart the timer when the spread dips or the route changes', () => {
+        const engine = new SimulationEngine();
+        const flipped: Quotes = { paradex: [100.5, 100.6], vest: [99.9, 100] };
+
+        engine.evaluate([pairAt(T0, WIDE)], T0, fresh);
+        engine.evaluate([pairAt(T0 + 300, CONVERGED)], T0 + 300, fresh);
+        engine.evaluate([pairAt(T0 + 400, WIDE)], T0 + 400, fresh);
+        engine.evaluate([pairAt(T0 + 800, flipped)], T0 + 800, fresh);
+        engine.evaluate([pairAt(T0 + 1200, flipped)], T0 + 1200, fresh);
+        expect(engine.getOpenPositions()).toHaveLength(0);
+
+        engine.evaluate([pairAt(T0 + 1400, flipped)], T0 + 1400, fresh);
+        expect(engine.getOpenPositions()[0]).toMatchObject({ buyExchange: 'VEST', sellExchange: 'PARADEX' });
+    });
+
+    test('should close on convergence and price fees and slippage', () => {
+        const engine = new SimulationEngine();
+        const closes: any[] = [];
+        engine.on('close', trade => closes.push(trade));
+
+        engine.evaluate([pairAt(T0, WIDE)], T0, fresh);
+        engine.evaluate([pairAt(T0 + 1000, WIDE)], T0 + 1000, fresh);
+        expect(engine.evaluate([pairAt(T0 + 2000, WIDE)], T0 + 2000, fresh)).toEqual([]);
+
+        const [trade] = engine.evaluate([pairAt(T0 + 61000, CONVERGED)], T0 + 61000, fresh);
+
+        // 10 units: long 100 -> 100.2, short 100.5 -> 100.2
+        const fees = 1000 * (getTakerFeeBps('PARADEX') + getTakerFeeBps('VEST')) / 10000 * 2;
+        const slippage = 1000 * SIMULATION.SLIPPAGE_PERCENT / 100;
+        expect(trade).toMatchObject({
+            buyExchange: 'PARADEX',
+            sellExchange: 'VEST',
+            exitBuyPrice: 100.2,
+            exitSellPrice: 100.2,
+            positionSize: 1000,
+            durationMs: 60000,
+            closeReason: 'converged',
+            isCapturable: true
+        });
+        expect(trade.grossProfit).toBeCloseTo(5, 9);
+        expect(trade.totalFees).toBeCloseTo(fees, 9);
+        expect(trade.slippageCost).toBeCloseTo(slippage, 9);
+        expect(trade.netProfit).toBeCloseTo(5 - fees - slippage - SIMULATION.GAS_COST_USD, 9);
+        expect(trade.profitable).toBe(trade.netProfit > 0);
+        expect(closes).toEqual([trade]);
+        expect(engine.getOpenPositions()).toHaveLength(0);
+    });
+
+    test('should flag desynced legs as not capturable and charge the penalty', () => {
+        const engine = new SimulationEngine();
+        const desynced: Quotes = { paradex: [99.9, 100, T0 - 2500], vest: [100.5, 100.6] };
+
+        engine.evaluate([pairAt(T0, desynced)], T0, fresh);
+        engine.evaluate([pairAt(T0 + 1000, desynced)], T0 + 1000, fresh);
+        expect(engine.getOpenPositions()[0].desyncRisk).toBe('HIGH');
+
+        const [trade] = engine.evaluate([pairAt(T0 + 2000, CONVERGED)], T0 + 2000, fresh);
+        expect(trade.isCapturable).toBe(false);
+        expect(trade.slippageCost).toBeCloseTo(2 * 1000 * SIMULATION.SLIPPAGE_PERCENT / 100, 9);
+    });
+
+    test('should hold while a leg is stale and force close after MAX_HOLD_MS', () => {
+        const engine = new SimulationEngine();
+        const staleVest = (quote: { timestamp: number }) => quote.timestamp !== T0 + 5000;
+
+        engine.evaluate([pairAt(T0, WIDE)], T0, fresh);
+        engine.evaluate([pairAt(T0 + 1000, WIDE)], T0 + 1000, fresh);
+
+        const stale = pairAt(T0 + 2000, { paradex: CONVERGED.paradex, vest: [100.1, 100.2, T0 + 5000] });
+        expect(engine.evaluate([stale], T0 + 2000, staleVest)).toEqual([]);
+        expect(engine.getOpenPositions()).toHaveLength(1);
+
+        const later = T0 + 1000 + SIMULATION.MAX_HOLD_MS;
+        const [trade] = engine.evaluate([pairAt(later, WIDE)], later, fresh);
+        expect(trade.closeReason).toBe('max_hold');
+    });
+});
@@ -3,8 +3,9 @@
  * Critical business logic tests for arbitrage calculation
  */
 
-import { calculateSpreads } from '../../src/services/spread.service';
+import { calculateSpreads, calculateSpreadMatrix, calculateNetSpread, calculateFundingCarryPerHour, fillNotional, calculateExecutableSpread, maxSizeAtSpread } from '../../src/services/spread.service';
 import { PriceCache } from '../../src/types';
+import { EXCHANGE_FEES, getFeeRates } from '../../src/config/exchanges';
 
 describe('calculateSpreads', () => {
 
@@ -140,4 +141,212 @@ describe('calculateSpreads', () => {
             expect(cache.AVAX.potentialProfit).toBeLessThan(25);
         });
     });
+
+    describe('Fees', () => {
+        test('should deduct taker fees of both venues from net spread', () => {
+            // 1% gross, 10 bps + 5 bps of fees
+            expect(calculateNetSpread(101, 100, 10, 5)).toBeCloseTo(0.8495, 4);
+        });
+
+        test('should use the fee schedule of the selected route', () => {
+            const cache: any = {
+                ETH: {
+                    symbol: 'ETH',
+                    vest: { bid: 0, ask: 3000 },
+                    lighter: { bid: 3015, ask: 0 },
+                    paradex: { bid: 0, ask: 0 }
+                }
+            };
+            const fees: Record<string, number> = { VEST: 10, LIGHTER: 0 };
+
+            calculateSpreads(cache, null, { takerFeeBps: (ex) => fees[ex] });
+
+            expect(cache.ETH.buyFeeBps).toBe(10);
+            expect(cache.ETH.sellFeeBps).toBe(0);
+            expect(cache.ETH.realSpread).toBeCloseTo(0.5, 6);
+            expect(cache.ETH.netSpread).toBeCloseTo(0.4, 6);
+            expect(cache.ETH.grossProfit).toBeCloseTo(5, 6);
+            expect(cache.ETH.netProfit).toBeCloseTo(4, 6);
+        });
+
+        test('should keep volume tiers when a fee override is empty', () => {
+            const volume = EXCHANGE_FEES.EXTENDED.volume30dUsd;
+            EXCHANGE_FEES.EXTENDED.volume30dUsd = 5_000_000;
+            process.env.FEE_EXTENDED_TAKER_BPS = '';
+            try {
+                expect(getFeeRates('EXTENDED').takerBps).toBe(2.0);
+            } finally {
+                delete process.env.FEE_EXTENDED_TAKER_BPS;
+                EXCHANGE_FEES.EXTENDED.volume30dUsd = volume;
+            }
+        });
+    });
+
+    describe('Funding Carry', () => {
+        test('should normalize intervals and credit the short leg', () => {
+            const long = { rate: 0.0008, intervalHours: 8, nextFundingTime: null, timestamp: 0 };   // 0.01%/h paid
+            const short = { rate: 0.0003, intervalHours: 1, nextFundingTime: null, timestamp: 0 };  // 0.03%/h received
+
+            expect(calculateFundingCarryPerHour(long, short)).toBeCloseTo(0.02, 6);
+            expect(calculateFundingCarryPerHour(long, undefined)).toBeUndefined();
+        });
+
+        test('should project funding over the horizon for the selected route', () => {
+            const cache: any = {
+                SOL: {
+                    symbol: 'SOL',
+                    vest: { bid: 0, ask: 100, funding: { rate: -0.0001, intervalHours: 1, nextFundingTime: null, timestamp: 0 } },
+                    lighter: { bid: 100.5, ask: 0, funding: { rate: 0.0001, intervalHours: 1, nextFundingTime: null, timestamp: 0 } },
+                    paradex: { bid: 0, ask: 0 }
+                }
+            };
+
+            calculateSpreads(cache, null, { fundingHorizonHours: 24 });
+
+            expect(cache.SOL.fundingCarryPerHour).toBeCloseTo(0.02, 6);
+            expect(cache.SOL.expectedFunding).toBeCloseTo(0.48, 6);
+        });
+    });
+
+    describe('Spread Matrix', () => {
+        test('should follow the venues carried by the pair', () => {
+            const matrix = calculateSpreadMatrix({
+                symbol: 'ETH',
+                paradex: { bid: 2000, ask: 2001 },
+                newvenue: { bid: 2010, ask: 2011 },
+                realSpread: 0
+            }, null, () => 0);
+
+            expect(matrix.exchanges).toEqual(['PARADEX', 'NEWVENUE']);
+            expect(matrix.routes).toHaveLength(2);
+            expect(matrix.routes.find(r => r.buyEx === 'PARADEX')!.sellEx).toBe('NEWVENUE');
+        });
+
+        test('should return every directional route between distinct exchanges', () => {
+            const matrix = calculateSpreadMatrix({
+                symbol: 'BTC',
+                vest: { bid: 100, ask: 101 },
+                lighter: { bid: 102, ask: 103 },
+                paradex: { bid: 99, ask: 100 },
+                extended: { bid: 0, ask: 0 }
+            }, null, () => 0);
+
+            expect(matrix.routes).toHaveLength(12);
+
+            const route = matrix.routes.find(r => r.buyEx === 'PARADEX' && r.sellEx === 'LIGHTER');
+            expect(route!.spread).toBeCloseTo(2, 6);
+
+            const reverse = matrix.routes.find(r => r.buyEx === 'LIGHTER' && r.sellEx === 'PARADEX');
+            expect(reverse!.spread).toBeLessThan(0);
+        });
+
+        test('should leave routes without data empty', () => {
+            const matrix = calculateSpreadMatrix({
+                symbol: 'BTC',
+                vest: { bid: 100, ask: 101 },
+                lighter: { bid: 102, ask: 103 },
+                paradex: { bid: 0, ask: 0 },
+                extended: { bid: 0, ask: 0 }
+            });
+
+            const route = matrix.routes.find(r => r.buyEx === 'EXTENDED' && r.sellEx === 'VEST');
+            expect(route!.spread).toBeNull();
+            expect(route!.netSpread).toBeNull();
+        });
+    });
+
+    describe('Executable Spread (depth mode)', () => {
+        const thinAsks = [{ price: 100, size: 10 }, { price: 101, size: 50 }];   // $1000 at top
+        const deepBids = [{ price: 102, size: 100 }];
+
+        test('should volume-weight fills across levels', () => {
+            const fill = fillNotional(thinAsks, 2010);
+
+            // $1000 at 100 (10 units) + $1010 at 101 (10 units)
+            expect(fill.filledSize).toBeCloseTo(20, 6);
+            expect(fill.avgPrice).toBeCloseTo(100.5, 6);
+        });
+
+        test('should report a lower spread than top-of-book at size', () => {
+            const exec = calculateExecutableSpread(
+                { bids: [], asks: thinAsks },
+                { bids: deepBids, asks: [] },
+                2010
+            );
+
+            // Top-of-book is 2%, executable is (102 - 100.5) / 100.5
+            expect(exec!.spread).toBeCloseTo(1.4925, 3);
+            expect(exec!.filledNotional).toBeCloseTo(2010, 6);
+        });
+
+        test('should shrink both legs when the bid side is thinner', () => {
+            const exec = calculateExecutableSpread(
+                { bids: [], asks: thinAsks },
+                { bids: [{ price: 102, size: 5 }], asks: [] },
+                10000
+            );
+
+            expect(exec!.filledNotional).toBeCloseTo(500, 6);
+            expect(exec!.buyPrice).toBe(100);
+        });
+
+        test('should compute max size above a target spread', () => {
+            const max = maxSizeAtSpread(thinAsks, deepBids, 1.5);
+
+            // 100 -> 102 is 2% (kept), 101 -> 102 is ~0.99% (rejected)
+            expect(max.size).toBe(10);
+            expect(max.notional).toBe(1000);
+        });
+
+        test('should pick the route from the books in depth mode', () => {
+            const cache: any = {
+                RESOLV: {
+                    symbol: 'RESOLV',
+                    vest: { bid: 0.99, ask: 1.00, book: { bids: [{ price: 0.99, size: 1000 }], asks: [{ price: 1.00, size: 100 }, { price: 1.05, size: 100000 }] } },
+                    lighter: { bid: 1.02, ask: 1.03, book: { bids: [{ price: 1.02, size: 100000 }], asks: [{ price: 1.03, size: 100000 }] } },
+                    paradex: { bid: 0, ask: 0 }
+                }
+            };
+
+            calculateSpreads(cache, null, { mode: 'depth', notionalUsd: 10000 });
+
+            expect(cache.RESOLV.realSpread).toBeCloseTo(2, 6);
+            expect(cache.RESOLV.executable.buyEx).toBe('VEST');
+            expect(cache.RESOLV.executable.sellEx).toBe('LIGHTER');
+            expect(cache.RESOLV.executable.spread).toBeLessThan(0);
+        });
+
+        test('should leave out books older than the stale threshold', () => {
+            const now = Date.now();
+            const book = (bid: number, ask: number) => ({ bids: [{ price: bid, size: 100 }], asks: [{ price: ask, size: 100 }] });
+            const cache: any = {
+                BTC: {
+                    symbol: 'BTC',
+                    vest: { bid: 100, ask: 101, timestamp: now, book: book(100, 101), bookTimestamp: now },
+                    lighter: { bid: 102, ask: 103, timestamp: now, book: book(102, 103), bookTimestamp: now - 60000 },
+                    paradex: { bid: 0, ask: 0 }
+                }
+            };
+
+            calculateSpreads(cache, null, { mode: 'depth', notionalUsd: 1000 });
+
+            expect(cache.BTC.realSpread).toBeGreaterThan(0);
+            expect(cache.BTC.executable).toBeUndefined();
+        });
+
+        test('should skip depth in top mode', () => {
+            const cache: any = {
+                BTC: {
+                    symbol: 'BTC',
+                    vest: { bid: 100, ask: 101, book: { bids: [{ price: 100, size: 1 }], asks: [{ price: 101, size: 1 }] } },
+                    lighter: { bid: 102, ask: 103, book: { bids: [{ price: 102, size: 1 }], asks: [{ price: 103, size: 1 }] } },
+                    paradex: { bid: 0, ask: 0 }
+                }
+            };
+
+            calculateSpreads(cache);
+
+            expect(cache.BTC.executable).toBeUndefined();
+        });
+    });
 });
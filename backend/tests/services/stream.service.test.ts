@@ -0,0 +1,237 @@
+/**
+ * Stream Gateway Tests (WebSocket protocol v1)
+ * Sockets are fakes recording what they were sent
+ */
+
+import { StreamGateway, StreamSocket, PROTOCOL_VERSION } from '../../src/services/stream.service';
+
+const T0 = 1_760_000_000_000;
+
+class FakeSocket implements StreamSocket {
+    readyState = 1;
+    bufferedAmount = 0;
+    pings = 0;
+    terminated = false;
+    sent: any[] = [];
+    send(data: string) {
+        this.sent.push(JSON.parse(data));
+    }
+    ping() {
+        this.pings++;
+    }
+    terminate() {
+        this.terminated = true;
+        this.readyState = 3;
+    }
+    take() {
+        const messages = this.sent;
+        this.sent = [];
+        return messages;
+    }
+}
+
+const pair = (symbol: string, bid: number, extra: Record<string, any> = {}) => ({
+    symbol,
+    bestBid: bid,
+    bestAsk: bid + 1,
+    realSpread: 0.1,
+    paradex: { bid, ask: bid + 1, timestamp: 1, source: 'ws', book: { bids: [], asks: [] } },
+    ...extra
+});
+
+describe('StreamGateway', () => {
+    let matrices: Record<string, any>;
+    let gateway: StreamGateway;
+
+    const connect = (options: Record<string, any> = {}) => {
+        const socket = new FakeSocket();
+        gateway.connect(socket, options);
+        socket.sent.shift();        // hello
+        return socket;
+    };
+    const message = (socket: FakeSocket, msg: any) => gateway.handleMessage(socket, JSON.stringify(msg));
+
+    beforeEach(() => {
+        matrices = {};
+        gateway = new StreamGateway({
+            getExchanges: () => ['PARADEX'],
+            getMatrix: symbol => matrices[symbol] || null,
+            getHealth: () => [{ exchange: 'PARADEX', status: 'up' } as any]
+        });
+    });
+
+    test('should greet with the protocol version and push nothing unsubscribed', () => {
+        const socket = new FakeSocket();
+        gateway.connect(socket);
+        expect(socket.take()).toEqual([{ type: 'hello', v: PROTOCOL_VERSION, channels: ['prices', 'matrix', 'alerts', 'health'] }]);
+
+        gateway.broadcast({ BTC: pair('BTC', 100) });
+        gateway.publishAlert({ symbol: 'BTC' } as any);
+        expect(socket.take()).toEqual([]);
+    });
+
+    test('should send a snapshot then only changed fields with sequence numbers', () => {
+        gateway.broadcast({ BTC: pair('BTC', 100), ETH: pair('ETH', 10) });
+        const socket = connect();
+
+        message(socket, { type: 'subscribe', channel: 'prices' });
+        const [snapshot] = socket.take();
+        expect(snapshot).toMatchObject({ type: 'snapshot', channel: 'prices', seq: 1, exchanges: ['PARADEX'] });
+        expect(snapshot.pairs.map((p: any) => p.symbol)).toEqual(['BTC', 'ETH']);
+        expect(snapshot.pairs[0].paradex).toEqual({ bid: 100, ask: 101, timestamp: 1, source: 'ws' });     // No book
+
+        expect(gateway.broadcast({ BTC: pair('BTC', 100, { realSpread: 0.2 }), ETH: pair('ETH', 10) })).toBe(1);
+        expect(socket.take()).toEqual([{ type: 'delta', channel: 'prices', seq: 2, changed: { BTC: { realSpread: 0.2 } } }]);
+
+        // Nothing changed: no message, no seq spent
+        expect(gateway.broadcast({ BTC: pair('BTC', 100, { realSpread: 0.2 }), ETH: pair('ETH', 10) })).toBe(0);
+
+        gateway.broadcast({ BTC: pair('BTC', 100, { realSpread: 0.2, netSpread: 0.1 }) });
+        expect(socket.take()).toEqual([{ type: 'delta', channel: 'prices', seq: 3, changed: { BTC: { netSpread: 0.1 } }, removed: ['ETH'] }]);
+
+        gateway.broadcast({ BTC: pair('BTC', 100, { realSpread: 0.2 }) });
+        expect(socket.take()[0].changed).toEqual({ BTC: { netSpread: null } });
+    });
+
+    test('should filter prices by symbol and resync on request', () => {
+        const socket = connect();
+        message(socket, { type: 'subscribe', channel: 'prices', symbols: ['eth'] });
+        expect(socket.take()).toEqual([{ type: 'snapshot', channel: 'prices', seq: 1, exchanges: [], pairs: [] }]);
+
+        gateway.broadcast({ BTC: pair('BTC', 100), ETH: pair('ETH', 10) });
+        const [delta] = socket.take();
+        expect(Object.keys(delta.changed)).toEqual(['ETH']);
+        expect(delta).toMatchObject({ seq: 2, exchanges: ['PARADEX'] });
+
+        message(socket, { type: 'resync', channel: 'prices' });
+        const [snapshot] = socket.take();
+        expect(snapshot).toMatchObject({ type: 'snapshot', seq: 3 });
+        expect(snapshot.pairs).toEqual([expect.objectContaining({ symbol: 'ETH', bestBid: 10 })]);
+
+        message(socket, { type: 'unsubscribe', channel: 'prices', symbols: ['ETH'] });
+        gateway.broadcast({ ETH: pair('ETH', 11) });
+        expect(socket.take()).toEqual([]);
+    });
+
+    test('should push matrices on subscribe and when they change', () => {
+        matrices.BTC = { symbol: 'BTC', routes: [1] };
+        const socket = connect();
+
+        message(socket, { type: 'subscribe', channel: 'matrix', symbols: ['BTC'] });
+        expect(socket.take()).toEqual([{ type: 'matrix', channel: 'matrix', symbol: 'BTC', matrix: matrices.BTC }]);
+
+        gateway.broadcast({});
+        expect(socket.take()).toHaveLength(1);      // First tick sets the reference
+        gateway.broadcast({});
+        expect(socket.take()).toEqual([]);
+
+        matrices.BTC = { symbol: 'BTC', routes: [2] };
+        gateway.broadcast({});
+        expect(socket.take()).toEqual([expect.objectContaining({ matrix: { symbol: 'BTC', routes: [2] } })]);
+    });
+
+    test('should deliver alerts and health to their subscribers', () => {
+        const socket = connect();
+        message(socket, { type: 'subscribe', channel: 'alerts' });
+        message(socket, { type: 'subscribe', channel: 'health' });
+        expect(socket.take()).toEqual([{ type: 'health', channel: 'health', exchanges: [{ exchange: 'PARADEX', status: 'up' }] }]);
+
+        gateway.publishAlert({ symbol: 'BTC', ruleId: 1 } as any);
+        gateway.publishHealth({ exchange: 'PARADEX', status: 'down' } as any);
+        expect(socket.take()).toEqual([
+            { type: 'alert', channel: 'alerts', alert: { symbol: 'BTC', ruleId: 1 } },
+            { type: 'health', channel: 'health', exchanges: [{ exchange: 'PARADEX', status: 'down' }] }
+        ]);
+
+        message(socket, { type: 'unsubscribe', channel: 'alerts' });
+        gateway.publishAlert({ symbol: 'BTC', ruleId: 1 } as any);
+        expect(socket.take()).toEqual([]);
+    });
+
+    test('should report protocol errors', () => {
+        const socket = connect();
+        gateway.handleMessage(socket, 'not json');
+        message(socket, { type: 'subscribe', channel: 'trades' });
+        message(socket, { type: 'subscribe', channel: 'matrix' });
+        message(socket, { type: 'ping', channel: 'prices' });
+        message(socket, { type: 'subscribe', channel: 'prices' });
+        message(socket, { type: 'unsubscribe', channel: 'prices', symbols: ['BTC'] });
+
+        expect(socket.take().filter(m => m.type === 'error').map(m => m.error)).toEqual([
+            'invalid JSON',
+            'unknown channel: trades',
+            'matrix needs symbols',
+            'unknown message type: ping',
+            'subscribed to every symbol: unsubscribe without symbols'
+        ]);
+    });
+
+    test('should hold ticks back for the client interval and merge them', () => {
+        gateway.broadcast({ BTC: pair('BTC', 100), ETH: pair('ETH', 10) }, T0 - 5000);
+        const socket = connect();
+        message(socket, { type: 'options', intervalMs: 1000 });
+        message(socket, { type: 'subscribe', channel: 'prices' });
+        expect(socket.take().map(m => m.type)).toEqual(['options', 'snapshot']);
+
+        gateway.broadcast({ BTC: pair('BTC', 101), ETH: pair('ETH', 10) }, T0);
+        expect(socket.take()).toEqual([expect.objectContaining({ seq: 2, changed: { BTC: expect.objectContaining({ bestBid: 101 }) } })]);
+
+        gateway.broadcast({ BTC: pair('BTC', 102), ETH: pair('ETH', 11) }, T0 + 300);
+        gateway.broadcast({ BTC: pair('BTC', 103), ETH: pair('ETH', 11) }, T0 + 600);
+        expect(gateway.flush(T0 + 900)).toBe(0);
+        expect(socket.take()).toEqual([]);
+
+        expect(gateway.flush(T0 + 1000)).toBe(1);
+        const [merged] = socket.take();
+        expect(merged.seq).toBe(3);
+        expect(merged.changed.BTC).toMatchObject({ bestBid: 103, bestAsk: 104 });
+        expect(merged.changed.ETH).toMatchObject({ bestBid: 11 });
+        expect(gateway.flush(T0 + 5000)).toBe(0);
+    });
+
+    test('should send a snapshot instead of held deltas when asked, and backpressure too', () => {
+        const socket = connect({ intervalMs: '500', conflation: 'snapshot' });
+        expect(socket.take()).toEqual([{ type: 'options', intervalMs: 500, conflation: 'snapshot' }]);
+        message(socket, { type: 'subscribe', channel: 'prices' });
+        gateway.broadcast({ BTC: pair('BTC', 100) }, T0);
+        gateway.broadcast({ BTC: pair('BTC', 101) }, T0 + 100);
+        socket.take();
+
+        gateway.broadcast({ BTC: pair('BTC', 102) }, T0 + 600);
+        expect(socket.take()).toEqual([expect.objectContaining({ type: 'snapshot', seq: 3, pairs: [expect.objectContaining({ bestBid: 102 })] })]);
+
+        // Full send buffer: held until it drains, however long the interval
+        socket.bufferedAmount = 10 * 1024 * 1024;
+        gateway.broadcast({ BTC: pair('BTC', 103) }, T0 + 2000);
+        expect(gateway.flush(T0 + 3000)).toBe(0);
+        socket.bufferedAmount = 0;
+        expect(gateway.flush(T0 + 3000)).toBe(1);
+        expect(socket.take()).toEqual([expect.objectContaining({ type: 'snapshot', seq: 4 })]);
+    });
+
+    test('should reject invalid options', () => {
+        const socket = connect({ intervalMs: 'fast' });
+        message(socket, { type: 'options', intervalMs: -1 });
+        message(socket, { type: 'options', conflation: 'latest' });
+
+        expect(socket.take().map(m => m.error)).toEqual([
+            'intervalMs must be between 0 and 60000',
+            'intervalMs must be between 0 and 60000',
+            'conflation must be one of merge, snapshot'
+        ]);
+    });
+
+    test('should close sockets that miss a heartbeat', () => {
+        const live = connect();
+        const dead = connect();
+
+        expect(gateway.heartbeat()).toBe(0);
+        expect([live.pings, dead.pings]).toEqual([1, 1]);
+
+        gateway.pong(live);
+        expect(gateway.heartbeat()).toBe(1);
+        expect(dead.terminated).toBe(true);
+        expect(live.terminated).toBe(false);
+        expect(gateway.getClientCount()).toBe(1);
+    });
+});
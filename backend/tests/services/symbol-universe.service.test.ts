@@ -0,0 +1,79 @@
+/**
+ * Symbol Universe Tests
+ * Discovery rules: venue count, blacklist, include/exclude, failed venues
+ */
+
+import { SymbolUniverseService, SymbolSource } from '../../src/services/symbol-universe.service';
+import { SYMBOLS } from '../../src/config';
+
+const source = (name: string, symbols: string[] | Error): SymbolSource => ({
+    name,
+    fetchListedSymbols: jest.fn(async () => {
+        if (symbols instanceof Error) throw symbols;
+        return symbols;
+    })
+});
+
+describe('SymbolUniverseService', () => {
+    afterEach(() => {
+        SYMBOLS.INCLUDE.length = 0;
+        SYMBOLS.EXCLUDE.length = 0;
+    });
+
+    test('should keep only symbols listed on at least two venues', async () => {
+        const universe = new SymbolUniverseService();
+        universe['sources'] = [
+            source('PARADEX', ['BTC', 'ETH', 'ONLYHERE']),
+            source('VEST', ['BTC', 'ETH']),
+            source('LIGHTER', ['ETH'])
+        ];
+
+        await universe.refresh();
+
+        expect(universe.getSymbols()).toEqual(['BTC', 'ETH']);
+        expect(universe.getVenues().ETH).toEqual(['PARADEX', 'VEST', 'LIGHTER']);
+    });
+
+    test('should drop non-crypto symbols and apply include/exclude lists', async () => {
+        SYMBOLS.INCLUDE.push('ONLYHERE');
+        SYMBOLS.EXCLUDE.push('ETH');
+
+        const universe = new SymbolUniverseService();
+        universe['sources'] = [
+            source('PARADEX', ['BTC', 'ETH', 'TSLA', 'ONLYHERE']),
+            source('VEST', ['BTC', 'ETH', 'TSLA'])
+        ];
+
+        await universe.refresh();
+
+        expect(universe.getSymbols()).toEqual(['BTC', 'ONLYHERE']);
+    });
+
+    test('should keep the last listing of a venue that fails', async () => {
+        const universe = new SymbolUniverseService();
+        const vest = source('VEST', ['SOL', 'BTC']);
+        universe['sources'] = [source('PARADEX', ['SOL', 'BTC']), vest];
+        await universe.refresh();
+
+        (vest.fetchListedSymbols as jest.Mock).mockRejectedValueOnce(new Error('timeout'));
+        const onChange = jest.fn();
+        universe.on('change', onChange);
+        await universe.refresh();
+
+        expect(universe.getSymbols()).toEqual(['BTC', 'SOL']);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('should emit added and removed symbols', async () => {
+        const universe = new SymbolUniverseService();
+        universe['sources'] = [source('PARADEX', ['BTC', 'NEW']), source('VEST', ['BTC', 'NEW'])];
+        const onChange = jest.fn();
+        universe.on('change', onChange);
+
+        await universe.refresh();
+
+        const change = onChange.mock.calls[0][0];
+        expect(change.added).toEqual(['NEW']);
+        expect(change.removed).toContain('ETH');
+    });
+});
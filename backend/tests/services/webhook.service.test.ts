@@ -0,0 +1,226 @@
+/**
+ * Webhook Dispatcher Tests
+ * Receivers are a local stub HTTP server; the webhooks tables are in memory
+ */
+
+const mockAttempts: any[] = [];
+const mockFailures: Record<number, [number, string | null]> = {};
+const mockQueue: Map<string, any> = new Map();
+jest.mock('../../src/db/webhooks-repo', () => ({
+    saveQueuedDelivery: jest.fn((delivery: any) => {
+        mockQueue.set(delivery.id, delivery);
+        return Promise.resolve();
+    }),
+    deleteQueuedDelivery: jest.fn((id: string) => {
+        mockQueue.delete(id);
+        return Promise.resolve();
+    }),
+    deleteQueuedDeliveries: jest.fn((webhookId: number) => {
+        mockQueue.forEach((delivery, id) => delivery.webhookId === webhookId && mockQueue.delete(id));
+        return Promise.resolve();
+    }),
+    listQueuedDeliveries: jest.fn(() => Promise.resolve([...mockQueue.values()].map(delivery => ({ ...delivery })))),
+    logDeliveryAttempt: jest.fn((attempt: any) => {
+        mockAttempts.push(attempt);
+        return Promise.resolve();
+    }),
+    setWebhookFailures: jest.fn((id: number, count: number, reason: string | null) => {
+        mockFailures[id] = [count, reason];
+        return Promise.resolve();
+    })
+}));
+
+import { WebhookDispatcher, WebhookError, parsePositionExit, parseWebhook, signPayload } from '../../src/services/webhook.service';
+import { WEBHOOKS } from '../../src/config';
+import { WebhookSubscription } from '../../src/types';
+import { StubServer, startStubServer } from '../helpers/stub-server';
+
+const T0 = 1_760_000_000_000;
+const SECRET = 'a-long-enough-secret';
+
+describe('WebhookDispatcher', () => {
+    let stub: StubServer;
+    const original = { ...WEBHOOKS };
+
+    const webhook = (id: number, overrides: Partial<WebhookSubscription> = {}): WebhookSubscription => ({
+        id,
+        url: `${stub.base}/hook${id}`,
+        secret: SECRET,
+        events: ['spread.alert', 'exchange.down'],
+        symbols: [],
+        enabled: true,
+        failureCount: 0,
+        disabledReason: null,
+        createdAt: T0,
+        updatedAt: T0,
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        stub = await startStubServer();
+    });
+
+    afterAll(async () => {
+        Object.assign(WEBHOOKS, original);
+        await stub.close();
+    });
+
+    beforeEach(() => {
+        Object.assign(WEBHOOKS, { MAX_ATTEMPTS: 3, BACKOFF_MS: 1000, DISABLE_AFTER: 10, QUEUE_LIMIT: 100 });
+        stub.reset();
+        mockAttempts.length = 0;
+        mockQueue.clear();
+        Object.keys(mockFailures).forEach(id => delete mockFailures[Number(id)]);
+    });
+
+    test('should POST a signed payload with event headers', async () => {
+        const dispatcher = new WebhookDispatcher();
+        dispatcher.setSubscriptions([webhook(1)]);
+
+        expect(dispatcher.publish('spread.alert', { symbol: 'BTC', spread: 0.4 }, 'BTC', T0)).toBe(1);
+        await dispatcher.runOnce(T0);
+
+        const [request] = stub.requests;
+        const body = JSON.parse(request.raw);
+        expect(body).toMatchObject({ event: 'spread.alert', timestamp: T0, data: { symbol: 'BTC', spread: 0.4 } });
+        expect(request.headers['x-webhook-event']).toBe('spread.alert');
+        expect(request.headers['x-webhook-delivery']).toBe(body.id);
+        expect(request.headers['x-webhook-signature']).toBe(signPayload(SECRET, request.raw));
+        expect(mockAttempts).toEqual([expect.objectContaining({ webhookId: 1, deliveryId: body.id, attempt: 1, statusCode: 200, success: true })]);
+        expect(dispatcher.getQueueSize()).toBe(0);
+    });
+
+    test('should filter by event and symbol', () => {
+        const dispatcher = new WebhookDispatcher();
+        dispatcher.setSubscriptions([
+            webhook(1, { symbols: ['ETH'] }),
+            webhook(2, { events: ['simulation.exit'] }),
+            webhook(3, { enabled: false }),
+            webhook(4, { events: ['position.exit'], symbols: ['SOL'] })
+        ]);
+
+        expect(dispatcher.publish('spread.alert', {}, 'BTC', T0)).toBe(0);
+        expect(dispatcher.publish('spread.alert', {}, 'ETH', T0)).toBe(1);
+        expect(dispatcher.publish('simulation.exit', {}, 'BTC', T0)).toBe(1);
+        expect(dispatcher.publish('position.exit', {}, 'BTC', T0)).toBe(0);
+        expect(dispatcher.publish('position.exit', {}, 'SOL', T0)).toBe(1);
+        expect(dispatcher.publish('exchange.down', {}, undefined, T0)).toBe(1);   // Venue events ignore symbols
+    });
+
+    test('should retry with exponential backoff and log every attempt', async () => {
+        stub.replies['/hook1'] = [500, 502];
+        const dispatcher = new WebhookDispatcher();
+        dispatcher.setSubscriptions([webhook(1)]);
+        dispatcher.publish('spread.alert', {}, 'BTC', T0);
+
+        await dispatcher.runOnce(T0);               // Attempt 1 fails, next at +1s
+        await dispatcher.runOnce(T0 + 500);
+        await dispatcher.runOnce(T0 + 1000);        // Attempt 2 fails, next at +2s
+        await dispatcher.runOnce(T0 + 2500);
+        expect(stub.requests).toHaveLength(2);
+        expect(mockFailures[1]).toEqual([2, null]);
+
+        await dispatcher.runOnce(T0 + 3000);        // Attempt 3 succeeds, streak cleared
+        expect(stub.requests).toHaveLength(3);
+        expect(new Set(stub.requests.map(r => r.raw)).size).toBe(1);
+        expect(mockAttempts.map(a => [a.attempt, a.statusCode, a.success])).toEqual([[1, 500, false], [2, 502, false], [3, 200, true]]);
+        expect(mockFailures[1]).toEqual([0, null]);
+        expect(dispatcher.getQueueSize()).toBe(0);
+    });
+
+    test('should drop a delivery after MAX_ATTEMPTS', async () => {
+        WEBHOOKS.MAX_ATTEMPTS = 2;
+        stub.replies['/hook1'] = [500, 500];
+        const dispatcher = new WebhookDispatcher();
+        dispatcher.setSubscriptions([webhook(1)]);
+        dispatcher.publish('spread.alert', {}, 'BTC', T0);
+
+        await dispatcher.runOnce(T0);
+        await dispatcher.runOnce(T0 + 1000);
+        await dispatcher.runOnce(T0 + 10000);
+        expect(stub.requests).toHaveLength(2);
+        expect(dispatcher.getQueueSize()).toBe(0);
+    });
+
+    test('should disable a subscription after DISABLE_AFTER consecutive failures', async () => {
+        WEBHOOKS.DISABLE_AFTER = 2;
+        stub.replies['/hook1'] = [500, 500, 500];
+        const subscription = webhook(1);
+        const dispatcher = new WebhookDispatcher();
+        dispatcher.setSubscriptions([subscription, webhook(2)]);
+        dispatcher.publish('spread.alert', {}, 'BTC', T0);
+        dispatcher.publish('spread.alert', {}, 'ETH', T0);
+
+        await dispatcher.runOnce(T0);
+
+        expect(stub.requests.map(r => r.path)).toEqual(['/hook1', '/hook2', '/hook1', '/hook2']);
+        expect(subscription.enabled).toBe(false);
+        expect(mockFailures[1]).toEqual([2, expect.stringContaining('2 consecutive failures')]);
+        expect(dispatcher.getQueueSize()).toBe(0);
+        expect(dispatcher.publish('spread.alert', {}, 'BTC', T0)).toBe(1);     // Only #2 left
+    });
+
+    test('should keep pending retries across a restart', async () => {
+        stub.replies['/hook1'] = [500];
+        const before = new WebhookDispatcher();
+        before.setSubscriptions([webhook(1)]);
+        before.publish('spread.alert', {}, 'BTC', T0);
+        await before.runOnce(T0);
+
+        expect([...mockQueue.values()]).toEqual([expect.objectContaining({ webhookId: 1, attempt: 1, nextAttemptAt: T0 + 1000 })]);
+
+        const after = new WebhookDispatcher();
+        after.setSubscriptions([webhook(1)]);
+        expect(await after.restoreQueue()).toBe(1);
+        await after.runOnce(T0 + 1000);
+
+        expect(stub.requests).toHaveLength(2);
+        expect(mockAttempts.map(attempt => attempt.attempt)).toEqual([1, 2]);
+        expect(mockQueue.size).toBe(0);
+    });
+
+    test('should bound the queue', () => {
+        WEBHOOKS.QUEUE_LIMIT = 2;
+        const dispatcher = new WebhookDispatcher();
+        dispatcher.setSubscriptions([webhook(1)]);
+
+        [1, 2, 3].forEach(() => dispatcher.publish('spread.alert', {}, 'BTC', T0));
+        expect(dispatcher.getQueueSize()).toBe(2);
+    });
+});
+
+describe('parseWebhook', () => {
+    test('should normalize input and generate a secret', () => {
+        const parsed = parseWebhook({ url: 'https://example.com/hook', events: 'spread.alert, feed.stale', symbols: ['btc', 'eth', 'BTC'] });
+        expect(parsed).toMatchObject({
+            url: 'https://example.com/hook',
+            events: ['spread.alert', 'feed.stale'],
+            symbols: ['BTC', 'ETH'],
+            enabled: true
+        });
+        expect(parsed.secret).toHaveLength(48);
+    });
+
+    test('should reject invalid subscriptions', () => {
+        expect(() => parseWebhook({ url: 'ftp://example.com', events: ['spread.alert'] })).toThrow('http(s)');
+        expect(() => parseWebhook({ url: 'not a url', events: ['spread.alert'] })).toThrow(WebhookError);
+        expect(() => parseWebhook({ url: 'https://example.com' })).toThrow('at least one');
+        expect(() => parseWebhook({ url: 'https://example.com', events: ['price.tick'] })).toThrow('unknown events: price.tick');
+        expect(() => parseWebhook({ url: 'https://example.com', events: ['spread.alert'], secret: 'short' })).toThrow('16 characters');
+    });
+});
+
+describe('parsePositionExit', () => {
+    test('should normalize a dashboard exit report', () => {
+        expect(parsePositionExit({ positionId: 1700000000000, symbol: 'sol', buyExchange: 'vest', sellExchange: 'PARADEX', entrySpread: '0.8', exitTargetSpread: 0.15, spread: 0.12 }, T0))
+            .toEqual({
+                positionId: '1700000000000', symbol: 'SOL', buyExchange: 'VEST', sellExchange: 'PARADEX',
+                entrySpread: 0.8, exitTargetSpread: 0.15, spread: 0.12, size: null, timestamp: T0
+            });
+    });
+
+    test('should reject reports without a symbol or spreads', () => {
+        expect(() => parsePositionExit({ exitTargetSpread: 0.15, spread: 0.1 })).toThrow('symbol');
+        expect(() => parsePositionExit({ symbol: 'BTC', exitTargetSpread: 'low', spread: 0.1 })).toThrow(WebhookError);
+    });
+});
@@ -1,5 +1,6 @@
 import { useState, useCallback, useMemo } from 'react';
 import { AnimatePresence } from 'framer-motion';
+import { useQuery } from '@tanstack/react-query';
 import DetailView from './components/dashboard/DetailView';
 import DashboardHeader from './components/dashboard/DashboardHeader';
 import OpportunityCard from './components/dashboard/OpportunityCard';
@@ -13,29 +14,41 @@ import useMarketData from './hooks/useMarketData';
 import { useAlerts } from './hooks/useAlerts';
 import { useLocalStorage } from './hooks/useLocalStorage';
 import { useAppAlarms } from './hooks/useAppAlarms';
+import { useAlertRules } from './hooks/useAlertRules';
+import { fetchExchanges, fetchFees, fetchSymbols } from './services/api';
+import { getNetSpread, getTakerFeeBps } from './utils/fees';
+import { getFundingCarryPerHour, getOpportunityScore } from './utils/funding';
 
 
 function App() {
   const [activeTab, setActiveTab] = useState('scanner');
   const [selectedPair, setSelectedPair] = useState(null);
+  // Detail view opened from a notification link (/?pair=BTC)
+  const [linkedSymbol, setLinkedSymbol] = useState(() => new URLSearchParams(window.location.search).get('pair'));
   const [settingsOpenFor, setSettingsOpenFor] = useState(null);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
   const [isActiveAlarmsModalOpen, setIsActiveAlarmsModalOpen] = useState(false);
 
   // --- State with Persistence ---
-  const [enabledExchanges, setEnabledExchanges] = useLocalStorage('enabled_exchanges', { vest: true, lighter: true, paradex: true, extended: true });
-  const [pairThresholds, setPairThresholds] = useLocalStorage('pair_thresholds', {});
-  const [disabledAlarms, setDisabledAlarms] = useLocalStorage('disabled_alarms', []);
+  const [enabledExchanges, setEnabledExchanges] = useLocalStorage('enabled_exchanges', {});
   const [trades, setTrades] = useLocalStorage('track_trades', []);
   const [initialInvestment, setInitialInvestment] = useLocalStorage('initial_investment', 1000);
   const [positions, setPositions] = useLocalStorage('active_positions', []);
 
   // --- Hooks and Data ---
   const [marginPerSide, setMarginPerSide] = useLocalStorage('calc_margin_per_side', 1000);
+  const [fundingHorizon, setFundingHorizon] = useLocalStorage('funding_horizon_hours', 8);
 
   // --- Hooks and Data ---
-  const { pairs, isLoading, error, refresh, refreshInterval, setRefreshInterval } = useMarketData();
+  const { pairs, isLoading, error, refresh, refreshInterval, setRefreshInterval, pendingAlerts, dismissAlert, exchangeHealth } = useMarketData();
   const { minSpread, soundEnabled } = useAlerts();
+  const { pairThresholds, disabledAlarms, updateThreshold: saveThreshold, toggleAlarm: toggleDisabledAlarm } = useAlertRules();
+  const { data: feesData } = useQuery({ queryKey: ['fees'], queryFn: fetchFees, staleTime: Infinity });
+  const fees = feesData?.fees;
+  const { data: symbolsData } = useQuery({ queryKey: ['symbols'], queryFn: fetchSymbols, staleTime: 300000 });
+  const symbols = useMemo(() => symbolsData?.symbols || pairs.map(p => p.symbol), [symbolsData, pairs]);
+  const { data: exchangesData } = useQuery({ queryKey: ['exchanges'], queryFn: fetchExchanges, staleTime: Infinity });
+  const exchanges = useMemo(() => exchangesData?.exchanges || [], [exchangesData]);
 
   // Helper functions
   const isMonitored = useCallback((symbol) => pairThresholds.hasOwnProperty(symbol), [pairThresholds]);
@@ -46,8 +59,9 @@ function App() {
     let maxBid = 0, maxBidEx = null;
     let minAsk = Infinity, minAskEx = null;
 
-    ['vest', 'lighter', 'paradex', 'extended'].forEach(ex => {
-      if (!enabledExchanges[ex]) return;
+    // Exchanges are enabled unless toggled off
+    exchanges.map(name => name.toLowerCase()).forEach(ex => {
+      if (enabledExchanges[ex] === false) return;
       const bid = pair[ex]?.bid || 0;
       const ask = pair[ex]?.ask || 0;
       if (bid > maxBid) { maxBid = bid; maxBidEx = ex.toUpperCase(); }
@@ -55,16 +69,38 @@ function App() {
     });
 
     if (maxBid > 0 && minAsk !== Infinity) {
-      return { realSpread: ((maxBid - minAsk) / minAsk) * 100, bestBid: maxBid, bestAsk: minAsk, bestBidEx: maxBidEx, bestAskEx: minAskEx };
+      const buyFeeBps = getTakerFeeBps(fees, minAskEx);
+      const sellFeeBps = getTakerFeeBps(fees, maxBidEx);
+      const fundingCarryPerHour = getFundingCarryPerHour(pair, minAskEx, maxBidEx);
+      return {
+        realSpread: ((maxBid - minAsk) / minAsk) * 100,
+        netSpread: getNetSpread(maxBid, minAsk, buyFeeBps, sellFeeBps),
+        buyFeeBps, sellFeeBps,
+        fundingCarryPerHour,
+        expectedFunding: fundingCarryPerHour !== null ? fundingCarryPerHour * fundingHorizon : null,
+        fundingHorizonHours: fundingHorizon,
+        bestBid: maxBid, bestAsk: minAsk, bestBidEx: maxBidEx, bestAskEx: minAskEx
+      };
     }
-    return { realSpread: -999, bestBid: 0, bestAsk: 0, bestBidEx: null, bestAskEx: null };
-  }, [enabledExchanges]);
+    return { realSpread: -999, netSpread: -999, expectedFunding: null, bestBid: 0, bestAsk: 0, bestBidEx: null, bestAskEx: null };
+  }, [exchanges, enabledExchanges, fees, fundingHorizon]);
 
-  // Memoized Data
-  const dynamicPairs = useMemo(() => pairs.map(p => ({ ...p, ...getDynamicSpread(p) })), [pairs, getDynamicSpread]);
+  // Memoized Data (server-side spreads until the exchange list has loaded)
+  const dynamicPairs = useMemo(
+    () => exchangesData ? pairs.map(p => ({ ...p, ...getDynamicSpread(p) })) : pairs,
+    [pairs, getDynamicSpread, exchangesData]
+  );
+  const detailPair = selectedPair || (linkedSymbol && dynamicPairs.find(p => p.symbol === linkedSymbol.toUpperCase())) || null;
+  const closeDetail = () => {
+    setSelectedPair(null);
+    if (linkedSymbol) {
+      setLinkedSymbol(null);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  };
   const monitoredCount = useMemo(() => dynamicPairs.filter(p => isMonitored(p.symbol)).length, [dynamicPairs, isMonitored]);
 
-  // Show all pairs, sorted by spread (alerting pairs first)
+  // Show all pairs, sorted by net spread + expected funding (alerting pairs first)
   const sortedData = useMemo(() => {
     return [...dynamicPairs].sort((a, b) => {
       const aThreshold = getAlertThreshold(a.symbol);
@@ -73,7 +109,7 @@ function App() {
       const bAlerting = isMonitored(b.symbol) && b.realSpread >= bThreshold;
       if (aAlerting && !bAlerting) return -1;
       if (!aAlerting && bAlerting) return 1;
-      return (b.realSpread || -999) - (a.realSpread || -999);
+      return getOpportunityScore(b) - getOpportunityScore(a);
     });
   }, [dynamicPairs, isMonitored, getAlertThreshold]);
 
@@ -88,33 +124,19 @@ function App() {
   const removeTrade = (id) => setTrades(prev => prev.filter(t => t.id !== id));
   const updateInvestment = (value) => setInitialInvestment(parseFloat(value) || 0);
 
+  // Thresholds are server-side alert rules
   const updateThreshold = (symbol, newValue) => {
-    setPairThresholds(prev => {
-      const next = { ...prev };
-      if (newValue === null || newValue === '') delete next[symbol];
-      else next[symbol] = parseFloat(newValue);
-      return next;
-    });
+    saveThreshold(symbol, newValue);
     setSettingsOpenFor(null);
   };
 
-  const toggleDisabledAlarm = (symbol) => {
-    setDisabledAlarms(prev => {
-      if (prev.includes(symbol)) {
-        return prev.filter(s => s !== symbol);
-      } else {
-        return [...prev, symbol];
-      }
-    });
-  };
-
   // --- Alarms Logic ---
   const {
     activeAlarm,
     activeScannerAlarm,
     stopAlarm,
     stopScannerAlarm
-  } = useAppAlarms(dynamicPairs, pairThresholds, minSpread, positions, updatePosition, soundEnabled, disabledAlarms);
+  } = useAppAlarms(pendingAlerts, dismissAlert, dynamicPairs, positions, updatePosition, soundEnabled);
 
 
   // --- Render ---
@@ -144,6 +166,28 @@ function App() {
             </div>
           </div>
 
+          {/* FUNDING HORIZON BAR */}
+          <div className="flex items-center justify-center gap-4 -mt-4 mb-8">
+            <span className="text-gray-400 text-xs font-bold tracking-widest uppercase">Holding Horizon</span>
+            <div className="bg-[#1a1a1a] p-1 rounded-xl flex gap-1 border border-[#2a2a2a]">
+              {[0, 8, 24, 72].map(val => (
+                <button
+                  key={val}
+                  onClick={() => setFundingHorizon(val)}
+                  className={`
+                    px-4 py-1.5 rounded-lg text-sm font-bold transition-all duration-200
+                    ${fundingHorizon === val
+                      ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20'
+                      : 'text-gray-500 hover:text-gray-300 hover:bg-white/5'
+                    }
+                  `}
+                >
+                  {val === 0 ? 'Spread only' : `${val}h`}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {!isLoading && sortedData.length === 0 && !error && (
             <div className="text-center py-32 opacity-50">
               <p className="text-2xl font-light">No opportunities found.</p>
@@ -198,8 +242,10 @@ function App() {
       <DashboardHeader
         activeTab={activeTab}
         setActiveTab={setActiveTab}
+        exchanges={exchanges}
         enabledExchanges={enabledExchanges}
         setEnabledExchanges={setEnabledExchanges}
+        exchangeHealth={exchangeHealth}
         refreshInterval={refreshInterval}
         setRefreshInterval={setRefreshInterval}
         refresh={refresh}
@@ -225,12 +271,13 @@ function App() {
         isOpen={isAddModalOpen}
         onClose={() => setIsAddModalOpen(false)}
         onAdd={addPosition}
-        symbols={['BTC', 'ETH', 'SOL', 'PAXG', 'RESOLV', 'BERA', 'KAITO', 'AAVE', 'SUI', 'XRP', 'GRASS']}
+        symbols={symbols}
+        exchanges={exchanges}
       />
 
       <AnimatePresence>
-        {selectedPair && (
-          <DetailView pair={selectedPair.symbol} data={selectedPair} onClose={() => setSelectedPair(null)} />
+        {detailPair && (
+          <DetailView pair={detailPair.symbol} data={detailPair} onClose={closeDetail} />
         )}
       </AnimatePresence>
 
@@ -1,10 +1,29 @@
 import { RefreshCw, PlusCircle, LayoutDashboard, Briefcase, Bell, BarChart3 } from 'lucide-react';
 
+// Venue status lights (backend health monitor); grey until the first report
+const HEALTH_LIGHTS = {
+    up: 'bg-emerald-400',
+    degraded: 'bg-amber-400',
+    down: 'bg-red-500'
+};
+
+const describeHealth = (health) => {
+    if (!health) return 'No health report yet';
+    const details = [
+        `${health.messageRate} msg/s`,
+        health.restLatencyMs !== null ? `REST ${health.restLatencyMs}ms` : null,
+        health.reconnects ? `${health.reconnects} reconnects` : null
+    ].filter(Boolean).join(' · ');
+    return [health.status.toUpperCase(), ...health.reasons, details].join('\n');
+};
+
 export default function DashboardHeader({
     activeTab,
     setActiveTab,
+    exchanges = [],
     enabledExchanges,
     setEnabledExchanges,
+    exchangeHealth = {},
     refreshInterval,
     setRefreshInterval,
     refresh,
@@ -14,7 +33,7 @@ export default function DashboardHeader({
     onOpenAlarms
 }) {
     const toggleExchange = (ex) => {
-        setEnabledExchanges(prev => ({ ...prev, [ex]: !prev[ex] }));
+        setEnabledExchanges(prev => ({ ...prev, [ex]: prev[ex] === false }));
     };
 
     return (
@@ -111,18 +130,23 @@ export default function DashboardHeader({
 
                     {/* Exchange Toggles */}
                     <div className="flex items-center gap-1.5 px-2">
-                        {['vest', 'lighter', 'paradex', 'extended'].map((ex) => (
-                            <button
-                                key={ex}
-                                onClick={() => toggleExchange(ex)}
-                                className={`px-4 py-1.5 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${enabledExchanges[ex]
-                                    ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20'
-                                    : 'text-gray-600 hover:text-gray-400'
-                                    }`}
-                            >
-                                {ex}
-                            </button>
-                        ))}
+                        {exchanges.map(name => name.toLowerCase()).map((ex) => {
+                            const health = exchangeHealth[ex.toUpperCase()];
+                            return (
+                                <button
+                                    key={ex}
+                                    onClick={() => toggleExchange(ex)}
+                                    title={describeHealth(health)}
+                                    className={`flex items-center gap-1.5 px-4 py-1.5 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${enabledExchanges[ex] !== false
+                                        ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20'
+                                        : 'text-gray-600 hover:text-gray-400'
+                                        }`}
+                                >
+                                    <span className={`w-1.5 h-1.5 rounded-full ${HEALTH_LIGHTS[health?.status] || 'bg-gray-500'}`} />
+                                    {ex}
+                                </button>
+                            );
+                        })}
                     </div>
                 </div>
             </div>
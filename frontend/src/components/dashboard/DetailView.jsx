@@ -2,11 +2,13 @@ import { motion } from 'framer-motion';
 import { X } from 'lucide-react';
 import SpreadChart from './SpreadChart';
 import ProfitCalculator from './ProfitCalculator';
+import SpreadMatrix from './SpreadMatrix';
 
 export default function DetailView({ pair, data, onClose }) {
     if (!data) return null;
 
     const spread = data.realSpread || 0;
+    const netSpread = data.netSpread ?? spread;
 
     // Find exchange names and prices
     // Assuming 'bestAskEx' means Buy from (Ask)
@@ -61,12 +63,17 @@ export default function DetailView({ pair, data, onClose }) {
                         <div className="bg-[#1a1a1a] rounded-xl border border-gray-800 p-1 flex-1 shadow-lg">
                             <SpreadChart pair={pair} />
                         </div>
+                        <div className="mt-6">
+                            <SpreadMatrix pair={pair} />
+                        </div>
                     </div>
 
                     {/* Calculator Section (30% on desktop -> col-span-4) */}
                     <div className="lg:col-span-4 min-h-[400px]">
                         <ProfitCalculator
                             spread={spread}
+                            netSpread={netSpread}
+                            feeBps={{ buy: data.buyFeeBps || 0, sell: data.sellFeeBps || 0 }}
                             pair={pair}
                             exchangeAndPrice={exchangeAndPrice}
                         />
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { SpreadChart } from './SpreadChart';
 import { ProfitCalculator } from './ProfitCalculator';
+import { fetchSpreadHistory } from '../../services/api';
 
 export function ExpandableRow({ pair, isOpen, onClose }) {
     const [period, setPeriod] = useState('24h');
@@ -15,11 +16,11 @@ export function ExpandableRow({ pair, isOpen, onClose }) {
 
         const fetchData = () => {
             setIsLoading(prev => prev === false ? false : true); // Keep loading true only on first load
-            fetch(`/api/spread-history?pair=${pair.symbol}&period=${period}`)
-                .then(res => res.json())
-                .then(data => {
-                    setHistoryData(data.data);
-                    setStats(data.stats);
+            fetchSpreadHistory(pair.symbol, { period })
+                .then(({ series }) => {
+                    const history = series[pair.symbol.toUpperCase()];
+                    setHistoryData(history.data);
+                    setStats(history.stats);
                     setIsLoading(false);
                 })
                 .catch(err => {
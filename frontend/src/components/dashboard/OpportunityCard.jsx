@@ -2,6 +2,8 @@ import { Bell, BellOff, X, TrendingUp } from 'lucide-react';
 import { motion } from 'framer-motion';
 import CryptoIcon from './CryptoIcon';
 import ExchangeIcon from './ExchangeIcon';
+import { useMarkets } from '../../hooks/useMarkets';
+import { getPairLeverage } from '../../utils/markets';
 
 export default function OpportunityCard({
     row,
@@ -16,6 +18,7 @@ export default function OpportunityCard({
     margin
 }) {
     const spread = row.realSpread || 0;
+    const netSpread = row.netSpread ?? spread;
     const buyEx = row.bestAskEx || 'Unknown';
     const sellEx = row.bestBidEx || 'Unknown';
 
@@ -23,15 +26,10 @@ export default function OpportunityCard({
     const isAlerting = hasCustomThreshold && spread >= threshold;
     const isSettingsOpen = settingsOpenFor === row.symbol;
 
-    // Leverage Config (duplicated for display)
-    const PAIR_LEVERAGE = {
-        'BTC': 50, 'ETH': 50, 'SOL': 20, 'PAXG': 10,
-        'AAVE': 10, 'SUI': 10, 'XRP': 10, 'GRASS': 5,
-        'MYX': 3, 'LIT': 5, 'RESOLV': 3, 'BERA': 5, 'KAITO': 5
-    };
-
-    const leverage = PAIR_LEVERAGE[row.symbol] || 10;
-    const estProfit = (margin * leverage) * (spread / 100);
+    // Max leverage of the least permissive venue on the route
+    const markets = useMarkets();
+    const leverage = getPairLeverage(markets, row.symbol, [buyEx, sellEx]);
+    const estProfit = (margin * leverage) * (netSpread / 100);
     const isNegligible = estProfit < 1;
 
     return (
@@ -158,6 +156,30 @@ export default function OpportunityCard({
                 <span className={`font-bold text-lg ${isAlerting ? 'text-yellow-400' : 'text-blue-400'}`}>
                     Spread {spread.toFixed(2)}%
                 </span>
+                <span
+                    className={`text-[10px] font-mono ${netSpread >= 0 ? 'text-gray-400' : 'text-red-400'}`}
+                    title={`Taker fees: ${row.buyFeeBps ?? 0} bps buy + ${row.sellFeeBps ?? 0} bps sell`}
+                >
+                    Net {netSpread.toFixed(2)}%
+                </span>
+
+                {/* Expected funding over the holding horizon */}
+                {row.expectedFunding != null && row.fundingHorizonHours > 0 && (
+                    <span className={`text-[10px] font-mono ${row.expectedFunding >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                        Funding {row.fundingHorizonHours}h: {row.expectedFunding >= 0 ? '+' : ''}{row.expectedFunding.toFixed(3)}%
+                    </span>
+                )}
+
+                {/* Executable Spread (walked through both books) */}
+                {row.executable && (
+                    <span
+                        className={`text-[10px] font-mono ${row.executable.spread >= 0 ? 'text-gray-400' : 'text-red-400'}`}
+                        title={`${row.executable.buyEx} → ${row.executable.sellEx} · max $${Math.round(row.executable.maxNotional).toLocaleString()} above ${row.executable.targetSpread}%`}
+                    >
+                        Exec ${(row.executable.notionalUsd / 1000).toFixed(0)}k: {row.executable.spread.toFixed(2)}%
+                        {row.executable.filledNotional < row.executable.notionalUsd && ' (partial)'}
+                    </span>
+                )}
 
                 {/* Est. Profit Badge (Static Margin) */}
                 {estProfit > 0 && (
@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react';
 import { ArrowUpRight, Flame, TrendingUp, AlertTriangle, Pencil, Lock } from 'lucide-react';
+import { useMarkets } from '../../hooks/useMarkets';
+import { getPairLeverage } from '../../utils/markets';
 
-export default function ProfitCalculator({ spread, pair, exchangeAndPrice }) {
+export default function ProfitCalculator({ spread, netSpread = spread, feeBps = { buy: 0, sell: 0 }, pair, exchangeAndPrice }) {
     // Configuration State with Persistence
     const [marginPerSide, setMarginPerSide] = useState(() => {
         const saved = localStorage.getItem('calc_margin_per_side');
@@ -16,35 +18,17 @@ export default function ProfitCalculator({ spread, pair, exchangeAndPrice }) {
         localStorage.setItem('calc_margin_per_side', marginPerSide);
     }, [marginPerSide]);
 
-    const PAIR_LEVERAGE = {
-        'BTC': 50,
-        'ETH': 50,
-        'SOL': 20,
-        'PAXG': 10,
-        'AAVE': 10,
-        'SUI': 10,
-        'XRP': 10,
-        'GRASS': 5,
-        'MYX': 3,
-        'LIT': 5,
-        'RESOLV': 3,
-        'BERA': 5,
-        'KAITO': 5
-    };
-
-    const getLeverage = (symbol) => {
-        return PAIR_LEVERAGE[symbol] || 10; // Default 10x
-    };
-
-    const leverage = getLeverage(pair);
+    // Max leverage of the least permissive venue on the route
+    const markets = useMarkets();
+    const leverage = getPairLeverage(markets, pair, [exchangeAndPrice?.buyEx, exchangeAndPrice?.sellEx]);
     const positionSize = marginPerSide * leverage;
 
-    // New Simplified Calculation
-    // Profit = Margin * Leverage * (Spread / 100)
-    // Which is equivalent to: Position Size * (Spread / 100)
+    // Profit = Position Size * (Spread / 100)
+    // Net uses the spread after taker fees of both venues
 
     const grossProfit = positionSize * (spread / 100);
-    const netProfit = grossProfit; // Fees ignored
+    const netProfit = positionSize * (netSpread / 100);
+    const fees = grossProfit - netProfit;
 
     // ROI based on Total Capital as requested
     const roi = totalCapital > 0 ? (netProfit / totalCapital) * 100 : 0;
@@ -115,11 +99,17 @@ export default function ProfitCalculator({ spread, pair, exchangeAndPrice }) {
                 {/* Opportunity */}
                 <div className="bg-gray-800/50 rounded-lg p-3 text-sm border border-gray-700">
                     <div className="flex justify-between mb-2">
-                        <span className="text-gray-400">Spread</span>
-                        <span className={`font-bold ${spread > 0 ? 'text-blue-400' : 'text-red-400'}`}>
-                            {spread.toFixed(2)}%
+                        <span className="text-gray-400">Spread (gross / net)</span>
+                        <span className="font-bold">
+                            <span className={spread > 0 ? 'text-blue-400' : 'text-red-400'}>{spread.toFixed(2)}%</span>
+                            <span className="text-gray-600"> / </span>
+                            <span className={netSpread > 0 ? 'text-emerald-400' : 'text-red-400'}>{netSpread.toFixed(2)}%</span>
                         </span>
                     </div>
+                    <div className="flex justify-between mb-2 text-xs text-gray-500">
+                        <span>Taker fees</span>
+                        <span className="font-mono">{feeBps.buy} + {feeBps.sell} bps</span>
+                    </div>
                     <div className="text-xs space-y-1 font-mono text-gray-500">
                         <div>LONG  {exchangeAndPrice.buyEx} @ ${exchangeAndPrice.buyPrice?.toFixed(2)}</div>
                         <div>SHORT {exchangeAndPrice.sellEx} @ ${exchangeAndPrice.sellPrice?.toFixed(2)}</div>
@@ -136,10 +126,14 @@ export default function ProfitCalculator({ spread, pair, exchangeAndPrice }) {
                     }`}>
                     {isProfitable ? (
                         <>
-                            <div className="flex justify-between text-sm text-gray-400 mb-3">
+                            <div className="flex justify-between text-sm text-gray-400 mb-1">
                                 <span>Gross Profit</span>
                                 <span>+${grossProfit.toFixed(2)}</span>
                             </div>
+                            <div className="flex justify-between text-sm text-gray-400 mb-3">
+                                <span>Fees</span>
+                                <span>-${fees.toFixed(2)}</span>
+                            </div>
 
                             <div className="border-t border-dashed border-gray-600 my-2"></div>
 
@@ -165,7 +159,7 @@ export default function ProfitCalculator({ spread, pair, exchangeAndPrice }) {
                                 NOT PROFITABLE
                             </div>
                             <p className="text-sm text-red-300/80">
-                                Negative spread ({spread.toFixed(2)}%). <br />
+                                Net spread after fees ({netSpread.toFixed(2)}%). <br />
                                 Wait for opportunity or check other pairs.
                             </p>
                         </div>
@@ -3,6 +3,7 @@ import {
     LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Area, AreaChart
 } from 'recharts';
 import { Loader2 } from 'lucide-react';
+import { fetchSpreadHistory } from '../../services/api';
 
 export default function SpreadChart({ pair }) {
     const [period, setPeriod] = useState('24h');
@@ -12,10 +13,8 @@ export default function SpreadChart({ pair }) {
     const fetchHistory = async () => {
         setLoading(true);
         try {
-            const res = await fetch(`/api/spread-history?pair=${pair}&period=${period}`);
-            if (!res.ok) throw new Error('Failed to fetch history');
-            const json = await res.json();
-            setData(json);
+            const json = await fetchSpreadHistory(pair, { period });
+            setData(json.series[pair.toUpperCase()]);
         } catch (err) {
             console.error(err);
         } finally {
@@ -60,10 +59,13 @@ export default function SpreadChart({ pair }) {
                         <span className="text-xs text-gray-500">Spread</span>
                     </div>
                     <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs font-mono">
-                        <span className="text-gray-500">Lighter:</span>
-                        <span className="text-white">${d.lighter_price?.toFixed(2)}</span>
-                        <span className="text-gray-500">Vest:</span>
-                        <span className="text-white">${d.vest_price?.toFixed(2)}</span>
+                        <span className="text-gray-500">Buy {d.buyExchange}:</span>
+                        <span className="text-white">${d.ask?.toFixed(2)}</span>
+                        <span className="text-gray-500">Sell {d.sellExchange}:</span>
+                        <span className="text-white">${d.bid?.toFixed(2)}</span>
+                        {d.routeShare < 1 && (
+                            <span className="col-span-2 text-gray-500">Route in {Math.round(d.routeShare * 100)}% of samples</span>
+                        )}
                     </div>
                 </div>
             );
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Loader2 } from 'lucide-react';
+import { fetchSpreadMatrix } from '../../services/api';
+import ExchangeIcon from './ExchangeIcon';
+
+// Heatmap color scale (green = positive, red = negative), saturates at ±0.5%
+const MAX_INTENSITY = 0.5;
+
+function cellStyle(value) {
+    if (value === null || value === undefined) return {};
+    const alpha = Math.min(Math.abs(value) / MAX_INTENSITY, 1) * 0.6 + 0.05;
+    return {
+        backgroundColor: value >= 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`
+    };
+}
+
+export default function SpreadMatrix({ pair }) {
+    const [showNet, setShowNet] = useState(true);
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['spreadMatrix', pair],
+        queryFn: () => fetchSpreadMatrix(pair),
+        refetchInterval: 2000,
+        staleTime: 1000,
+    });
+
+    const getRoute = (buyEx, sellEx) => data?.routes.find(r => r.buyEx === buyEx && r.sellEx === sellEx);
+
+    return (
+        <div className="bg-[#1a1a1a] rounded-xl border border-gray-800 p-4 shadow-lg">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-white font-bold text-sm uppercase tracking-wider">
+                    Route Matrix <span className="text-gray-500 font-normal normal-case">(rows: buy / long, columns: sell / short)</span>
+                </h3>
+                <div className="flex items-center gap-1 bg-[#1a1d26] p-1 rounded-md">
+                    {[['Net', true], ['Gross', false]].map(([label, value]) => (
+                        <button
+                            key={label}
+                            onClick={() => setShowNet(value)}
+                            className={`px-3 py-1 text-xs font-medium rounded transition-all ${showNet === value
+                                ? 'bg-blue-600 text-white'
+                                : 'text-gray-400 hover:text-white hover:bg-white/5'
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {isLoading && !data && (
+                <div className="flex items-center justify-center py-8">
+                    <Loader2 className="w-6 h-6 text-blue-500 animate-spin" />
+                </div>
+            )}
+
+            {data && (
+                <table className="w-full text-xs font-mono border-separate border-spacing-1">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            {data.exchanges.map(sellEx => (
+                                <th key={sellEx} className="text-gray-400 font-bold pb-1">
+                                    <div className="flex items-center justify-center gap-1.5">
+                                        <ExchangeIcon exchange={sellEx} className="w-3.5 h-3.5" />
+                                        {sellEx}
+                                    </div>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {data.exchanges.map(buyEx => (
+                            <tr key={buyEx}>
+                                <th className="text-gray-400 font-bold text-left pr-2">
+                                    <div className="flex items-center gap-1.5">
+                                        <ExchangeIcon exchange={buyEx} className="w-3.5 h-3.5" />
+                                        {buyEx}
+                                    </div>
+                                </th>
+                                {data.exchanges.map(sellEx => {
+                                    if (buyEx === sellEx) {
+                                        return <td key={sellEx} className="text-center text-gray-700 rounded py-2">—</td>;
+                                    }
+
+                                    const route = getRoute(buyEx, sellEx);
+                                    const value = showNet ? route?.netSpread : route?.spread;
+
+                                    return (
+                                        <td
+                                            key={sellEx}
+                                            style={cellStyle(value)}
+                                            className="text-center text-white rounded py-2 bg-gray-800/40"
+                                            title={route?.buyPrice
+                                                ? `Long ${buyEx} @ ${route.buyPrice} / Short ${sellEx} @ ${route.sellPrice}`
+                                                : 'No fresh quote'}
+                                        >
+                                            {value === null || value === undefined ? '-' : `${value.toFixed(3)}%`}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
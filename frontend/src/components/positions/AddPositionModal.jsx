@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { X, Plus, AlertCircle } from 'lucide-react';
 
-export default function AddPositionModal({ isOpen, onClose, onAdd, symbols }) {
+export default function AddPositionModal({ isOpen, onClose, onAdd, symbols, exchanges = [] }) {
     const [formData, setFormData] = useState({
         symbol: symbols[0] || 'BTC',
         buyEx: 'VEST',
@@ -75,10 +75,7 @@ export default function AddPositionModal({ isOpen, onClose, onAdd, symbols }) {
                                 onChange={(e) => setFormData({ ...formData, buyEx: e.target.value })}
                                 className="w-full bg-[#0f1117] border border-gray-700 rounded-xl px-4 py-2.5 text-white focus:outline-none focus:border-blue-500 transition-colors"
                             >
-                                <option value="VEST">VEST</option>
-                                <option value="LIGHTER">LIGHTER</option>
-                                <option value="PARADEX">PARADEX</option>
-                                <option value="EXTENDED">EXTENDED</option>
+                                {exchanges.map(ex => <option key={ex} value={ex}>{ex}</option>)}
                             </select>
                         </div>
                         <div>
@@ -88,10 +85,7 @@ export default function AddPositionModal({ isOpen, onClose, onAdd, symbols }) {
                                 onChange={(e) => setFormData({ ...formData, sellEx: e.target.value })}
                                 className="w-full bg-[#0f1117] border border-gray-700 rounded-xl px-4 py-2.5 text-white focus:outline-none focus:border-blue-500 transition-colors"
                             >
-                                <option value="PARADEX">PARADEX</option>
-                                <option value="VEST">VEST</option>
-                                <option value="LIGHTER">LIGHTER</option>
-                                <option value="EXTENDED">EXTENDED</option>
+                                {exchanges.map(ex => <option key={ex} value={ex}>{ex}</option>)}
                             </select>
                         </div>
                     </div>
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { fetchAlertRules, createAlertRule, updateAlertRule, deleteAlertRule } from '../services/api';
+
+// Where thresholds lived before rules moved to the backend
+const LEGACY_THRESHOLDS_KEY = 'pair_thresholds';
+const LEGACY_DISABLED_KEY = 'disabled_alarms';
+
+/**
+ * Per-pair alarm thresholds backed by the server-side alert rules
+ * Symbol-wide rules (no fixed route) are exposed in the { symbol: threshold }
+ * shape the cards and the Active Alarms modal use
+ */
+export function useAlertRules() {
+    const queryClient = useQueryClient();
+    const { data } = useQuery({ queryKey: ['alertRules'], queryFn: fetchAlertRules, staleTime: 30000 });
+    const rules = useMemo(() => data?.rules || [], [data]);
+
+    const symbolRules = useMemo(() => Object.fromEntries(
+        rules.filter(rule => !rule.buyExchange).map(rule => [rule.symbol, rule])
+    ), [rules]);
+
+    const pairThresholds = useMemo(() => Object.fromEntries(
+        Object.values(symbolRules).map(rule => [rule.symbol, rule.threshold])
+    ), [symbolRules]);
+
+    const disabledAlarms = useMemo(() => (
+        Object.values(symbolRules).filter(rule => !rule.enabled).map(rule => rule.symbol)
+    ), [symbolRules]);
+
+    const refetch = useCallback(() => queryClient.invalidateQueries({ queryKey: ['alertRules'] }), [queryClient]);
+
+    const save = useCallback((request) => {
+        request.then(refetch).catch(error => console.warn('Alert rule update failed', error.message));
+    }, [refetch]);
+
+    // null or '' removes the symbol's rule
+    const updateThreshold = useCallback((symbol, value) => {
+        const rule = symbolRules[symbol];
+        if (value === null || value === '') {
+            if (rule) save(deleteAlertRule(rule.id));
+        } else if (rule) {
+            save(updateAlertRule(rule.id, { threshold: parseFloat(value) }));
+        } else {
+            save(createAlertRule({ symbol, threshold: parseFloat(value) }));
+        }
+    }, [symbolRules, save]);
+
+    const toggleAlarm = useCallback((symbol) => {
+        const rule = symbolRules[symbol];
+        if (rule) save(updateAlertRule(rule.id, { enabled: !rule.enabled }));
+    }, [symbolRules, save]);
+
+    // One-time move of the thresholds this browser kept in localStorage
+    const migrated = useRef(false);
+    useEffect(() => {
+        if (!data || migrated.current) return;
+        migrated.current = true;
+
+        let thresholds, disabled;
+        try {
+            thresholds = JSON.parse(localStorage.getItem(LEGACY_THRESHOLDS_KEY) || '{}');
+            disabled = JSON.parse(localStorage.getItem(LEGACY_DISABLED_KEY) || '[]');
+        } catch {
+            return;
+        }
+
+        const pending = Object.entries(thresholds).filter(([symbol]) => !symbolRules[symbol]);
+        Promise.all(pending.map(([symbol, threshold]) => createAlertRule({ symbol, threshold, enabled: !disabled.includes(symbol) })))
+            .then(() => {
+                localStorage.removeItem(LEGACY_THRESHOLDS_KEY);
+                localStorage.removeItem(LEGACY_DISABLED_KEY);
+                if (pending.length) refetch();
+            })
+            .catch(error => console.warn('Alert rule migration failed', error.message));
+    }, [data, symbolRules, refetch]);
+
+    return {
+        rules,
+        pairThresholds,
+        disabledAlarms,
+        updateThreshold,
+        toggleAlarm
+    };
+}
+
+export default useAlertRules;
@@ -1,55 +1,39 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAudio } from './useAudio';
+import { reportPositionExit } from '../services/api';
 
 const ALERT_SOUND_URL = "https://assets.mixkit.co/active_storage/sfx/933/933-preview.mp3";
 const EXIT_ALARM_URL = "https://assets.mixkit.co/active_storage/sfx/951/951-preview.mp3";
 
 /**
  * Custom hook to manage application alarms (Scanner & Position Exit)
+ * Scanner alarms come from the backend alert rules engine, position exit
+ * alarms are still evaluated here against the live pairs and reported to the
+ * server (position.exit webhooks)
+ * @param {Array} pendingAlerts - User rule alerts pushed by the server, oldest first ({ ruleId, symbol, spread, buyExchange, sellExchange, ... })
+ * @param {Function} dismissAlert - Drops the oldest pending alert
  * @param {Array} dynamicPairs - List of current market data
- * @param {Object} pairThresholds - User defined thresholds for pairs
- * @param {number} minSpread - Global minimum spread setting
  * @param {Array} positions - Active positions
  * @param {Function} updatePosition - Function to update a position
  * @param {boolean} soundEnabled - Whether sound is enabled
  */
-export function useAppAlarms(dynamicPairs, pairThresholds, minSpread, positions, updatePosition, soundEnabled, disabledAlarms = []) {
+export function useAppAlarms(pendingAlerts, dismissAlert, dynamicPairs, positions, updatePosition, soundEnabled) {
     const [activeAlarm, setActiveAlarm] = useState(null); // Position exit alarm
-    const [activeScannerAlarm, setActiveScannerAlarm] = useState(null); // New opportunity alarm
-    const [acknowledgedScannerAlarms, setAcknowledgedScannerAlarms] = useState(new Set());
 
     // Sound utilities
     const playScannerSound = useAudio(ALERT_SOUND_URL, 0.5);
     const playExitSound = useAudio(EXIT_ALARM_URL, 0.5);
 
-    // 1. Scanner Alarms Logic
-    useEffect(() => {
-        if (!dynamicPairs || dynamicPairs.length === 0) return;
-
-        // Search for new scanner alarm opportunities
-        if (!activeScannerAlarm) {
-            for (const pair of dynamicPairs) {
-                const spread = pair.realSpread || 0;
-                const threshold = pairThresholds[pair.symbol] !== undefined ? pairThresholds[pair.symbol] : minSpread;
-                const isCustom = pairThresholds.hasOwnProperty(pair.symbol);
-
-                // Only trigger if custom threshold set, not acknowledged, and not disabled
-                if (isCustom && spread >= threshold && !acknowledgedScannerAlarms.has(pair.symbol) && !disabledAlarms.includes(pair.symbol)) {
-                    setActiveScannerAlarm(pair);
-                    break;
-                }
-
-                // Auto-reset acknowledgment if spread falls below threshold
-                if (acknowledgedScannerAlarms.has(pair.symbol) && spread < threshold) {
-                    setAcknowledgedScannerAlarms(prev => {
-                        const next = new Set(prev);
-                        next.delete(pair.symbol);
-                        return next;
-                    });
-                }
-            }
-        }
-    }, [dynamicPairs, pairThresholds, minSpread, activeScannerAlarm, acknowledgedScannerAlarms]);
+    // 1. Scanner Alarms: oldest pending alert, the next one shows once stopped
+    // Re-arming, cooldowns and quiet hours are handled server-side
+    const scannerAlert = pendingAlerts[0] || null;
+    const activeScannerAlarm = useMemo(() => scannerAlert && {   // New opportunity alarm
+        symbol: scannerAlert.symbol,
+        realSpread: scannerAlert.spread,
+        threshold: scannerAlert.threshold,
+        bestAskEx: scannerAlert.buyExchange,
+        bestBidEx: scannerAlert.sellExchange
+    }, [scannerAlert]);
 
     // 2. Position Alarms Logic
     useEffect(() => {
@@ -62,6 +46,8 @@ export function useAppAlarms(dynamicPairs, pairThresholds, minSpread, positions,
                     if (!pos.lastAlarmTriggered || pos.lastAlarmTriggered !== pos.exitTargetSpread) {
                         setActiveAlarm(pos);
                         updatePosition(pos.id, { lastAlarmTriggered: pos.exitTargetSpread });
+                        reportPositionExit(pos, livePair.realSpread)
+                            .catch(error => console.warn('Position exit report failed', error.message));
                         break;
                     }
                 }
@@ -89,16 +75,7 @@ export function useAppAlarms(dynamicPairs, pairThresholds, minSpread, positions,
     // Controls
     const stopAlarm = useCallback(() => setActiveAlarm(null), []);
 
-    const stopScannerAlarm = useCallback(() => {
-        if (activeScannerAlarm) {
-            setAcknowledgedScannerAlarms(prev => {
-                const next = new Set(prev);
-                next.add(activeScannerAlarm.symbol);
-                return next;
-            });
-            setActiveScannerAlarm(null);
-        }
-    }, [activeScannerAlarm]);
+    const stopScannerAlarm = dismissAlert;
 
     return {
         activeAlarm,
@@ -2,6 +2,10 @@ import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { fetchScans, forceRefreshScans } from '../services/api';
 import { useWebSocket } from './useWebSocket';
+import { SUBSCRIPTIONS, applyPricesMessage, emptyPrices, streamOptions } from '../utils/stream';
+
+// Unacknowledged alerts kept while an alarm is shown (oldest dropped beyond)
+const MAX_PENDING_ALERTS = 50;
 
 export function useMarketData() {
     const queryClient = useQueryClient();
@@ -16,8 +20,18 @@ export function useMarketData() {
 
     // Throttle: Store latest data in ref, update UI at controlled interval
     const latestDataRef = useRef([]);
+
+    // Pairs rebuilt from the 'prices' snapshot + deltas
+    const pricesRef = useRef(emptyPrices());
     const [displayedPairs, setDisplayedPairs] = useState([]);
 
+    // Alarms of user rules (ruleId null = global history threshold), oldest
+    // first, until acknowledged
+    const [pendingAlerts, setPendingAlerts] = useState([]);
+
+    // Venue health by exchange name (snapshot on connect, then changes)
+    const [exchangeHealth, setExchangeHealth] = useState({});
+
     // Interval state with localStorage persistence
     const [refreshInterval, setRefreshIntervalState] = useState(() => {
         try {
@@ -50,15 +64,47 @@ export function useMarketData() {
         return () => clearInterval(timer);
     }, [refreshInterval, refreshUI]);
 
-    // WebSocket handler - stores in ref instantly
-    const onWSMessage = useCallback((data) => {
-        if (data.type === 'update' && data.pairs) {
-            latestDataRef.current = data.pairs;
-            queryClient.setQueryData(['scans'], data.pairs);
+    // The server pushes no faster than the UI refreshes
+    const refreshIntervalRef = useRef(refreshInterval);
+
+    // Fresh subscriptions (and a fresh snapshot) on every connect
+    const onWSOpen = useCallback((send) => {
+        pricesRef.current = emptyPrices();
+        send(streamOptions(refreshIntervalRef.current));
+        SUBSCRIPTIONS.forEach(send);
+    }, []);
+
+    // WebSocket handler - stores in ref instantly (alerts go straight to state)
+    const onWSMessage = useCallback((data, send) => {
+        if (data.channel === 'prices') {
+            const { state, resync } = applyPricesMessage(pricesRef.current, data);
+            pricesRef.current = state;
+            if (resync) {
+                send({ type: 'resync', channel: 'prices' });
+                return;
+            }
+
+            const pairs = Object.values(state.pairs);
+            if (pairs.length > 0) {
+                latestDataRef.current = pairs;
+                queryClient.setQueryData(['scans'], pairs);
+            }
+        } else if (data.type === 'alert' && data.alert && data.alert.ruleId !== null) {
+            setPendingAlerts(prev => [...prev, data.alert].slice(-MAX_PENDING_ALERTS));
+        } else if (data.type === 'health' && Array.isArray(data.exchanges)) {
+            setExchangeHealth(prev => ({
+                ...prev,
+                ...Object.fromEntries(data.exchanges.map(health => [health.exchange, health]))
+            }));
         }
     }, [queryClient]);
 
-    const { isConnected: wsConnected, error: wsError } = useWebSocket(wsUrl, onWSMessage);
+    const { isConnected: wsConnected, error: wsError, sendMessage } = useWebSocket(wsUrl, onWSMessage, onWSOpen);
+
+    useEffect(() => {
+        refreshIntervalRef.current = refreshInterval;
+        sendMessage(streamOptions(refreshInterval));
+    }, [refreshInterval, sendMessage]);
 
     // REST polling fallback
     const query = useQuery({
@@ -84,6 +130,8 @@ export function useMarketData() {
         }
     }, [query.data, displayedPairs.length]);
 
+    const dismissAlert = useCallback(() => setPendingAlerts(prev => prev.slice(1)), []);
+
     const hardRefresh = useCallback(async () => {
         try {
             const data = await forceRefreshScans();
@@ -106,6 +154,9 @@ export function useMarketData() {
         refreshInterval,
         setRefreshInterval,
         wsConnected,
+        pendingAlerts,
+        dismissAlert,
+        exchangeHealth,
     };
 }
 
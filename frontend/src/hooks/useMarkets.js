@@ -0,0 +1,14 @@
+/**
+ * useMarkets Hook
+ * Contract metadata per asset and venue (shared query, refreshed with the symbol universe)
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { fetchMarkets } from '../services/api';
+
+export function useMarkets() {
+    const { data } = useQuery({ queryKey: ['markets'], queryFn: fetchMarkets, staleTime: 300000 });
+    return data || {};
+}
+
+export default useMarkets;
@@ -1,6 +1,10 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 
-export function useWebSocket(url, onMessage) {
+/**
+ * Auto-reconnecting WebSocket
+ * onOpen(send) runs on every (re)connect, onMessage(data, send) on every JSON message
+ */
+export function useWebSocket(url, onMessage, onOpen) {
     const [isConnected, setIsConnected] = useState(false);
     const [error, setError] = useState(null);
     const ws = useRef(null);
@@ -9,18 +13,26 @@ export function useWebSocket(url, onMessage) {
     const connect = useCallback(() => {
         if (ws.current?.readyState === WebSocket.OPEN) return;
 
-        ws.current = new WebSocket(url);
+        const socket = new WebSocket(url);
+        const send = (msg) => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+        };
+        ws.current = socket;
 
         ws.current.onopen = () => {
             setIsConnected(true);
             setError(null);
+            if (onOpen) onOpen(send);
         };
 
         ws.current.onmessage = (event) => {
+            let data;
             try {
-                const data = JSON.parse(event.data);
-                if (onMessage) onMessage(data);
-            } catch { /* ignore parse errors */ }
+                data = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            if (onMessage) onMessage(data, send);
         };
 
         ws.current.onclose = () => {
@@ -32,7 +44,7 @@ export function useWebSocket(url, onMessage) {
             setError('Connection error');
             ws.current.close();
         };
-    }, [url, onMessage]);
+    }, [url, onMessage, onOpen]);
 
     useEffect(() => {
         connect();
@@ -24,18 +24,162 @@ export async function forceRefreshScans() {
 }
 
 /**
- * Fetch spread history for a symbol
+ * Fetch spread history candles for one or more symbols (response: series keyed by symbol)
+ * @param {string|string[]} symbols
+ * @param {{ period?: string, from?: number|string, to?: number|string, resolution?: string, agg?: string, buy?: string, sell?: string }} options
  */
-export async function fetchSpreadHistory(symbol, period = '24h') {
-    const response = await fetch(`${API_BASE}/spread-history?symbol=${symbol}&period=${period}`);
+export async function fetchSpreadHistory(symbols, options = {}) {
+    const params = new URLSearchParams({ symbols: [].concat(symbols).join(',') });
+    Object.entries({ period: '24h', ...options }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    });
+    // An explicit range replaces the period
+    if (options.from !== undefined && options.period === undefined) params.delete('period');
+
+    const response = await fetch(`${API_BASE}/spread-history?${params}`);
     if (!response.ok) {
         throw new Error('Failed to fetch spread history');
     }
     return response.json();
 }
 
+/**
+ * Fetch the full (buy exchange, sell exchange) spread matrix for a symbol
+ */
+export async function fetchSpreadMatrix(symbol) {
+    const response = await fetch(`${API_BASE}/scans/${symbol}/matrix`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch spread matrix');
+    }
+    return response.json();
+}
+
+/**
+ * Fetch the tracked symbol universe
+ */
+export async function fetchSymbols() {
+    const response = await fetch(`${API_BASE}/symbols`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch symbols');
+    }
+    return response.json();
+}
+
+/**
+ * Fetch the exchanges feeding the scanner (uppercase names, pair field = lowercase)
+ */
+export async function fetchExchanges() {
+    const response = await fetch(`${API_BASE}/exchanges`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch exchanges');
+    }
+    return response.json();
+}
+
+/**
+ * Fetch effective maker/taker fees (bps) per exchange
+ */
+export async function fetchFees() {
+    const response = await fetch(`${API_BASE}/fees`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch fees');
+    }
+    return response.json();
+}
+
+/**
+ * Fetch contract metadata (multiplier, tick/lot size, min notional, max leverage) per asset per venue
+ */
+export async function fetchMarkets() {
+    const response = await fetch(`${API_BASE}/markets`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch markets');
+    }
+    return response.json();
+}
+
+/**
+ * Fetch the server-side alert rules
+ */
+export async function fetchAlertRules() {
+    const response = await fetch(`${API_BASE}/alert-rules`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch alert rules');
+    }
+    return response.json();
+}
+
+/**
+ * Send a rule change; the backend answers 400 with { error } on invalid rules
+ */
+async function sendAlertRule(method, path, rule) {
+    const response = await fetch(`${API_BASE}/alert-rules${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: rule ? JSON.stringify(rule) : undefined
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to save alert rule');
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Create an alert rule ({ symbol, threshold, buyExchange?, sellExchange?, minDurationMs?, hysteresis?, cooldownMs?, quietStart?, quietEnd?, enabled? })
+ */
+export function createAlertRule(rule) {
+    return sendAlertRule('POST', '', rule);
+}
+
+/**
+ * Update some fields of an alert rule
+ */
+export function updateAlertRule(id, changes) {
+    return sendAlertRule('PUT', `/${id}`, changes);
+}
+
+export function deleteAlertRule(id) {
+    return sendAlertRule('DELETE', `/${id}`);
+}
+
+/**
+ * Report a position reaching its exit target; the server publishes it to the
+ * position.exit webhooks (positions only live in the browser)
+ */
+export async function reportPositionExit(position, spread) {
+    const response = await fetch(`${API_BASE}/positions/exit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            positionId: position.id,
+            symbol: position.symbol,
+            buyExchange: position.buyEx,
+            sellExchange: position.sellEx,
+            entrySpread: position.entrySpread,
+            exitTargetSpread: position.exitTargetSpread,
+            size: position.size,
+            spread
+        })
+    });
+    if (!response.ok) {
+        throw new Error('Failed to report position exit');
+    }
+    return response.json();
+}
+
 export default {
     fetchScans,
     fetchSpreadHistory,
-    forceRefreshScans
+    forceRefreshScans,
+    fetchFees,
+    fetchSpreadMatrix,
+    fetchSymbols,
+    fetchMarkets,
+    fetchExchanges,
+    fetchAlertRules,
+    createAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    reportPositionExit
 };
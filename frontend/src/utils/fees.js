@@ -0,0 +1,22 @@
+/**
+ * Fee Utilities
+ * Mirrors the backend net spread formula (taker fees on both legs)
+ */
+
+/**
+ * Spread (%) left after taker fees
+ * Buying at ask costs ask * (1 + buyFee), selling at bid yields bid * (1 - sellFee)
+ */
+export function getNetSpread(bid, ask, buyFeeBps = 0, sellFeeBps = 0) {
+    if (!bid || !ask) return -999;
+    const buyCost = ask * (1 + buyFeeBps / 10000);
+    const sellProceeds = bid * (1 - sellFeeBps / 10000);
+    return ((sellProceeds - buyCost) / ask) * 100;
+}
+
+/**
+ * Taker fee (bps) for an exchange from the /api/fees payload
+ */
+export function getTakerFeeBps(fees, exchange) {
+    return fees?.[exchange?.toUpperCase()]?.takerBps || 0;
+}
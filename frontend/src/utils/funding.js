@@ -0,0 +1,24 @@
+/**
+ * Funding Utilities
+ * Mirrors the backend funding carry formula
+ */
+
+/**
+ * Funding carry (% per hour) of long buyEx / short sellEx
+ * Positive funding is paid by longs to shorts; returns null when a leg has no rate
+ */
+export function getFundingCarryPerHour(pair, buyEx, sellEx) {
+    const long = pair?.[buyEx?.toLowerCase()]?.funding;
+    const short = pair?.[sellEx?.toLowerCase()]?.funding;
+    if (!long || !short) return null;
+
+    return (short.rate / short.intervalHours - long.rate / long.intervalHours) * 100;
+}
+
+/**
+ * Ranking score: net spread plus expected funding over the horizon
+ */
+export function getOpportunityScore(pair) {
+    const spread = pair.netSpread ?? pair.realSpread ?? -999;
+    return spread + (pair.expectedFunding || 0);
+}
@@ -0,0 +1,25 @@
+/**
+ * Market Utilities
+ * Contract metadata from /api/markets ({ ASSET: { EXCHANGE: { maxLeverage, ... } } })
+ */
+
+export const DEFAULT_LEVERAGE = 10;
+
+/**
+ * Usable leverage for a route: the lowest max leverage among its venues
+ * Without venues, every listed venue of the asset is considered
+ */
+export function getPairLeverage(markets, symbol, exchanges = []) {
+    const venues = markets?.[symbol];
+    if (!venues) return DEFAULT_LEVERAGE;
+
+    const keys = exchanges.length > 0
+        ? exchanges.filter(Boolean).map(ex => ex.toUpperCase())
+        : Object.keys(venues);
+
+    const leverages = keys
+        .map(ex => venues[ex]?.maxLeverage)
+        .filter(lev => lev > 0);
+
+    return leverages.length > 0 ? Math.floor(Math.min(...leverages)) : DEFAULT_LEVERAGE;
+}
@@ -0,0 +1,51 @@
+/**
+ * Stream Utilities
+ * Client side of the WebSocket protocol v1 (backend stream.service.ts)
+ */
+
+// Sent on every (re)connect
+export const SUBSCRIPTIONS = [
+    { type: 'subscribe', channel: 'prices' },
+    { type: 'subscribe', channel: 'alerts' },
+    { type: 'subscribe', channel: 'health' }
+];
+
+/**
+ * Ask the server for at most one update per interval (skipped ticks merged into the next delta)
+ */
+export const streamOptions = (intervalMs) => ({ type: 'options', intervalMs, conflation: 'merge' });
+
+export const emptyPrices = () => ({ seq: 0, pairs: {}, awaitingSnapshot: false });
+
+/**
+ * Apply a 'prices' snapshot or delta to { seq, pairs: { SYMBOL: pair } }
+ * A sequence gap freezes the state until the next snapshot; resync is true
+ * once per gap, when the caller should send { type: 'resync', channel: 'prices' }
+ */
+export function applyPricesMessage(state, msg) {
+    if (msg.type === 'snapshot') {
+        return {
+            state: { seq: msg.seq, pairs: Object.fromEntries(msg.pairs.map(pair => [pair.symbol, pair])), awaitingSnapshot: false },
+            resync: false
+        };
+    }
+
+    if (state.awaitingSnapshot) return { state, resync: false };
+    if (msg.seq !== state.seq + 1) return { state: { ...state, awaitingSnapshot: true }, resync: true };
+
+    // Removed first: a merged delta can remove a symbol and bring it back
+    const pairs = { ...state.pairs };
+    (msg.removed || []).forEach(symbol => delete pairs[symbol]);
+
+    // Changed pairs are new objects, null removes a field
+    Object.entries(msg.changed || {}).forEach(([symbol, fields]) => {
+        const pair = { ...pairs[symbol] };
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value === null) delete pair[field];
+            else pair[field] = value;
+        });
+        pairs[symbol] = pair;
+    });
+
+    return { state: { seq: msg.seq, pairs, awaitingSnapshot: false }, resync: false };
+}
@@ -0,0 +1,72 @@
+/**
+ * Stream Tests
+ * Tests for the prices snapshot / delta reducer
+ */
+
+import { describe, test, expect } from 'vitest';
+import { applyPricesMessage, emptyPrices } from '../../src/utils/stream';
+
+const snapshot = {
+    type: 'snapshot',
+    channel: 'prices',
+    seq: 4,
+    exchanges: ['PARADEX'],
+    pairs: [
+        { symbol: 'BTC', bestBid: 100, netSpread: 0.1 },
+        { symbol: 'ETH', bestBid: 10 }
+    ]
+};
+
+describe('applyPricesMessage', () => {
+    test('should replace the state with a snapshot', () => {
+        const { state, resync } = applyPricesMessage(emptyPrices(), snapshot);
+
+        expect(resync).toBe(false);
+        expect(state.seq).toBe(4);
+        expect(state.pairs.BTC).toEqual({ symbol: 'BTC', bestBid: 100, netSpread: 0.1 });
+    });
+
+    test('should merge changed fields, drop nulls and removed symbols', () => {
+        const { state: base } = applyPricesMessage(emptyPrices(), snapshot);
+        const { state } = applyPricesMessage(base, {
+            type: 'delta',
+            seq: 5,
+            changed: { BTC: { bestBid: 101, netSpread: null }, SOL: { symbol: 'SOL', bestBid: 1 } },
+            removed: ['ETH']
+        });
+
+        expect(state.seq).toBe(5);
+        expect(state.pairs).toEqual({
+            BTC: { symbol: 'BTC', bestBid: 101 },
+            SOL: { symbol: 'SOL', bestBid: 1 }
+        });
+        expect(base.pairs.BTC.bestBid).toBe(100);
+    });
+
+    test('should rebuild a symbol removed and re-added within a merged delta', () => {
+        const { state: base } = applyPricesMessage(emptyPrices(), snapshot);
+        const { state } = applyPricesMessage(base, {
+            type: 'delta',
+            seq: 5,
+            changed: { BTC: { symbol: 'BTC', bestBid: 99 } },
+            removed: ['BTC']
+        });
+
+        expect(state.pairs.BTC).toEqual({ symbol: 'BTC', bestBid: 99 });
+    });
+
+    test('should ask for one resync per gap and wait for the snapshot', () => {
+        const { state: base } = applyPricesMessage(emptyPrices(), snapshot);
+
+        const gap = applyPricesMessage(base, { type: 'delta', seq: 6, changed: { BTC: { bestBid: 1 } } });
+        expect(gap.resync).toBe(true);
+        expect(gap.state.pairs.BTC.bestBid).toBe(100);
+
+        const waiting = applyPricesMessage(gap.state, { type: 'delta', seq: 7, changed: { BTC: { bestBid: 2 } } });
+        expect(waiting.resync).toBe(false);
+        expect(waiting.state.pairs.BTC.bestBid).toBe(100);
+
+        const { state } = applyPricesMessage(waiting.state, { ...snapshot, seq: 8 });
+        expect(state).toMatchObject({ seq: 8, awaitingSnapshot: false });
+    });
+});